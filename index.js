@@ -1,8 +1,125 @@
-import { google } from "googleapis";
-import { OpenAI } from "openai";
 import { onRequest } from "firebase-functions/v2/https";
+import { onSchedule } from "firebase-functions/v2/scheduler";
+import { onTaskDispatched } from "firebase-functions/v2/tasks";
 import { setGlobalOptions } from "firebase-functions/v2";
-import { defineString, defineSecret } from "firebase-functions/params";
+import {
+    defineString,
+    defineSecret,
+    defineInt,
+    defineBoolean,
+} from "firebase-functions/params";
+import {
+    getCachedRecords,
+    invalidateSheetCache,
+    getSheetCacheStatus,
+} from "./src/sheetCache.js";
+import { parseUserInputRules } from "./src/ruleParser.js";
+import { createLlmProvider } from "./src/llm.js";
+import { parseQueryWithLlm } from "./src/llmQuery.js";
+import { getCachedParse, getParseCacheStatus } from "./src/parseCache.js";
+import { findMatchingRecords } from "./src/modelMatcher.js";
+import {
+    getModelCatalog,
+    getIphoneNumbers,
+    isModelListQuery,
+    generateModelListResponse,
+} from "./src/modelCatalog.js";
+import { createDataSource } from "./src/dataSources.js";
+import { resolveSheetLayout, parseSheetRows } from "./src/sheetParser.js";
+import { validateSheets, summarizeValidation } from "./src/sheetValidator.js";
+import {
+    findSuggestions,
+    generateSuggestionResponse,
+    suggestionsToQuickReplies,
+    describeQuery,
+} from "./src/suggestions.js";
+import { generateResponse } from "./src/textResponse.js";
+import { buildKakaoResponse, kakaoTextResponse } from "./src/kakaoResponse.js";
+import {
+    KAKAO_CALLBACK_HOSTS,
+    getCallbackUrl,
+    isCallbackExpired,
+    kakaoCallbackWaitingResponse,
+    sendKakaoCallback,
+    createCallbackDispatcher,
+} from "./src/kakaoCallback.js";
+import { buildStructuredResponse } from "./src/structuredResponse.js";
+import { rankRecords } from "./src/ranking.js";
+import {
+    hasPriceRange,
+    withoutPriceRange,
+    isBudgetListing,
+} from "./src/priceRange.js";
+import {
+    isComparisonQuery,
+    splitComparisonQuery,
+    buildComparisonQueries,
+    combineParsedSegments,
+    compareModels,
+    generateComparisonResponse,
+} from "./src/comparison.js";
+import { createPriceHistoryStore } from "./src/priceHistoryStore.js";
+import {
+    createQueryLogStore,
+    createQueryLogEntry,
+    parseReportRange,
+    buildQueryReport,
+    summarizeQueryReport,
+} from "./src/queryLog.js";
+import {
+    isPriceHistoryQuery,
+    parseHistoryDays,
+    trackPriceChanges,
+    getPriceChanges,
+    generatePriceHistoryResponse,
+} from "./src/priceHistory.js";
+import {
+    isResetUtterance,
+    mergeParsedData,
+    loadConversation,
+    saveConversation,
+    clearConversation,
+} from "./src/conversationState.js";
+import {
+    MAX_ALERTS_PER_USER,
+    getAlertCommand,
+    parseTargetPrice,
+    stripAlertText,
+    findLowestOffer,
+    checkAlerts,
+    sendAlertNotifications,
+    ALERT_UNAVAILABLE_MESSAGE,
+    formatAlertList,
+    createAlert,
+    listUserAlerts,
+    cancelUserAlerts,
+    listActiveAlerts,
+} from "./src/priceAlerts.js";
+import { createNotificationSender } from "./src/notificationSender.js";
+import {
+    getLeadCommand,
+    stripLeadText,
+    findLeadOffers,
+    startLead,
+    isLeadAnswer,
+    canRestartLead,
+    advanceLead,
+    formatLeadNotification,
+    loadLeadDraft,
+    saveLeadDraft,
+    createLead,
+    listLeads,
+} from "./src/leads.js";
+import {
+    MINUTE_MS,
+    DAY_MS,
+    createRateLimitStore,
+    getRateLimitKey,
+    getClientIp,
+    checkRateLimit,
+    formatRateLimitMessage,
+    formatInputTooLongMessage,
+} from "./src/rateLimiter.js";
 
 setGlobalOptions({
     maxInstances: 10,
@@ -20,185 +137,381 @@ const openaiApiKey = defineSecret("OPENAI_API_KEY", {
     description: "OpenAI API key for natural language processing",
 });
 
-const auth = new google.auth.GoogleAuth({
-    scopes: ["https://www.googleapis.com/auth/spreadsheets.readonly"],
+const adminApiKey = defineSecret("ADMIN_API_KEY", {
+    description: "API key for admin endpoints (x-admin-key header)",
 });
-const sheets = google.sheets({ version: "v4", auth });
 
-// 시트 파싱 함수
-async function parseFullSheetStructure(spreadsheetId) {
-    const sheetNames = await listSheetNames(spreadsheetId);
-    if (sheetNames.length === 0) {
-        throw new Error("시트 목록을 가져올 수 없습니다.");
-    }
+const kakaoSkillSecret = defineSecret("KAKAO_SKILL_SECRET", {
+    description:
+        "Value of the X-Kakao-Skill-Secret header set in the Kakao skill settings (requests without it are rate limited by client IP)",
+});
 
-    const allRecords = [];
-    const servicesBySheet = {}; // 시트별 부가서비스 정보 저장
-
-    for (const sheetName of sheetNames) {
-        const res = await sheets.spreadsheets.values.get({
-            spreadsheetId: spreadsheetId,
-            range: `${sheetName}!A1:N100`,
-            valueRenderOption: "UNFORMATTED_VALUE",
-            dateTimeRenderOption: "FORMATTED_STRING",
-        });
-        const rows = res.data.values || [];
-
-        if (rows.length < 3) continue;
-
-        const sheetInfo = parseSheetInfo(sheetName);
-        const sheetServices = []; // 현재 시트의 부가서비스 정보들
-
-        // 먼저 시트 전체를 스캔하여 부가서비스 정보 수집
-        for (let i = 2; i < rows.length; i++) {
-            const row = rows[i];
-            if (!row[0] || row[0].trim() === "") continue;
-
-            // 부가서비스 정보 (K, L, M, N열) 수집
-            if (
-                row[10] &&
-                row[10].toString().trim() !== "" &&
-                row[10].toString().trim() !== "테스트"
-            ) {
-                const serviceInfo = {
-                    serviceName: row[10].toString().trim(),
-                    monthlyFee:
-                        row[11] && row[11].toString().trim() !== ""
-                            ? cleanPrice(row[11])
-                            : "0",
-                    duration:
-                        row[12] && row[12].toString().trim() !== ""
-                            ? row[12].toString().trim()
-                            : "",
-                    additionalFee:
-                        row[13] && row[13].toString().trim() !== ""
-                            ? cleanPrice(row[13])
-                            : "0",
-                };
+const sheetCacheTtlSeconds = defineInt("SHEET_CACHE_TTL_SECONDS", {
+    description: "How long parsed sheet records are served from cache",
+    default: 300,
+});
 
-                // 테스트 데이터 필터링
-                if (
-                    !serviceInfo.monthlyFee.includes("33333333333333") &&
-                    !serviceInfo.additionalFee.includes("33333333333333")
-                ) {
-                    // 중복 제거
-                    const serviceKey = `${serviceInfo.serviceName}_${serviceInfo.monthlyFee}_${serviceInfo.duration}_${serviceInfo.additionalFee}`;
-                    if (
-                        !sheetServices.find(
-                            (s) =>
-                                `${s.serviceName}_${s.monthlyFee}_${s.duration}_${s.additionalFee}` ===
-                                serviceKey
-                        )
-                    ) {
-                        sheetServices.push(serviceInfo);
-                        console.log(
-                            `시트 ${sheetName}에서 부가서비스 발견:`,
-                            serviceInfo
-                        );
-                    }
-                }
-            }
-        }
+const sheetCacheStaleSeconds = defineInt("SHEET_CACHE_STALE_SECONDS", {
+    description:
+        "How long expired records may still be served while refreshing in the background",
+    default: 1800,
+});
 
-        servicesBySheet[sheetName] = sheetServices;
-
-        // 이제 각 행의 데이터를 처리하여 레코드 생성
-        for (let i = 2; i < rows.length; i++) {
-            const row = rows[i];
-            if (!row[0] || row[0].trim() === "") continue;
-
-            // 번호이동 정보 (A, B, C, D열)
-            if (row[0] && row[1] && row[3]) {
-                const record = {
-                    modelRaw: row[0].trim(),
-                    modelNorm: normalizeModelName(row[0].trim()),
-                    capacity: normalizeCapacity(row[2]),
-                    telecom: sheetInfo.telecom,
-                    type: "번호이동",
-                    channel: sheetInfo.channel,
-                    plan: cleanPrice(row[1]),
-                    price: cleanPrice(row[3]),
-                    serviceInfo:
-                        sheetServices.length > 0 ? sheetServices : null,
-                };
-                allRecords.push(record);
-            }
+const sheetCacheUseFirestore = defineBoolean("SHEET_CACHE_USE_FIRESTORE", {
+    description: "Share parsed sheet snapshots across instances via Firestore",
+    default: false,
+});
 
-            // 기기변경 정보 (F, G, H, I열)
-            if (row[5] && row[6] && row[8]) {
-                const record = {
-                    modelRaw: row[5].trim(),
-                    modelNorm: normalizeModelName(row[5].trim()),
-                    capacity: normalizeCapacity(row[7]),
-                    telecom: sheetInfo.telecom,
-                    type: "기기변경",
-                    channel: sheetInfo.channel,
-                    plan: cleanPrice(row[6]),
-                    price: cleanPrice(row[8]),
-                    serviceInfo:
-                        sheetServices.length > 0 ? sheetServices : null,
-                };
-                allRecords.push(record);
-            }
+const queryParserMode = defineString("QUERY_PARSER", {
+    description:
+        "Primary query parser: gpt (rule-based fallback on failure) or rules",
+    default: "gpt",
+});
+
+const llmProviderType = defineString("LLM_PROVIDER", {
+    description:
+        "LLM provider for query parsing: openai (OpenAI-compatible API) or fake (local, rule-based)",
+    default: "openai",
+});
+
+const llmModel = defineString("LLM_MODEL", {
+    description: "Model name used for query parsing",
+    default: "gpt-4o-mini",
+});
+
+const llmOutputMode = defineString("LLM_OUTPUT_MODE", {
+    description:
+        "How the query schema is enforced: json_schema (structured output) or tool (function calling)",
+    default: "json_schema",
+});
+
+const llmTimeoutSeconds = defineInt("LLM_TIMEOUT_SECONDS", {
+    description: "Timeout for each query parsing request to the LLM",
+    default: 10,
+});
+
+const llmMaxRetries = defineInt("LLM_MAX_RETRIES", {
+    description:
+        "Retries after a failed, timed out or invalid LLM parsing response",
+    default: 1,
+});
+
+const parseCacheSize = defineInt("PARSE_CACHE_SIZE", {
+    description:
+        "How many parsed utterances each instance keeps in memory (0 disables the parse cache)",
+    default: 500,
+});
+
+const parseCacheTtlHours = defineInt("PARSE_CACHE_TTL_HOURS", {
+    description: "How long a parsed utterance is reused",
+    default: 24,
+});
+
+const parseCacheUseFirestore = defineBoolean("PARSE_CACHE_USE_FIRESTORE", {
+    description: "Share parsed utterances across instances via Firestore",
+    default: false,
+});
+
+const kakaoConsultPhone = defineString("KAKAO_CONSULT_PHONE", {
+    description:
+        "Phone number for the Kakao '상담 연결' button (empty: hand off to a Kakao operator)",
+    default: "",
+});
+
+const kakaoCallbackHosts = defineString("KAKAO_CALLBACK_HOSTS", {
+    description:
+        "Comma separated hosts allowed in userRequest.callbackUrl (exact match)",
+    default: "bot-api.kakao.com",
+});
+
+const kakaoCallbackDispatch = defineString("KAKAO_CALLBACK_DISPATCH", {
+    description:
+        "How callback answers are produced: taskQueue (kakaoCallbackTask function) or inline (local development only)",
+    default: "taskQueue",
+});
+
+const conversationTtlMinutes = defineInt("CONVERSATION_TTL_MINUTES", {
+    description:
+        "Minutes of inactivity after which a Kakao user's search conditions are forgotten",
+    default: 10,
+});
+
+const planMaintenanceMonths = defineInt("PLAN_MAINTENANCE_MONTHS", {
+    description:
+        "Months the plan must be kept, used for total cost of ownership",
+    default: 6,
+});
+
+const priceHistoryStoreType = defineString("PRICE_HISTORY_STORE", {
+    description:
+        "Where price snapshots and changes are stored: firestore, file or none",
+    default: "firestore",
+});
+
+const priceHistoryFile = defineString("PRICE_HISTORY_FILE", {
+    description:
+        "JSON file path for PRICE_HISTORY_STORE=file (default: OS temp directory)",
+    default: "",
+});
+
+const queryLogStoreType = defineString("QUERY_LOG_STORE", {
+    description:
+        "Where processed queries are recorded for the query report: firestore, file or none",
+    default: "firestore",
+});
+
+const queryLogFile = defineString("QUERY_LOG_FILE", {
+    description:
+        "JSON file path for QUERY_LOG_STORE=file (default: OS temp directory)",
+    default: "",
+});
+
+const rateLimitStoreType = defineString("RATE_LIMIT_STORE", {
+    description:
+        "Where per-user request counters are kept: firestore (shared by all instances), memory or none",
+    default: "firestore",
+});
+
+const rateLimitPerMinute = defineInt("RATE_LIMIT_PER_MINUTE", {
+    description:
+        "Max kakaoSkill/phonePrice requests per Kakao user or client IP per minute (0 = unlimited)",
+    default: 10,
+});
+
+const rateLimitPerDay = defineInt("RATE_LIMIT_PER_DAY", {
+    description:
+        "Max kakaoSkill/phonePrice requests per Kakao user or client IP per day, reset at midnight KST (0 = unlimited)",
+    default: 200,
+});
+
+const maxUtteranceLength = defineInt("MAX_UTTERANCE_LENGTH", {
+    description: "Max characters of a question (longer ones are rejected)",
+    default: 200,
+});
+
+const priceAlertSender = defineString("PRICE_ALERT_SENDER", {
+    description: "How price alerts are delivered: webhook or log",
+    default: "log",
+});
+
+const priceAlertWebhookUrl = defineString("PRICE_ALERT_WEBHOOK_URL", {
+    description:
+        "URL that receives price alerts for PRICE_ALERT_SENDER=webhook",
+    default: "",
+});
+
+const leadNotifier = defineString("LEAD_NOTIFIER", {
+    description:
+        "How staff are notified of new purchase requests: webhook, email or log",
+    default: "log",
+});
+
+const leadWebhookUrl = defineString("LEAD_WEBHOOK_URL", {
+    description:
+        "URL that receives purchase requests for LEAD_NOTIFIER=webhook",
+    default: "",
+});
+
+const leadNotifyEmail = defineString("LEAD_NOTIFY_EMAIL", {
+    description:
+        "Comma-separated staff addresses for LEAD_NOTIFIER=email (sent via the Trigger Email extension)",
+    default: "",
+});
+
+const dataSourceType = defineString("DATA_SOURCE", {
+    description:
+        "Where price data is read from: sheets (Google Sheets), csv (directory of CSV files, one per tab) or json",
+    default: "sheets",
+});
+
+const dataSourcePath = defineString("DATA_SOURCE_PATH", {
+    description: "CSV directory or JSON file path for DATA_SOURCE=csv/json",
+    default: "",
+});
+
+const sheetColumnMap = defineString("SHEET_COLUMN_MAP", {
+    description:
+        'Optional JSON column map per sheet name ("*" for all sheets); empty: detect columns from header labels',
+    default: "",
+});
+
+// 시트 파싱 함수
+// 데이터 소스의 시트마다 헤더 라벨(또는 SHEET_COLUMN_MAP)로 찾은 열 배치로 변환
+async function parseFullSheetStructure(source) {
+    const columnMaps = getSheetColumnMaps();
+    const allRecords = [];
+
+    for (const { sheetName, rows } of await source.readAllSheets()) {
+        const layout = resolveSheetLayout(sheetName, rows, columnMaps);
+        if (rows.length <= layout.dataStartRow) continue;
+
+        const { records, services } = parseSheetRows(sheetName, rows, layout);
+        if (services.length > 0) {
+            console.log(`시트 ${sheetName}에서 부가서비스 발견:`, services);
         }
+        allRecords.push(...records);
     }
 
     return { allRecords };
 }
 
-// 시트 목록 가져오기
-async function listSheetNames(spreadsheetId) {
+// 시트별 열 배치 설정 (SHEET_COLUMN_MAP, JSON)
+function getSheetColumnMaps() {
+    const value = sheetColumnMap.value();
+    if (!value) return {};
+
     try {
-        const response = await sheets.spreadsheets.get({
-            spreadsheetId: spreadsheetId,
+        return JSON.parse(value);
+    } catch (error) {
+        console.error("SHEET_COLUMN_MAP 형식 오류:", error.message);
+        return {};
+    }
+}
+
+// 시트 캐시 옵션
+function getSheetCacheOptions() {
+    return {
+        ttlMs: sheetCacheTtlSeconds.value() * 1000,
+        staleMs: sheetCacheStaleSeconds.value() * 1000,
+        useFirestore: sheetCacheUseFirestore.value(),
+    };
+}
+
+// 가격 이력 저장소 (인스턴스당 하나)
+let priceHistoryStore;
+function getPriceHistoryStore() {
+    if (priceHistoryStore === undefined) {
+        priceHistoryStore = createPriceHistoryStore({
+            type: priceHistoryStoreType.value(),
+            filePath: priceHistoryFile.value(),
+        });
+    }
+    return priceHistoryStore;
+}
+
+// 질문 기록 저장소 (인스턴스당 하나)
+let queryLogStore;
+function getQueryLogStore() {
+    if (queryLogStore === undefined) {
+        queryLogStore = createQueryLogStore({
+            type: queryLogStoreType.value(),
+            filePath: queryLogFile.value(),
         });
-        return response.data.sheets.map((sheet) => sheet.properties.title);
+    }
+    return queryLogStore;
+}
+
+// 처리한 질문 기록 (실패해도 응답에는 영향 없음)
+// channel: "kakao" | "phonePrice", startedAt: 요청을 받은 시각 (처리 시간 계산용)
+async function recordQuery(channel, userInput, result, startedAt) {
+    const store = getQueryLogStore();
+    if (!store) return;
+
+    try {
+        await store.add(
+            createQueryLogEntry({
+                channel,
+                utterance: userInput,
+                result,
+                latencyMs: Date.now() - startedAt,
+            })
+        );
     } catch (error) {
-        console.error("시트 목록을 가져오는 데 실패했습니다:", error.message);
-        return [];
+        console.error("질문 기록 실패:", error.message);
     }
 }
 
-// 시트 정보 파싱 함수
-function parseSheetInfo(sheetName) {
-    const telecom = sheetName.includes("SK")
-        ? "SK"
-        : sheetName.includes("KT")
-        ? "KT"
-        : sheetName.includes("LG")
-        ? "LG"
-        : "Unknown";
+// 요청 수 카운터 저장소 (인스턴스당 하나)
+let rateLimitStore;
+function getRateLimitStore() {
+    if (rateLimitStore === undefined) {
+        rateLimitStore = createRateLimitStore({
+            type: rateLimitStoreType.value(),
+        });
+    }
+    return rateLimitStore;
+}
+
+// 카카오가 보낸 요청인지 (스킬 설정에 넣은 헤더 값 확인)
+// 확인되지 않은 요청의 사용자 id는 누구나 바꿔 보낼 수 있으므로 믿지 않습니다.
+function isVerifiedKakaoRequest(req) {
+    const secret = kakaoSkillSecret.value();
+    return Boolean(secret) && req.get("x-kakao-skill-secret") === secret;
+}
+
+// 요청 수 제한 확인 (카카오 사용자 id, 없으면 클라이언트 IP 기준)
+// 반환: checkRateLimit 결과 ({ allowed, windowMs, retryAfterSeconds })
+async function checkRequestLimit(req, userId) {
+    return checkRateLimit(
+        getRateLimitStore(),
+        getRateLimitKey({ userId, ip: getClientIp(req) }),
+        [
+            { windowMs: MINUTE_MS, max: rateLimitPerMinute.value() },
+            { windowMs: DAY_MS, max: rateLimitPerDay.value() },
+        ]
+    );
+}
+
+// 질문 최대 길이
+function getMaxUtteranceLength() {
+    return maxUtteranceLength.value() || 200;
+}
+
+// 질문 길이 제한 확인
+function isTooLong(userInput) {
+    return userInput.toString().length > getMaxUtteranceLength();
+}
 
-    const channel = sheetName.includes("온라인")
-        ? "온라인"
-        : sheetName.includes("내방")
-        ? "내방"
-        : "Unknown";
+// 대화 상태 옵션
+function getConversationOptions() {
+    return { ttlMs: conversationTtlMinutes.value() * 60 * 1000 };
+}
 
-    return { telecom, channel };
+// 콜백 URL로 허용하는 호스트 목록
+function getKakaoCallbackHosts() {
+    return (kakaoCallbackHosts.value() || KAKAO_CALLBACK_HOSTS.join(","))
+        .split(",")
+        .map((host) => host.trim())
+        .filter(Boolean);
 }
 
-// 모델명 정규화 함수
-function normalizeModelName(modelName) {
-    return modelName
-        .toLowerCase()
-        .replace(/\s+/g, "")
-        .replace(/[^a-z0-9ㄱ-ㅎ가-힣]/g, "");
+// 콜백 작업 전송기 (인스턴스당 하나)
+let callbackDispatcher;
+function getCallbackDispatcher() {
+    if (!callbackDispatcher) {
+        callbackDispatcher = createCallbackDispatcher({
+            type: kakaoCallbackDispatch.value(),
+            functionName: "kakaoCallbackTask",
+            handler: answerKakaoCallback,
+        });
+    }
+    return callbackDispatcher;
 }
 
-// 용량 정규화 함수
-function normalizeCapacity(capacity) {
-    if (!capacity || capacity === "") return "기본";
-    const capacityStr = capacity.toString().trim();
-    if (capacityStr === "") return "기본";
-    const numbers = capacityStr.match(/\d+/g);
-    return numbers && numbers.length > 0 ? numbers[0] : "기본";
+// 가격 데이터 소스 (인스턴스당 하나)
+let dataSource;
+function getDataSource() {
+    if (!dataSource) {
+        dataSource = createDataSource({
+            type: dataSourceType.value(),
+            spreadsheetId: spreadsheetId.value(),
+            path: dataSourcePath.value(),
+        });
+    }
+    return dataSource;
 }
 
-// 가격 정규화 함수
-function cleanPrice(priceStr) {
-    if (!priceStr) return "";
-    return priceStr.toString().replace(/[^\d-]/g, "");
+// 캐시를 거쳐 시트 레코드 가져오기
+// 가격 변동 기록은 응답을 늦추지 않도록 priceHistoryCheck 스케줄 함수에서 합니다.
+async function loadAllRecords(options = {}) {
+    return getCachedRecords(
+        getDataSource().id,
+        () => parseFullSheetStructure(getDataSource()),
+        {
+            ...getSheetCacheOptions(),
+            ...options,
+        }
+    );
 }
 
 // 가격 포맷팅 함수
@@ -207,708 +520,1031 @@ function formatPrice(priceStr) {
     return parseInt(priceStr).toLocaleString();
 }
 
-// GPT 파싱 함수
-async function parseUserInput(userInput, openaiApiKey) {
-    try {
-        const openai = new OpenAI({ apiKey: openaiApiKey });
-
-        const prompt = `
-사용자의 휴대폰 가격 문의를 분석하여 다음 정보를 추출해주세요:
-
-사용자 입력: "${userInput}"
-
-다음 JSON 형태로만 응답해주세요:
-{
-    "브랜드": "갤럭시 또는 아이폰",
-    "기본모델": "기본 모델명",
-    "옵션": "추가 옵션",
-    "용량": "숫자만 (예: 128, 256, 512)",
-    "통신사": "SK, KT, LG 중 하나",
-    "타입": "번호이동 또는 기기변경"
-}
-
-규칙:
-- 브랜드: 갤럭시/Galaxy → "갤럭시", 아이폰/iPhone → "아이폰"
-- 기본모델: S24, S25, 16, 15, 플립6, 폴드6 등 기본 모델명만 (Z 제외)
-- 옵션: 플러스, 울트라, 프로, 프로맥스, 엣지, SE, FE, Plus, Ultra, Pro, Pro Max, Edge 등
-- 용량: 128, 256, 512 등 숫자만
-- 통신사: SK, KT, LG만 인식
-- 타입: 번호이동/번이 → "번호이동", 기기변경/기변 → "기기변경"
-- 정보가 없으면 null
-- "+"는 "플러스"로 정규화
-
-중요한 모델명 정규화:
-- Z플립, Z 플립, 플립 → "플립" (또는 해당 숫자)
-- Z폴드, Z 폴드, 폴드 → "폴드" (또는 해당 숫자)
-- 순수한 숫자(16, 15, 14, 13)는 아이폰 모델로 인식
-- +, plus, 플러스 → 모두 "플러스"로 정규화
-
-예시:
-- "갤럭시 S24 울트라" → 기본모델: "S24", 옵션: "울트라"
-- "아이폰 16 프로맥스" → 기본모델: "16", 옵션: "프로맥스"
-- "아이폰 16 SE" → 기본모델: "16", 옵션: "SE"
-- "갤럭시 S24 FE" → 기본모델: "S24", 옵션: "FE"
-- "갤럭시 Z플립6" → 기본모델: "플립6", 옵션: null
-- "갤럭시 플립6" → 기본모델: "플립6", 옵션: null
-- "갤럭시 Z플립5" → 기본모델: "플립5", 옵션: null
-- "갤럭시 플립5" → 기본모델: "플립5", 옵션: null
-- "갤럭시 Z폴드6" → 기본모델: "폴드6", 옵션: null
-- "갤럭시 폴드6" → 기본모델: "폴드6", 옵션: null
-- "갤럭시 Z폴드5" → 기본모델: "폴드5", 옵션: null
-- "갤럭시 폴드5" → 기본모델: "폴드5", 옵션: null
-- "갤럭시 S25 엣지" → 기본모델: "S25", 옵션: "엣지"
-- "16" → 브랜드: "아이폰", 기본모델: "16"
-- "15" → 브랜드: "아이폰", 기본모델: "15"
-- "플립6" → 브랜드: "갤럭시", 기본모델: "플립6"
-- "플립5" → 브랜드: "갤럭시", 기본모델: "플립5"
-- "폴드6" → 브랜드: "갤럭시", 기본모델: "폴드6"
-- "폴드5" → 브랜드: "갤럭시", 기본모델: "폴드5"
-
-- "플러스" → 브랜드: null, 기본모델: null, 옵션: "플러스"
-- "+" → 브랜드: null, 기본모델: null, 옵션: "플러스"
-- "S24+" → 기본모델: "S24", 옵션: "플러스"
-- "16+" → 브랜드: "아이폰", 기본모델: "16", 옵션: "플러스"
-- "프로" → 브랜드: null, 기본모델: null, 옵션: "프로"
-- "맥스" → 브랜드: null, 기본모델: null, 옵션: "프로 맥스"
-- "프로 맥스" → 브랜드: null, 기본모델: null, 옵션: "프로 맥스"
-- "pro" → 브랜드: null, 기본모델: null, 옵션: "프로"
-- "max" → 브랜드: null, 기본모델: null, 옵션: "프로 맥스"
-- "pro max" → 브랜드: null, 기본모델: null, 옵션: "프로 맥스"
-`;
-
-        const completion = await openai.chat.completions.create({
-            model: "gpt-4o-mini",
-            messages: [{ role: "user", content: prompt }],
-            temperature: 0.1,
+// LLM 제공자 (API 키가 바뀌지 않으면 재사용)
+let llmProvider;
+let llmProviderKey;
+function getLlmProvider(openaiApiKey) {
+    const type = llmProviderType.value() || "openai";
+    const cacheKey = `${type}|${openaiApiKey}`;
+    if (!llmProvider || llmProviderKey !== cacheKey) {
+        llmProvider = createLlmProvider({
+            type,
+            apiKey: openaiApiKey,
+            model: llmModel.value() || "gpt-4o-mini",
+            outputMode: llmOutputMode.value() || "json_schema",
+            // fake 제공자는 규칙 기반 파서 결과를 LLM 응답처럼 돌려줌 (API 키 없이 에뮬레이터 실행)
+            reply: ({ user }) => parseUserInputRules(user),
         });
+        llmProviderKey = cacheKey;
+    }
+    return llmProvider;
+}
+
+// 파싱 캐시 옵션
+// 모델이나 카탈로그(지시문에 들어가는 모델 목록)가 바뀌면 다른 캐시 키를 사용합니다.
+function getParseCacheOptions(catalog) {
+    return {
+        scope: [
+            llmProviderType.value() || "openai",
+            llmModel.value() || "gpt-4o-mini",
+            catalog.map((model) => model.name).join(","),
+        ].join("|"),
+        maxEntries: parseCacheSize.value(),
+        ttlMs: (parseCacheTtlHours.value() || 24) * 60 * 60 * 1000,
+        useFirestore: parseCacheUseFirestore.value(),
+    };
+}
 
-        const responseText = completion.choices[0].message.content.trim();
-        console.log("GPT 응답:", responseText);
+// LLM 파싱 함수 (실패하면 null)
+// 같은 문장은 파싱 캐시의 결과를 사용합니다.
+// catalog: 시트 모델 카탈로그 (조회 가능한 모델과 아이폰 번호를 지시문에 알려줌)
+async function parseUserInput(userInput, openaiApiKey, catalog = []) {
+    return getCachedParse(
+        userInput,
+        async () => {
+            try {
+                const parsedData = await parseQueryWithLlm(
+                    getLlmProvider(openaiApiKey),
+                    userInput,
+                    catalog,
+                    {
+                        timeoutMs: (llmTimeoutSeconds.value() || 10) * 1000,
+                        retries: llmMaxRetries.value(),
+                    }
+                );
+                console.log("LLM 파싱 결과:", parsedData);
+                return parsedData;
+            } catch (error) {
+                console.error("LLM 파싱 실패:", error.message);
+                return null;
+            }
+        },
+        getParseCacheOptions(catalog)
+    );
+}
 
-        const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-            return JSON.parse(jsonMatch[0]);
+// 질문 파싱 함수
+// QUERY_PARSER=gpt: GPT 우선, 실패 시 규칙 기반 파서로 대체
+// QUERY_PARSER=rules: 규칙 기반 파서 우선, 아무것도 인식하지 못하면 GPT 시도
+// catalog: 시트 모델 카탈로그 (두 파서 모두 시트에 있는 모델을 인식하는 데 사용)
+// trace: 질문 기록용 - 사용한 파서(parser: "llm" | "rules")와 LLM 파싱 실패 횟수(llmFailures)를 채움
+async function parseQuery(
+    userInput,
+    openaiApiKey,
+    catalog = [],
+    trace = { llmFailures: 0 }
+) {
+    if (queryParserMode.value() === "rules") {
+        const parsedData = parseUserInputRules(userInput, catalog);
+        if (hasParsedFields(parsedData) || !openaiApiKey) {
+            trace.parser = "rules";
+            return parsedData;
+        }
+        console.log("규칙 기반 파서가 인식한 정보 없음 - GPT 파싱 시도");
+        const llmData = await parseUserInput(userInput, openaiApiKey, catalog);
+        if (llmData) {
+            trace.parser = "llm";
+            return llmData;
         }
+        trace.llmFailures++;
+        trace.parser = "rules";
+        return parsedData;
+    }
 
-        return null;
-    } catch (error) {
-        console.error("GPT 파싱 실패:", error);
-        return null;
+    const parsedData = await parseUserInput(userInput, openaiApiKey, catalog);
+    if (parsedData) {
+        trace.parser = "llm";
+        return parsedData;
     }
+
+    console.log("GPT 파싱 실패 - 규칙 기반 파서 사용");
+    trace.llmFailures++;
+    trace.parser = "rules";
+    return parseUserInputRules(userInput, catalog);
 }
 
-// 검색 및 응답 생성
-function findMatchingRecords(parsedData, allRecords) {
-    const { 브랜드, 기본모델, 옵션, 용량, 통신사, 타입 } = parsedData;
+// 파싱 결과에 검색 조건이 하나라도 있는지 확인
+function hasParsedFields(parsedData) {
+    const { 브랜드, 기본모델, 옵션, 용량, 통신사, 타입, 채널, 정렬 } =
+        parsedData;
+    return Boolean(
+        브랜드 ||
+            기본모델 ||
+            옵션 ||
+            용량 ||
+            통신사 ||
+            타입 ||
+            채널 ||
+            정렬 ||
+            hasPriceRange(parsedData)
+    );
+}
 
-    console.log("검색 조건:", parsedData);
-    console.log("전체 레코드 수:", allRecords.length);
+// 메인 함수
+// 반환: { text, quickReplies, parsedData, matchingRecords, comparison?, responseType, trace }
+// - text: 텍스트 응답 (phonePrice 및 카카오 텍스트 응답)
+// - quickReplies: 카카오 바로가기 응답용 [{ label, messageText }]
+// - comparison: 모델 비교 문의일 때 비교표 (compareModels 결과)
+// - responseType: 응답 종류 (질문 기록용) - price, ranking, budget, suggestion, noResult,
+//   comparison, modelList, priceHistory, guide (조건을 알아듣지 못함), error
+// - trace: 파싱 정보 (parseQuery 참고)
+// options.previousData: 같은 사용자의 이전 검색 조건 (있으면 새 조건과 합침)
+async function processUserQuery(userInput, openaiApiKey, options = {}) {
+    const trace = { parser: null, llmFailures: 0 };
+    return {
+        ...(await answerUserQuery(userInput, openaiApiKey, options, trace)),
+        trace,
+    };
+}
 
-    let filteredRecords = allRecords;
+async function answerUserQuery(userInput, openaiApiKey, options, trace) {
+    try {
+        console.log("사용자 입력:", userInput);
 
-    // 브랜드 필터링
-    if (브랜드) {
-        console.log(`브랜드 필터링 시작: ${브랜드}`);
-        const beforeBrandFilter = filteredRecords.length;
+        // 1. 시트 데이터 가져오기 (캐시 사용)
+        const allRecords = await loadAllRecords();
+        console.log("총 레코드 수:", allRecords.length);
 
-        filteredRecords = filteredRecords.filter((record) => {
-            const modelLower = record.modelRaw.toLowerCase();
-            const brandLower = 브랜드.toLowerCase();
+        // 2. 입력 파싱 (GPT 실패 시 규칙 기반 파서 사용)
+        const catalog = getModelCatalog(allRecords);
 
-            // 갤럭시 브랜드의 경우 플립, 폴드도 포함
-            if (brandLower === "갤럭시") {
-                return (
-                    modelLower.includes("갤럭시") ||
-                    modelLower.includes("galaxy") ||
-                    modelLower.includes("플립") ||
-                    modelLower.includes("폴드")
-                );
-            }
+        // 두 모델 이상 비교 ("S25 vs 아이폰16 SK 번이")
+        // 비교할 모델이 두 개 미만이면 문구별 파싱 결과로 일반 검색
+        let currentData = null;
+        if (isComparisonQuery(userInput)) {
+            const comparison = await answerComparison(
+                userInput,
+                openaiApiKey,
+                catalog,
+                allRecords,
+                options.previousData,
+                trace
+            );
+            if (comparison.result) return comparison.result;
+            currentData = comparison.parsedData;
+        }
 
-            return modelLower.includes(brandLower);
-        });
+        if (!currentData) {
+            currentData = await parseQuery(
+                userInput,
+                openaiApiKey,
+                catalog,
+                trace
+            );
+        }
 
-        console.log(
-            `브랜드 필터링 완료: ${beforeBrandFilter} -> ${filteredRecords.length}`
-        );
-    }
+        // 조회 가능한 모델 목록 문의
+        if (isModelListQuery(userInput)) {
+            return textResult(
+                generateModelListResponse(catalog, currentData.브랜드),
+                "modelList"
+            );
+        }
 
-    // 기본 모델 필터링
-    if (기본모델) {
-        console.log(`기본모델 필터링 시작: ${기본모델}`);
-        const beforeFilter = filteredRecords.length;
+        // 가격 변동 문의 (모델을 말하지 않으면 이전 대화 조건 기준)
+        if (isPriceHistoryQuery(userInput)) {
+            const historyData = hasParsedFields(currentData)
+                ? mergeParsedData(options.previousData, currentData)
+                : options.previousData || null;
+            return answerPriceHistory(userInput, historyData);
+        }
 
-        // 플립/폴드 관련 레코드 디버깅
-        if (기본모델.includes("플립") || 기본모델.includes("폴드")) {
-            console.log("플립/폴드 모델 검색 - 현재 레코드들:");
-            filteredRecords.slice(0, 5).forEach((record) => {
-                console.log(`- ${record.modelRaw} (${record.capacity}GB)`);
+        // 3. 파싱 결과 검증 - 모든 필드가 비어있는지 확인
+        if (!hasParsedFields(currentData)) {
+            return textResult(
+                '📌 필요한 정보:\n• 모델명 + 용량 (예: 아이폰 16 256GB)\n• 통신사 (SK/KT/LG)\n• 번호이동 or 기기변경\n• 온라인 or 내방 희망 여부\n\n💡 검색 예시:\n• "아이폰 15 256 LG 번호이동은 얼마예요?"\n• "갤럭시 S25 512 SK 기기변경"\n• "아이폰 16 프로 128 KT"',
+                "guide"
+            );
+        }
+
+        // 이전 대화의 검색 조건과 합치기
+        const parsedData = mergeParsedData(options.previousData, currentData);
+        if (options.previousData) {
+            console.log("이전 조건과 합친 검색 조건:", parsedData);
+        }
+
+        // 4. 검색 실행 (최저가 요청이면 싼 순서로 정렬)
+        let matchingRecords = findMatchingRecords(parsedData, allRecords);
+        if (parsedData.정렬) {
+            matchingRecords = rankRecords(matchingRecords, parsedData.정렬, {
+                planMonths: planMaintenanceMonths.value(),
             });
         }
 
-        filteredRecords = filteredRecords.filter((record) => {
-            const modelLower = record.modelRaw.toLowerCase();
-            const basemodelLower = 기본모델.toLowerCase();
-
-            // 플립과 폴드의 경우 특별 처리 (공백 제거하여 비교)
-            if (
-                basemodelLower.includes("플립") ||
-                basemodelLower.includes("폴드")
-            ) {
-                // 공백 제거하여 비교
-                const modelNoSpace = modelLower.replace(/\s+/g, "");
-                const basemodelNoSpace = basemodelLower.replace(/\s+/g, "");
-                const result = modelNoSpace.includes(basemodelNoSpace);
-                if (result) {
-                    console.log(
-                        `플립/폴드 매칭: ${record.modelRaw} -> ${basemodelLower} (공백제거: ${modelNoSpace} -> ${basemodelNoSpace})`
-                    );
-                }
-                return result;
-            }
+        // 디버깅: 검색된 레코드 중 부가서비스가 있는 레코드들 출력
+        const recordsWithServices = matchingRecords.filter(
+            (r) =>
+                r.serviceInfo &&
+                Array.isArray(r.serviceInfo) &&
+                r.serviceInfo.length > 0
+        );
+        console.log("=== 검색된 레코드 중 부가서비스가 있는 레코드들 ===");
+        recordsWithServices.forEach((r) => {
+            console.log(
+                `${r.telecom} ${r.channel} ${r.type} - ${
+                    r.modelRaw
+                }: ${r.serviceInfo.map((s) => s.serviceName).join(", ")}`
+            );
+        });
 
-            // 옵션이 없으면 정확한 매칭
-            if (!옵션) {
-                // 기본 모델명이 정확히 일치하는지 확인
-                return (
-                    modelLower.includes(basemodelLower) &&
-                    !modelLower.includes("플러스") &&
-                    !modelLower.includes("울트라") &&
-                    !modelLower.includes("엣지") &&
-                    !modelLower.includes("프로") &&
-                    !modelLower.includes("맥스") &&
-                    !modelLower.includes("plus") &&
-                    !modelLower.includes("ultra") &&
-                    !modelLower.includes("edge") &&
-                    !modelLower.includes("pro") &&
-                    !modelLower.includes("max") &&
-                    !modelLower.includes("se") &&
-                    !modelLower.includes("fe")
-                );
-            } else {
-                // 옵션이 있으면 기본 포함 검색
-                return modelLower.includes(basemodelLower);
+        // 5. 결과가 없으면 조건을 하나씩 완화해서 비슷한 상품 제안
+        if (matchingRecords.length === 0) {
+            const suggestions = findSuggestions(parsedData, allRecords);
+            if (suggestions.length > 0) {
+                return {
+                    text: generateSuggestionResponse(parsedData, suggestions),
+                    quickReplies: suggestionsToQuickReplies(suggestions),
+                    parsedData,
+                    matchingRecords,
+                    responseType: "suggestion",
+                };
             }
-        });
+        }
 
-        console.log(
-            `기본모델 필터링 완료: ${beforeFilter} -> ${filteredRecords.length}`
-        );
+        // 6. 응답 생성
+        return {
+            text: generateResponse(parsedData, matchingRecords, {
+                planMonths: planMaintenanceMonths.value(),
+            }),
+            quickReplies: [],
+            parsedData,
+            matchingRecords,
+            responseType: getResponseType(parsedData, matchingRecords),
+        };
+    } catch (error) {
+        console.error("처리 중 오류:", error);
+        return textResult("죄송합니다. 처리 중 오류가 발생했습니다.", "error");
     }
+}
 
-    // 옵션 필터링
-    if (옵션) {
-        filteredRecords = filteredRecords.filter((record) => {
-            const modelLower = record.modelRaw.toLowerCase();
-            const optionLower = 옵션.toLowerCase();
+// 가격 검색 응답 종류
+function getResponseType(parsedData, matchingRecords) {
+    if (matchingRecords.length === 0) return "noResult";
+    if (parsedData.정렬) return "ranking";
+    if (isBudgetListing(parsedData, matchingRecords)) return "budget";
+    return "price";
+}
 
-            // 한글 옵션을 영문으로 변환해서 검색
-            if (optionLower === "프로") {
-                return (
-                    (modelLower.includes("pro") &&
-                        !modelLower.includes("max")) ||
-                    (modelLower.includes("프로") &&
-                        !modelLower.includes("맥스"))
-                );
-            } else if (
-                optionLower === "프로 맥스" ||
-                optionLower === "프로맥스"
-            ) {
-                return (
-                    (modelLower.includes("pro") &&
-                        modelLower.includes("max")) ||
-                    (modelLower.includes("프로") && modelLower.includes("맥스"))
-                );
-            } else if (optionLower === "플러스") {
-                return (
-                    modelLower.includes("plus") ||
-                    modelLower.includes("플러스") ||
-                    modelLower.includes("+")
-                );
-            } else if (optionLower === "울트라") {
-                return (
-                    modelLower.includes("ultra") ||
-                    modelLower.includes("울트라")
-                );
-            } else if (optionLower === "엣지") {
-                return (
-                    modelLower.includes("edge") || modelLower.includes("엣지")
-                );
-            } else if (optionLower === "se") {
-                return modelLower.includes("se");
-            } else if (optionLower === "fe") {
-                return modelLower.includes("fe");
-            } else {
-                return modelLower.includes(optionLower);
-            }
-        });
+// 모델 비교 응답
+// 모델별 문구를 따로 파싱하고, 통신사/타입 등 공통 조건은 모든 모델에 적용합니다.
+// 반환: { result, parsedData } - 비교할 모델이 두 개 미만이면 result는 null이고,
+//   문구를 나눠 파싱했다면 parsedData에 문구별 결과를 합친 검색 조건 (없으면 null)
+// 비교가 아니었던 질문의 문구별 파싱은 LLM 파싱 실패 횟수에 넣지 않음
+async function answerComparison(
+    userInput,
+    openaiApiKey,
+    catalog,
+    allRecords,
+    previousData,
+    trace
+) {
+    const segments = splitComparisonQuery(userInput);
+    if (segments.length < 2) return { result: null, parsedData: null };
+
+    const segmentTrace = { parser: null, llmFailures: 0 };
+    const parsedSegments = await Promise.all(
+        segments.map((segment) =>
+            parseQuery(segment, openaiApiKey, catalog, segmentTrace)
+        )
+    );
+    trace.parser = segmentTrace.parser;
+
+    const queries = buildComparisonQueries(parsedSegments, previousData);
+    if (queries.models.length < 2) {
+        return {
+            result: null,
+            parsedData: combineParsedSegments(parsedSegments),
+        };
     }
+    trace.llmFailures += segmentTrace.llmFailures;
 
-    // 용량 필터링
-    if (용량) {
-        console.log(`용량 필터링 시작: ${용량}`);
-        const beforeCapacityFilter = filteredRecords.length;
-
-        // 플립/폴드의 경우 용량 정보 디버깅
-        if (
-            기본모델 &&
-            (기본모델.includes("플립") || 기본모델.includes("폴드"))
-        ) {
-            console.log("플립/폴드 용량 필터링 전 레코드들:");
-            filteredRecords.forEach((record) => {
-                console.log(
-                    `- ${record.modelRaw}: capacity="${record.capacity}"`
-                );
-            });
-        }
+    console.log("모델 비교:", queries.models);
+    const comparison = compareModels(queries, allRecords, {
+        planMonths: planMaintenanceMonths.value(),
+    });
 
-        filteredRecords = filteredRecords.filter(
-            (record) => record.capacity === 용량 || record.capacity === "기본"
-        );
+    // 대화 상태에는 공통 조건만 남김 (다음 질문에서 모델만 말해도 같은 조건으로 검색)
+    return {
+        result: {
+            text: generateComparisonResponse(comparison),
+            quickReplies: [],
+            parsedData: queries.shared,
+            matchingRecords: comparison.models.flatMap(
+                (model) => model.records
+            ),
+            comparison,
+            responseType: "comparison",
+        },
+        parsedData: null,
+    };
+}
 
-        console.log(
-            `용량 필터링 완료: ${beforeCapacityFilter} -> ${filteredRecords.length}`
+// 가격 변동 문의 응답
+async function answerPriceHistory(userInput, parsedData) {
+    const store = getPriceHistoryStore();
+    if (!store) {
+        return textResult(
+            "가격 변동 기록을 사용하지 않도록 설정되어 있습니다.",
+            "priceHistory"
         );
     }
 
-    // 통신사 필터링
-    if (통신사) {
-        filteredRecords = filteredRecords.filter(
-            (record) => record.telecom === 통신사
+    const days = parseHistoryDays(userInput);
+    const changes = await getPriceChanges(getDataSource().id, store, {
+        days,
+        parsedData,
+    });
+
+    return {
+        text: generatePriceHistoryResponse(parsedData, changes, days),
+        quickReplies: [],
+        parsedData,
+        matchingRecords: [],
+        responseType: "priceHistory",
+    };
+}
+
+// 텍스트만 있는 처리 결과
+function textResult(text, responseType = "text") {
+    return { text, quickReplies: [], responseType };
+}
+
+// 카카오 스킬 요청 처리 (카카오 응답 JSON 반환)
+// pending: 응답을 만드는 동안 시작해서 응답을 보내기 전에 기다릴 작업 (질문 기록)
+// 구매 신청이나 가격 알림 명령이 아니면 가격 검색 후 검색 조건을 대화 상태로 저장합니다.
+async function answerKakaoSkill(
+    userInput,
+    userId,
+    conversationOptions,
+    pending = []
+) {
+    const startedAt = Date.now();
+    const [previousData, leadDraft] = userId
+        ? await Promise.all([
+              loadConversation(userId, conversationOptions),
+              loadLeadDraft(userId),
+          ])
+        : [null, null];
+
+    // 진행 중인 구매 신청 (이름, 연락처 등 답변 - 개인정보라서 질문 기록에 남기지 않음)
+    // 신청 중에 다른 질문을 하면 신청서는 그대로 두고 질문에 답함
+    if (leadDraft && isLeadReply(leadDraft, userInput)) {
+        return continueLead(userId, leadDraft, userInput);
+    }
+
+    // 가격 알림 등록/조회/해제
+    const alertCommand = userId ? getAlertCommand(userInput) : null;
+    if (alertCommand) {
+        const text = await handleAlertCommand(
+            alertCommand,
+            userId,
+            userInput,
+            previousData
+        );
+        pending.push(
+            recordQuery(
+                "kakao",
+                userInput,
+                textResult(text, "alert"),
+                startedAt
+            )
         );
+        return kakaoTextResponse(text);
     }
 
-    // 타입 필터링
-    if (타입) {
-        filteredRecords = filteredRecords.filter(
-            (record) => record.type === 타입
+    // 구매 신청 시작
+    if (userId && getLeadCommand(userInput) && canRestartLead(leadDraft)) {
+        const response = await startLeadFlow(userId, userInput, previousData);
+        pending.push(
+            recordQuery("kakao", userInput, textResult("", "lead"), startedAt)
         );
+        return response;
     }
 
-    console.log("검색 결과:", filteredRecords.length, "개");
-    return filteredRecords;
-}
+    const result = await processUserQuery(userInput, openaiApiKey.value(), {
+        previousData,
+    });
+    pending.push(recordQuery("kakao", userInput, result, startedAt));
 
-// 응답 생성 함수
-function generateResponse(parsedData, matchingRecords) {
-    if (matchingRecords.length === 0) {
-        return "해당 조건의 상품을 찾을 수 없습니다. 다른 조건으로 검색해보세요.";
+    if (userId && result.parsedData) {
+        await saveConversation(userId, result.parsedData, conversationOptions);
     }
 
-    const { 브랜드, 기본모델, 옵션, 용량, 통신사, 타입 } = parsedData;
+    return buildKakaoResponse(result, {
+        consultPhoneNumber: kakaoConsultPhone.value(),
+        planMonths: planMaintenanceMonths.value(),
+    });
+}
 
-    // 용량이 있으면 상세한 가격 정보 출력
-    if (용량) {
-        return generateDetailedResponse(parsedData, matchingRecords);
-    }
+// Firebase Functions
+export const kakaoSkill = onRequest(
+    {
+        secrets: [openaiApiKey, kakaoSkillSecret],
+        cors: true,
+    },
+    async (req, res) => {
+        try {
+            const userInput = req.body?.userRequest?.utterance;
 
-    // 용량이 없으면 모델명 목록만 출력
-    const uniqueModels = [...new Set(matchingRecords.map((r) => r.modelRaw))];
+            if (!userInput) {
+                return res
+                    .status(400)
+                    .json(kakaoTextResponse("질문을 입력해주세요."));
+            }
 
-    let result = `📱 검색 결과`;
+            // 너무 긴 질문과 너무 잦은 요청은 시트/LLM 조회 없이 안내만 (카카오는 200이어야 문구가 보임)
+            if (isTooLong(userInput)) {
+                return res.json(
+                    kakaoTextResponse(
+                        formatInputTooLongMessage(getMaxUtteranceLength())
+                    )
+                );
+            }
 
-    // 검색 조건 표시
-    if (브랜드 || 기본모델 || 옵션) {
-        let displayText = "";
+            // 사용자 id는 요청 본문 값이라서 카카오가 보낸 요청인지 확인한 경우에만 사용
+            // (확인하지 않으면 남의 id로 대화 상태, 구매 신청, 가격 알림을 읽거나 바꿀 수 있음)
+            const userId = isVerifiedKakaoRequest(req)
+                ? req.body?.userRequest?.user?.id || null
+                : null;
+            const limit = await checkRequestLimit(req, userId);
+            if (!limit.allowed) {
+                return res.json(
+                    kakaoTextResponse(formatRateLimitMessage(limit))
+                );
+            }
 
-        // 브랜드와 기본모델을 조합
-        if (브랜드 && 기본모델) {
-            displayText = `${브랜드} ${기본모델}`;
-        } else if (브랜드) {
-            displayText = 브랜드;
-        } else if (기본모델) {
-            // 기본모델을 보고 브랜드 자동 판단
-            if (
-                기본모델.includes("16") ||
-                기본모델.includes("15") ||
-                기본모델.includes("14") ||
-                기본모델.includes("13")
-            ) {
-                displayText = `아이폰 ${기본모델}`;
-            } else {
-                displayText = `갤럭시 ${기본모델}`;
+            // "처음부터" 등은 이전 검색 조건 초기화
+            if (userId && isResetUtterance(userInput)) {
+                await Promise.all([
+                    clearConversation(userId),
+                    saveLeadDraft(userId, null),
+                ]);
+                return res.json(
+                    kakaoTextResponse(
+                        "처음부터 다시 검색할게요. 찾으시는 모델을 말씀해주세요."
+                    )
+                );
+            }
+
+            // 콜백을 사용하면 최종 응답은 작업 큐에서 만들어 콜백 URL로 보내고 "조회 중" 응답을 먼저 보냄
+            // 큐에 넣지 못하면 바로 응답
+            const callbackUrl = getCallbackUrl(
+                req.body,
+                getKakaoCallbackHosts()
+            );
+            if (callbackUrl) {
+                try {
+                    await getCallbackDispatcher().dispatch({
+                        callbackUrl,
+                        userInput,
+                        userId,
+                        requestedAt: Date.now(),
+                    });
+                    return res.json(kakaoCallbackWaitingResponse());
+                } catch (error) {
+                    console.error("콜백 작업 등록 실패:", error.message);
+                }
             }
-        } else if (옵션) {
-            // 옵션만 있을 때
-            displayText = 옵션;
-        }
 
-        // 옵션 추가 (브랜드나 기본모델이 있을 때만)
-        if (옵션 && displayText && displayText !== 옵션) {
-            displayText += ` ${옵션}`;
+            // 응답을 보내면 CPU가 제한되어 기록이 끝나지 않을 수 있으므로 기록을 마친 뒤 응답
+            const pending = [];
+            const response = await answerKakaoSkill(
+                userInput,
+                userId,
+                getConversationOptions(),
+                pending
+            );
+            await Promise.all(pending);
+            res.json(response);
+        } catch (error) {
+            console.error("KakaoSkill Error:", error);
+            res.status(500).json(
+                kakaoTextResponse(
+                    "서비스에 문제가 발생했습니다. 잠시 후 다시 시도해주세요."
+                )
+            );
         }
+    }
+);
 
-        result += ` (${displayText})`;
+// 콜백 작업 처리 (최종 응답을 만들어 콜백 URL로 전송)
+// 처리 중 오류가 나면 오류 안내 문구를 보냅니다.
+async function answerKakaoCallback(task) {
+    // 큐에 들어온 값도 다시 확인 (허용한 카카오 호스트만)
+    const callbackUrl = getCallbackUrl(
+        { userRequest: { callbackUrl: task.callbackUrl } },
+        getKakaoCallbackHosts()
+    );
+    if (!callbackUrl) return;
+
+    if (isCallbackExpired(task)) {
+        console.error("만료된 콜백 작업:", task.requestedAt);
+        return;
     }
 
-    result += ` - ${uniqueModels.length}개 모델:\n\n`;
+    let response;
+    const pending = [];
+    try {
+        response = await answerKakaoSkill(
+            task.userInput,
+            task.userId,
+            getConversationOptions(),
+            pending
+        );
+    } catch (error) {
+        console.error("KakaoCallback Error:", error);
+        response = kakaoTextResponse(
+            "서비스에 문제가 발생했습니다. 잠시 후 다시 시도해주세요."
+        );
+    }
+    await sendKakaoCallback(callbackUrl, response);
+    await Promise.all(pending);
+}
+
+// 콜백 작업 큐 함수 (callbackUrl은 1분 뒤 만료되므로 다시 시도하지 않음)
+export const kakaoCallbackTask = onTaskDispatched(
+    {
+        secrets: [openaiApiKey],
+        retryConfig: { maxAttempts: 1 },
+        rateLimits: { maxConcurrentDispatches: 20 },
+    },
+    async (req) => {
+        await answerKakaoCallback(req.data);
+    }
+);
 
-    uniqueModels.slice(0, 10).forEach((model, index) => {
-        const modelRecords = matchingRecords.filter(
-            (r) => r.modelRaw === model
+// 진행 중인 구매 신청에 대한 답변인지 (가격 질문이나 다른 명령이 아닌지)
+function isLeadReply(draft, userInput) {
+    if (
+        getAlertCommand(userInput) ||
+        (getLeadCommand(userInput) && canRestartLead(draft)) ||
+        isModelListQuery(userInput) ||
+        isPriceHistoryQuery(userInput)
+    ) {
+        return false;
+    }
+    return isLeadAnswer(draft, userInput, parseUserInputRules(userInput));
+}
+
+// 구매 신청 시작 (신청할 상품을 고르거나 이름을 물어봄)
+// 상품을 말하지 않으면 이전 대화 조건 기준 ("이걸로 신청할게요")
+async function startLeadFlow(userId, userInput, previousData) {
+    const allRecords = await loadAllRecords();
+    const rest = stripLeadText(userInput);
+    const currentData = rest
+        ? await parseQuery(
+              rest,
+              openaiApiKey.value(),
+              getModelCatalog(allRecords)
+          )
+        : {};
+    const parsedData = mergeParsedData(previousData, currentData);
+
+    if (!parsedData.브랜드 && !parsedData.기본모델) {
+        return kakaoTextResponse(
+            '신청할 모델을 함께 말씀해주세요.\n\n💡 예시: "S25 256 SK 번이 신청"'
         );
-        const capacities = [...new Set(modelRecords.map((r) => r.capacity))];
+    }
 
-        result += `${index + 1}. ${model}`;
-        if (capacities.length > 0 && capacities[0] !== "기본") {
-            result += ` (${capacities.join(", ")}GB)`;
-        }
-        result += "\n";
-    });
+    const step = startLead(
+        findLeadOffers(findMatchingRecords(parsedData, allRecords))
+    );
+    await saveLeadDraft(userId, step.draft);
+    return kakaoTextResponse(step.text, step.quickReplies);
+}
 
-    if (uniqueModels.length > 10) {
-        result += `\n... 외 ${uniqueModels.length - 10}개 모델`;
+// 진행 중인 구매 신청에 답변 반영 (모두 받으면 저장 후 직원에게 알림)
+async function continueLead(userId, draft, userInput) {
+    const step = advanceLead(draft, userInput);
+
+    if (step.lead) {
+        const leadId = await createLead(userId, step.lead);
+        console.log(`구매 신청 접수: ${leadId}`);
+        await notifyLeadStaff(leadId, step.lead);
     }
 
-    result +=
-        "\n\n💡 자세한 가격을 보려면 용량과 통신사를 함께 말씀해주세요. \n\n예시: '아이폰 15 256 LG 번호이동 가격'\n'갤럭시 S25 256GB SK 기기변경 가격'";
+    await saveLeadDraft(userId, step.draft);
+    return kakaoTextResponse(step.text, step.quickReplies);
+}
 
-    return result;
+// 새 구매 신청을 직원에게 알림 (발송에 실패해도 신청은 유지)
+async function notifyLeadStaff(leadId, lead) {
+    try {
+        const sender = createNotificationSender({
+            type: leadNotifier.value(),
+            webhookUrl: leadWebhookUrl.value(),
+            emailTo: leadNotifyEmail.value(),
+        });
+        await sender.send({
+            recipient: "staff",
+            subject: `[구매 신청] ${lead.name} - ${lead.offer.model}`,
+            text: formatLeadNotification(lead),
+            data: { leadId, ...lead },
+        });
+    } catch (error) {
+        console.error("구매 신청 알림 발송 실패:", error.message);
+    }
 }
 
-// 상세 가격 정보 생성 함수
-function generateDetailedResponse(parsedData, matchingRecords) {
-    const { 브랜드, 기본모델, 옵션, 용량, 통신사, 타입 } = parsedData;
+// 가격 알림을 사용자에게 보낼 수 있는지 (log 발송기는 로그만 남김)
+function isPriceAlertEnabled() {
+    return (
+        priceAlertSender.value() === "webhook" &&
+        Boolean(priceAlertWebhookUrl.value())
+    );
+}
 
-    let result = `💰 가격 정보`;
+// 가격 알림 요청 처리 (응답 문구 반환)
+async function handleAlertCommand(command, userId, userInput, previousData) {
+    if (command === "cancel") {
+        const count = await cancelUserAlerts(userId);
+        return count > 0
+            ? `🔕 가격 알림 ${count}건을 해제했습니다.`
+            : "등록된 가격 알림이 없습니다.";
+    }
 
-    // 검색 조건 표시
-    let displayText = "";
-    if (브랜드 && 기본모델) {
-        displayText = `${브랜드} ${기본모델}`;
-    } else if (브랜드) {
-        displayText = 브랜드;
-    } else if (기본모델) {
-        // 기본모델을 보고 브랜드 자동 판단
-        if (
-            기본모델.includes("16") ||
-            기본모델.includes("15") ||
-            기본모델.includes("14") ||
-            기본모델.includes("13")
-        ) {
-            displayText = `아이폰 ${기본모델}`;
-        } else {
-            displayText = `갤럭시 ${기본모델}`;
-        }
+    if (command === "list") {
+        return formatAlertList(await listUserAlerts(userId));
     }
 
-    if (옵션 && displayText && displayText !== 옵션) {
-        displayText += ` ${옵션}`;
-    } else if (옵션) {
-        displayText = 옵션;
+    if (!isPriceAlertEnabled()) {
+        return ALERT_UNAVAILABLE_MESSAGE;
     }
 
-    if (용량) {
-        displayText += ` ${용량}GB`;
+    // 모델을 말하지 않으면 이전 대화 조건 기준 ("이거 70만원 되면 알려줘")
+    const allRecords = await loadAllRecords();
+    const currentData = await parseQuery(
+        stripAlertText(userInput),
+        openaiApiKey.value(),
+        getModelCatalog(allRecords)
+    );
+    // 알림은 목표 가격으로 판단하므로 이전 대화의 가격 조건은 쓰지 않음
+    const parsedData = withoutPriceRange(
+        mergeParsedData(previousData, currentData)
+    );
+    if (!parsedData.기본모델) {
+        return '알림 받을 모델을 함께 말씀해주세요.\n\n💡 예시: "S25 256 SK 번이 80만원 이하 알림"';
     }
 
-    result += ` - ${displayText}\n\n`;
+    const alerts = await listUserAlerts(userId);
+    if (alerts.length >= MAX_ALERTS_PER_USER) {
+        return `가격 알림은 ${MAX_ALERTS_PER_USER}건까지 등록할 수 있습니다.\n"알림 취소"로 기존 알림을 해제한 뒤 다시 등록해주세요.`;
+    }
 
-    // 채널별로 먼저 그룹화 (온라인, 내방)
-    const groupedByChannel = matchingRecords.reduce((acc, record) => {
-        if (!acc[record.channel]) {
-            acc[record.channel] = [];
-        }
-        acc[record.channel].push(record);
-        return acc;
-    }, {});
+    const lowest = findLowestOffer(parsedData, allRecords);
+    if (!lowest) {
+        return `${describeQuery(
+            parsedData
+        )} 상품을 찾을 수 없어 알림을 등록하지 못했습니다.`;
+    }
 
-    // 채널별로 출력
-    Object.keys(groupedByChannel).forEach((channel) => {
-        const channelIcon = channel === "온라인" ? "📦" : "🏬";
-        result += `${channelIcon} ${channel} 가격 조건 안내\n\n`;
+    // 목표 가격이 없으면 지금보다 싸지면 알림
+    const currentPrice = parseInt(lowest.price, 10);
+    const targetPrice = parseTargetPrice(userInput) ?? currentPrice - 1;
+    await createAlert(userId, { ...parsedData, 정렬: null }, targetPrice);
+
+    const target =
+        targetPrice < currentPrice
+            ? `${targetPrice.toLocaleString()}원 이하가 되면`
+            : "지금보다 싸지면";
+    return `🔔 ${describeQuery(
+        parsedData
+    )} 할부원금이 ${target} 알려드릴게요.\n(현재 최저 ${currentPrice.toLocaleString()}원)\n\n💡 "알림 목록", "알림 취소"로 관리할 수 있습니다.`;
+}
+
+// phonePrice 응답 형식: ?format=json 또는 { "format": "json" }이면 구조화 응답
+function isStructuredRequest(req) {
+    const format = req.body?.format || req.query?.format;
+    return format === "json";
+}
+
+export const phonePrice = onRequest(
+    {
+        secrets: [openaiApiKey],
+        cors: true,
+    },
+    async (req, res) => {
+        const startedAt = Date.now();
 
-        const channelRecords = groupedByChannel[channel];
+        try {
+            const userInput = req.body?.query || req.query?.q;
 
-        // 통신사별로 그룹화
-        const groupedByTelecom = channelRecords.reduce((acc, record) => {
-            if (!acc[record.telecom]) {
-                acc[record.telecom] = [];
+            if (!userInput) {
+                return res.status(400).json({
+                    error: "질문을 입력해주세요.",
+                });
             }
-            acc[record.telecom].push(record);
-            return acc;
-        }, {});
 
-        Object.keys(groupedByTelecom).forEach((telecom) => {
-            const telecomRecords = groupedByTelecom[telecom];
+            if (isTooLong(userInput)) {
+                return res.status(400).json({
+                    error: formatInputTooLongMessage(getMaxUtteranceLength()),
+                });
+            }
 
-            // 타입별로 그룹화
-            const groupedByType = telecomRecords.reduce((acc, record) => {
-                if (!acc[record.type]) {
-                    acc[record.type] = [];
-                }
-                acc[record.type].push(record);
-                return acc;
-            }, {});
-
-            Object.keys(groupedByType).forEach((type) => {
-                const typeRecords = groupedByType[type];
-
-                if (typeRecords.length > 0) {
-                    const record = typeRecords[0];
-
-                    result += `📱 ${telecom} ${type}\n`;
-                    result += `✅ 할부원금: ${parseInt(
-                        record.price
-                    ).toLocaleString()}원\n`;
-                    result += `✅ 요금제: 월 ${parseInt(
-                        record.plan
-                    ).toLocaleString()}원\n`;
-
-                    // 부가서비스 정보가 있는 모든 레코드 찾기
-                    const recordsWithService = typeRecords.filter(
-                        (r) =>
-                            r.serviceInfo &&
-                            Array.isArray(r.serviceInfo) &&
-                            r.serviceInfo.length > 0
-                    );
-
-                    if (recordsWithService.length > 0) {
-                        // 모든 부가서비스 정보 수집
-                        const allServices = [];
-                        recordsWithService.forEach((r) => {
-                            if (r.serviceInfo && Array.isArray(r.serviceInfo)) {
-                                allServices.push(...r.serviceInfo);
-                            }
-                        });
-
-                        // 부가서비스별로 그룹화 (중복 제거)
-                        const uniqueServices = allServices.reduce(
-                            (acc, service) => {
-                                const serviceKey = `${service.serviceName}_${service.monthlyFee}_${service.duration}_${service.additionalFee}`;
-                                if (!acc[serviceKey]) {
-                                    acc[serviceKey] = service;
-                                }
-                                return acc;
-                            },
-                            {}
-                        );
-
-                        const services = Object.values(uniqueServices);
-
-                        if (services.length > 0) {
-                            // 공통 유지기간 찾기
-                            const durations = services
-                                .map((s) => s.duration)
-                                .filter((d) => d && d !== "");
-                            const commonDuration =
-                                durations.length > 0 ? durations[0] : "";
-
-                            result += `✅ 부가서비스`;
-                            if (commonDuration) {
-                                result += ` (${commonDuration} 유지)`;
-                            }
-                            result += `\n`;
-
-                            // 부가서비스 목록 출력
-                            services.forEach((service) => {
-                                result += ` - ${service.serviceName}`;
-
-                                // 월 청구금이 있고 0이 아닌 경우
-                                if (
-                                    service.monthlyFee &&
-                                    service.monthlyFee !== "0" &&
-                                    service.monthlyFee !== ""
-                                ) {
-                                    const fee = parseInt(service.monthlyFee);
-                                    if (fee >= 10000) {
-                                        result += `: ${Math.floor(
-                                            fee / 10000
-                                        )}만`;
-                                        if (fee % 10000 !== 0) {
-                                            result += `${fee % 10000}`;
-                                        }
-                                        result += `원`;
-                                    } else {
-                                        result += `: ${fee.toLocaleString()}원`;
-                                    }
-                                }
-
-                                result += `\n`;
-                            });
-
-                            // 미가입 시 추가금이 있는 서비스들 수집
-                            const servicesWithAdditionalFee = services.filter(
-                                (service) =>
-                                    service.additionalFee &&
-                                    service.additionalFee !== "0" &&
-                                    service.additionalFee !== ""
-                            );
-
-                            if (servicesWithAdditionalFee.length > 0) {
-                                result += `❗ 부가 미가입 시\n`;
-                                servicesWithAdditionalFee.forEach((service) => {
-                                    const fee = parseInt(service.additionalFee);
-                                    let feeText = "";
-                                    if (fee >= 10000) {
-                                        feeText = `+${Math.floor(
-                                            fee / 10000
-                                        )}만`;
-                                        if (fee % 10000 !== 0) {
-                                            feeText += `${fee % 10000}`;
-                                        }
-                                        feeText += `원`;
-                                    } else {
-                                        feeText = `+${fee.toLocaleString()}원`;
-                                    }
-                                    result += ` - ${service.serviceName} 미가입: ${feeText}\n`;
-                                });
-                            }
-                        }
-                    }
+            const limit = await checkRequestLimit(req);
+            if (!limit.allowed) {
+                return res
+                    .status(429)
+                    .set("Retry-After", String(limit.retryAfterSeconds))
+                    .json({
+                        error: formatRateLimitMessage(limit),
+                        retryAfterSeconds: limit.retryAfterSeconds,
+                    });
+            }
 
-                    result += `\n`;
-                }
+            const result = await processUserQuery(
+                userInput,
+                openaiApiKey.value()
+            );
+            // 응답을 보내면 CPU가 제한되어 기록이 끝나지 않을 수 있으므로 기록을 마친 뒤 응답
+            await recordQuery("phonePrice", userInput, result, startedAt);
+
+            if (isStructuredRequest(req)) {
+                res.json(
+                    buildStructuredResponse(userInput, result, {
+                        planMonths: planMaintenanceMonths.value(),
+                    })
+                );
+            } else {
+                res.json({
+                    query: userInput,
+                    response: result.text,
+                });
+            }
+        } catch (error) {
+            console.error("PhonePrice Error:", error);
+            res.status(500).json({
+                error: "서비스에 문제가 발생했습니다.",
             });
-        });
+        }
+    }
+);
 
-        result += `\n`;
-    });
+// 가격 변동 내역 조회
+// GET ?days=7&model=S25&capacity=256&telecom=SK&type=번호이동&channel=온라인
+export const priceHistory = onRequest(
+    {
+        cors: true,
+    },
+    async (req, res) => {
+        try {
+            const store = getPriceHistoryStore();
+            if (!store) {
+                return res.status(404).json({
+                    error: "가격 변동 기록을 사용하지 않도록 설정되어 있습니다.",
+                });
+            }
 
-    return result;
-}
+            const days = parseInt(req.query.days, 10) || 7;
+            const filters = {
+                브랜드: null,
+                기본모델: req.query.model || null,
+                옵션: null,
+                용량: req.query.capacity || null,
+                통신사: req.query.telecom || null,
+                타입: req.query.type || null,
+                채널: req.query.channel || null,
+            };
+            const parsedData = hasParsedFields(filters) ? filters : null;
+
+            const changes = await getPriceChanges(getDataSource().id, store, {
+                days,
+                parsedData,
+            });
 
-// 메인 함수
-async function processUserQuery(userInput, openaiApiKey) {
-    try {
-        console.log("사용자 입력:", userInput);
+            res.json({
+                days,
+                count: changes.length,
+                changes: changes.map((change) => ({
+                    ...change,
+                    changedAt: new Date(change.changedAt).toISOString(),
+                })),
+                response: generatePriceHistoryResponse(
+                    parsedData,
+                    changes,
+                    days
+                ),
+            });
+        } catch (error) {
+            console.error("PriceHistory Error:", error);
+            res.status(500).json({
+                error: "서비스에 문제가 발생했습니다.",
+            });
+        }
+    }
+);
 
-        // 1. 시트 데이터 가져오기
-        const { allRecords } = await parseFullSheetStructure(
-            spreadsheetId.value()
-        );
-        console.log("총 레코드 수:", allRecords.length);
+// 관리자 요청 확인
+function isAdminRequest(req) {
+    const key = req.get("x-admin-key") || req.query?.key;
+    return Boolean(key) && key === adminApiKey.value();
+}
 
-        // 2. GPT로 입력 파싱
-        const parsedData = await parseUserInput(userInput, openaiApiKey);
-        if (!parsedData) {
-            return "질문을 이해할 수 없습니다. 다시 말씀해주세요.";
+// 시트 캐시 상태 조회 및 강제 갱신 (조회 시 파싱 캐시 적중 횟수도 함께 표시)
+// GET: 캐시 상태 조회, POST: 캐시 무효화 후 다시 읽기
+export const sheetCache = onRequest(
+    {
+        secrets: [adminApiKey],
+        cors: true,
+    },
+    async (req, res) => {
+        if (!isAdminRequest(req)) {
+            return res.status(403).json({ error: "권한이 없습니다." });
         }
 
-        // 3. 파싱 결과 검증 - 모든 필드가 비어있는지 확인
-        const { 브랜드, 기본모델, 옵션, 용량, 통신사, 타입 } = parsedData;
-        const hasValidData =
-            브랜드 || 기본모델 || 옵션 || 용량 || 통신사 || 타입;
+        try {
+            const id = getDataSource().id;
 
-        if (!hasValidData) {
-            return '📌 필요한 정보:\n• 모델명 + 용량 (예: 아이폰 16 256GB)\n• 통신사 (SK/KT/LG)\n• 번호이동 or 기기변경\n• 온라인 or 내방 희망 여부\n\n💡 검색 예시:\n• "아이폰 15 256 LG 번호이동은 얼마예요?"\n• "갤럭시 S25 512 SK 기기변경"\n• "아이폰 16 프로 128 KT"';
+            if (req.method === "POST") {
+                const options = getSheetCacheOptions();
+                await invalidateSheetCache(id, options);
+                const allRecords = await loadAllRecords({
+                    forceRefresh: true,
+                });
+                return res.json({
+                    refreshed: true,
+                    recordCount: allRecords.length,
+                    ...getSheetCacheStatus(id),
+                });
+            }
+
+            res.json({
+                ...getSheetCacheStatus(id),
+                parseCache: getParseCacheStatus(),
+            });
+        } catch (error) {
+            console.error("SheetCache Error:", error);
+            res.status(500).json({
+                error: "캐시 갱신 중 문제가 발생했습니다.",
+            });
         }
+    }
+);
 
-        // 4. 검색 실행
-        const matchingRecords = findMatchingRecords(parsedData, allRecords);
+// 구매 신청 목록 (관리자용)
+// GET ?status=new&limit=50 (최근 순)
+export const leads = onRequest(
+    {
+        secrets: [adminApiKey],
+        cors: true,
+    },
+    async (req, res) => {
+        if (!isAdminRequest(req)) {
+            return res.status(403).json({ error: "권한이 없습니다." });
+        }
 
-        // 디버깅: 검색된 레코드 중 부가서비스가 있는 레코드들 출력
-        const recordsWithServices = matchingRecords.filter(
-            (r) =>
-                r.serviceInfo &&
-                Array.isArray(r.serviceInfo) &&
-                r.serviceInfo.length > 0
-        );
-        console.log("=== 검색된 레코드 중 부가서비스가 있는 레코드들 ===");
-        recordsWithServices.forEach((r) => {
-            console.log(
-                `${r.telecom} ${r.channel} ${r.type} - ${
-                    r.modelRaw
-                }: ${r.serviceInfo.map((s) => s.serviceName).join(", ")}`
-            );
-        });
+        try {
+            const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+            const list = await listLeads({
+                status: req.query.status || null,
+                limit,
+            });
 
-        // 5. 응답 생성
-        return generateResponse(parsedData, matchingRecords);
-    } catch (error) {
-        console.error("처리 중 오류:", error);
-        return "죄송합니다. 처리 중 오류가 발생했습니다.";
+            res.json({
+                count: list.length,
+                leads: list.map((lead) => ({
+                    ...lead,
+                    createdAt: new Date(lead.createdAt).toISOString(),
+                })),
+            });
+        } catch (error) {
+            console.error("Leads Error:", error);
+            res.status(500).json({
+                error: "신청 목록을 불러오지 못했습니다.",
+            });
+        }
     }
-}
+);
 
-// Firebase Functions
-export const kakaoSkill = onRequest(
+// 질문 통계 보고서 (관리자용)
+// GET ?from=2026-10-01&to=2026-10-18 (한국 시간 날짜) 또는 ?days=7 (기본: 최근 7일)
+// 많이 찾는 모델, 결과 없는 질문, 조건을 알아듣지 못한 질문, LLM 파싱 실패
+// ?format=text: 요약만 텍스트로
+export const queryReport = onRequest(
     {
-        secrets: [openaiApiKey],
+        secrets: [adminApiKey],
         cors: true,
     },
     async (req, res) => {
-        try {
-            const userInput = req.body?.userRequest?.utterance;
+        if (!isAdminRequest(req)) {
+            return res.status(403).json({ error: "권한이 없습니다." });
+        }
 
-            if (!userInput) {
-                return res.status(400).json({
-                    version: "2.0",
-                    template: {
-                        outputs: [
-                            {
-                                simpleText: {
-                                    text: "질문을 입력해주세요.",
-                                },
-                            },
-                        ],
-                    },
+        try {
+            const store = getQueryLogStore();
+            if (!store) {
+                return res.status(404).json({
+                    error: "질문 기록을 사용하지 않도록 설정되어 있습니다.",
                 });
             }
 
-            const response = await processUserQuery(
-                userInput,
-                openaiApiKey.value()
-            );
+            const range = parseReportRange(req.query);
+            const { entries, truncated } = await store.list(range);
+            const report = buildQueryReport(entries, {
+                limit: Math.min(parseInt(req.query.limit, 10) || 20, 100),
+                truncated,
+            });
+            const summary = summarizeQueryReport(report, range);
+
+            if (req.query?.format === "text") {
+                return res.type("text/plain").send(summary);
+            }
 
             res.json({
-                version: "2.0",
-                template: {
-                    outputs: [
-                        {
-                            simpleText: {
-                                text: response,
-                            },
-                        },
-                    ],
-                },
+                from: new Date(range.since).toISOString(),
+                to: new Date(range.until).toISOString(),
+                ...report,
+                summary,
             });
         } catch (error) {
-            console.error("KakaoSkill Error:", error);
+            console.error("QueryReport Error:", error);
             res.status(500).json({
-                version: "2.0",
-                template: {
-                    outputs: [
-                        {
-                            simpleText: {
-                                text: "서비스에 문제가 발생했습니다. 잠시 후 다시 시도해주세요.",
-                            },
-                        },
-                    ],
-                },
+                error: "질문 통계를 만들지 못했습니다.",
             });
         }
     }
 );
 
-export const phonePrice = onRequest(
+// 가격 변동 기록 (30분마다)
+// 시트를 새로 읽어서 이전 스냅샷과 비교하고 바뀐 항목을 저장합니다.
+// 이전 스냅샷 읽기와 비교, 저장이 사용자 요청의 시트 갱신을 늦추지 않도록 따로 실행합니다.
+export const priceHistoryCheck = onSchedule(
     {
-        secrets: [openaiApiKey],
+        schedule: "every 30 minutes",
+        timeZone: "Asia/Seoul",
+    },
+    async () => {
+        const store = getPriceHistoryStore();
+        if (!store) return;
+
+        const allRecords = await loadAllRecords({ forceRefresh: true });
+        const changes = await trackPriceChanges(
+            getDataSource().id,
+            allRecords,
+            store
+        );
+        console.log(`가격 변동 기록: ${changes.length}건`);
+    }
+);
+
+// 가격 알림 확인 (매시간)
+// 시트를 새로 읽어서 목표 가격 이하가 된 알림을 발송합니다.
+export const priceAlertCheck = onSchedule(
+    {
+        schedule: "every 60 minutes",
+        timeZone: "Asia/Seoul",
+    },
+    async () => {
+        // 사용자에게 보낼 방법이 없으면 발송한 것으로 기록하지 않도록 건너뜀
+        if (!isPriceAlertEnabled()) {
+            console.log("가격 알림 발송기가 설정되지 않아 확인을 건너뜁니다.");
+            return;
+        }
+
+        const allRecords = await loadAllRecords({ forceRefresh: true });
+        const alerts = await listActiveAlerts();
+        const triggered = checkAlerts(alerts, allRecords);
+        console.log(
+            `가격 알림 확인: ${alerts.length}건 중 ${triggered.length}건 발송`
+        );
+
+        const sender = createNotificationSender({
+            type: priceAlertSender.value(),
+            webhookUrl: priceAlertWebhookUrl.value(),
+        });
+        await sendAlertNotifications(triggered, sender);
+    }
+);
+
+// 시트 데이터 검사 (관리자용)
+// 가격을 읽을 수 없는 셀, 중복 행, 통신사/채널을 알 수 없는 시트 이름, 이름 없는 부가서비스 등
+// GET: JSON 보고서 (summary에 읽기 쉬운 요약), ?format=text: 요약만 텍스트로
+export const sheetValidation = onRequest(
+    {
+        secrets: [adminApiKey],
         cors: true,
     },
     async (req, res) => {
+        if (!isAdminRequest(req)) {
+            return res.status(403).json({ error: "권한이 없습니다." });
+        }
+
         try {
-            const userInput = req.body?.query || req.query?.q;
+            const report = validateSheets(
+                await getDataSource().readAllSheets(),
+                getSheetColumnMaps()
+            );
+            const summary = summarizeValidation(report);
 
-            if (!userInput) {
-                return res.status(400).json({
-                    error: "질문을 입력해주세요.",
-                });
+            if (req.query?.format === "text") {
+                return res.type("text/plain").send(summary);
             }
 
-            const response = await processUserQuery(
-                userInput,
-                openaiApiKey.value()
-            );
-
-            res.json({
-                query: userInput,
-                response: response,
-            });
+            res.json({ ...report, summary });
         } catch (error) {
-            console.error("PhonePrice Error:", error);
+            console.error("SheetValidation Error:", error);
             res.status(500).json({
-                error: "서비스에 문제가 발생했습니다.",
+                error: "시트 검사 중 문제가 발생했습니다.",
             });
         }
     }
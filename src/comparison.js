@@ -0,0 +1,304 @@
+import { findMatchingRecords } from "./modelMatcher.js";
+import { rankRecords, SORT_BY_PRICE } from "./ranking.js";
+import {
+    groupOffers,
+    getCommonDuration,
+    getServicesWithAdditionalFee,
+    formatManwon,
+    getChannelIcon,
+} from "./offers.js";
+import { calculateTotalCost } from "./costCalculator.js";
+import { describeQuery } from "./suggestions.js";
+import { PRICE_RANGE_FIELDS } from "./priceRange.js";
+
+// 모델 비교 문의 ("S25 vs 아이폰16 SK 번이", "S25랑 16 프로 뭐가 더 싸요?")
+const COMPARISON_PATTERN =
+    /vs|versus|비교|(?<=\S)\s+대\s+(?=\S)|뭐가\s*(더\s*)?(싸|싼|저렴|나아|좋)|어느\s*(게|쪽|것|거)/i;
+
+// 모델을 나누는 표현
+// 이랑/하고/와 같은 조사는 모델명이나 용량 바로 뒤에 붙은 것만 나눔
+// ("S25랑 16", "16 프로와 S25"는 나누고 "번이랑 기변"은 그대로 둠)
+const SEPARATOR_PATTERN =
+    /\s*(?:vs\.?|versus|,(?!\d{3})|\/|&)\s*|\s+대\s+|(?<=[\da-z]|아이폰|갤럭시|프로|울트라|플러스|맥스|엣지|에어|미니|기가|테라)(?:이랑|랑|하고|와|과)(?=\s|$)\s*/gi;
+
+// 비교 문구에서 지우는 표현 (모델 조건이 아닌 말)
+const COMPARISON_WORDS =
+    /비교\s*(해\s*(줘|주세요|줄래)|하면|해서|좀)?|뭐가\s*(더\s*)?(싸|싼|저렴|나아|좋)\S*|어느\s*(게|쪽|것|거)\s*(더\s*)?\S*/g;
+
+// 모델마다 다르게 말할 수 있는 조건
+const MODEL_FIELDS = ["브랜드", "기본모델", "옵션", "용량"];
+
+// 모든 모델에 함께 적용하는 조건
+const SHARED_FIELDS = ["통신사", "타입", "채널", ...PRICE_RANGE_FIELDS];
+
+// 한 번에 비교하는 최대 모델 수
+export const MAX_COMPARED_MODELS = 4;
+
+// 비교표에 표시할 최대 통신사/타입 조합 수
+const MAX_COMPARISON_ROWS = 8;
+
+// 모델 비교 문의인지 확인
+export function isComparisonQuery(userInput) {
+    return COMPARISON_PATTERN.test(userInput);
+}
+
+// 비교 문의를 모델별 문구로 나누기
+// "S25 vs 아이폰16 SK 번이" → ["S25", "아이폰16 SK 번이"]
+export function splitComparisonQuery(userInput) {
+    return userInput
+        .replace(COMPARISON_WORDS, " ")
+        .split(SEPARATOR_PATTERN)
+        .map((segment) => segment.trim())
+        .filter(Boolean);
+}
+
+// 문구별 파싱 결과를 모델별 검색 조건으로 합치기
+// 통신사/타입/채널/가격 조건은 어느 문구에서 말해도 모든 모델에 적용합니다.
+// previousData: 이전 대화 조건 (말하지 않은 공통 조건을 채움)
+// 반환: { shared, models: [parsedData] } (같은 모델은 한 번만)
+export function buildComparisonQueries(parsedSegments, previousData = null) {
+    const shared = {};
+    SHARED_FIELDS.forEach((field) => {
+        const segment = parsedSegments.find((parsed) =>
+            hasValue(parsed[field])
+        );
+        shared[field] = segment
+            ? segment[field]
+            : previousData && hasValue(previousData[field])
+            ? previousData[field]
+            : null;
+    });
+
+    const models = [];
+    parsedSegments.forEach((parsed) => {
+        if (!parsed.브랜드 && !parsed.기본모델 && !parsed.옵션) return;
+
+        const query = { ...shared, 정렬: null };
+        MODEL_FIELDS.forEach((field) => {
+            query[field] = parsed[field] || null;
+        });
+
+        const key = MODEL_FIELDS.map((field) => query[field]).join("|");
+        if (
+            !models.some(
+                (model) =>
+                    MODEL_FIELDS.map((field) => model[field]).join("|") === key
+            )
+        ) {
+            models.push(query);
+        }
+    });
+
+    return {
+        shared: {
+            브랜드: null,
+            기본모델: null,
+            옵션: null,
+            용량: null,
+            정렬: null,
+            ...shared,
+        },
+        models: models.slice(0, MAX_COMPARED_MODELS),
+    };
+}
+
+// 비교할 모델이 두 개 미만일 때 문구별 파싱 결과를 하나의 검색 조건으로 합치기
+// 조건마다 처음 말한 값을 사용합니다 (같은 질문을 다시 파싱하지 않기 위함)
+export function combineParsedSegments(parsedSegments) {
+    const combined = {};
+    [...MODEL_FIELDS, ...SHARED_FIELDS, "정렬"].forEach((field) => {
+        const segment = parsedSegments.find((parsed) =>
+            hasValue(parsed[field])
+        );
+        combined[field] = segment ? segment[field] : null;
+    });
+    return combined;
+}
+
+function hasValue(value) {
+    return value !== null && value !== undefined && value !== "";
+}
+
+// 모델별로 검색해서 통신사/타입/채널별 비교표 만들기
+// 반환: { shared, models: [{ label, parsedData, records }],
+//         rows: [{ channel, telecom, type, offers: [{ record, services, cost } | null] }] }
+// offers는 models와 같은 순서이며, 모델마다 해당 조합에서 가장 싼 상품입니다.
+export function compareModels({ shared, models }, allRecords, options = {}) {
+    const compared = models.map((parsedData) => {
+        const records = rankRecords(
+            findMatchingRecords(parsedData, allRecords),
+            SORT_BY_PRICE
+        );
+        return {
+            label: getModelLabel(parsedData, records),
+            parsedData,
+            records,
+            offers: groupOffers(records),
+        };
+    });
+
+    const rows = [];
+    compared.forEach((model, modelIndex) => {
+        model.offers.forEach(({ channel, telecom, type, record, services }) => {
+            let row = rows.find(
+                (r) =>
+                    r.channel === channel &&
+                    r.telecom === telecom &&
+                    r.type === type
+            );
+            if (!row) {
+                row = {
+                    channel,
+                    telecom,
+                    type,
+                    offers: compared.map(() => null),
+                };
+                rows.push(row);
+            }
+            row.offers[modelIndex] = {
+                record,
+                services,
+                cost: calculateTotalCost(record, services, options),
+            };
+        });
+    });
+
+    return {
+        shared,
+        models: compared.map(({ label, parsedData, records }) => ({
+            label,
+            parsedData,
+            records,
+        })),
+        rows,
+    };
+}
+
+// 모델 표시 이름 (검색된 모델이 하나면 시트 모델명)
+function getModelLabel(parsedData, records) {
+    const modelNames = [...new Set(records.map((r) => r.modelRaw))];
+    if (modelNames.length !== 1) {
+        return describeQuery({
+            브랜드: parsedData.브랜드,
+            기본모델: parsedData.기본모델,
+            옵션: parsedData.옵션,
+            용량: parsedData.용량,
+        });
+    }
+    return parsedData.용량
+        ? `${modelNames[0]} ${parsedData.용량}GB`
+        : modelNames[0];
+}
+
+// 부가서비스 가입/미가입 중 더 싼 총 비용
+export function getLowestCost(cost) {
+    return Math.min(cost.withServices, cost.withoutServices);
+}
+
+// 비교표 한 줄에서 총 비용이 가장 싼 모델 번호 (비교할 상품이 하나뿐이면 -1)
+export function findCheapestOffer(row) {
+    const available = row.offers.filter(Boolean);
+    if (available.length < 2) return -1;
+
+    return row.offers.reduce((best, offer, index) => {
+        if (!offer) return best;
+        if (best < 0) return index;
+        return getLowestCost(offer.cost) < getLowestCost(row.offers[best].cost)
+            ? index
+            : best;
+    }, -1);
+}
+
+// 부가서비스 요약 ("V컬러링 3,300원 (M+3 유지, 미가입 시 +5만원)")
+export function describeServices(services) {
+    if (services.length === 0) return "없음";
+
+    const duration = getCommonDuration(services);
+    const names = services
+        .map((service) =>
+            service.monthlyFee && service.monthlyFee !== "0"
+                ? `${service.serviceName} ${formatManwon(
+                      parseInt(service.monthlyFee)
+                  )}`
+                : service.serviceName
+        )
+        .join(", ");
+    const additionalFee = getServicesWithAdditionalFee(services).reduce(
+        (sum, service) => sum + parseInt(service.additionalFee),
+        0
+    );
+
+    const details = [
+        duration ? `${duration} 유지` : null,
+        additionalFee > 0 ? `미가입 시 +${formatManwon(additionalFee)}` : null,
+    ].filter(Boolean);
+
+    return details.length > 0 ? `${names} (${details.join(", ")})` : names;
+}
+
+// 비교 제목 ("갤럭시 S25 256GB vs 아이폰 16 (SK 번호이동)")
+export function describeComparison(comparison) {
+    const condition = describeQuery(comparison.shared);
+    return `${comparison.models.map((model) => model.label).join(" vs ")}${
+        condition ? ` (${condition})` : ""
+    }`;
+}
+
+// 모델 비교 응답 생성
+export function generateComparisonResponse(comparison) {
+    if (comparison.rows.length === 0) {
+        return `${describeComparison(
+            comparison
+        )} 조건으로 비교할 상품을 찾을 수 없습니다.`;
+    }
+
+    let result = `⚖️ 모델 비교 - ${describeComparison(comparison)}\n`;
+
+    comparison.rows.slice(0, MAX_COMPARISON_ROWS).forEach((row) => {
+        const cheapest = findCheapestOffer(row);
+
+        result += `\n${getChannelIcon(row.channel)} ${row.telecom} ${
+            row.type
+        } (${row.channel})\n`;
+
+        row.offers.forEach((offer, index) => {
+            const label = comparison.models[index].label;
+            if (!offer) {
+                result += `• ${label}: 상품 없음\n`;
+                return;
+            }
+
+            const { record, services, cost } = offer;
+            result += `• ${label}${index === cheapest ? " 👍" : ""}\n`;
+            result += `  할부원금 ${parseInt(
+                record.price
+            ).toLocaleString()}원 / 요금제 월 ${parseInt(
+                record.plan
+            ).toLocaleString()}원\n`;
+            result += `  부가서비스: ${describeServices(services)}\n`;
+            result += `  ${cost.months}개월 총 비용 ${getLowestCost(
+                cost
+            ).toLocaleString()}원\n`;
+        });
+    });
+
+    if (comparison.rows.length > MAX_COMPARISON_ROWS) {
+        result += `\n... 외 ${
+            comparison.rows.length - MAX_COMPARISON_ROWS
+        }개 조건`;
+    }
+
+    const missing = comparison.models.filter(
+        (model) => model.records.length === 0
+    );
+    if (missing.length > 0) {
+        result += `\n❗ ${missing
+            .map((model) => model.label)
+            .join(", ")}: 조건에 맞는 상품이 없습니다.\n`;
+    }
+
+    result +=
+        "\n💡 👍는 같은 통신사/가입 유형에서 총 비용(부가서비스 가입/미가입 중 싼 쪽)이 가장 싼 모델입니다.";
+
+    return result;
+}
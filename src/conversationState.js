@@ -0,0 +1,94 @@
+import { getDb } from "./firestore.js";
+
+const CONVERSATION_COLLECTION = "conversations";
+const DEFAULT_TTL_MS = 10 * 60 * 1000;
+
+// 모델을 구성하는 필드 (새 모델을 말하면 함께 바뀜)
+const MODEL_FIELDS = ["브랜드", "기본모델", "옵션"];
+
+// 대화를 처음부터 다시 시작하는 표현
+const RESET_PATTERN = /처음\s*부터|다시\s*시작|새로\s*검색|초기화|리셋|reset/i;
+
+// 대화 초기화 요청인지 확인
+export function isResetUtterance(userInput) {
+    return RESET_PATTERN.test(userInput);
+}
+
+// 이전 검색 조건에 새로 파싱한 조건을 합치기
+// - 새 모델(브랜드/기본모델)을 말하면 모델 필드와 용량, 정렬을 새로 채우고, 통신사/타입 등은 유지
+// - 그 외에는 새로 말한 필드만 덮어씀 ("256 SK 번이" → 이전 모델에 용량/통신사/타입 추가)
+export function mergeParsedData(previousData, parsedData) {
+    if (!previousData) return parsedData;
+
+    const merged = { ...previousData };
+    const isNewModel = Boolean(parsedData.브랜드 || parsedData.기본모델);
+
+    if (isNewModel) {
+        MODEL_FIELDS.forEach((field) => {
+            merged[field] = null;
+        });
+        merged.용량 = null;
+        merged.정렬 = null;
+    }
+
+    Object.keys(parsedData).forEach((field) => {
+        if (parsedData[field] !== null && parsedData[field] !== undefined) {
+            merged[field] = parsedData[field];
+        }
+    });
+
+    return merged;
+}
+
+// 사용자의 이전 검색 조건 불러오기 (만료됐거나 없으면 null)
+// options.db: Firestore 인스턴스 (없으면 기본 인스턴스)
+export async function loadConversation(userId, options = {}) {
+    const { ttlMs = DEFAULT_TTL_MS, db } = options;
+
+    try {
+        const doc = await conversationDoc(userId, db).get();
+        if (!doc.exists) return null;
+
+        const { parsedData, updatedAt } = doc.data();
+        if (Date.now() - updatedAt > ttlMs) {
+            console.log(`대화 상태 만료: ${userId}`);
+            return null;
+        }
+
+        return parsedData;
+    } catch (error) {
+        console.error("대화 상태 불러오기 실패:", error.message);
+        return null;
+    }
+}
+
+// 사용자의 현재 검색 조건 저장
+// expiresAt 필드에 Firestore TTL 정책을 걸면 만료된 문서가 자동으로 삭제됩니다.
+export async function saveConversation(userId, parsedData, options = {}) {
+    const { ttlMs = DEFAULT_TTL_MS, db } = options;
+    const now = Date.now();
+
+    try {
+        await conversationDoc(userId, db).set({
+            parsedData,
+            updatedAt: now,
+            expiresAt: new Date(now + ttlMs),
+        });
+    } catch (error) {
+        console.error("대화 상태 저장 실패:", error.message);
+    }
+}
+
+// 사용자의 검색 조건 초기화
+export async function clearConversation(userId, options = {}) {
+    try {
+        await conversationDoc(userId, options.db).delete();
+    } catch (error) {
+        console.error("대화 상태 초기화 실패:", error.message);
+    }
+}
+
+// conversations/{사용자 id}
+function conversationDoc(userId, db) {
+    return (db || getDb()).collection(CONVERSATION_COLLECTION).doc(userId);
+}
@@ -0,0 +1,72 @@
+// 총 비용 계산
+// 요금제 유지기간 동안 실제로 내는 금액을 부가서비스 가입/미가입 두 경우로 계산합니다.
+//   가입:   할부원금 + 요금제 × 유지개월 + Σ(부가서비스 월 요금 × 부가서비스 유지개월)
+//   미가입: 할부원금 + 요금제 × 유지개월 + Σ(미가입 시 추가금)
+
+const DEFAULT_PLAN_MONTHS = 6;
+
+// 유지기간 문자열 → 개월 수
+// "6개월" → 6, "1년" → 12, "90일" → 3, "6" → 6
+// "M+3" → 4 (개통월 M을 포함해 M+3월 말까지 유지)
+// 해석할 수 없으면 null
+export function parseDurationMonths(duration) {
+    if (duration === null || duration === undefined) return null;
+    const text = duration.toString().trim().toUpperCase();
+    if (text === "") return null;
+
+    const monthPlus = text.match(/^M\s*\+\s*(\d+)/);
+    if (monthPlus) {
+        return parseInt(monthPlus[1], 10) + 1;
+    }
+
+    const number = text.match(/(\d+)/);
+    if (!number) return null;
+    const value = parseInt(number[1], 10);
+
+    if (/년/.test(text)) return value * 12;
+    if (/일/.test(text)) return Math.ceil(value / 30);
+    return value;
+}
+
+// 레코드(상품) 하나의 총 비용
+// services: 이 상품에 적용되는 부가서비스 목록
+// 반환: { months, withServices, withoutServices, cheaper, monthlyWithServices, monthlyWithoutServices }
+export function calculateTotalCost(record, services = [], options = {}) {
+    const months = options.planMonths || DEFAULT_PLAN_MONTHS;
+    const price = toAmount(record.price);
+    const plan = toAmount(record.plan);
+
+    const baseCost = price + plan * months;
+
+    const serviceCost = services.reduce((sum, service) => {
+        const serviceMonths = parseDurationMonths(service.duration) ?? months;
+        return sum + toAmount(service.monthlyFee) * serviceMonths;
+    }, 0);
+
+    const declineCost = services.reduce(
+        (sum, service) => sum + toAmount(service.additionalFee),
+        0
+    );
+
+    const withServices = baseCost + serviceCost;
+    const withoutServices = baseCost + declineCost;
+
+    return {
+        months,
+        withServices,
+        withoutServices,
+        cheaper:
+            services.length === 0 || withServices === withoutServices
+                ? null
+                : withServices < withoutServices
+                ? "가입"
+                : "미가입",
+        monthlyWithServices: Math.round(withServices / months),
+        monthlyWithoutServices: Math.round(withoutServices / months),
+    };
+}
+
+function toAmount(value) {
+    const amount = parseInt(value, 10);
+    return Number.isNaN(amount) ? 0 : amount;
+}
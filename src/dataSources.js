@@ -0,0 +1,227 @@
+import { readFile, readdir } from "fs/promises";
+import { basename, extname, join } from "path";
+import { google } from "googleapis";
+
+// 가격 데이터 소스 생성
+// type: "sheets" | "csv" | "json"
+// 데이터 소스는 모두 같은 속성/메서드를 가집니다:
+//   id: 캐시/가격 이력 키 (시트 ID 또는 "csv:경로")
+//   listSheetNames() → ["SK 온라인", ...]
+//   readSheet(sheetName) → 행 배열 (시트와 같은 2차원 배열)
+//   readAllSheets() → [{ sheetName, rows }]
+export function createDataSource({ type = "sheets", spreadsheetId, path }) {
+    switch (type) {
+        case "csv":
+            if (!path) {
+                throw new Error("csv 데이터 소스에는 경로가 필요합니다.");
+            }
+            return createCsvSource(path);
+        case "json":
+            if (!path) {
+                throw new Error("json 데이터 소스에는 경로가 필요합니다.");
+            }
+            return createJsonSource(path);
+        default:
+            return createSheetsSource(spreadsheetId);
+    }
+}
+
+// 시트 목록 순서대로 모두 읽기
+// readRows(sheetNames): 시트들을 한 번에 읽어 시트마다 행 배열 (없으면 readSheet로 하나씩)
+async function readAllSheets(source, readRows) {
+    const sheetNames = await source.listSheetNames();
+    if (sheetNames.length === 0) {
+        throw new Error("시트 목록을 가져올 수 없습니다.");
+    }
+
+    if (readRows) {
+        const rowsList = await readRows(sheetNames);
+        return sheetNames.map((sheetName, index) => ({
+            sheetName,
+            rows: rowsList[index] || [],
+        }));
+    }
+
+    const result = [];
+    for (const sheetName of sheetNames) {
+        result.push({ sheetName, rows: await source.readSheet(sheetName) });
+    }
+    return result;
+}
+
+// 시트 이름만 범위로 주면 사용 중인 전체 범위를 읽습니다.
+function sheetRange(sheetName) {
+    return `'${sheetName.replace(/'/g, "''")}'`;
+}
+
+// 셀 값은 서식 없이, 날짜는 보이는 문자열로
+const VALUE_RENDER_OPTIONS = {
+    valueRenderOption: "UNFORMATTED_VALUE",
+    dateTimeRenderOption: "FORMATTED_STRING",
+};
+
+// Google Sheets 데이터 소스
+// 인증 클라이언트는 처음 읽을 때 만들어서, 파일 데이터 소스만 쓰면 Google 인증 없이 동작합니다.
+function createSheetsSource(spreadsheetId) {
+    let sheets;
+    const getSheets = () => {
+        if (!sheets) {
+            const auth = new google.auth.GoogleAuth({
+                scopes: [
+                    "https://www.googleapis.com/auth/spreadsheets.readonly",
+                ],
+            });
+            sheets = google.sheets({ version: "v4", auth });
+        }
+        return sheets;
+    };
+
+    const source = {
+        id: spreadsheetId,
+
+        async listSheetNames() {
+            try {
+                const response = await getSheets().spreadsheets.get({
+                    spreadsheetId,
+                });
+                return response.data.sheets.map(
+                    (sheet) => sheet.properties.title
+                );
+            } catch (error) {
+                console.error(
+                    "시트 목록을 가져오는 데 실패했습니다:",
+                    error.message
+                );
+                return [];
+            }
+        },
+
+        async readSheet(sheetName) {
+            const res = await getSheets().spreadsheets.values.get({
+                spreadsheetId,
+                range: sheetRange(sheetName),
+                ...VALUE_RENDER_OPTIONS,
+            });
+            return res.data.values || [];
+        },
+
+        // 모든 시트를 요청 한 번으로 읽음 (시트마다 요청하면 읽기 할당량을 시트 수만큼 씀)
+        readAllSheets: () =>
+            readAllSheets(source, async (sheetNames) => {
+                const res = await getSheets().spreadsheets.values.batchGet({
+                    spreadsheetId,
+                    ranges: sheetNames.map(sheetRange),
+                    ...VALUE_RENDER_OPTIONS,
+                });
+                return (res.data.valueRanges || []).map(
+                    (valueRange) => valueRange.values || []
+                );
+            }),
+    };
+    return source;
+}
+
+// CSV 데이터 소스: 디렉터리의 CSV 파일 하나가 시트 하나 (파일 이름 = 시트 이름)
+// 예: fixtures/sheets/SK 온라인.csv → "SK 온라인" 시트
+function createCsvSource(directory) {
+    const source = {
+        id: `csv:${directory}`,
+
+        async listSheetNames() {
+            const files = await readdir(directory);
+            return files
+                .filter((file) => extname(file).toLowerCase() === ".csv")
+                .sort()
+                .map((file) => basename(file, extname(file)));
+        },
+
+        async readSheet(sheetName) {
+            const text = await readFile(
+                join(directory, `${sheetName}.csv`),
+                "utf8"
+            );
+            return parseCsv(text);
+        },
+
+        readAllSheets: () => readAllSheets(source),
+    };
+    return source;
+}
+
+// JSON 데이터 소스: { "시트 이름": [[행], ...], ... } 형태의 파일 하나
+function createJsonSource(filePath) {
+    const readAll = async () => JSON.parse(await readFile(filePath, "utf8"));
+
+    const source = {
+        id: `json:${filePath}`,
+
+        async listSheetNames() {
+            return Object.keys(await readAll());
+        },
+
+        async readSheet(sheetName) {
+            return (await readAll())[sheetName] || [];
+        },
+
+        // 파일을 한 번만 읽어서 모든 시트를 만듦
+        async readAllSheets() {
+            const sheets = await readAll();
+            return readAllSheets({
+                listSheetNames: async () => Object.keys(sheets),
+                readSheet: async (sheetName) => sheets[sheetName] || [],
+            });
+        },
+    };
+    return source;
+}
+
+// CSV 텍스트를 행 배열로 변환
+// 따옴표로 감싼 값(쉼표, 줄바꿈, "" 포함)을 지원하고 끝의 빈 칸/빈 행은 제거합니다.
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let value = "";
+    let quoted = false;
+
+    const input = text.replace(/^\uFEFF/, "");
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                value += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                value += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ",") {
+            row.push(value);
+            value = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && input[i + 1] === "\n") i++;
+            row.push(value);
+            rows.push(row);
+            row = [];
+            value = "";
+        } else {
+            value += char;
+        }
+    }
+    row.push(value);
+    rows.push(row);
+
+    // 시트 API처럼 행 끝의 빈 칸과 마지막 빈 행은 없앰
+    const trimmed = rows.map((cells) => {
+        let end = cells.length;
+        while (end > 0 && cells[end - 1] === "") end--;
+        return cells.slice(0, end);
+    });
+    while (trimmed.length > 0 && trimmed[trimmed.length - 1].length === 0) {
+        trimmed.pop();
+    }
+    return trimmed;
+}
@@ -0,0 +1,17 @@
+import { initializeApp, getApps } from "firebase-admin/app";
+import { getFirestore } from "firebase-admin/firestore";
+
+// Firestore 인스턴스 가져오기
+// FIRESTORE_EMULATOR_HOST 환경변수가 있으면 firebase-admin이 자동으로 에뮬레이터에 연결됩니다.
+export function getDb() {
+    if (getApps().length === 0) {
+        initializeApp();
+    }
+    return getFirestore();
+}
+
+// 데이터 소스 id를 문서 id로 ("csv:fixtures/sheets"처럼 "/"가 있으면 하위 경로로 읽히므로 인코딩)
+// 시트 ID는 영문/숫자/-/_만 쓰므로 그대로 유지됩니다.
+export function toDocumentId(sourceId) {
+    return encodeURIComponent(sourceId);
+}
@@ -0,0 +1,164 @@
+import { randomUUID } from "node:crypto";
+import { FieldValue } from "firebase-admin/firestore";
+
+// 큰 JSON 값을 여러 Firestore 문서로 나눠 저장
+// 문서 하나는 1 MiB를 넘을 수 없어서, 시트 레코드처럼 커지는 값은
+// {부모 문서}/chunks/{chunkId}_{순번} 문서들에 JSON 문자열 조각으로 저장하고
+// 부모 문서에는 { chunkId, chunkCount }와 다른 필드만 남깁니다.
+
+const CHUNK_SUBCOLLECTION = "chunks";
+
+// 조각 하나의 최대 글자 수 (한글은 UTF-8로 3바이트라서 1 MiB보다 충분히 작게)
+export const MAX_CHUNK_LENGTH = 250 * 1000;
+
+// Firestore 오류 코드 (gRPC): 이미 있음, 조건 불일치
+const ALREADY_EXISTS = 6;
+const FAILED_PRECONDITION = 9;
+
+// 문자열을 조각으로 나누기
+export function splitIntoChunks(text, maxLength = MAX_CHUNK_LENGTH) {
+    const chunks = [];
+    for (let i = 0; i < text.length; i += maxLength) {
+        chunks.push(text.slice(i, i + maxLength));
+    }
+    return chunks.length > 0 ? chunks : [""];
+}
+
+// 부모 문서와 저장된 값 읽기 (문서가 없으면 null)
+// 반환: { value, data, version }
+// - data: 부모 문서 필드
+// - version: replaceChunkedDoc에 넘길 읽은 시점의 문서 정보
+// 조각으로 나누기 전 형식(legacyField에 JSON 문자열)도 읽습니다.
+export async function readChunkedDoc(parentRef, legacyField) {
+    const doc = await parentRef.get();
+    if (!doc.exists) return null;
+
+    const data = doc.data();
+    const value = data.chunkId
+        ? await readChunks(parentRef, data)
+        : JSON.parse(data[legacyField]);
+
+    return { value, data, version: getChunkedVersion(doc) };
+}
+
+// replaceChunkedDoc에 넘길 문서 정보 (조각을 읽지 않고 부모 문서만 읽었을 때)
+export function getChunkedVersion(doc) {
+    const data = doc.data();
+    return {
+        updateTime: doc.updateTime,
+        chunkId: data.chunkId || null,
+        chunkCount: data.chunkCount || 0,
+    };
+}
+
+// 부모 문서를 새 값으로 교체
+// 조각을 먼저 저장한 뒤 부모 문서를 한 번에 바꾸므로, 읽는 쪽은 항상 완성된 값을 봅니다.
+// version: readChunkedDoc으로 읽은 시점의 정보 (문서가 없었으면 null)
+//   그 뒤에 다른 인스턴스가 문서를 바꿨으면 저장하지 않고 false를 돌려줍니다.
+// fields: 부모 문서에 함께 저장할 필드
+// addWrites(batch): 부모 문서와 함께 저장할 쓰기 (한 배치로 저장)
+// legacyField: 조각으로 나누기 전 형식의 필드 (있으면 삭제)
+export async function replaceChunkedDoc(
+    parentRef,
+    value,
+    { version = null, fields = {}, addWrites, legacyField = "records" } = {}
+) {
+    const chunks = await writeChunks(parentRef, value);
+    const batch = parentRef.firestore.batch();
+
+    if (version) {
+        batch.update(
+            parentRef,
+            { ...fields, ...chunks, [legacyField]: FieldValue.delete() },
+            { lastUpdateTime: version.updateTime }
+        );
+    } else {
+        batch.create(parentRef, { ...fields, ...chunks });
+    }
+    addWrites?.(batch);
+
+    try {
+        await batch.commit();
+    } catch (error) {
+        await deleteChunks(parentRef, chunks).catch(() => {});
+        if (
+            error.code === ALREADY_EXISTS ||
+            error.code === FAILED_PRECONDITION
+        ) {
+            return false;
+        }
+        throw error;
+    }
+
+    // 이전 값의 조각 정리 (실패해도 새 값은 저장됨)
+    if (version?.chunkId) {
+        await deleteChunks(parentRef, version).catch((error) =>
+            console.error("이전 조각 삭제 실패:", error.message)
+        );
+    }
+    return true;
+}
+
+// 부모 문서와 조각 문서 모두 삭제
+// 부모 문서를 먼저 지워서 읽는 쪽이 조각이 빠진 값을 보지 않게 합니다.
+// 읽은 뒤 다른 인스턴스가 문서를 바꿨으면 다시 읽어서 그 조각을 지웁니다.
+export async function deleteChunkedDoc(parentRef, { maxAttempts = 3 } = {}) {
+    for (let attempt = 1; ; attempt++) {
+        const doc = await parentRef.get();
+        if (!doc.exists) return;
+
+        const version = getChunkedVersion(doc);
+        try {
+            await parentRef.delete({ lastUpdateTime: version.updateTime });
+        } catch (error) {
+            if (error.code === FAILED_PRECONDITION && attempt < maxAttempts) {
+                continue;
+            }
+            throw error;
+        }
+
+        if (version.chunkId) {
+            await deleteChunks(parentRef, version);
+        }
+        return;
+    }
+}
+
+// 값을 새 조각 문서들에 저장 (부모 문서는 바꾸지 않음)
+// 반환: 부모 문서에 저장할 { chunkId, chunkCount }
+async function writeChunks(parentRef, value) {
+    const chunkId = randomUUID();
+    const chunks = splitIntoChunks(JSON.stringify(value));
+
+    // 배치 하나의 요청 크기 제한(10 MiB)을 넘지 않도록 조각마다 따로 저장
+    await Promise.all(
+        chunks.map((data, index) =>
+            chunkRef(parentRef, chunkId, index).set({ chunkId, index, data })
+        )
+    );
+    return { chunkId, chunkCount: chunks.length };
+}
+
+// 조각 문서들을 읽어서 값으로 (조각이 없으면 throw)
+async function readChunks(parentRef, { chunkId, chunkCount }) {
+    const refs = Array.from({ length: chunkCount }, (_, index) =>
+        chunkRef(parentRef, chunkId, index)
+    );
+    const docs = await parentRef.firestore.getAll(...refs);
+    if (docs.some((doc) => !doc.exists)) {
+        throw new Error(`저장된 조각이 없습니다: ${chunkId}`);
+    }
+    return JSON.parse(docs.map((doc) => doc.data().data).join(""));
+}
+
+async function deleteChunks(parentRef, { chunkId, chunkCount }) {
+    await Promise.all(
+        Array.from({ length: chunkCount }, (_, index) =>
+            chunkRef(parentRef, chunkId, index).delete()
+        )
+    );
+}
+
+function chunkRef(parentRef, chunkId, index) {
+    return parentRef.collection(CHUNK_SUBCOLLECTION).doc(`${chunkId}_${index}`);
+}
@@ -0,0 +1,127 @@
+import { initializeApp, getApps } from "firebase-admin/app";
+import { getFunctions } from "firebase-admin/functions";
+
+// 카카오 콜백(useCallback) 응답
+// 시트 읽기와 GPT 파싱이 카카오 응답 제한 시간(약 5초)을 넘길 수 있어서,
+// 요청에 callbackUrl이 있으면 "조회 중" 응답을 먼저 보내고 최종 응답은 callbackUrl로 보냅니다.
+// callbackUrl은 한 번만 사용할 수 있고 1분 뒤 만료됩니다.
+
+// 먼저 보내는 대기 문구
+export const CALLBACK_WAITING_TEXT =
+    "🔍 가격을 조회 중입니다. 잠시만 기다려주세요.";
+
+// 콜백 전송 제한 시간
+const CALLBACK_TIMEOUT_MS = 10 * 1000;
+
+// callbackUrl 유효 시간
+const CALLBACK_EXPIRES_MS = 60 * 1000;
+
+// 콜백 URL로 허용하는 호스트 (정확히 일치해야 함)
+export const KAKAO_CALLBACK_HOSTS = ["bot-api.kakao.com"];
+
+// 로컬 테스트 서버 (허용 목록에 있으면 http도 허용)
+const LOOPBACK_HOSTNAMES = ["127.0.0.1", "localhost"];
+
+// 요청의 콜백 URL (없거나 허용한 카카오 호스트의 https URL이 아니면 null)
+// 공개된 엔드포인트라서 아무 주소로나 POST하지 않도록 호스트를 제한합니다.
+// allowedHosts: "host" 또는 "host:port" 목록
+export function getCallbackUrl(body, allowedHosts = KAKAO_CALLBACK_HOSTS) {
+    const callbackUrl = body?.userRequest?.callbackUrl;
+    if (!callbackUrl) return null;
+
+    let url;
+    try {
+        url = new URL(callbackUrl);
+    } catch {
+        console.error("잘못된 콜백 URL:", callbackUrl);
+        return null;
+    }
+
+    const allowed =
+        allowedHosts.includes(url.host) &&
+        !url.username &&
+        !url.password &&
+        (url.protocol === "https:" ||
+            (url.protocol === "http:" &&
+                LOOPBACK_HOSTNAMES.includes(url.hostname)));
+    if (!allowed) {
+        console.error("허용하지 않는 콜백 URL:", url.host);
+        return null;
+    }
+    return url.toString();
+}
+
+// 콜백 작업 전송기 생성
+// 응답을 보낸 뒤에는 CPU가 제한되므로, 최종 응답은 별도 작업(Cloud Tasks 큐)에서 만듭니다.
+// type: "taskQueue" | "inline"
+//   taskQueue: 작업 큐 함수(functionName)에 { callbackUrl, userInput, userId, requestedAt }을 넣음
+//   inline: 같은 인스턴스에서 handler(task)를 바로 실행 (로컬 개발/테스트용)
+// 전송기는 dispatch(task)를 가지며, 큐에 넣지 못하면 throw합니다.
+export function createCallbackDispatcher({
+    type = "taskQueue",
+    functionName,
+    handler,
+}) {
+    if (type === "inline") {
+        return {
+            async dispatch(task) {
+                Promise.resolve()
+                    .then(() => handler(task))
+                    .catch((error) =>
+                        console.error("콜백 작업 실패:", error.message)
+                    );
+            },
+        };
+    }
+
+    return {
+        async dispatch(task) {
+            if (getApps().length === 0) {
+                initializeApp();
+            }
+            await getFunctions().taskQueue(functionName).enqueue(task);
+        },
+    };
+}
+
+// 콜백 작업이 만료됐는지 (callbackUrl을 받은 지 1분이 지나면 보내도 카카오가 받지 않음)
+export function isCallbackExpired(task, now = Date.now()) {
+    return now - (task.requestedAt || 0) > CALLBACK_EXPIRES_MS;
+}
+
+// 콜백을 사용한다고 알리는 즉시 응답
+export function kakaoCallbackWaitingResponse(text = CALLBACK_WAITING_TEXT) {
+    return {
+        version: "2.0",
+        useCallback: true,
+        data: { text },
+    };
+}
+
+// 최종 스킬 응답을 콜백 URL로 전송 (성공 여부 반환)
+// 카카오는 { taskId, status: "SUCCESS" | "FAIL" | "ERROR", message }로 응답합니다.
+export async function sendKakaoCallback(callbackUrl, response) {
+    try {
+        const res = await fetch(callbackUrl, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify(response),
+            signal: AbortSignal.timeout(CALLBACK_TIMEOUT_MS),
+        });
+
+        const result = await res.json().catch(() => ({}));
+        if (!res.ok || (result.status && result.status !== "SUCCESS")) {
+            console.error(
+                `카카오 콜백 전송 실패 (${res.status}):`,
+                result.message || result.status || ""
+            );
+            return false;
+        }
+
+        console.log("카카오 콜백 전송 완료:", result.taskId || "");
+        return true;
+    } catch (error) {
+        console.error("카카오 콜백 전송 실패:", error.message);
+        return false;
+    }
+}
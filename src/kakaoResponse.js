@@ -0,0 +1,426 @@
+import {
+    groupOffers,
+    getCommonDuration,
+    getServicesWithAdditionalFee,
+    formatManwon,
+    getChannelIcon,
+} from "./offers.js";
+import { calculateTotalCost } from "./costCalculator.js";
+import {
+    findBestByChannel,
+    findBestByModel,
+    SORT_BY_TOTAL_COST,
+} from "./ranking.js";
+import { describeQuery } from "./suggestions.js";
+import { isBudgetListing } from "./priceRange.js";
+import {
+    describeComparison,
+    describeServices,
+    findCheapestOffer,
+    getLowestCost,
+} from "./comparison.js";
+
+// 카카오 스킬 응답 제한
+const MAX_CAROUSEL_ITEMS = 10;
+const MAX_LIST_ITEMS = 5;
+const MAX_QUICK_REPLIES = 10;
+const MAX_DESCRIPTION_LENGTH = 230;
+const MAX_LABEL_LENGTH = 14;
+
+// 카드 종류 (이미지가 없는 카드라서 thumbnail이 필수인 basicCard 대신 textCard)
+const CARD_TYPE = "textCard";
+
+// 구매 신청 시작 바로가기
+const LEAD_QUICK_REPLY = { label: "📝 신청하기", messageText: "신청할게요" };
+
+// 빠진 조건을 물어볼 순서
+const SLOTS = [
+    {
+        field: "용량",
+        question: "용량을",
+        getValue: (r) => (r.capacity === "기본" ? null : r.capacity),
+        format: (value) => `${value}GB`,
+    },
+    { field: "통신사", question: "통신사를", getValue: (r) => r.telecom },
+    { field: "타입", question: "가입 유형을", getValue: (r) => r.type },
+    {
+        field: "채널",
+        question: "온라인/내방 여부를",
+        getValue: (r) => (r.channel === "Unknown" ? null : r.channel),
+    },
+];
+
+// 텍스트만 있는 카카오 응답
+export function kakaoTextResponse(text, quickReplies = []) {
+    const template = {
+        outputs: [
+            {
+                simpleText: {
+                    text: text,
+                },
+            },
+        ],
+    };
+
+    if (quickReplies.length > 0) {
+        template.quickReplies = toKakaoQuickReplies(quickReplies);
+    }
+
+    return {
+        version: "2.0",
+        template: template,
+    };
+}
+
+// 처리 결과를 카카오 스킬 응답으로 변환
+// result: processUserQuery 결과 { text, quickReplies, parsedData, matchingRecords }
+// options.consultPhoneNumber: 있으면 "상담 연결" 버튼이 전화 걸기, 없으면 상담직원 연결
+// options.planMonths: 총 비용 계산에 사용할 요금제 유지 개월 수
+export function buildKakaoResponse(result, options = {}) {
+    const { text, parsedData, matchingRecords = [] } = result;
+    const quickReplies = [...result.quickReplies];
+
+    if (result.comparison && result.comparison.rows.length > 0) {
+        return buildComparisonResponse(result.comparison, options);
+    }
+
+    if (!parsedData || matchingRecords.length === 0) {
+        return kakaoTextResponse(text, quickReplies);
+    }
+
+    const outputs = [];
+    const slotQuestion = buildSlotQuestion(parsedData, matchingRecords);
+
+    if (parsedData.정렬) {
+        // 최저가 요청이면 싼 순서대로 카드 (레코드는 이미 정렬됨)
+        outputs.push({
+            simpleText: {
+                text: `🏆 ${describeQuery({
+                    ...parsedData,
+                    정렬: null,
+                })} 최저가 추천 (${
+                    parsedData.정렬 === SORT_BY_TOTAL_COST
+                        ? "총 비용"
+                        : "할부원금"
+                } 기준)`,
+            },
+        });
+        outputs.push({
+            carousel: {
+                type: CARD_TYPE,
+                items: buildRankedCards(matchingRecords, options),
+            },
+        });
+    } else if (isBudgetListing(parsedData, matchingRecords)) {
+        // 가격 조건이 있으면 조건에 맞는 모델별 최저가 카드
+        const bestOffers = findBestByModel(matchingRecords);
+
+        outputs.push({
+            simpleText: {
+                text: `💸 ${describeQuery(parsedData)} - ${
+                    bestOffers.length
+                }개 모델`,
+            },
+        });
+        outputs.push({
+            carousel: {
+                type: CARD_TYPE,
+                items: buildBudgetCards(bestOffers, options),
+            },
+        });
+    } else if (parsedData.용량) {
+        // 용량까지 있으면 통신사/타입별 가격 카드
+        const offers = groupOffers(matchingRecords);
+
+        outputs.push({
+            simpleText: {
+                text: `💰 ${describeQuery(parsedData)} 가격 정보 (${
+                    offers.length
+                }건)`,
+            },
+        });
+        outputs.push({
+            carousel: {
+                type: CARD_TYPE,
+                items: offers
+                    .slice(0, MAX_CAROUSEL_ITEMS)
+                    .map((offer) => buildOfferCard(offer, options)),
+            },
+        });
+    } else {
+        // 용량이 없으면 모델 목록
+        outputs.push({ listCard: buildModelListCard(matchingRecords) });
+    }
+
+    // 빠진 조건만 골라서 물어보기, 물어볼 조건이 없으면 바로 신청할 수 있도록
+    if (slotQuestion) {
+        outputs.push({ simpleText: { text: slotQuestion.text } });
+        quickReplies.push(...slotQuestion.quickReplies);
+    } else if (outputs.some((output) => output.carousel)) {
+        quickReplies.push(LEAD_QUICK_REPLY);
+    }
+
+    const template = { outputs };
+    if (quickReplies.length > 0) {
+        template.quickReplies = toKakaoQuickReplies(quickReplies);
+    }
+
+    return {
+        version: "2.0",
+        template: template,
+    };
+}
+
+// 모델 비교 응답: 통신사/타입/채널마다 카드 한 장, 카드 안에 모델별 가격
+function buildComparisonResponse(comparison, options) {
+    const items = comparison.rows.slice(0, MAX_CAROUSEL_ITEMS).map((row) => {
+        const cheapest = findCheapestOffer(row);
+        const description = row.offers
+            .map((offer, index) => {
+                const label = comparison.models[index].label;
+                if (!offer) return `${label}: 상품 없음`;
+
+                const { record, services, cost } = offer;
+                let text = `${label}${index === cheapest ? " 👍" : ""}\n`;
+                text += `할부 ${parseInt(
+                    record.price
+                ).toLocaleString()}원 · 월 ${parseInt(
+                    record.plan
+                ).toLocaleString()}원\n`;
+                text += `${cost.months}개월 총 ${getLowestCost(
+                    cost
+                ).toLocaleString()}원`;
+                if (services.length > 0) {
+                    text += `\n부가: ${describeServices(services)}`;
+                }
+                return text;
+            })
+            .join("\n\n");
+
+        return {
+            title: `${getChannelIcon(row.channel)} ${row.telecom} ${
+                row.type
+            } (${row.channel})`,
+            description: truncate(description, MAX_DESCRIPTION_LENGTH),
+            buttons: [buildConsultButton(options)],
+        };
+    });
+
+    return {
+        version: "2.0",
+        template: {
+            outputs: [
+                {
+                    simpleText: {
+                        text: `⚖️ 모델 비교 - ${describeComparison(
+                            comparison
+                        )}`,
+                    },
+                },
+                { carousel: { type: CARD_TYPE, items } },
+            ],
+        },
+    };
+}
+
+// 최저가 순위 카드 (채널별 1위에는 🏆 표시)
+function buildRankedCards(rankedRecords, options) {
+    const bestByChannel = findBestByChannel(rankedRecords);
+
+    return rankedRecords.slice(0, MAX_CAROUSEL_ITEMS).map((record, index) => {
+        const offer = {
+            channel: record.channel,
+            telecom: record.telecom,
+            type: record.type,
+            record,
+            services: record.serviceInfo || [],
+        };
+        const capacity =
+            record.capacity && record.capacity !== "기본"
+                ? ` ${record.capacity}GB`
+                : "";
+        const medal = bestByChannel[record.channel] === record ? "🏆 " : "";
+
+        return buildOfferCard(offer, {
+            ...options,
+            title: `${medal}${index + 1}위 ${record.modelRaw}${capacity}`,
+            subtitle: `${getChannelIcon(record.channel)} ${record.telecom} ${
+                record.type
+            } (${record.channel})\n`,
+        });
+    });
+}
+
+// 예산 검색 모델별 최저가 카드
+function buildBudgetCards(bestOffers, options) {
+    return bestOffers.slice(0, MAX_CAROUSEL_ITEMS).map((record) => {
+        const capacity =
+            record.capacity && record.capacity !== "기본"
+                ? ` ${record.capacity}GB`
+                : "";
+
+        return buildOfferCard(
+            {
+                channel: record.channel,
+                telecom: record.telecom,
+                type: record.type,
+                record,
+                services: record.serviceInfo || [],
+            },
+            {
+                ...options,
+                title: `${record.modelRaw}${capacity}`,
+                subtitle: `최저가 ${getChannelIcon(record.channel)} ${
+                    record.telecom
+                } ${record.type} (${record.channel})\n`,
+            }
+        );
+    });
+}
+
+// 통신사/타입별 가격 카드
+// options.title, options.subtitle: 카드 제목과 설명 첫 줄을 바꿀 때 사용
+function buildOfferCard({ channel, telecom, type, record, services }, options) {
+    let description = options.subtitle || "";
+    description += `할부원금 ${parseInt(record.price).toLocaleString()}원\n`;
+    description += `요금제 월 ${parseInt(record.plan).toLocaleString()}원\n`;
+
+    const cost = calculateTotalCost(record, services, options);
+    description += `${cost.months}개월 총액 ${Math.min(
+        cost.withServices,
+        cost.withoutServices
+    ).toLocaleString()}원 (월 ${Math.min(
+        cost.monthlyWithServices,
+        cost.monthlyWithoutServices
+    ).toLocaleString()}원${
+        cost.cheaper ? `, 부가 ${cost.cheaper} 기준` : ""
+    })\n`;
+
+    if (services.length > 0) {
+        const commonDuration = getCommonDuration(services);
+        const serviceNames = services.map((service) =>
+            service.monthlyFee && service.monthlyFee !== "0"
+                ? `${service.serviceName} ${formatManwon(
+                      parseInt(service.monthlyFee)
+                  )}`
+                : service.serviceName
+        );
+        description += `부가서비스${
+            commonDuration ? ` (${commonDuration} 유지)` : ""
+        }: ${serviceNames.join(", ")}\n`;
+
+        const servicesWithAdditionalFee =
+            getServicesWithAdditionalFee(services);
+        if (servicesWithAdditionalFee.length > 0) {
+            description += `미가입 시: ${servicesWithAdditionalFee
+                .map(
+                    (service) =>
+                        `${service.serviceName} +${formatManwon(
+                            parseInt(service.additionalFee)
+                        )}`
+                )
+                .join(", ")}`;
+        }
+    }
+
+    return {
+        title:
+            options.title ||
+            `${getChannelIcon(channel)} ${telecom} ${type} (${channel})`,
+        description: truncate(description.trim(), MAX_DESCRIPTION_LENGTH),
+        buttons: [buildConsultButton(options)],
+    };
+}
+
+// 모델 목록 카드
+function buildModelListCard(matchingRecords) {
+    const uniqueModels = [...new Set(matchingRecords.map((r) => r.modelRaw))];
+
+    const items = uniqueModels.slice(0, MAX_LIST_ITEMS).map((model) => {
+        const capacities = [
+            ...new Set(
+                matchingRecords
+                    .filter((r) => r.modelRaw === model)
+                    .map((r) => r.capacity)
+                    .filter((capacity) => capacity !== "기본")
+            ),
+        ];
+
+        return {
+            title: model,
+            description:
+                capacities.length > 0
+                    ? `${capacities.join(", ")}GB`
+                    : "용량 정보 없음",
+            action: "message",
+            messageText: model,
+        };
+    });
+
+    const listCard = {
+        header: {
+            title: `📱 검색 결과 - ${uniqueModels.length}개 모델`,
+        },
+        items: items,
+    };
+
+    if (uniqueModels.length > MAX_LIST_ITEMS) {
+        listCard.buttons = [
+            {
+                label: `외 ${uniqueModels.length - MAX_LIST_ITEMS}개 모델`,
+                action: "message",
+                messageText: "모델명을 좀 더 자세히 말씀해주세요.",
+            },
+        ];
+    }
+
+    return listCard;
+}
+
+// 빠진 조건(용량 → 통신사 → 타입 → 채널) 중 첫 번째를 물어보는 질문과 바로가기 응답
+function buildSlotQuestion(parsedData, matchingRecords) {
+    const slot = SLOTS.find(({ field }) => !parsedData[field]);
+    if (!slot) return null;
+
+    const values = [
+        ...new Set(matchingRecords.map(slot.getValue).filter(Boolean)),
+    ];
+
+    // 고를 값이 하나뿐이면 물어볼 필요 없음
+    if (values.length < 2) return null;
+
+    return {
+        text: `📌 ${slot.question} 선택해주세요.`,
+        quickReplies: values.map((value) => ({
+            label: slot.format ? slot.format(value) : value,
+            messageText: describeQuery({ ...parsedData, [slot.field]: value }),
+        })),
+    };
+}
+
+// 상담 연결 버튼
+function buildConsultButton({ consultPhoneNumber } = {}) {
+    if (consultPhoneNumber) {
+        return {
+            label: "상담 연결",
+            action: "phone",
+            phoneNumber: consultPhoneNumber,
+        };
+    }
+    return {
+        label: "상담 연결",
+        action: "operator",
+    };
+}
+
+function toKakaoQuickReplies(quickReplies) {
+    return quickReplies.slice(0, MAX_QUICK_REPLIES).map((quickReply) => ({
+        action: "message",
+        label: truncate(quickReply.label, MAX_LABEL_LENGTH),
+        messageText: quickReply.messageText,
+    }));
+}
+
+function truncate(text, maxLength) {
+    return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
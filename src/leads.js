@@ -0,0 +1,373 @@
+import { getDb } from "./firestore.js";
+import { rankRecords, SORT_BY_PRICE } from "./ranking.js";
+import { getChannelIcon } from "./offers.js";
+import { hasPriceRange } from "./priceRange.js";
+
+// 구매 신청(상담 신청) 접수
+// 카카오 대화에서 상품 → 이름 → 연락처 → 희망 시간 순으로 물어보고,
+// 다 받으면 leads 컬렉션에 저장한 뒤 직원에게 알립니다.
+// 진행 중인 신청서(draft)는 사용자별로 leadDrafts 컬렉션에 저장합니다.
+
+const LEAD_COLLECTION = "leads";
+const LEAD_DRAFT_COLLECTION = "leadDrafts";
+const DEFAULT_DRAFT_TTL_MS = 30 * 60 * 1000;
+
+// 신청 상태
+export const LEAD_STATUS_NEW = "new";
+
+// 한 번에 고를 수 있게 보여주는 최대 상품 수
+export const MAX_LEAD_OFFERS = 5;
+
+// 신청 단계
+const STEP_OFFER = "offer";
+const STEP_NAME = "name";
+const STEP_PHONE = "phone";
+const STEP_VISIT_TIME = "visitTime";
+
+// "신청", "구매 신청할게요", "상담 예약", "개통하고 싶어요"
+const START_PATTERN =
+    /(구매|가입|개통|상담|방문|구입)\s*(신청|예약|접수|하고\s*싶|할게|할래)|신청\s*(할게|할래|하기|하고\s*싶|해\s*주세요|해줘)|^\s*(신청|상담)\s*(요|이요)?\s*$/;
+const CANCEL_PATTERN = /^\s*(신청\s*)?(취소|그만|안\s*할래|안할게)/;
+
+// 신청 문구를 지운 나머지 (모델/통신사 조건 파싱용)
+const START_WORDS =
+    /(구매|가입|개통|상담|방문|구입)?\s*(신청|예약|접수)\s*(할게요?|할래요?|하기|하고\s*싶어요?|해\s*주세요|해줘)?|(구매|가입|개통|상담|방문|구입)\s*(하고\s*싶어요?|할게요?|할래요?)/g;
+
+// 신청 중에도 가격 질문으로 보는 표현 ("아이폰 가격", "S25 얼마예요?")
+const PRICE_QUESTION_PATTERN = /가격|얼마|시세|할부\s*원금|요금제/;
+
+// 이름: 한글/영문 2~20자
+const NAME_PATTERN = /^[가-힣a-zA-Z][가-힣a-zA-Z\s]{0,18}[가-힣a-zA-Z]$/;
+
+// 희망 시간 최대 길이
+const MAX_VISIT_TIME_LENGTH = 50;
+
+// 신청 관련 요청 종류: "start" | null
+export function getLeadCommand(userInput) {
+    return START_PATTERN.test(userInput) ? "start" : null;
+}
+
+// 신청 문구를 지운 나머지
+export function stripLeadText(userInput) {
+    return userInput.replace(START_WORDS, " ").replace(/\s+/g, " ").trim();
+}
+
+// 휴대폰 번호 정규화 ("01012345678", "010 1234 5678" → "010-1234-5678", 잘못된 번호는 null)
+export function normalizePhoneNumber(text) {
+    const digits = text.toString().replace(/[\s\-.()]/g, "");
+    const match = digits.match(/^(01[016789])(\d{3,4})(\d{4})$/);
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+// 레코드 → 신청 상품 정보
+export function toLeadOffer(record) {
+    return {
+        model: record.modelRaw,
+        capacity:
+            record.capacity && record.capacity !== "기본"
+                ? record.capacity
+                : null,
+        telecom: record.telecom,
+        type: record.type,
+        channel: record.channel,
+        price: parseInt(record.price, 10) || 0,
+        plan: parseInt(record.plan, 10) || 0,
+        services: (record.serviceInfo || []).map(
+            (service) => service.serviceName
+        ),
+    };
+}
+
+// 신청할 수 있는 상품 목록 (모델/용량/통신사/타입/채널마다 가장 싼 상품, 싼 순서)
+export function findLeadOffers(matchingRecords) {
+    const seen = new Set();
+    return rankRecords(matchingRecords, SORT_BY_PRICE)
+        .filter((record) => {
+            const key = [
+                record.modelRaw,
+                record.capacity,
+                record.telecom,
+                record.type,
+                record.channel,
+            ].join("|");
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        })
+        .map(toLeadOffer);
+}
+
+// 상품 한 줄 요약 ("갤럭시 S25 256GB · SK 번호이동 (온라인) · 할부원금 350,000원")
+export function describeLeadOffer(offer) {
+    const capacity = offer.capacity ? ` ${offer.capacity}GB` : "";
+    return `${offer.model}${capacity} · ${offer.telecom} ${offer.type} (${
+        offer.channel
+    }) · 할부원금 ${offer.price.toLocaleString()}원`;
+}
+
+// 신청 시작
+// offers: findLeadOffers 결과 (현재 검색 조건에 맞는 상품)
+// 반환: { draft, text, quickReplies } (신청할 상품이 없으면 draft는 null)
+export function startLead(offers) {
+    if (offers.length === 0) {
+        return {
+            draft: null,
+            text: '신청할 상품을 찾을 수 없습니다.\n먼저 원하는 상품을 검색해주세요.\n\n💡 예시: "S25 256 SK 번이 신청"',
+            quickReplies: [],
+        };
+    }
+
+    if (offers.length === 1) {
+        return askName({ offer: offers[0] });
+    }
+
+    const candidates = offers.slice(0, MAX_LEAD_OFFERS);
+    let text = `📝 신청할 상품을 골라주세요.\n\n`;
+    candidates.forEach((offer, index) => {
+        text += `${index + 1}. ${describeLeadOffer(offer)}\n`;
+    });
+    if (offers.length > MAX_LEAD_OFFERS) {
+        text += `\n찾는 상품이 없으면 통신사/가입 유형/용량을 함께 말씀해주세요.`;
+    }
+    text += `\n💡 "취소"라고 말하면 신청을 그만둡니다.`;
+
+    return {
+        draft: { step: STEP_OFFER, candidates },
+        text,
+        quickReplies: candidates.map((offer, index) => ({
+            label: `${index + 1}. ${offer.telecom} ${offer.type}`,
+            messageText: `${index + 1}`,
+        })),
+    };
+}
+
+function askName(draft) {
+    return {
+        draft: { ...draft, step: STEP_NAME },
+        text: `📝 ${describeLeadOffer(
+            draft.offer
+        )}\n\n신청하시는 분의 성함을 알려주세요.\n💡 "취소"라고 말하면 신청을 그만둡니다.`,
+        quickReplies: [],
+    };
+}
+
+// 진행 중인 신청서에 대한 답변인지
+// 신청 중에도 상품을 묻는 질문("아이폰 가격", "최저가")은 답변으로 보지 않습니다.
+// 이름/희망 시간은 자유 문장이라서("내일 16시", "12월 14일 오후") 가격을 직접 묻는 경우만 질문으로 봅니다.
+// parsedData: 규칙 기반 파서로 읽은 검색 조건
+export function isLeadAnswer(draft, userInput, parsedData) {
+    const answer = userInput.trim();
+
+    if (CANCEL_PATTERN.test(answer)) return true;
+    if (
+        draft.step === STEP_OFFER &&
+        draft.candidates[parseInt(answer, 10) - 1]
+    ) {
+        return true;
+    }
+    if (draft.step === STEP_PHONE && normalizePhoneNumber(answer)) return true;
+
+    const isPriceCommand =
+        PRICE_QUESTION_PATTERN.test(answer) ||
+        Boolean(parsedData?.정렬) ||
+        Boolean(parsedData && hasPriceRange(parsedData));
+    if (draft.step === STEP_NAME || draft.step === STEP_VISIT_TIME) {
+        return !isPriceCommand;
+    }
+
+    return !(isPriceCommand || parsedData?.브랜드 || parsedData?.기본모델);
+}
+
+// 신청 문구로 신청서를 새로 시작할 수 있는지
+// 이름을 받기 시작한 뒤에는 "오후 3시에 상담 예약할게요"처럼 신청 문구가 들어간 답변으로
+// 이미 받은 정보를 잃지 않도록 새로 시작하지 않습니다.
+export function canRestartLead(draft) {
+    return !draft || draft.step === STEP_OFFER;
+}
+
+// 진행 중인 신청에 답변 반영
+// 반환: { draft, text, quickReplies, lead }
+// - draft: 다음 단계 신청서 (끝났거나 취소하면 null)
+// - lead: 모든 정보를 받으면 저장할 신청 정보 ({ name, phone, offer, visitTime })
+export function advanceLead(draft, userInput) {
+    const answer = userInput.trim();
+
+    if (CANCEL_PATTERN.test(answer)) {
+        return {
+            draft: null,
+            text: "신청을 취소했습니다. 다른 상품이 궁금하시면 말씀해주세요.",
+            quickReplies: [],
+        };
+    }
+
+    switch (draft.step) {
+        case STEP_OFFER: {
+            const index = parseInt(answer, 10) - 1;
+            const offer = draft.candidates[index];
+            if (!offer) {
+                return retry(
+                    draft,
+                    `1~${draft.candidates.length} 중 신청할 상품 번호를 골라주세요.`,
+                    draft.candidates.map((candidate, i) => ({
+                        label: `${i + 1}. ${candidate.telecom} ${
+                            candidate.type
+                        }`,
+                        messageText: `${i + 1}`,
+                    }))
+                );
+            }
+            return askName({ offer });
+        }
+        case STEP_NAME: {
+            if (!NAME_PATTERN.test(answer)) {
+                return retry(
+                    draft,
+                    "성함을 한글 또는 영문으로 알려주세요. (2~20자)"
+                );
+            }
+            return {
+                draft: { ...draft, step: STEP_PHONE, name: answer },
+                text: `${answer}님, 연락받으실 휴대폰 번호를 알려주세요.\n(예: 010-1234-5678)`,
+                quickReplies: [],
+            };
+        }
+        case STEP_PHONE: {
+            const phone = normalizePhoneNumber(answer);
+            if (!phone) {
+                return retry(
+                    draft,
+                    "휴대폰 번호를 다시 확인해주세요. (예: 010-1234-5678)"
+                );
+            }
+            const question =
+                draft.offer.channel === "내방"
+                    ? "매장 방문을 원하시는 날짜와 시간을 알려주세요."
+                    : "상담 전화를 받기 편한 시간을 알려주세요.";
+            return {
+                draft: { ...draft, step: STEP_VISIT_TIME, phone },
+                text: `${question}\n(예: 토요일 오후 2시)`,
+                quickReplies: [{ label: "상관없음", messageText: "상관없음" }],
+            };
+        }
+        default: {
+            if (!answer) {
+                return retry(draft, "희망 시간을 알려주세요.");
+            }
+            const lead = {
+                name: draft.name,
+                phone: draft.phone,
+                offer: draft.offer,
+                visitTime: answer.slice(0, MAX_VISIT_TIME_LENGTH),
+            };
+            return {
+                draft: null,
+                lead,
+                text: formatLeadConfirmation(lead),
+                quickReplies: [],
+            };
+        }
+    }
+}
+
+function retry(draft, text, quickReplies = []) {
+    return { draft, text, quickReplies };
+}
+
+// 접수 완료 안내 문구 (고객용)
+export function formatLeadConfirmation(lead) {
+    let text = `✅ 신청이 접수되었습니다.\n\n`;
+    text += `${describeLeadOffer(lead.offer)}\n`;
+    text += `이름: ${lead.name}\n`;
+    text += `연락처: ${lead.phone}\n`;
+    text += `희망 시간: ${lead.visitTime}\n\n`;
+    text += `담당자가 확인 후 연락드리겠습니다.`;
+    return text;
+}
+
+// 직원 알림 문구
+export function formatLeadNotification(lead) {
+    const { offer } = lead;
+    let text = `📝 새 구매 신청\n\n`;
+    text += `${lead.name} / ${lead.phone}\n`;
+    text += `희망 시간: ${lead.visitTime}\n\n`;
+    text += `${getChannelIcon(offer.channel)} ${offer.model}${
+        offer.capacity ? ` ${offer.capacity}GB` : ""
+    }\n`;
+    text += `${offer.telecom} ${offer.type} (${offer.channel})\n`;
+    text += `할부원금 ${offer.price.toLocaleString()}원 / 요금제 월 ${offer.plan.toLocaleString()}원`;
+    if (offer.services.length > 0) {
+        text += `\n부가서비스: ${offer.services.join(", ")}`;
+    }
+    return text;
+}
+
+// 진행 중인 신청서 불러오기 (만료됐거나 없으면 null)
+export async function loadLeadDraft(userId, options = {}) {
+    const { ttlMs = DEFAULT_DRAFT_TTL_MS } = options;
+
+    try {
+        const doc = await getDb()
+            .collection(LEAD_DRAFT_COLLECTION)
+            .doc(userId)
+            .get();
+        if (!doc.exists) return null;
+
+        const { draft, updatedAt } = doc.data();
+        return Date.now() - updatedAt > ttlMs ? null : draft;
+    } catch (error) {
+        console.error("신청서 불러오기 실패:", error.message);
+        return null;
+    }
+}
+
+// 진행 중인 신청서 저장 (draft가 null이면 삭제)
+// expiresAt 필드에 Firestore TTL 정책을 걸면 만료된 문서가 자동으로 삭제됩니다.
+export async function saveLeadDraft(userId, draft, options = {}) {
+    const { ttlMs = DEFAULT_DRAFT_TTL_MS } = options;
+
+    try {
+        const ref = getDb().collection(LEAD_DRAFT_COLLECTION).doc(userId);
+        if (!draft) {
+            await ref.delete();
+            return;
+        }
+
+        const now = Date.now();
+        await ref.set({
+            draft,
+            updatedAt: now,
+            expiresAt: new Date(now + ttlMs),
+        });
+    } catch (error) {
+        console.error("신청서 저장 실패:", error.message);
+    }
+}
+
+// 신청 저장
+export async function createLead(userId, lead) {
+    const ref = await getDb()
+        .collection(LEAD_COLLECTION)
+        .add({
+            userId,
+            ...lead,
+            status: LEAD_STATUS_NEW,
+            createdAt: Date.now(),
+        });
+    return ref.id;
+}
+
+// 신청 목록 (최근 순)
+// status가 있으면 해당 상태만
+export async function listLeads({ status = null, limit = 50 } = {}) {
+    const collection = getDb().collection(LEAD_COLLECTION);
+
+    // 상태와 시간 정렬을 함께 쓰면 복합 색인이 필요하므로, 상태로 거른 뒤 메모리에서 정렬
+    const snapshot = status
+        ? await collection.where("status", "==", status).get()
+        : await collection.orderBy("createdAt", "desc").limit(limit).get();
+
+    return snapshot.docs
+        .map((doc) => ({ id: doc.id, ...doc.data() }))
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .slice(0, limit);
+}
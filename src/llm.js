@@ -0,0 +1,178 @@
+import { OpenAI } from "openai";
+
+// LLM 제공자
+// 제공자는 모두 같은 메서드를 가집니다:
+//   generate({ system, user, schema, schemaName, signal }) → JSON 응답 (파싱된 객체)
+// type: "openai" | "fake"
+//   openai: OpenAI 또는 OpenAI 호환 API (OPENAI_BASE_URL로 주소 변경)
+//   fake: 네트워크 없이 reply 함수의 결과를 돌려주는 로컬 제공자 (테스트/에뮬레이터용)
+export function createLlmProvider({
+    type = "openai",
+    apiKey,
+    model = "gpt-4o-mini",
+    baseURL,
+    outputMode = "json_schema",
+    reply,
+} = {}) {
+    switch (type) {
+        case "fake":
+            return createFakeProvider(reply);
+        default:
+            if (!apiKey) {
+                throw new Error("openai 제공자에는 API 키가 필요합니다.");
+            }
+            return createOpenAIProvider({ apiKey, model, baseURL, outputMode });
+    }
+}
+
+// OpenAI 제공자
+// outputMode: "json_schema" (구조화 출력) 또는 "tool" (함수 호출로 스키마 강제)
+function createOpenAIProvider({ apiKey, model, baseURL, outputMode }) {
+    // 재시도와 제한 시간은 generateStructured에서 처리
+    const client = new OpenAI({
+        apiKey,
+        ...(baseURL ? { baseURL } : {}),
+        maxRetries: 0,
+    });
+
+    return {
+        type: "openai",
+        model,
+
+        async generate({ system, user, schema, schemaName, signal }) {
+            const request = {
+                model,
+                messages: [
+                    { role: "system", content: system },
+                    { role: "user", content: user },
+                ],
+                temperature: 0,
+            };
+
+            if (outputMode === "tool") {
+                request.tools = [
+                    {
+                        type: "function",
+                        function: {
+                            name: schemaName,
+                            parameters: schema,
+                            strict: true,
+                        },
+                    },
+                ];
+                request.tool_choice = {
+                    type: "function",
+                    function: { name: schemaName },
+                };
+            } else {
+                request.response_format = {
+                    type: "json_schema",
+                    json_schema: { name: schemaName, schema, strict: true },
+                };
+            }
+
+            const completion = await client.chat.completions.create(request, {
+                signal,
+            });
+            const message = completion.choices[0]?.message || {};
+            const content =
+                outputMode === "tool"
+                    ? message.tool_calls?.[0]?.function?.arguments
+                    : message.content;
+
+            if (message.refusal) {
+                throw new Error(`LLM 응답 거부: ${message.refusal}`);
+            }
+            return parseJson(content);
+        },
+    };
+}
+
+// 로컬 가짜 제공자
+// reply({ system, user, schema }): 객체 또는 JSON 문자열을 돌려주는 함수 (Promise 가능)
+// signal이 중단되면 응답을 기다리지 않고 실패합니다.
+function createFakeProvider(reply = () => ({})) {
+    return {
+        type: "fake",
+        model: "fake",
+
+        async generate({ system, user, schema, signal }) {
+            const result = await abortable(
+                Promise.resolve().then(() => reply({ system, user, schema })),
+                signal
+            );
+            return typeof result === "string" ? parseJson(result) : result;
+        },
+    };
+}
+
+function abortable(promise, signal) {
+    if (!signal) return promise;
+    if (signal.aborted) return Promise.reject(abortError(signal));
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(abortError(signal));
+        signal.addEventListener("abort", onAbort, { once: true });
+        promise.then(
+            (value) => {
+                signal.removeEventListener("abort", onAbort);
+                resolve(value);
+            },
+            (error) => {
+                signal.removeEventListener("abort", onAbort);
+                reject(error);
+            }
+        );
+    });
+}
+
+function abortError(signal) {
+    return signal.reason instanceof Error
+        ? signal.reason
+        : new Error("LLM 요청이 중단되었습니다.");
+}
+
+// 응답 텍스트를 JSON으로 (코드 블록으로 감싼 응답도 허용)
+function parseJson(content) {
+    if (!content) {
+        throw new Error("LLM 응답이 비어 있습니다.");
+    }
+    const text = content
+        .toString()
+        .trim()
+        .replace(/^```(?:json)?\s*|\s*```$/g, "");
+    try {
+        return JSON.parse(text);
+    } catch {
+        throw new Error(`LLM 응답을 JSON으로 읽을 수 없습니다: ${text}`);
+    }
+}
+
+// 스키마에 맞는 구조화 응답 요청
+// 요청마다 제한 시간을 두고, 실패(시간 초과, API 오류, 검증 실패)하면 retries번 다시 시도합니다.
+// validate(value): 응답 검증/정규화 함수 (잘못된 응답이면 throw)
+export async function generateStructured(
+    provider,
+    request,
+    { timeoutMs = 10000, retries = 1, validate = (value) => value } = {}
+) {
+    let lastError;
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+        try {
+            const value = await provider.generate({
+                ...request,
+                signal: AbortSignal.timeout(timeoutMs),
+            });
+            return validate(value);
+        } catch (error) {
+            lastError = error;
+            console.error(
+                `LLM 요청 실패 (${attempt + 1}/${retries + 1}):`,
+                error.message
+            );
+        }
+    }
+
+    throw lastError;
+}
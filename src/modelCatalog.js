@@ -0,0 +1,273 @@
+// 모델 카탈로그
+// 시트의 모델명으로 만든 모델 목록과, 파서/매처가 함께 쓰는 브랜드/별칭 표
+
+// 브랜드 정의
+// pattern: 모델명이나 질문에 나오는 브랜드 표기
+// series: 브랜드 없이 쓴 모델명(정규화 후)으로 브랜드를 판단하는 규칙
+export const BRANDS = [
+    {
+        name: "픽셀",
+        pattern: /픽셀|pixel|구글|google/,
+        series: /^픽셀/,
+    },
+    {
+        name: "갤럭시",
+        pattern: /갤럭시|겔럭시|갤력시|갤러시|galaxy|삼성|samsung/,
+        series: /^(s|a|m|z|노트|플립|폴드|퀀텀|와이드|버디|점프)\d/,
+    },
+    {
+        name: "아이폰",
+        pattern: /아이폰|아이펀|iphone|애플|apple/,
+        series: /^(\d|se|에어)/,
+    },
+];
+
+// 별칭 표: 줄임말/영문 표기를 시트에서 쓰는 한글 표기로 통일
+// 새 줄임말은 여기에 추가합니다. (긴 표기를 먼저 둡니다: pro max → pro)
+export const MODEL_ALIASES = [
+    [/갤\s*폴드|갤폴/g, "폴드"],
+    [/갤\s*플립|갤플/g, "플립"],
+    [/프맥/g, "프로맥스"],
+    [/(?<=\d)\s*pm(?![a-z])/g, "프로맥스"],
+    [/(?<=s\d{2})\s*u(?![a-z])/g, "울트라"],
+    [/\+/g, "플러스"],
+    [/pro\s*max/g, "프로맥스"],
+    [/plus/g, "플러스"],
+    [/ultra/g, "울트라"],
+    [/edge/g, "엣지"],
+    [/mini/g, "미니"],
+    [/air/g, "에어"],
+    [/pro/g, "프로"],
+    [/max/g, "맥스"],
+    [/flip/g, "플립"],
+    [/fold/g, "폴드"],
+    [/pixel/g, "픽셀"],
+];
+
+// 모델 비교에 사용하지 않는 브랜드 단어 (브랜드는 따로 필터링)
+// 픽셀은 모델명의 일부("픽셀9")로 남겨둡니다.
+const BRAND_WORDS = /갤럭시|galaxy|삼성|samsung|아이폰|iphone|애플|apple/g;
+
+// 시트에 없어도 모델 번호로 인식하는 아이폰 번호
+const DEFAULT_IPHONE_NUMBERS = ["11", "12", "13", "14", "15", "16", "17"];
+
+// 별칭 표 적용 (소문자 텍스트 기준)
+export function applyModelAliases(text) {
+    let result = text;
+    for (const [pattern, replacement] of MODEL_ALIASES) {
+        result = result.replace(pattern, replacement);
+    }
+    return result;
+}
+
+// 모델명 정규화 함수
+// "갤럭시 Z플립6" → "플립6", "iPhone 16 Pro Max" → "16프로맥스", "S24+" → "s24플러스"
+export function normalizeModelName(modelName) {
+    return applyModelAliases(modelName.toString().toLowerCase())
+        .replace(BRAND_WORDS, "")
+        .replace(/z\s*(플립|폴드)/g, "$1")
+        .replace(/\s+/g, "")
+        .replace(/[^a-z0-9ㄱ-ㅎ가-힣]/g, "");
+}
+
+// 정규화된 모델명을 시리즈/번호/옵션으로 분리
+// "s25울트라" → { series: "s", number: "25", option: "울트라" }
+export function splitModelKey(modelKey) {
+    const match = modelKey.match(/^(\D*)(\d+)(.*)$/);
+    if (!match) {
+        return { series: modelKey, number: "", option: "" };
+    }
+    return { series: match[1], number: match[2], option: match[3] };
+}
+
+// 브랜드 표기 통일 ("Galaxy" → "갤럭시", "구글" → "픽셀"), 모르는 브랜드는 그대로
+export function normalizeBrand(brand) {
+    if (!brand) return null;
+    const text = brand.toString().toLowerCase();
+    const found = BRANDS.find(({ pattern }) => pattern.test(text));
+    return found ? found.name : brand;
+}
+
+// 모델명으로 브랜드 판단 (모르면 null)
+// "갤럭시 S25" → "갤럭시", "Z플립6" → "갤럭시", "16 프로" → "아이폰", "픽셀 9" → "픽셀"
+export function detectBrand(modelName) {
+    if (!modelName) return null;
+    const text = modelName.toString().toLowerCase();
+
+    const byName = BRANDS.find(({ pattern }) => pattern.test(text));
+    if (byName) return byName.name;
+
+    const key = normalizeModelName(modelName);
+    const bySeries = BRANDS.find(({ series }) => series.test(key));
+    return bySeries ? bySeries.name : null;
+}
+
+// 브랜드와 기본모델을 합친 표시 이름 ("갤럭시 S25", "아이폰 16", "픽셀9")
+// 기본모델에 브랜드 단어가 이미 있으면 브랜드를 붙이지 않습니다.
+export function formatModelName(brand, baseModel) {
+    if (!baseModel) return brand || "";
+    if (!brand || detectBrandByName(baseModel)) return baseModel;
+    if (normalizeModelName(baseModel).startsWith(brand)) return baseModel;
+    return `${brand} ${baseModel}`;
+}
+
+function detectBrandByName(modelName) {
+    const text = modelName.toString().toLowerCase();
+    return BRANDS.some(({ pattern }) => pattern.test(text));
+}
+
+// 용량 표기 통일 (시트, 규칙 파서, LLM 파서가 함께 사용)
+// 첫 번째 숫자만 남기고, TB는 시트 표기처럼 TB 숫자로 씁니다.
+// "256GB" → "256", "1TB (1024GB)" → "1", "1024기가" → "1" (숫자가 없으면 null)
+export function normalizeCapacityValue(value) {
+    if (value === null || value === undefined) return null;
+    const match = value.toString().match(/\d+/);
+    if (!match) return null;
+
+    const number = parseInt(match[0], 10);
+    return number >= 1024 && number % 1024 === 0
+        ? String(number / 1024)
+        : match[0];
+}
+
+// 용량 값 중 이 값 이하는 TB 단위 ("1" → 1TB, normalizeCapacityValue 참고)
+const MAX_TB_CAPACITY = 4;
+
+function isTerabyteCapacity(capacity) {
+    return Number(capacity) <= MAX_TB_CAPACITY;
+}
+
+// 정렬용 GB 단위 용량 ("256" → 256, "1" → 1024)
+function capacityInGigabytes(capacity) {
+    const number = Number(capacity);
+    return isTerabyteCapacity(capacity) ? number * 1024 : number;
+}
+
+// 용량 목록 표시 ("128/256GB", "256/512GB/1TB")
+function formatCapacities(capacities) {
+    const gigabytes = capacities.filter((c) => !isTerabyteCapacity(c));
+    const terabytes = capacities.filter(isTerabyteCapacity);
+    return [
+        gigabytes.length > 0 ? `${gigabytes.join("/")}GB` : null,
+        terabytes.length > 0 ? `${terabytes.join("/")}TB` : null,
+    ]
+        .filter(Boolean)
+        .join("/");
+}
+
+// 시트 레코드로 모델 카탈로그 생성 (같은 정규화 모델명은 하나로)
+// 반환: [{ brand, name, key, baseModel, option, capacities }] (브랜드 → 모델명 순)
+export function buildModelCatalog(allRecords) {
+    const models = new Map();
+
+    allRecords.forEach((record) => {
+        const key = record.modelNorm || normalizeModelName(record.modelRaw);
+        if (!key) return;
+
+        if (!models.has(key)) {
+            const { series, number, option } = splitModelKey(key);
+            models.set(key, {
+                brand: record.brand || detectBrand(record.modelRaw),
+                name: record.modelRaw,
+                key,
+                baseModel: `${series.toUpperCase()}${number}`,
+                option,
+                capacities: [],
+            });
+        }
+
+        const model = models.get(key);
+        if (
+            record.capacity &&
+            record.capacity !== "기본" &&
+            !model.capacities.includes(record.capacity)
+        ) {
+            model.capacities.push(record.capacity);
+        }
+    });
+
+    const brandOrder = (brand) => {
+        const index = BRANDS.findIndex(({ name }) => name === brand);
+        return index < 0 ? BRANDS.length : index;
+    };
+
+    return [...models.values()]
+        .map((model) => ({
+            ...model,
+            capacities: model.capacities.sort(
+                (a, b) => capacityInGigabytes(a) - capacityInGigabytes(b)
+            ),
+        }))
+        .sort(
+            (a, b) =>
+                brandOrder(a.brand) - brandOrder(b.brand) ||
+                a.name.localeCompare(b.name, "ko", { numeric: true })
+        );
+}
+
+// 같은 레코드 배열이면 카탈로그를 다시 만들지 않음 (시트 캐시가 같은 배열을 돌려줌)
+const catalogCache = new WeakMap();
+export function getModelCatalog(allRecords) {
+    if (!catalogCache.has(allRecords)) {
+        catalogCache.set(allRecords, buildModelCatalog(allRecords));
+    }
+    return catalogCache.get(allRecords);
+}
+
+// 아이폰 모델 번호 목록 (기본 번호 + 카탈로그에 있는 번호)
+export function getIphoneNumbers(catalog = []) {
+    const numbers = new Set(DEFAULT_IPHONE_NUMBERS);
+    catalog
+        .filter((model) => model.brand === "아이폰")
+        .forEach((model) => {
+            const { number } = splitModelKey(model.key);
+            if (number) numbers.add(number);
+        });
+    return [...numbers].sort((a, b) => a - b);
+}
+
+// 모델 목록 문의 ("어떤 모델 있어요?", "지원 모델 목록")
+const MODEL_LIST_PATTERN =
+    /(모델|기종)\s*(목록|리스트|종류|전체)|지원\s*(모델|기종|단말)|(어떤|무슨)\s*(모델|기종)|(모델|기종)\s*(뭐|뭐가|어떤\s*게)\s*있/;
+
+export function isModelListQuery(userInput) {
+    return MODEL_LIST_PATTERN.test(userInput);
+}
+
+// 모델 목록 응답에 표시할 최대 모델 수
+const MAX_LISTED_MODELS = 40;
+
+// 모델 목록 응답 생성 (brand가 있으면 해당 브랜드만)
+export function generateModelListResponse(catalog, brand = null) {
+    const models = brand
+        ? catalog.filter((model) => model.brand === normalizeBrand(brand))
+        : catalog;
+
+    if (models.length === 0) {
+        return `${brand ? `${brand} ` : ""}조회 가능한 모델이 없습니다.`;
+    }
+
+    let result = `📱 조회 가능한 ${
+        brand ? `${normalizeBrand(brand)} ` : ""
+    }모델 (${models.length}개)\n`;
+
+    let currentBrand;
+    models.slice(0, MAX_LISTED_MODELS).forEach((model) => {
+        if (model.brand !== currentBrand) {
+            currentBrand = model.brand;
+            result += `\n[${currentBrand || "기타"}]\n`;
+        }
+        result += `• ${model.name}`;
+        if (model.capacities.length > 0) {
+            result += ` (${formatCapacities(model.capacities)})`;
+        }
+        result += `\n`;
+    });
+
+    if (models.length > MAX_LISTED_MODELS) {
+        result += `... 외 ${models.length - MAX_LISTED_MODELS}개 모델\n`;
+    }
+
+    result += `\n💡 모델명과 용량을 말씀해주시면 가격을 안내해드립니다.`;
+    return result;
+}
@@ -0,0 +1,204 @@
+import stringSimilarity from "string-similarity";
+import {
+    normalizeModelName,
+    splitModelKey,
+    normalizeBrand,
+    detectBrand,
+} from "./modelCatalog.js";
+import { hasPriceRange, matchesPriceRange } from "./priceRange.js";
+
+export { normalizeModelName };
+
+// 서로 다른 옵션으로 취급할 옵션 목록 (예: 프로 ≠ 프로맥스)
+const KNOWN_OPTIONS = [
+    "프로",
+    "프로맥스",
+    "플러스",
+    "울트라",
+    "엣지",
+    "미니",
+    "에어",
+    "se",
+    "fe",
+    "e",
+];
+
+// 이 점수 미만인 레코드는 검색 결과에서 제외
+const MIN_MATCH_SCORE = 0.4;
+
+// 문자열 유사도 (0 ~ 1)
+function similarity(a, b) {
+    if (a === b) return 1;
+    return stringSimilarity.compareTwoStrings(a, b);
+}
+
+// 기본모델 점수: 번호는 정확히 일치해야 하고 시리즈명은 오타를 허용
+function scoreBaseModel(queryBase, recordModel) {
+    if (queryBase.number && queryBase.number !== recordModel.number) {
+        return 0;
+    }
+
+    const seriesScore = similarity(queryBase.series, recordModel.series);
+
+    // "플립"처럼 번호 없이 물어본 경우 모든 번호를 후보로 두되 점수를 약간 낮춤
+    return queryBase.number ? seriesScore : seriesScore * 0.9;
+}
+
+// 옵션 점수
+function scoreOption(queryOption, recordOption) {
+    if (queryOption === recordOption) return 1;
+
+    // 옵션 없이 물어본 경우 기본 모델만 (플러스/울트라/프로 등 제외)
+    if (!queryOption || !recordOption) return 0;
+
+    // 알려진 옵션끼리는 정확히 일치해야 함 (프로 ≠ 프로맥스, SE ≠ FE)
+    if (
+        KNOWN_OPTIONS.includes(queryOption) &&
+        KNOWN_OPTIONS.includes(recordOption)
+    ) {
+        return 0;
+    }
+
+    return similarity(queryOption, recordOption);
+}
+
+// 파싱 결과와 레코드 모델의 일치 점수 (0 ~ 1)
+export function scoreModelMatch(parsedData, record) {
+    const { 기본모델, 옵션 } = parsedData;
+    const recordModel = splitModelKey(
+        record.modelNorm || normalizeModelName(record.modelRaw)
+    );
+    const queryOption = 옵션 ? normalizeModelName(옵션) : "";
+
+    if (!기본모델) {
+        // 옵션만 있는 경우 ("프로", "울트라")
+        return queryOption ? scoreOption(queryOption, recordModel.option) : 1;
+    }
+
+    const queryBase = splitModelKey(normalizeModelName(기본모델));
+
+    // 기본모델에 옵션이 붙어서 온 경우 ("S25울트라")
+    const option = queryOption || queryBase.option;
+
+    const baseScore = scoreBaseModel(queryBase, recordModel);
+    if (baseScore === 0) return 0;
+
+    // 번호 없이 시리즈만 물어본 경우 ("플립") 옵션 조건은 옵션이 있을 때만 적용
+    if (!queryBase.number && !option) return baseScore;
+
+    return baseScore * scoreOption(option, recordModel.option);
+}
+
+// 검색 및 응답 생성
+export function findMatchingRecords(parsedData, allRecords) {
+    const { 브랜드, 기본모델, 옵션, 용량, 통신사, 타입, 채널 } = parsedData;
+
+    console.log("검색 조건:", parsedData);
+    console.log("전체 레코드 수:", allRecords.length);
+
+    let filteredRecords = allRecords;
+
+    // 브랜드 필터링
+    if (브랜드) {
+        console.log(`브랜드 필터링 시작: ${브랜드}`);
+        const beforeBrandFilter = filteredRecords.length;
+
+        const brand = normalizeBrand(브랜드);
+        filteredRecords = filteredRecords.filter((record) => {
+            // 카탈로그로 브랜드를 알 수 없는 모델은 모델명에 브랜드가 있는지로 판단
+            const recordBrand = record.brand || detectBrand(record.modelRaw);
+            return recordBrand
+                ? recordBrand === brand
+                : record.modelRaw.toLowerCase().includes(브랜드.toLowerCase());
+        });
+
+        console.log(
+            `브랜드 필터링 완료: ${beforeBrandFilter} -> ${filteredRecords.length}`
+        );
+    }
+
+    // 모델 유사도 점수로 후보 순위 결정
+    if (기본모델 || 옵션) {
+        const beforeFilter = filteredRecords.length;
+
+        const scored = filteredRecords
+            .map((record) => ({
+                record,
+                score: scoreModelMatch(parsedData, record),
+            }))
+            .filter(({ score }) => score >= MIN_MATCH_SCORE);
+
+        // 가장 점수가 높은 모델(들)만 남김 (예: "프로" 검색 시 프로맥스 제외)
+        const bestScore = Math.max(0, ...scored.map(({ score }) => score));
+        filteredRecords = scored
+            .filter(({ score }) => score >= bestScore - 0.001)
+            .map(({ record }) => record);
+
+        console.log(
+            `모델 매칭 완료: ${beforeFilter} -> ${
+                filteredRecords.length
+            } (최고 점수 ${bestScore.toFixed(2)}, 후보: ${[
+                ...new Set(filteredRecords.map((r) => r.modelRaw)),
+            ].join(", ")})`
+        );
+    }
+
+    // 용량 필터링
+    if (용량) {
+        console.log(`용량 필터링 시작: ${용량}`);
+        const beforeCapacityFilter = filteredRecords.length;
+
+        filteredRecords = filteredRecords.filter(
+            (record) => record.capacity === 용량 || record.capacity === "기본"
+        );
+
+        console.log(
+            `용량 필터링 완료: ${beforeCapacityFilter} -> ${filteredRecords.length}`
+        );
+    }
+
+    // 통신사 필터링
+    if (통신사) {
+        filteredRecords = filteredRecords.filter(
+            (record) => record.telecom === 통신사
+        );
+    }
+
+    // 타입 필터링
+    if (타입) {
+        filteredRecords = filteredRecords.filter(
+            (record) => record.type === 타입
+        );
+    }
+
+    // 채널 필터링 (온라인/내방)
+    if (채널) {
+        filteredRecords = filteredRecords.filter(
+            (record) => record.channel === 채널
+        );
+    }
+
+    // 가격 조건 필터링 (할부원금/요금제 범위), 싼 순서로 정렬
+    if (hasPriceRange(parsedData)) {
+        const beforePriceFilter = filteredRecords.length;
+
+        filteredRecords = filteredRecords
+            .filter((record) => matchesPriceRange(record, parsedData))
+            .map((record, index) => ({ record, index }))
+            .sort(
+                (a, b) =>
+                    parseInt(a.record.price, 10) -
+                        parseInt(b.record.price, 10) ||
+                    parseInt(a.record.plan, 10) - parseInt(b.record.plan, 10) ||
+                    a.index - b.index
+            )
+            .map(({ record }) => record);
+
+        console.log(
+            `가격 조건 필터링 완료: ${beforePriceFilter} -> ${filteredRecords.length}`
+        );
+    }
+
+    console.log("검색 결과:", filteredRecords.length, "개");
+    return filteredRecords;
+}
@@ -0,0 +1,98 @@
+import { getDb } from "./firestore.js";
+
+// 알림 발송기
+// 발송기는 모두 send(notification) 메서드를 가집니다.
+// notification: { recipient, text, data, subject? }
+//   recipient: 받는 사람 (카카오 사용자 id 등), text: 알림 문구, data: 원본 데이터
+//   subject: 이메일 제목 (없으면 알림 문구의 첫 줄)
+
+// 설정에 맞는 발송기 생성
+// type: "webhook" | "email" | "log" | "fake"
+export function createNotificationSender({
+    type = "log",
+    webhookUrl,
+    emailTo,
+} = {}) {
+    switch (type) {
+        case "webhook":
+            if (!webhookUrl) {
+                throw new Error("webhook 발송기에는 URL이 필요합니다.");
+            }
+            return createWebhookSender(webhookUrl);
+        case "email":
+            if (!emailTo) {
+                throw new Error("email 발송기에는 받는 주소가 필요합니다.");
+            }
+            return createEmailSender(emailTo);
+        case "fake":
+            return createFakeSender();
+        default:
+            return createLogSender();
+    }
+}
+
+// 웹훅 발송기: 알림을 JSON으로 POST (카카오 이벤트 API, 슬랙 등으로 중계)
+export function createWebhookSender(webhookUrl) {
+    return {
+        async send(notification) {
+            const response = await fetch(webhookUrl, {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify(notification),
+            });
+            if (!response.ok) {
+                throw new Error(
+                    `웹훅 발송 실패: ${response.status} ${response.statusText}`
+                );
+            }
+        },
+    };
+}
+
+// 이메일 발송기: Firebase "Trigger Email" 확장 프로그램이 읽는 mail 컬렉션에 문서 추가
+// 확장 프로그램이 SMTP로 보내므로 함수에는 메일 계정 정보가 필요 없습니다.
+// emailTo: 받는 주소 (쉼표로 여러 개)
+export function createEmailSender(emailTo, options = {}) {
+    const { collection = "mail", db } = options;
+    const to = emailTo
+        .split(",")
+        .map((address) => address.trim())
+        .filter(Boolean);
+
+    return {
+        async send(notification) {
+            await (db || getDb()).collection(collection).add({
+                to,
+                message: {
+                    subject:
+                        notification.subject ||
+                        notification.text.split("\n")[0],
+                    text: notification.text,
+                },
+                createdAt: Date.now(),
+            });
+        },
+    };
+}
+
+// 로그 발송기: 실제로 보내지 않고 로그만 남김 (기본값)
+export function createLogSender() {
+    return {
+        async send(notification) {
+            console.log(
+                `[알림] ${notification.recipient}: ${notification.text}`
+            );
+        },
+    };
+}
+
+// 테스트용 발송기: 보낸 알림을 sent 배열에 보관
+export function createFakeSender() {
+    const sent = [];
+    return {
+        sent,
+        async send(notification) {
+            sent.push(notification);
+        },
+    };
+}
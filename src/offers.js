@@ -0,0 +1,93 @@
+// 검색된 레코드를 채널 → 통신사 → 타입 순으로 묶은 상품 목록
+// 반환: [{ channel, telecom, type, record, services }]
+// record는 그룹의 첫 번째 레코드, services는 그룹 전체의 부가서비스(중복 제거)
+export function groupOffers(matchingRecords) {
+    const offers = [];
+
+    const groupedByChannel = groupBy(matchingRecords, "channel");
+    Object.keys(groupedByChannel).forEach((channel) => {
+        const groupedByTelecom = groupBy(groupedByChannel[channel], "telecom");
+
+        Object.keys(groupedByTelecom).forEach((telecom) => {
+            const groupedByType = groupBy(groupedByTelecom[telecom], "type");
+
+            Object.keys(groupedByType).forEach((type) => {
+                const typeRecords = groupedByType[type];
+                if (typeRecords.length === 0) return;
+
+                offers.push({
+                    channel,
+                    telecom,
+                    type,
+                    record: typeRecords[0],
+                    services: collectServices(typeRecords),
+                });
+            });
+        });
+    });
+
+    return offers;
+}
+
+// 부가서비스 공통 유지기간
+export function getCommonDuration(services) {
+    const durations = services
+        .map((s) => s.duration)
+        .filter((d) => d && d !== "");
+    return durations.length > 0 ? durations[0] : "";
+}
+
+// 미가입 시 추가금이 있는 부가서비스
+export function getServicesWithAdditionalFee(services) {
+    return services.filter(
+        (service) =>
+            service.additionalFee &&
+            service.additionalFee !== "0" &&
+            service.additionalFee !== ""
+    );
+}
+
+// 금액을 "1만5000원" / "9,900원" 형식으로 표시
+export function formatManwon(fee) {
+    if (fee >= 10000) {
+        let text = `${Math.floor(fee / 10000)}만`;
+        if (fee % 10000 !== 0) {
+            text += `${fee % 10000}`;
+        }
+        return `${text}원`;
+    }
+    return `${fee.toLocaleString()}원`;
+}
+
+// 채널 아이콘
+export function getChannelIcon(channel) {
+    return channel === "온라인" ? "📦" : "🏬";
+}
+
+// 레코드들의 부가서비스 수집 (중복 제거)
+function collectServices(records) {
+    const uniqueServices = {};
+
+    records.forEach((r) => {
+        if (!r.serviceInfo || !Array.isArray(r.serviceInfo)) return;
+
+        r.serviceInfo.forEach((service) => {
+            const serviceKey = `${service.serviceName}_${service.monthlyFee}_${service.duration}_${service.additionalFee}`;
+            if (!uniqueServices[serviceKey]) {
+                uniqueServices[serviceKey] = service;
+            }
+        });
+    });
+
+    return Object.values(uniqueServices);
+}
+
+function groupBy(records, key) {
+    return records.reduce((acc, record) => {
+        if (!acc[record[key]]) {
+            acc[record[key]] = [];
+        }
+        acc[record[key]].push(record);
+        return acc;
+    }, {});
+}
@@ -0,0 +1,174 @@
+import { createHash } from "node:crypto";
+import { getDb } from "./firestore.js";
+
+// 질문 파싱 결과 캐시
+// 같은 문장(바로가기 버튼 문구, 자주 묻는 질문)은 LLM을 다시 호출하지 않고 이전 파싱 결과를 사용합니다.
+// 인스턴스별 메모리 LRU 캐시 + (선택) 인스턴스끼리 공유하는 Firestore 캐시
+
+const PARSE_CACHE_COLLECTION = "parseCache";
+const DEFAULT_MAX_ENTRIES = 500;
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+
+// 메모리 캐시 (key -> { parsedData, cachedAt }), Map 순서가 오래 사용하지 않은 순서
+const memoryCache = new Map();
+// 진행 중인 파싱 (같은 문장을 동시에 여러 번 파싱하지 않도록)
+const pendingParses = new Map();
+// 캐시 적중/실패 횟수 (인스턴스 시작 이후)
+const stats = { memoryHits: 0, firestoreHits: 0, misses: 0 };
+let lastMaxEntries = DEFAULT_MAX_ENTRIES;
+
+// 캐시 키로 쓰는 문장 정규화
+// 대소문자, 공백, 끝의 문장부호만 다른 문장은 같은 문장으로 봄
+// "아이폰 16 프로  256 SK 번이?" → "아이폰 16 프로 256 sk 번이"
+export function normalizeUtterance(text) {
+    return text
+        .toString()
+        .normalize("NFC")
+        .toLowerCase()
+        .replace(/\s+/g, " ")
+        .trim()
+        .replace(/[\s?!.~]+$/, "");
+}
+
+// 캐시 키 (Firestore 문서 ID로도 사용)
+// scope: 파싱 결과가 달라지는 조건 (모델, 카탈로그 등) - 바뀌면 다른 키가 됨
+export function getParseCacheKey(utterance, scope = "") {
+    return createHash("sha256")
+        .update(`${scope}\n${normalizeUtterance(utterance)}`)
+        .digest("hex");
+}
+
+// 캐시된 파싱 결과 가져오기 (없으면 parser()로 파싱해서 저장)
+// parser가 null을 돌려주면(파싱 실패) 저장하지 않습니다.
+// options: { scope, maxEntries (0이면 캐시 사용 안 함), ttlMs, useFirestore }
+export async function getCachedParse(utterance, parser, options = {}) {
+    const {
+        scope = "",
+        maxEntries = DEFAULT_MAX_ENTRIES,
+        ttlMs = DEFAULT_TTL_MS,
+        useFirestore = false,
+    } = options;
+    lastMaxEntries = maxEntries;
+
+    if (maxEntries <= 0) {
+        return parser();
+    }
+
+    const key = getParseCacheKey(utterance, scope);
+
+    const entry = memoryCache.get(key);
+    if (entry && Date.now() - entry.cachedAt < ttlMs) {
+        // 최근 사용한 항목을 맨 뒤로
+        memoryCache.delete(key);
+        memoryCache.set(key, entry);
+        stats.memoryHits++;
+        return { ...entry.parsedData };
+    }
+    memoryCache.delete(key);
+
+    if (pendingParses.has(key)) {
+        return copy(await pendingParses.get(key));
+    }
+
+    const parse = (async () => {
+        if (useFirestore) {
+            const stored = await readEntry(key, ttlMs);
+            if (stored) {
+                stats.firestoreHits++;
+                remember(key, stored, maxEntries);
+                return stored.parsedData;
+            }
+        }
+
+        stats.misses++;
+        const parsedData = await parser();
+        if (!parsedData) return null;
+
+        const newEntry = { parsedData, cachedAt: Date.now() };
+        remember(key, newEntry, maxEntries);
+        if (useFirestore) {
+            await writeEntry(key, utterance, scope, newEntry, ttlMs);
+        }
+        return parsedData;
+    })();
+
+    pendingParses.set(key, parse);
+    try {
+        return copy(await parse);
+    } finally {
+        pendingParses.delete(key);
+    }
+}
+
+function copy(parsedData) {
+    return parsedData ? { ...parsedData } : parsedData;
+}
+
+// 메모리 캐시에 저장하고 크기를 넘으면 가장 오래 사용하지 않은 항목부터 삭제
+function remember(key, entry, maxEntries) {
+    memoryCache.delete(key);
+    memoryCache.set(key, entry);
+    while (memoryCache.size > maxEntries) {
+        memoryCache.delete(memoryCache.keys().next().value);
+    }
+}
+
+// 메모리 캐시와 적중 횟수 초기화 (Firestore 캐시는 TTL로 만료)
+export function clearParseCache() {
+    memoryCache.clear();
+    stats.memoryHits = 0;
+    stats.firestoreHits = 0;
+    stats.misses = 0;
+}
+
+// 캐시 상태 조회 (관리용)
+export function getParseCacheStatus() {
+    const hits = stats.memoryHits + stats.firestoreHits;
+    const total = hits + stats.misses;
+    return {
+        size: memoryCache.size,
+        maxEntries: lastMaxEntries,
+        hits,
+        memoryHits: stats.memoryHits,
+        firestoreHits: stats.firestoreHits,
+        misses: stats.misses,
+        hitRate: total > 0 ? Math.round((hits / total) * 1000) / 1000 : 0,
+    };
+}
+
+// Firestore 캐시 읽기 (만료됐거나 없으면 null)
+async function readEntry(key, ttlMs) {
+    try {
+        const doc = await getDb()
+            .collection(PARSE_CACHE_COLLECTION)
+            .doc(key)
+            .get();
+        if (!doc.exists) return null;
+
+        const { parsedData, cachedAt } = doc.data();
+        if (Date.now() - cachedAt >= ttlMs) return null;
+        return { parsedData, cachedAt };
+    } catch (error) {
+        console.error("파싱 캐시 읽기 실패:", error.message);
+        return null;
+    }
+}
+
+// Firestore 캐시 저장
+// expiresAt 필드에 Firestore TTL 정책을 걸면 만료된 문서가 자동으로 삭제됩니다.
+async function writeEntry(key, utterance, scope, entry, ttlMs) {
+    try {
+        await getDb()
+            .collection(PARSE_CACHE_COLLECTION)
+            .doc(key)
+            .set({
+                utterance: normalizeUtterance(utterance),
+                scope,
+                parsedData: entry.parsedData,
+                cachedAt: entry.cachedAt,
+                expiresAt: new Date(entry.cachedAt + ttlMs),
+            });
+    } catch (error) {
+        console.error("파싱 캐시 저장 실패:", error.message);
+    }
+}
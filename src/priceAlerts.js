@@ -0,0 +1,218 @@
+import { getDb } from "./firestore.js";
+import { findMatchingRecords } from "./modelMatcher.js";
+import { describeQuery } from "./suggestions.js";
+import { getChannelIcon } from "./offers.js";
+
+const ALERT_COLLECTION = "priceAlerts";
+
+// 사용자당 등록할 수 있는 알림 수
+export const MAX_ALERTS_PER_USER = 5;
+
+// "가격 알려줘"는 일반 가격 문의이므로 "~되면 알려줘"처럼 조건이 붙은 경우만 알림 요청
+const ALERT_PATTERN =
+    /알림|알람|(되면|내리면|내려가면|떨어지면|이하면|이하로)\s*알려/;
+const CANCEL_PATTERN = /(알림|알람)\s*(취소|해제|삭제|끄기|그만)/;
+const LIST_PATTERN = /(알림|알람)\s*(목록|확인|내역|리스트)/;
+
+// "50만원", "79.9만 원", "700,000원" 등 목표 가격 표현
+const TARGET_PRICE_PATTERN =
+    /(\d+(?:\.\d+)?)\s*만\s*원?|(\d{1,3}(?:,\d{3})+|\d{4,})\s*원/;
+// 목표 가격 앞뒤에 붙는 표현 ("이하", "아래로", "되면")
+const TARGET_SUFFIX_PATTERN = /\s*(이하|아래|밑|미만|되면|떨어지면)\S*/;
+
+// 알림 관련 요청 종류: "create" | "cancel" | "list" | null
+export function getAlertCommand(userInput) {
+    if (CANCEL_PATTERN.test(userInput)) return "cancel";
+    if (LIST_PATTERN.test(userInput)) return "list";
+    if (ALERT_PATTERN.test(userInput)) return "create";
+    return null;
+}
+
+// 목표 가격 추출 (없으면 null)
+export function parseTargetPrice(userInput) {
+    const match = userInput.match(TARGET_PRICE_PATTERN);
+    if (!match) return null;
+
+    if (match[1]) {
+        return Math.round(parseFloat(match[1]) * 10000);
+    }
+    return parseInt(match[2].replace(/,/g, ""), 10);
+}
+
+// 알림 문구와 목표 가격을 지운 나머지 (모델/용량/통신사 파싱용)
+// 목표 가격 "15만원"이 아이폰 15로 인식되지 않도록 먼저 제거합니다.
+export function stripAlertText(userInput) {
+    return userInput
+        .replace(
+            new RegExp(
+                `(?:${TARGET_PRICE_PATTERN.source})${TARGET_SUFFIX_PATTERN.source}`
+            ),
+            " "
+        )
+        .replace(TARGET_PRICE_PATTERN, " ")
+        .replace(/(가격\s*)?(알림|알람)\s*(등록|설정|신청)?/g, " ")
+        .replace(
+            /(되면|내리면|내려가면|떨어지면|이하면|이하로)?\s*알려\s*(줘|주세요|줄래)\S*/g,
+            " "
+        )
+        .trim();
+}
+
+// 조건에 맞는 현재 최저 할부원금 레코드
+export function findLowestOffer(parsedData, allRecords) {
+    return findMatchingRecords(parsedData, allRecords).reduce(
+        (lowest, record) => {
+            const price = parseInt(record.price, 10);
+            if (Number.isNaN(price)) return lowest;
+            return !lowest || price < parseInt(lowest.price, 10)
+                ? record
+                : lowest;
+        },
+        null
+    );
+}
+
+// 등록된 알림 중 목표 가격 이하가 된 알림 찾기
+// 같은 알림은 지난번 알린 가격보다 더 내려갔을 때만 다시 알립니다.
+// 반환: [{ alert, record, price }]
+export function checkAlerts(alerts, allRecords) {
+    const triggered = [];
+
+    alerts.forEach((alert) => {
+        const record = findLowestOffer(alert.parsedData, allRecords);
+        if (!record) return;
+
+        const price = parseInt(record.price, 10);
+        const alreadyNotified =
+            alert.lastNotifiedPrice !== null &&
+            alert.lastNotifiedPrice !== undefined &&
+            price >= alert.lastNotifiedPrice;
+
+        if (price <= alert.targetPrice && !alreadyNotified) {
+            triggered.push({ alert, record, price });
+        }
+    });
+
+    return triggered;
+}
+
+// 가격 알림 문구
+export function formatAlertNotification({ alert, record, price }) {
+    let text = `🔔 가격 알림\n\n`;
+    text += `${describeQuery(
+        alert.parsedData
+    )} 할부원금이 ${price.toLocaleString()}원이 되었습니다.\n`;
+    text += `(목표 가격 ${alert.targetPrice.toLocaleString()}원)\n\n`;
+    text += `${getChannelIcon(record.channel)} ${record.telecom} ${
+        record.type
+    } (${record.channel}) · ${record.modelRaw}\n`;
+    text += `요금제 월 ${parseInt(record.plan).toLocaleString()}원`;
+    return text;
+}
+
+// 가격 변동을 찾은 알림 발송
+// 보낸 알림은 markNotified로 발송 가격을 기록해서 같은 가격으로 다시 보내지 않습니다.
+// 반환: 보낸 알림 수
+export async function sendAlertNotifications(
+    triggered,
+    sender,
+    { markNotified = markAlertNotified } = {}
+) {
+    let sentCount = 0;
+
+    for (const hit of triggered) {
+        try {
+            await sender.send({
+                recipient: hit.alert.userId,
+                text: formatAlertNotification(hit),
+                data: {
+                    alertId: hit.alert.id,
+                    targetPrice: hit.alert.targetPrice,
+                    price: hit.price,
+                    record: hit.record,
+                },
+            });
+            await markNotified(hit.alert.id, hit.price);
+            sentCount++;
+        } catch (error) {
+            console.error("가격 알림 발송 실패:", error.message);
+        }
+    }
+
+    return sentCount;
+}
+
+// 알림 발송기가 없을 때 알림 등록 요청 응답
+// (로그 발송기는 사용자에게 보내지 않으므로 알림을 받는 것처럼 안내하지 않음)
+export const ALERT_UNAVAILABLE_MESSAGE =
+    '🔔 가격 알림은 아직 준비 중이라 등록하지 않았어요.\n\n💡 "S25 가격 변동"처럼 물어보시면 최근 가격 변동을 알려드려요.';
+
+// 알림 목록 문구
+export function formatAlertList(alerts) {
+    if (alerts.length === 0) {
+        return '등록된 가격 알림이 없습니다.\n\n💡 예시: "S25 256 SK 번이 80만원 이하 알림"';
+    }
+
+    let text = `🔔 등록된 가격 알림 (${alerts.length}건)\n\n`;
+    alerts.forEach((alert, index) => {
+        text += `${index + 1}. ${describeQuery(
+            alert.parsedData
+        )} - ${alert.targetPrice.toLocaleString()}원 이하\n`;
+    });
+    text += `\n💡 "알림 취소"라고 말하면 모두 해제됩니다.`;
+    return text;
+}
+
+// 알림 등록
+export async function createAlert(userId, parsedData, targetPrice) {
+    const ref = await getDb().collection(ALERT_COLLECTION).add({
+        userId,
+        parsedData,
+        targetPrice,
+        active: true,
+        lastNotifiedPrice: null,
+        createdAt: Date.now(),
+    });
+    return ref.id;
+}
+
+// 사용자의 활성 알림 목록
+export async function listUserAlerts(userId) {
+    const snapshot = await getDb()
+        .collection(ALERT_COLLECTION)
+        .where("userId", "==", userId)
+        .where("active", "==", true)
+        .get();
+    return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+}
+
+// 사용자의 알림 모두 해제 (해제한 개수 반환)
+export async function cancelUserAlerts(userId) {
+    const alerts = await listUserAlerts(userId);
+    const db = getDb();
+    const batch = db.batch();
+    alerts.forEach((alert) => {
+        batch.update(db.collection(ALERT_COLLECTION).doc(alert.id), {
+            active: false,
+        });
+    });
+    await batch.commit();
+    return alerts.length;
+}
+
+// 전체 활성 알림 목록
+export async function listActiveAlerts() {
+    const snapshot = await getDb()
+        .collection(ALERT_COLLECTION)
+        .where("active", "==", true)
+        .get();
+    return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+}
+
+// 알림 발송 기록
+export async function markAlertNotified(alertId, price) {
+    await getDb().collection(ALERT_COLLECTION).doc(alertId).update({
+        lastNotifiedPrice: price,
+        lastNotifiedAt: Date.now(),
+    });
+}
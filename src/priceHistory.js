@@ -0,0 +1,256 @@
+import { findMatchingRecords, normalizeModelName } from "./modelMatcher.js";
+import { describeQuery } from "./suggestions.js";
+import { getChannelIcon } from "./offers.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_HISTORY_DAYS = 7;
+const MAX_LISTED_CHANGES = 15;
+
+// 가격 변동 문의 표현 ("S25 가격 변동", "어제보다 내렸어요?")
+const HISTORY_PATTERN =
+    /변동|내렸|내려갔|올랐|올라갔|떨어졌|인하|인상|어제보다|지난\s*주보다|가격\s*변경|변경\s*내역|바뀌었/;
+
+// 가격 변동 문의인지 확인
+export function isPriceHistoryQuery(userInput) {
+    return HISTORY_PATTERN.test(userInput);
+}
+
+// 문의에서 조회 기간(일) 추출
+// "어제" → 1, "일주일"/"지난주" → 7, "한 달" → 30, "3일" → 3, 그 외 기본 7일
+export function parseHistoryDays(userInput) {
+    const text = userInput.toString();
+    if (/어제|하루/.test(text)) return 1;
+    if (/한\s*달|1\s*개월|지난\s*달/.test(text)) return 30;
+    if (/일주일|한\s*주|지난\s*주/.test(text)) return 7;
+
+    const days = text.match(/(\d+)\s*일/);
+    if (days) return parseInt(days[1], 10);
+
+    return DEFAULT_HISTORY_DAYS;
+}
+
+// 비교용 레코드 요약 (모델/용량/통신사/타입/채널이 같으면 같은 상품)
+function toSnapshotRecord(record) {
+    return {
+        key: [
+            record.modelRaw,
+            record.capacity,
+            record.telecom,
+            record.type,
+            record.channel,
+        ].join("|"),
+        modelRaw: record.modelRaw,
+        capacity: record.capacity,
+        telecom: record.telecom,
+        type: record.type,
+        channel: record.channel,
+        price: record.price,
+        plan: record.plan,
+    };
+}
+
+// 이전 스냅샷과 현재 레코드 비교
+// 반환: [{ kind: "changed" | "added" | "removed", modelRaw, capacity, telecom, type, channel,
+//          previousPrice, price, previousPlan, plan }]
+export function diffRecords(previousRecords, currentRecords) {
+    const toMap = (records) => {
+        const map = new Map();
+        records.forEach((record) => {
+            // 같은 상품이 여러 행에 있으면 첫 번째 행 기준 (응답 생성과 동일)
+            if (!map.has(record.key)) {
+                map.set(record.key, record);
+            }
+        });
+        return map;
+    };
+
+    const previous = toMap(previousRecords);
+    const current = toMap(currentRecords);
+    const changes = [];
+
+    current.forEach((record, key) => {
+        const before = previous.get(key);
+        if (!before) {
+            changes.push(toChange("added", null, record));
+        } else if (
+            before.price !== record.price ||
+            before.plan !== record.plan
+        ) {
+            changes.push(toChange("changed", before, record));
+        }
+    });
+
+    previous.forEach((record, key) => {
+        if (!current.has(key)) {
+            changes.push(toChange("removed", record, null));
+        }
+    });
+
+    return changes;
+}
+
+function toChange(kind, before, after) {
+    const base = after || before;
+    return {
+        kind,
+        modelRaw: base.modelRaw,
+        capacity: base.capacity,
+        telecom: base.telecom,
+        type: base.type,
+        channel: base.channel,
+        previousPrice: before ? before.price : null,
+        price: after ? after.price : null,
+        previousPlan: before ? before.plan : null,
+        plan: after ? after.plan : null,
+    };
+}
+
+// 새로 읽은 시트 레코드를 이전 스냅샷과 비교해서 변동 내역과 스냅샷 저장
+// 첫 실행(이전 스냅샷 없음)에는 스냅샷만 저장하고, 바뀐 것이 없으면 저장하지 않습니다.
+// 여러 인스턴스가 동시에 갱신해도 같은 변동 내역은 한 번만 저장됩니다.
+// (읽은 스냅샷이 그사이 바뀌었으면 저장하지 않고 빈 목록 반환)
+export async function trackPriceChanges(spreadsheetId, allRecords, store) {
+    const createdAt = Date.now();
+    const records = allRecords.map(toSnapshotRecord);
+    const previous = await store.getLatestSnapshot(spreadsheetId);
+
+    const changes = previous ? diffRecords(previous.records, records) : [];
+    if (previous && changes.length === 0) return changes;
+
+    const saved = await store.commitSnapshot(
+        spreadsheetId,
+        { records, createdAt },
+        {
+            version: previous ? previous.version : null,
+            changeSet: changes.length > 0 ? { createdAt, changes } : null,
+        }
+    );
+    if (!saved) {
+        console.log("다른 인스턴스가 먼저 가격 변동을 저장했습니다.");
+        return [];
+    }
+
+    if (changes.length > 0) {
+        console.log(`가격 변동 ${changes.length}건 저장`);
+    }
+    return changes;
+}
+
+// 기간 내 가격 변동 내역 (최신순, 각 항목에 changedAt 포함)
+// parsedData가 있으면 모델/용량/통신사/타입/채널 조건으로 필터링
+export async function getPriceChanges(spreadsheetId, store, options = {}) {
+    const { days = DEFAULT_HISTORY_DAYS, parsedData = null } = options;
+    const since = Date.now() - days * DAY_MS;
+
+    const changeSets = await store.listChanges(spreadsheetId, { since });
+    const changes = changeSets.flatMap((changeSet) =>
+        changeSet.changes.map((change) => ({
+            ...change,
+            changedAt: changeSet.createdAt,
+        }))
+    );
+
+    if (!parsedData) return changes;
+
+    // 변동 항목도 레코드와 같은 필드를 가지므로 같은 매칭 로직 사용
+    return findMatchingRecords(
+        parsedData,
+        changes.map((change) => ({
+            ...change,
+            modelNorm: normalizeModelName(change.modelRaw),
+        }))
+    );
+}
+
+// 가격 변동 응답 생성 함수
+export function generatePriceHistoryResponse(parsedData, changes, days) {
+    const condition = parsedData ? describeQuery(parsedData) : "";
+    const period = days === 1 ? "어제부터" : `최근 ${days}일`;
+
+    if (changes.length === 0) {
+        return `📊 ${period} ${
+            condition ? `${condition} ` : ""
+        }가격 변동이 없습니다.`;
+    }
+
+    let result = `📊 가격 변동${
+        condition ? ` - ${condition}` : ""
+    } (${period}, ${changes.length}건)\n\n`;
+
+    changes.slice(0, MAX_LISTED_CHANGES).forEach((change) => {
+        const capacity =
+            change.capacity && change.capacity !== "기본"
+                ? ` ${change.capacity}GB`
+                : "";
+        result += `${getChangeIcon(change)} ${change.modelRaw}${capacity}\n`;
+        result += `   ${getChannelIcon(change.channel)} ${change.telecom} ${
+            change.type
+        } (${change.channel}) · ${formatDate(change.changedAt)}\n`;
+
+        if (change.kind === "added") {
+            result += `   신규: 할부원금 ${formatAmount(
+                change.price
+            )} / 요금제 월 ${formatAmount(change.plan)}\n`;
+        } else if (change.kind === "removed") {
+            result += `   목록에서 제외됨 (이전 할부원금 ${formatAmount(
+                change.previousPrice
+            )})\n`;
+        } else {
+            if (change.previousPrice !== change.price) {
+                result += `   할부원금 ${formatChange(
+                    change.previousPrice,
+                    change.price
+                )}\n`;
+            }
+            if (change.previousPlan !== change.plan) {
+                result += `   요금제 월 ${formatChange(
+                    change.previousPlan,
+                    change.plan
+                )}\n`;
+            }
+        }
+        result += `\n`;
+    });
+
+    if (changes.length > MAX_LISTED_CHANGES) {
+        result += `... 외 ${changes.length - MAX_LISTED_CHANGES}건`;
+    }
+
+    return result.trim();
+}
+
+function getChangeIcon(change) {
+    if (change.kind === "added") return "🆕";
+    if (change.kind === "removed") return "❌";
+    return parseInt(change.price) < parseInt(change.previousPrice)
+        ? "📉"
+        : parseInt(change.price) > parseInt(change.previousPrice)
+        ? "📈"
+        : "🔄";
+}
+
+function formatChange(before, after) {
+    const diff = parseInt(after) - parseInt(before);
+    if (Number.isNaN(diff)) {
+        return `${formatAmount(before)} → ${formatAmount(after)}`;
+    }
+    const sign = diff > 0 ? "+" : "";
+    return `${formatAmount(before)} → ${formatAmount(
+        after
+    )} (${sign}${diff.toLocaleString()}원)`;
+}
+
+function formatAmount(value) {
+    const amount = parseInt(value);
+    return Number.isNaN(amount) ? "-" : `${amount.toLocaleString()}원`;
+}
+
+function formatDate(timestamp) {
+    return new Date(timestamp).toLocaleString("ko-KR", {
+        timeZone: "Asia/Seoul",
+        month: "numeric",
+        day: "numeric",
+        hour: "2-digit",
+        minute: "2-digit",
+    });
+}
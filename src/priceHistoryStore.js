@@ -0,0 +1,146 @@
+import { readFile, writeFile } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import { getDb, toDocumentId } from "./firestore.js";
+import { readChunkedDoc, replaceChunkedDoc } from "./firestoreChunks.js";
+
+const HISTORY_COLLECTION = "priceHistory";
+const CHANGES_SUBCOLLECTION = "changes";
+const DEFAULT_FILE_PATH = join(tmpdir(), "phone-price-history.json");
+
+// 가격 이력 저장소 생성
+// type: "firestore" | "file" | "none"
+// 저장소는 모두 같은 메서드를 가집니다:
+//   getLatestSnapshot(spreadsheetId) → { records, createdAt, version } | null
+//   commitSnapshot(spreadsheetId, snapshot, { version, changeSet }) → 저장 여부
+//     스냅샷과 변동 내역(changeSet, 없으면 null)을 함께 저장합니다.
+//     version은 getLatestSnapshot으로 읽은 값 (처음이면 null)이고,
+//     그 뒤에 다른 인스턴스가 먼저 스냅샷을 바꿨으면 저장하지 않고 false를 돌려줍니다.
+//   listChanges(spreadsheetId, { since }) → [{ createdAt, changes }] (최신순)
+// db: Firestore 인스턴스 (없으면 기본 인스턴스, 테스트에서 스텁 주입)
+export function createPriceHistoryStore({
+    type = "firestore",
+    filePath,
+    db,
+} = {}) {
+    switch (type) {
+        case "firestore":
+            return createFirestoreStore(db);
+        case "file":
+            return createFileStore(filePath || DEFAULT_FILE_PATH);
+        default:
+            return null;
+    }
+}
+
+// Firestore 저장소
+// priceHistory/{spreadsheetId}: 마지막 스냅샷 (레코드는 chunks 하위 컬렉션에 나눠 저장)
+// priceHistory/{spreadsheetId}/changes/{autoId}: 갱신마다 바뀐 항목
+// 문서 id는 toDocumentId로 인코딩한 데이터 소스 id ("json:fixtures/sheets.json" 등)
+function createFirestoreStore(db) {
+    const historyDoc = (spreadsheetId) =>
+        (db || getDb())
+            .collection(HISTORY_COLLECTION)
+            .doc(toDocumentId(spreadsheetId));
+
+    return {
+        async getLatestSnapshot(spreadsheetId) {
+            const stored = await readChunkedDoc(
+                historyDoc(spreadsheetId),
+                "records"
+            );
+            if (!stored) return null;
+
+            return {
+                records: stored.value,
+                createdAt: stored.data.createdAt,
+                version: stored.version,
+            };
+        },
+
+        async commitSnapshot(spreadsheetId, snapshot, options = {}) {
+            const { version = null, changeSet = null } = options;
+            const ref = historyDoc(spreadsheetId);
+
+            return replaceChunkedDoc(ref, snapshot.records, {
+                version,
+                fields: {
+                    recordCount: snapshot.records.length,
+                    createdAt: snapshot.createdAt,
+                },
+                addWrites: (batch) => {
+                    if (changeSet) {
+                        batch.set(
+                            ref.collection(CHANGES_SUBCOLLECTION).doc(),
+                            changeSet
+                        );
+                    }
+                },
+            });
+        },
+
+        async listChanges(spreadsheetId, { since = 0 } = {}) {
+            const snapshot = await historyDoc(spreadsheetId)
+                .collection(CHANGES_SUBCOLLECTION)
+                .where("createdAt", ">=", since)
+                .orderBy("createdAt", "desc")
+                .get();
+            return snapshot.docs.map((doc) => doc.data());
+        },
+    };
+}
+
+// 로컬 파일 저장소 (에뮬레이터, 로컬 개발용)
+// { [spreadsheetId]: { snapshot, revision, changes: [...] } } 형태의 JSON 파일 하나에 저장
+function createFileStore(filePath) {
+    const readAll = async () => {
+        try {
+            return JSON.parse(await readFile(filePath, "utf8"));
+        } catch (error) {
+            if (error.code === "ENOENT") return {};
+            throw error;
+        }
+    };
+
+    const update = async (spreadsheetId, updater) => {
+        const data = await readAll();
+        const entry = data[spreadsheetId] || { snapshot: null, changes: [] };
+        updater(entry);
+        data[spreadsheetId] = entry;
+        await writeFile(filePath, JSON.stringify(data));
+    };
+
+    return {
+        // 파일 저장소는 저장할 때마다 늘어나는 revision을 version으로 사용
+        async getLatestSnapshot(spreadsheetId) {
+            const data = await readAll();
+            const entry = data[spreadsheetId];
+            return entry?.snapshot
+                ? { ...entry.snapshot, version: entry.revision || 0 }
+                : null;
+        },
+
+        async commitSnapshot(spreadsheetId, snapshot, options = {}) {
+            const { version = null, changeSet = null } = options;
+            let saved = false;
+
+            await update(spreadsheetId, (entry) => {
+                const current = entry.snapshot ? entry.revision || 0 : null;
+                if (current !== version) return;
+
+                entry.snapshot = snapshot;
+                entry.revision = (entry.revision || 0) + 1;
+                if (changeSet) entry.changes.push(changeSet);
+                saved = true;
+            });
+            return saved;
+        },
+
+        async listChanges(spreadsheetId, { since = 0 } = {}) {
+            const data = await readAll();
+            return (data[spreadsheetId]?.changes || [])
+                .filter((changeSet) => changeSet.createdAt >= since)
+                .sort((a, b) => b.createdAt - a.createdAt);
+        },
+    };
+}
@@ -0,0 +1,268 @@
+// 가격 조건 (예산 검색)
+// "50만원 이하 폰", "요금제 6만원대 아이폰"처럼 할부원금/요금제 금액 범위로 찾는 질문
+// 파싱 결과 필드: 최소가격, 최대가격 (할부원금), 최소요금제, 최대요금제 (월 요금제) - 모두 원 단위 숫자
+
+import { formatManwon } from "./offers.js";
+
+export const PRICE_RANGE_FIELDS = [
+    "최소가격",
+    "최대가격",
+    "최소요금제",
+    "최대요금제",
+];
+
+// 금액 표현: "50만원", "50만", "79.9만 원", "700,000원"
+const AMOUNT = String.raw`(\d+(?:\.\d+)?)\s*만\s*원?|(\d{1,3}(?:,\d{3})+|\d{4,})\s*원`;
+
+// 금액 범위 표현 (앞에 있는 형식부터 찾습니다)
+// kind: "between" 두 금액 사이, "band" ~만원대, "max" 이하, "min" 이상, "exact" 조건 없는 금액(예산으로 보고 이하로 처리)
+const RANGE_PATTERNS = [
+    {
+        kind: "between",
+        pattern: new RegExp(
+            String.raw`(?<![a-z\d.])(\d+(?:\.\d+)?)\s*(?:만\s*원?)?\s*(?:~|-|에서|부터)\s*(?:${AMOUNT})\s*(?:사이|까지|이내)?`,
+            "g"
+        ),
+    },
+    {
+        kind: "band",
+        pattern: /(\d+(?:\.\d+)?)\s*만\s*원?\s*대/g,
+    },
+    {
+        kind: "max",
+        pattern: new RegExp(
+            String.raw`(?:${AMOUNT})\s*(이하|아래|밑|미만|까지|이내|안쪽|안으로|내로|내외)`,
+            "g"
+        ),
+    },
+    {
+        kind: "min",
+        pattern: new RegExp(
+            String.raw`(?:${AMOUNT})\s*(이상|넘는|넘게|넘어|초과|부터|위로|위)`,
+            "g"
+        ),
+    },
+    { kind: "exact", pattern: new RegExp(AMOUNT, "g") },
+];
+
+// 금액이 요금제 조건인지 판단하는 앞뒤 표현
+const PLAN_CONTEXT = /요금제|요금|월정액|(?<![가-힣])매?월/g;
+const DEVICE_CONTEXT = /할부|원금|기기\s*값|기깃값|폰\s*값|단말|기계\s*값/g;
+const PLAN_AFTER = /^\s*(짜리\s*)?(로\s*)?(되는\s*)?요금제/;
+const CONTEXT_LENGTH = 10;
+
+// 이 금액보다 큰 금액은 요금제가 아닌 할부원금 조건으로 봄 ("50만원 이하 요금제 6만원대")
+const MAX_PLAN_AMOUNT = 200000;
+
+// 만원 단위 숫자 → 원
+function toWon(manwon) {
+    return Math.round(parseFloat(manwon) * 10000);
+}
+
+// 금액 표현 → 원 (만원 단위 또는 원 단위)
+function amountFromGroups(manwon, won) {
+    if (manwon !== undefined) return toWon(manwon);
+    return parseInt(won.replace(/,/g, ""), 10);
+}
+
+// "50만원대" → 50만 ~ 59만9999원, "6만원대" → 6만 ~ 6만9999원, "100만원대" → 100만 ~ 199만9999원
+function bandRange(manwon) {
+    const number = parseFloat(manwon);
+    const trailingZeros = Number.isInteger(number)
+        ? String(number).match(/0*$/)[0].length
+        : 0;
+    const step = 10 ** Math.min(trailingZeros, String(number).length - 1);
+    return { min: toWon(number), max: toWon(number + step) - 1 };
+}
+
+// 범위 표현 하나를 { min, max }로 변환
+function toRange(kind, match) {
+    switch (kind) {
+        case "between": {
+            const max = amountFromGroups(match[2], match[3]);
+            // "50~70만원"처럼 앞 금액의 단위를 생략하면 뒤 금액의 단위를 따름
+            const min =
+                match[2] !== undefined
+                    ? toWon(match[1])
+                    : parseInt(match[1], 10);
+            return { min: Math.min(min, max), max: Math.max(min, max) };
+        }
+        case "band":
+            return bandRange(match[1]);
+        case "max": {
+            const amount = amountFromGroups(match[1], match[2]);
+            return {
+                min: null,
+                max: match[3] === "미만" ? amount - 1 : amount,
+            };
+        }
+        case "min": {
+            const amount = amountFromGroups(match[1], match[2]);
+            return {
+                min: match[3] === "초과" ? amount + 1 : amount,
+                max: null,
+            };
+        }
+        default:
+            return { min: null, max: amountFromGroups(match[1], match[2]) };
+    }
+}
+
+// 금액 앞뒤 표현으로 요금제 조건인지 판단 (가까운 표현 우선)
+// before/after: 금액 표현 앞뒤의 텍스트 (다른 금액 표현 전까지)
+function isPlanAmount({ min, max }, before, after) {
+    if (Math.max(min ?? 0, max ?? 0) > MAX_PLAN_AMOUNT) return false;
+
+    const lastIndex = (pattern) =>
+        Math.max(-1, ...[...before.matchAll(pattern)].map((m) => m.index));
+    const planIndex = lastIndex(PLAN_CONTEXT);
+    const deviceIndex = lastIndex(DEVICE_CONTEXT);
+    if (planIndex !== deviceIndex) return planIndex > deviceIndex;
+
+    return PLAN_AFTER.test(after);
+}
+
+// 질문에서 가격 조건 추출
+// 반환: { range: { 최소가격, 최대가격, 최소요금제, 최대요금제 }, text: 금액 표현을 지운 텍스트 }
+// 같은 조건이 여러 번 나오면 앞에 나온 금액을 사용합니다.
+export function extractPriceRange(text) {
+    const range = {
+        최소가격: null,
+        최대가격: null,
+        최소요금제: null,
+        최대요금제: null,
+    };
+
+    // 앞에 있는 형식부터 찾고, 이미 찾은 표현과 겹치는 부분은 건너뜀
+    const spans = [];
+    for (const { kind, pattern } of RANGE_PATTERNS) {
+        pattern.lastIndex = 0;
+        for (const match of text.matchAll(pattern)) {
+            const start = match.index;
+            const end = start + match[0].length;
+            if (spans.some((span) => start < span.end && span.start < end)) {
+                continue;
+            }
+            spans.push({ start, end, ...toRange(kind, match) });
+        }
+    }
+    spans.sort((a, b) => a.start - b.start);
+
+    spans.forEach((span, index) => {
+        const previousEnd = index > 0 ? spans[index - 1].end : 0;
+        const nextStart =
+            index + 1 < spans.length ? spans[index + 1].start : text.length;
+        const before = text.slice(
+            Math.max(previousEnd, span.start - CONTEXT_LENGTH),
+            span.start
+        );
+        const after = text.slice(span.end, nextStart);
+
+        const [minField, maxField] = isPlanAmount(span, before, after)
+            ? ["최소요금제", "최대요금제"]
+            : ["최소가격", "최대가격"];
+        if (range[minField] === null && span.min !== null) {
+            range[minField] = span.min;
+        }
+        if (range[maxField] === null && span.max !== null) {
+            range[maxField] = span.max;
+        }
+    });
+
+    // 뒤에서부터 지워야 앞 표현의 위치가 바뀌지 않음
+    const rest = [...spans]
+        .reverse()
+        .reduce(
+            (result, span) =>
+                result.slice(0, span.start) + " " + result.slice(span.end),
+            text
+        );
+
+    return { range, text: rest };
+}
+
+// 가격 조건이 있는지 확인
+export function hasPriceRange(parsedData) {
+    return PRICE_RANGE_FIELDS.some((field) => isAmount(parsedData[field]));
+}
+
+// 가격 조건을 뺀 검색 조건 (가격 알림처럼 가격 조건을 따로 쓰는 경우)
+export function withoutPriceRange(parsedData) {
+    const result = { ...parsedData };
+    PRICE_RANGE_FIELDS.forEach((field) => {
+        result[field] = null;
+    });
+    return result;
+}
+
+// 레코드가 가격 조건에 맞는지 확인 (금액을 읽을 수 없는 레코드는 제외)
+export function matchesPriceRange(record, parsedData) {
+    const { 최소가격, 최대가격, 최소요금제, 최대요금제 } = parsedData;
+    return (
+        inRange(record.price, 최소가격, 최대가격) &&
+        inRange(record.plan, 최소요금제, 최대요금제)
+    );
+}
+
+function inRange(value, min, max) {
+    if (!isAmount(min) && !isAmount(max)) return true;
+    const amount = parseInt(value, 10);
+    if (Number.isNaN(amount)) return false;
+    if (isAmount(min) && amount < Number(min)) return false;
+    if (isAmount(max) && amount > Number(max)) return false;
+    return true;
+}
+
+// GPT가 문자열로 준 금액("500000")도 허용
+function isAmount(value) {
+    return (
+        value !== null &&
+        value !== undefined &&
+        value !== "" &&
+        !Number.isNaN(Number(value))
+    );
+}
+
+// 가격 조건 문구 ("할부원금 50만원 이하 요금제 6만원대")
+export function describePriceRange(parsedData) {
+    return [
+        formatRange("할부원금", parsedData.최소가격, parsedData.최대가격),
+        formatRange("요금제", parsedData.최소요금제, parsedData.최대요금제),
+    ]
+        .filter(Boolean)
+        .join(" ");
+}
+
+function formatRange(label, min, max) {
+    const hasMin = isAmount(min);
+    const hasMax = isAmount(max);
+    if (!hasMin && !hasMax) return null;
+
+    const minAmount = Number(min);
+    const maxAmount = Number(max);
+
+    if (hasMin && hasMax) {
+        // 밴드 형식으로 만든 범위는 "~만원대"로 다시 표시
+        if (minAmount % 10000 === 0) {
+            const band = bandRange(minAmount / 10000);
+            if (band.max === maxAmount) {
+                return `${label} ${minAmount / 10000}만원대`;
+            }
+        }
+        return `${label} ${formatManwon(minAmount)}~${formatManwon(maxAmount)}`;
+    }
+    if (hasMax) {
+        return (maxAmount + 1) % 10000 === 0
+            ? `${label} ${formatManwon(maxAmount + 1)} 미만`
+            : `${label} ${formatManwon(maxAmount)} 이하`;
+    }
+    return `${label} ${formatManwon(minAmount)} 이상`;
+}
+
+// 검색 결과를 모델별 최저가 목록으로 보여줄지
+// 가격 조건이 있으면 목록으로 보여주고, 용량까지 정한 한 모델이면 상세 가격을 보여줍니다.
+export function isBudgetListing(parsedData, matchingRecords) {
+    if (!hasPriceRange(parsedData) || parsedData.정렬) return false;
+    if (!parsedData.용량) return true;
+    return new Set(matchingRecords.map((r) => r.modelRaw)).size > 1;
+}
@@ -0,0 +1,333 @@
+import { readFile, writeFile } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import { getDb } from "./firestore.js";
+import { formatModelName } from "./modelCatalog.js";
+import { normalizeUtterance } from "./parseCache.js";
+
+// 질문 기록과 통계 보고서
+// 처리한 질문마다 문장, 파싱 결과, 검색 결과 수, 응답 종류, 처리 시간을 남기고
+// 많이 찾는 모델, 결과가 없는 질문, LLM 파싱 실패를 기간별로 집계합니다.
+
+const QUERY_LOG_COLLECTION = "queryLogs";
+const DEFAULT_FILE_PATH = join(tmpdir(), "phone-query-log.json");
+
+// 기록하는 문장 최대 길이
+const MAX_UTTERANCE_LENGTH = 200;
+
+// 보고서에 읽어오는 최대 기록 수
+export const MAX_REPORT_ENTRIES = 5000;
+
+// 상품을 검색한 응답 종류 (검색 결과가 0건이면 "결과 없는 질문"으로 집계)
+export const SEARCH_RESPONSE_TYPES = [
+    "price",
+    "ranking",
+    "budget",
+    "suggestion",
+    "noResult",
+    "comparison",
+];
+
+// 기록하는 검색 조건 필드
+const LOGGED_FIELDS = [
+    "브랜드",
+    "기본모델",
+    "옵션",
+    "용량",
+    "통신사",
+    "타입",
+    "채널",
+    "정렬",
+    "최소가격",
+    "최대가격",
+    "최소요금제",
+    "최대요금제",
+];
+
+// 질문 기록 저장소 생성
+// type: "firestore" | "file" | "none"
+// 저장소는 모두 같은 메서드를 가집니다:
+//   add(entry)
+//   list({ since, until, limit }) → { entries, truncated }
+//     entries: 최근 순, 최대 limit개 (기본 MAX_REPORT_ENTRIES)
+//     truncated: 기간 안의 기록이 limit개보다 많아서 오래된 기록을 뺐는지
+export function createQueryLogStore({ type = "firestore", filePath } = {}) {
+    switch (type) {
+        case "firestore":
+            return createFirestoreStore();
+        case "file":
+            return createFileStore(filePath || DEFAULT_FILE_PATH);
+        default:
+            return null;
+    }
+}
+
+// Firestore 저장소 (queryLogs/{autoId})
+function createFirestoreStore() {
+    const collection = () => getDb().collection(QUERY_LOG_COLLECTION);
+
+    return {
+        async add(entry) {
+            await collection().add(entry);
+        },
+
+        async list({
+            since = 0,
+            until = Date.now(),
+            limit = MAX_REPORT_ENTRIES,
+        } = {}) {
+            // 하나 더 읽어서 잘렸는지 확인
+            const snapshot = await collection()
+                .where("createdAt", ">=", since)
+                .where("createdAt", "<=", until)
+                .orderBy("createdAt", "desc")
+                .limit(limit + 1)
+                .get();
+            return toListResult(
+                snapshot.docs.map((doc) => doc.data()),
+                limit
+            );
+        },
+    };
+}
+
+// 로컬 파일 저장소 (에뮬레이터, 로컬 개발용) - 기록 배열을 JSON 파일 하나에 저장
+function createFileStore(filePath) {
+    const readAll = async () => {
+        try {
+            return JSON.parse(await readFile(filePath, "utf8"));
+        } catch (error) {
+            if (error.code === "ENOENT") return [];
+            throw error;
+        }
+    };
+
+    return {
+        async add(entry) {
+            const entries = await readAll();
+            entries.push(entry);
+            await writeFile(filePath, JSON.stringify(entries));
+        },
+
+        async list({
+            since = 0,
+            until = Date.now(),
+            limit = MAX_REPORT_ENTRIES,
+        } = {}) {
+            return toListResult(
+                (await readAll())
+                    .filter(
+                        (entry) =>
+                            entry.createdAt >= since && entry.createdAt <= until
+                    )
+                    .sort((a, b) => b.createdAt - a.createdAt),
+                limit
+            );
+        },
+    };
+}
+
+// 최근 순 기록 → { entries, truncated }
+function toListResult(entries, limit) {
+    return {
+        entries: entries.slice(0, limit),
+        truncated: entries.length > limit,
+    };
+}
+
+// 검색 조건의 모델 이름 ("갤럭시 S25 울트라", 모델을 말하지 않았으면 null)
+export function getQueryModel(parsedData) {
+    if (!parsedData?.기본모델) return null;
+    return [
+        formatModelName(parsedData.브랜드, parsedData.기본모델),
+        parsedData.옵션,
+    ]
+        .filter(Boolean)
+        .join(" ");
+}
+
+// 처리 결과로 질문 기록 만들기
+// channel: "kakao" | "phonePrice"
+// result: processUserQuery 결과 (responseType, trace 포함)
+export function createQueryLogEntry({
+    channel,
+    utterance,
+    result,
+    latencyMs,
+    createdAt = Date.now(),
+}) {
+    const parsedData = result.parsedData || null;
+    const models = result.comparison
+        ? result.comparison.models.map((model) =>
+              getQueryModel(model.parsedData)
+          )
+        : [getQueryModel(parsedData)];
+
+    return {
+        createdAt,
+        channel,
+        utterance: utterance.toString().slice(0, MAX_UTTERANCE_LENGTH),
+        parsedData: parsedData ? pickLoggedFields(parsedData) : null,
+        models: models.filter(Boolean),
+        matchCount: (result.matchingRecords || []).length,
+        responseType: result.responseType || "text",
+        latencyMs,
+        parser: result.trace?.parser || null,
+        llmFailed: (result.trace?.llmFailures || 0) > 0,
+    };
+}
+
+// 값이 있는 검색 조건만
+function pickLoggedFields(parsedData) {
+    const fields = {};
+    LOGGED_FIELDS.forEach((field) => {
+        const value = parsedData[field];
+        if (value !== null && value !== undefined && value !== "") {
+            fields[field] = value;
+        }
+    });
+    return fields;
+}
+
+// 결과가 없는 질문인지 (검색했는데 0건)
+export function isZeroResult(entry) {
+    return (
+        SEARCH_RESPONSE_TYPES.includes(entry.responseType) &&
+        entry.matchCount === 0
+    );
+}
+
+// 보고서 기간 ("YYYY-MM-DD"는 한국 시간 기준 날짜, to는 그날 끝까지)
+// query: { from, to, days } - from이 없으면 최근 days일 (기본 7일)
+// 반환: { since, until } (ms)
+export function parseReportRange(query = {}, now = Date.now()) {
+    const toDate = (value, endOfDay) => {
+        if (!value) return null;
+        const time = /^\d{4}-\d{2}-\d{2}$/.test(value)
+            ? Date.parse(
+                  `${value}T${endOfDay ? "23:59:59.999" : "00:00:00"}+09:00`
+              )
+            : Date.parse(value);
+        return Number.isNaN(time) ? null : time;
+    };
+
+    const until = toDate(query.to, true) ?? now;
+    const days = parseInt(query.days, 10) || 7;
+    const since = toDate(query.from, false) ?? until - days * 86400000;
+    return { since, until };
+}
+
+// 질문 기록 집계
+// truncated: 기록이 많아서 최근 기록만 집계했는지 (저장소 list 결과)
+// 반환: { total, truncated, byChannel, byResponseType, averageLatencyMs, topModels,
+//         zeroResults, unrecognized, llmFailures }
+// 문장 목록은 정규화한 문장별로 묶어서 많이 나온 순 ({ utterance, count, lastAt })
+export function buildQueryReport(
+    entries,
+    { limit = 20, truncated = false } = {}
+) {
+    const latencies = entries
+        .map((entry) => entry.latencyMs)
+        .filter((latency) => typeof latency === "number");
+
+    return {
+        total: entries.length,
+        truncated,
+        byChannel: countBy(entries.map((entry) => entry.channel)),
+        byResponseType: countBy(entries.map((entry) => entry.responseType)),
+        averageLatencyMs:
+            latencies.length > 0
+                ? Math.round(
+                      latencies.reduce((sum, latency) => sum + latency, 0) /
+                          latencies.length
+                  )
+                : null,
+        topModels: Object.entries(
+            countBy(entries.flatMap((entry) => entry.models || []))
+        )
+            .map(([model, count]) => ({ model, count }))
+            .sort((a, b) => b.count - a.count)
+            .slice(0, limit),
+        zeroResults: groupUtterances(entries.filter(isZeroResult), limit),
+        unrecognized: groupUtterances(
+            entries.filter((entry) => entry.responseType === "guide"),
+            limit
+        ),
+        llmFailures: groupUtterances(
+            entries.filter((entry) => entry.llmFailed),
+            limit
+        ),
+    };
+}
+
+function countBy(values) {
+    return values.reduce((counts, value) => {
+        counts[value] = (counts[value] || 0) + 1;
+        return counts;
+    }, {});
+}
+
+// 같은 문장끼리 묶기 (많이 나온 순, 같으면 최근 순)
+function groupUtterances(entries, limit) {
+    const groups = new Map();
+    entries.forEach((entry) => {
+        const key = normalizeUtterance(entry.utterance);
+        const group = groups.get(key) || {
+            utterance: entry.utterance,
+            count: 0,
+            lastAt: 0,
+        };
+        group.count++;
+        if (entry.createdAt >= group.lastAt) {
+            group.utterance = entry.utterance;
+            group.lastAt = entry.createdAt;
+        }
+        groups.set(key, group);
+    });
+
+    return [...groups.values()]
+        .sort((a, b) => b.count - a.count || b.lastAt - a.lastAt)
+        .slice(0, limit)
+        .map((group) => ({
+            ...group,
+            lastAt: new Date(group.lastAt).toISOString(),
+        }));
+}
+
+// 보고서 요약 문구 (관리자용 텍스트)
+export function summarizeQueryReport(report, { since, until }) {
+    const day = (time) =>
+        new Date(time + 9 * 3600000).toISOString().slice(0, 10);
+    const list = (items, format) =>
+        items.length > 0
+            ? items.map((item, i) => `${i + 1}. ${format(item)}`).join("\n")
+            : "(없음)";
+
+    let text = `📊 질문 통계 (${day(since)} ~ ${day(until)})\n\n`;
+    text += `전체 ${report.total}건 · ${Object.entries(report.byChannel)
+        .map(([channel, count]) => `${channel} ${count}건`)
+        .join(" · ")}\n`;
+    if (report.truncated) {
+        text += `⚠️ 기록이 많아 최근 ${report.total.toLocaleString()}건만 집계했습니다. 기간을 나눠서 조회하세요.\n`;
+    }
+    if (report.averageLatencyMs !== null) {
+        text += `평균 처리 시간 ${report.averageLatencyMs}ms\n`;
+    }
+    text += `\n[많이 찾는 모델]\n${list(
+        report.topModels,
+        ({ model, count }) => `${model} (${count}건)`
+    )}\n`;
+    text += `\n[결과 없는 질문]\n${list(
+        report.zeroResults,
+        ({ utterance, count }) => `${utterance} (${count}건)`
+    )}\n`;
+    text += `\n[조건을 알아듣지 못한 질문]\n${list(
+        report.unrecognized,
+        ({ utterance, count }) => `${utterance} (${count}건)`
+    )}\n`;
+    text += `\n[LLM 파싱 실패]\n${list(
+        report.llmFailures,
+        ({ utterance, count }) => `${utterance} (${count}건)`
+    )}`;
+    return text;
+}
@@ -0,0 +1,75 @@
+import { calculateTotalCost } from "./costCalculator.js";
+
+// 정렬 기준
+export const SORT_BY_PRICE = "할부원금";
+export const SORT_BY_TOTAL_COST = "총비용";
+
+// 레코드를 정렬 기준에 따라 싼 순서로 정렬
+// 할부원금 기준: 할부원금, 총비용 기준: 부가서비스 가입/미가입 중 더 싼 총 비용
+// 가격을 알 수 없는 레코드는 맨 뒤로 보냅니다.
+export function rankRecords(records, sortBy, options = {}) {
+    return records
+        .map((record, index) => ({
+            record,
+            index,
+            amount: getRankAmount(record, sortBy, options),
+        }))
+        .sort((a, b) => {
+            if (a.amount === b.amount) return a.index - b.index;
+            if (a.amount === null) return 1;
+            if (b.amount === null) return -1;
+            return a.amount - b.amount;
+        })
+        .map(({ record }) => record);
+}
+
+// 채널별 최저가 레코드 (정렬된 레코드 기준)
+// 반환: { 온라인: record, 내방: record }
+export function findBestByChannel(rankedRecords) {
+    return rankedRecords.reduce((acc, record) => {
+        if (!acc[record.channel]) {
+            acc[record.channel] = record;
+        }
+        return acc;
+    }, {});
+}
+
+// 모델/용량별 최저가 레코드 (할부원금이 같으면 요금제가 싼 레코드)
+// 반환: 최저가가 싼 순서의 레코드 배열 (모델/용량마다 하나)
+export function findBestByModel(records) {
+    const best = new Map();
+    records.forEach((record) => {
+        const key = `${record.modelRaw}|${record.capacity}`;
+        const current = best.get(key);
+        if (!current || compareOffer(record, current) < 0) {
+            best.set(key, record);
+        }
+    });
+    return [...best.values()].sort(compareOffer);
+}
+
+// 할부원금 → 요금제 순으로 비교 (금액을 알 수 없으면 뒤로)
+function compareOffer(a, b) {
+    const amount = (value) => {
+        const number = parseInt(value, 10);
+        return Number.isNaN(number) ? Infinity : number;
+    };
+    return amount(a.price) - amount(b.price) || amount(a.plan) - amount(b.plan);
+}
+
+// 정렬에 사용하는 금액
+export function getRankAmount(record, sortBy, options = {}) {
+    const price = parseInt(record.price, 10);
+    if (Number.isNaN(price)) return null;
+
+    if (sortBy === SORT_BY_TOTAL_COST) {
+        const cost = calculateTotalCost(
+            record,
+            record.serviceInfo || [],
+            options
+        );
+        return Math.min(cost.withServices, cost.withoutServices);
+    }
+
+    return price;
+}
@@ -0,0 +1,167 @@
+import { createHash } from "node:crypto";
+import { FieldValue } from "firebase-admin/firestore";
+import { getDb } from "./firestore.js";
+
+// 요청 수 제한
+// 카카오 사용자 id 또는 클라이언트 IP마다 분/일 단위로 요청 수를 세고, 한도를 넘으면 거절합니다.
+// 카운터는 Firestore에 저장해서 여러 인스턴스에서 같은 한도를 적용합니다.
+
+const RATE_LIMIT_COLLECTION = "rateLimits";
+
+export const MINUTE_MS = 60 * 1000;
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 하루 한도는 한국 시간 자정에 초기화
+const KST_OFFSET_MS = 9 * 60 * 60 * 1000;
+
+// 메모리 저장소에 보관하는 최대 카운터 수 (넘으면 끝난 구간부터 정리)
+const MAX_MEMORY_COUNTERS = 10000;
+
+// 카운터 저장소 생성
+// type: "firestore" | "memory" | "none"
+// 저장소는 모두 같은 메서드를 가집니다:
+//   increment(key, windowStart, windowMs) → 증가한 뒤의 요청 수
+export function createRateLimitStore({ type = "firestore" } = {}) {
+    switch (type) {
+        case "firestore":
+            return withFallback(createFirestoreStore(), createMemoryStore());
+        case "memory":
+            return createMemoryStore();
+        default:
+            return null;
+    }
+}
+
+// Firestore 저장소 (rateLimits/{key}_{windowMs}_{windowStart})
+// 요청이 몰려도 트랜잭션 충돌이 없도록 원자적 증가 후 다시 읽습니다.
+// expiresAt 필드에 Firestore TTL 정책을 걸면 지난 구간의 카운터가 자동으로 삭제됩니다.
+function createFirestoreStore() {
+    return {
+        async increment(key, windowStart, windowMs) {
+            const ref = getDb()
+                .collection(RATE_LIMIT_COLLECTION)
+                .doc(`${key}_${windowMs}_${windowStart}`);
+
+            await ref.set(
+                {
+                    count: FieldValue.increment(1),
+                    expiresAt: new Date(windowStart + windowMs),
+                },
+                { merge: true }
+            );
+            const doc = await ref.get();
+            return doc.data()?.count || 1;
+        },
+    };
+}
+
+// 저장소 오류가 나면 인스턴스별 메모리 카운터로 대신 셈
+// (Firestore 장애 중에도 인스턴스마다 같은 한도가 적용됨)
+function withFallback(store, fallback) {
+    return {
+        async increment(key, windowStart, windowMs) {
+            try {
+                return await store.increment(key, windowStart, windowMs);
+            } catch (error) {
+                console.error("요청 수 저장 실패:", error.message);
+                return fallback.increment(key, windowStart, windowMs);
+            }
+        },
+    };
+}
+
+// 메모리 저장소 (인스턴스별, 로컬 개발/테스트용)
+function createMemoryStore() {
+    const counters = new Map();
+
+    return {
+        async increment(key, windowStart, windowMs) {
+            const id = `${key}_${windowMs}_${windowStart}`;
+            const count = (counters.get(id)?.count || 0) + 1;
+            counters.set(id, { count, endsAt: windowStart + windowMs });
+
+            if (counters.size > MAX_MEMORY_COUNTERS) {
+                const now = Date.now();
+                counters.forEach((counter, counterId) => {
+                    if (counter.endsAt <= now) counters.delete(counterId);
+                });
+            }
+            return count;
+        },
+    };
+}
+
+// 요청한 사람을 구분하는 키 (확인된 카카오 사용자 id가 없으면 IP)
+// userId는 요청 본문 값이므로 카카오가 보낸 요청인지 확인한 경우에만 넘겨야 합니다.
+// 사용자 id/IP를 그대로 저장하지 않도록 해시로 바꿉니다.
+export function getRateLimitKey({ userId, ip }) {
+    const source = userId ? `user:${userId}` : `ip:${ip || "unknown"}`;
+    return createHash("sha256").update(source).digest("hex").slice(0, 32);
+}
+
+// 클라이언트 IP
+// X-Forwarded-For의 앞쪽 값은 클라이언트가 임의로 넣을 수 있으므로,
+// Google 프런트엔드가 마지막에 붙이는 값을 사용합니다.
+export function getClientIp(req) {
+    const forwarded = req.get?.("x-forwarded-for");
+    if (forwarded) {
+        const addresses = forwarded
+            .split(",")
+            .map((address) => address.trim())
+            .filter(Boolean);
+        if (addresses.length > 0) return addresses[addresses.length - 1];
+    }
+    return req.ip || null;
+}
+
+// 요청 수 확인 (한도 안이면 요청 수를 하나 늘림)
+// limits: [{ windowMs, max }] (max가 0이면 제한 없음)
+// 반환: { allowed, windowMs, retryAfterSeconds } (허용이면 windowMs, retryAfterSeconds는 null)
+// 요청 수를 셀 수 없으면 거절합니다 (Firestore 저장소는 메모리 카운터로 대신 셈).
+export async function checkRateLimit(store, key, limits, now = Date.now()) {
+    const allowed = { allowed: true, windowMs: null, retryAfterSeconds: null };
+    if (!store) return allowed;
+
+    for (const { windowMs, max } of limits) {
+        if (!max || max <= 0) continue;
+
+        const windowStart =
+            Math.floor((now + KST_OFFSET_MS) / windowMs) * windowMs -
+            KST_OFFSET_MS;
+        const rejected = {
+            allowed: false,
+            windowMs,
+            retryAfterSeconds: Math.ceil((windowStart + windowMs - now) / 1000),
+        };
+
+        let count;
+        try {
+            count = await store.increment(key, windowStart, windowMs);
+        } catch (error) {
+            console.error("요청 수 확인 실패:", error.message);
+            return rejected;
+        }
+
+        if (count > max) return rejected;
+    }
+
+    return allowed;
+}
+
+// 한도 초과 안내 문구
+export function formatRateLimitMessage({ windowMs, retryAfterSeconds }) {
+    if (windowMs >= DAY_MS) {
+        return "⏳ 오늘 문의 가능한 횟수를 모두 사용했어요.\n내일 다시 이용해주세요. 급하신 내용은 상담 연결을 이용해주세요.";
+    }
+
+    const wait =
+        retryAfterSeconds < 60
+            ? `${retryAfterSeconds}초`
+            : `${Math.ceil(retryAfterSeconds / 60)}분`;
+    return `⏳ 문의가 너무 많아 잠시 쉬어갈게요.\n${wait} 뒤에 다시 말씀해주세요.`;
+}
+
+// 입력 길이 초과 안내 문구
+export function formatInputTooLongMessage(maxLength) {
+    return `질문이 너무 길어요. ${maxLength}자 이내로 짧게 말씀해주세요.\n\n💡 예시: "S25 256 SK 번이 얼마예요?"`;
+}
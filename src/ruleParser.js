@@ -0,0 +1,235 @@
+// 규칙 기반 질문 파서
+// GPT를 사용할 수 없을 때(장애, 타임아웃, 쿼터 초과) 또는 QUERY_PARSER=rules 설정 시 사용합니다.
+// 결과 형식은 GPT 파서와 같습니다:
+// { 브랜드, 기본모델, 옵션, 용량, 통신사, 타입, 채널, 정렬, 최소가격, 최대가격, 최소요금제, 최대요금제 }
+
+import {
+    BRANDS,
+    applyModelAliases,
+    getIphoneNumbers,
+    normalizeCapacityValue,
+} from "./modelCatalog.js";
+import { extractPriceRange } from "./priceRange.js";
+
+const TELECOM_PATTERNS = [
+    {
+        value: "LG",
+        pattern: /lg\s*u\s*\+|lgu|엘지\s*u?\s*\+?|유\s*플러스|u\s*\+|lg/g,
+    },
+    { value: "KT", pattern: /(?<![a-z])kt(?![a-z])|케이티/g },
+    { value: "SK", pattern: /(?<![a-z])skt?(?![a-z])|에스케이/g },
+];
+
+const TYPE_PATTERNS = [
+    { value: "번호이동", pattern: /번호\s*이동|번이|(?<![a-z])mnp(?![a-z])/g },
+    { value: "기기변경", pattern: /기기\s*변경|기변/g },
+];
+
+const CHANNEL_PATTERNS = [
+    { value: "온라인", pattern: /온라인|택배|배송|비대면|online/g },
+    { value: "내방", pattern: /내방|매장|방문|오프라인|offline/g },
+];
+
+// "제일 싼", "최저가" 등 최저가 추천 요청
+const SUPERLATIVE_PATTERN =
+    /최저가|최저|(제일|가장|젤)\s*(싼|싸|저렴)|어디가\s*(제일\s*)?(싸|저렴)|싼\s*곳|cheapest|lowest/g;
+// 할부원금이 아닌 총 비용 기준으로 비교해달라는 표현
+const TOTAL_COST_PATTERN = /(총|전체|실제)\s*(비용|금액|납부|부담)|유지비/g;
+
+// 픽셀은 "픽셀 9"처럼 모델명의 일부이므로 브랜드로 지우지 않고 모델명에서 인식합니다.
+const BRAND_PATTERNS = BRANDS.filter(({ name }) => name !== "픽셀").map(
+    ({ name, pattern }) => ({
+        value: name,
+        pattern: new RegExp(pattern.source, "g"),
+    })
+);
+
+// 옵션은 긴 것부터 검사합니다 (프로맥스가 프로보다 먼저)
+const OPTION_PATTERNS = [
+    {
+        value: "프로맥스",
+        pattern: /프로\s*맥스|pro\s*max|프맥|맥스|(?<![a-z])max(?![a-z])/g,
+    },
+    { value: "프로", pattern: /프로|(?<![a-z])pro(?![a-z])/g },
+    { value: "울트라", pattern: /울트라|(?<![a-z])ultra(?![a-z])/g },
+    { value: "플러스", pattern: /플러스|(?<![a-z])plus(?![a-z])|\+/g },
+    { value: "엣지", pattern: /엣지|엣찌|(?<![a-z])edge(?![a-z])/g },
+    { value: "미니", pattern: /미니|(?<![a-z])mini(?![a-z])/g },
+    { value: "에어", pattern: /에어|(?<![a-z])air(?![a-z])/g },
+    { value: "SE", pattern: /(?<![a-z])se(?![a-z])/g },
+    { value: "FE", pattern: /(?<![a-z])fe(?![a-z])/g },
+    // "16e"는 모델 번호를 지우고 나면 "e"만 남음
+    { value: "E", pattern: /(?<![a-z])e(?![a-z])/g },
+];
+
+const CAPACITY_WITH_UNIT = /(\d+)\s*(gb|기가|g|tb|테라|t)(?![a-z])/;
+const KNOWN_CAPACITIES = ["64", "128", "256", "512"];
+
+// 규칙 기반 파싱 함수
+// catalog: 시트 모델 카탈로그 (있으면 시트에 있는 아이폰 번호도 모델로 인식)
+export function parseUserInputRules(userInput, catalog = []) {
+    const result = {
+        브랜드: null,
+        기본모델: null,
+        옵션: null,
+        용량: null,
+        통신사: null,
+        타입: null,
+        채널: null,
+        정렬: null,
+        최소가격: null,
+        최대가격: null,
+        최소요금제: null,
+        최대요금제: null,
+    };
+
+    if (!userInput) return result;
+
+    // 통신사를 먼저 제거해야 "유플러스", "LGU+"가 옵션(플러스)으로 잡히지 않습니다
+    let text = userInput.toString().toLowerCase();
+
+    ({ value: result.통신사, text } = extractFirst(text, TELECOM_PATTERNS));
+    ({ value: result.타입, text } = extractFirst(text, TYPE_PATTERNS));
+    ({ value: result.채널, text } = extractFirst(text, CHANNEL_PATTERNS));
+
+    // 가격 조건 ("50만원 이하", "요금제 6만원대") - 금액이 모델 번호나 용량으로 잡히지 않도록 먼저 제거
+    const priceRange = extractPriceRange(text);
+    Object.assign(result, priceRange.range);
+    text = priceRange.text;
+
+    // 최저가 추천 (총 비용을 언급하면 총 비용 기준)
+    SUPERLATIVE_PATTERN.lastIndex = 0;
+    if (SUPERLATIVE_PATTERN.test(text)) {
+        TOTAL_COST_PATTERN.lastIndex = 0;
+        result.정렬 = TOTAL_COST_PATTERN.test(text) ? "총비용" : "할부원금";
+        text = text
+            .replace(SUPERLATIVE_PATTERN, " ")
+            .replace(TOTAL_COST_PATTERN, " ");
+    }
+    ({ value: result.브랜드, text } = extractFirst(text, BRAND_PATTERNS));
+
+    // 줄임말/영문 표기 통일 ("프맥" → "프로맥스", "s25u" → "s25울트라")
+    text = applyModelAliases(text);
+
+    // 용량 (단위가 붙은 숫자 우선)
+    const capacityMatch = text.match(CAPACITY_WITH_UNIT);
+    if (capacityMatch) {
+        result.용량 = normalizeCapacityValue(capacityMatch[1]);
+        text = text.replace(capacityMatch[0], " ");
+    }
+
+    // 기본모델
+    const model = extractModel(text, {
+        iphoneNumbers: getIphoneNumbers(catalog),
+        isIphone: result.브랜드 === "아이폰",
+    });
+    if (model) {
+        result.기본모델 = model.baseModel;
+        text = model.text;
+        if (!result.브랜드) {
+            result.브랜드 = model.brand;
+        }
+    }
+
+    // 단위 없는 용량 (128, 256, 512 등)
+    if (!result.용량) {
+        const bareCapacity = text
+            .match(/\d+/g)
+            ?.find((number) => KNOWN_CAPACITIES.includes(number));
+        if (bareCapacity) {
+            result.용량 = bareCapacity;
+            text = text.replace(bareCapacity, " ");
+        }
+    }
+
+    ({ value: result.옵션, text } = extractFirst(text, OPTION_PATTERNS));
+
+    return result;
+}
+
+// 모델명 추출
+// iphoneNumbers: 숫자만 말했을 때 아이폰으로 인식할 번호, isIphone: 아이폰이라고 말한 경우 모든 번호 인식
+function extractModel(text, { iphoneNumbers, isIphone }) {
+    // Z플립6, z 폴드 5, flip6 등
+    const foldable = text.match(/(?:z\s*)?(플립|flip|폴드|fold)\s*(\d+)?/);
+    if (foldable) {
+        const name =
+            foldable[1] === "flip"
+                ? "플립"
+                : foldable[1] === "fold"
+                ? "폴드"
+                : foldable[1];
+        return {
+            brand: "갤럭시",
+            baseModel: `${name}${foldable[2] || ""}`,
+            text: text.replace(foldable[0], " "),
+        };
+    }
+
+    // 갤럭시 S25, A35, 노트20 등
+    const galaxy = text.match(/(?<![a-z])(s|a|note|노트)\s*(\d{2})(?!\d)/);
+    if (galaxy) {
+        const series =
+            galaxy[1] === "note" || galaxy[1] === "노트"
+                ? "노트"
+                : galaxy[1].toUpperCase();
+        return {
+            brand: "갤럭시",
+            baseModel: `${series}${galaxy[2]}`,
+            text: text.replace(galaxy[0], " "),
+        };
+    }
+
+    // 픽셀 9, pixel 9 프로 등
+    const pixel = text.match(/픽셀\s*(\d+)/);
+    if (pixel) {
+        return {
+            brand: "픽셀",
+            baseModel: `픽셀${pixel[1]}`,
+            text: text.replace(pixel[0], " "),
+        };
+    }
+
+    // 아이폰 SE는 번호 없이 모델을 가리키므로 뒤의 숫자는 모델 번호가 아님 ("아이폰 SE 64")
+    const iphoneSe = text.match(/(?<![a-z])se(?![a-z])/);
+    if (iphoneSe) {
+        return {
+            brand: "아이폰",
+            baseModel: "SE",
+            text: text.replace(iphoneSe[0], " "),
+        };
+    }
+
+    // 아이폰 번호로 알려진 숫자(또는 "아이폰" 뒤의 두 자리 이하 숫자)는 아이폰 모델로 인식
+    // 용량(64, "64기가")과 날짜/시간("12월", "16시")은 모델 번호가 아님
+    const iphone = [
+        ...text.matchAll(
+            /(?<!\d)(\d{1,2})(?![\d.,]|\s*(만|천|원|개월|일|시|월|gb|기가|g(?![a-z])|tb|테라|t(?![a-z])))/g
+        ),
+    ].find(
+        (match) =>
+            !KNOWN_CAPACITIES.includes(match[1]) &&
+            (isIphone || iphoneNumbers.includes(match[1]))
+    );
+    if (iphone) {
+        return {
+            brand: "아이폰",
+            baseModel: iphone[1],
+            text: text.replace(iphone[0], " "),
+        };
+    }
+
+    return null;
+}
+
+// 패턴 목록 중 처음 일치하는 값을 찾고, 일치한 부분을 텍스트에서 제거
+function extractFirst(text, patterns) {
+    for (const { value, pattern } of patterns) {
+        pattern.lastIndex = 0;
+        if (pattern.test(text)) {
+            pattern.lastIndex = 0;
+            return { value, text: text.replace(pattern, " ") };
+        }
+    }
+    return { value: null, text };
+}
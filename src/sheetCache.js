@@ -0,0 +1,181 @@
+import { getDb, toDocumentId } from "./firestore.js";
+import {
+    readChunkedDoc,
+    replaceChunkedDoc,
+    getChunkedVersion,
+    deleteChunkedDoc,
+} from "./firestoreChunks.js";
+
+const SNAPSHOT_COLLECTION = "sheetSnapshots";
+const DEFAULT_TTL_MS = 5 * 60 * 1000;
+const DEFAULT_STALE_MS = 30 * 60 * 1000;
+
+// 인스턴스별 메모리 캐시 (spreadsheetId -> { allRecords, fetchedAt })
+const memoryCache = new Map();
+// 진행 중인 시트 로딩 (같은 시트를 동시에 여러 번 읽지 않도록)
+const pendingLoads = new Map();
+
+// 캐시된 시트 레코드 가져오기
+// - TTL 이내: 캐시 그대로 사용
+// - TTL 초과 ~ TTL + staleMs: 캐시를 반환하고 백그라운드에서 갱신
+// - 그 이후 또는 캐시 없음: 시트를 다시 읽어서 반환
+export async function getCachedRecords(spreadsheetId, loader, options = {}) {
+    const {
+        ttlMs = DEFAULT_TTL_MS,
+        staleMs = DEFAULT_STALE_MS,
+        useFirestore = false,
+        forceRefresh = false,
+    } = options;
+
+    if (forceRefresh) {
+        return refreshRecords(spreadsheetId, loader, useFirestore);
+    }
+
+    let entry = memoryCache.get(spreadsheetId);
+
+    // 메모리에 없거나 너무 오래됐으면 Firestore 스냅샷 확인
+    if ((!entry || getAge(entry) >= ttlMs + staleMs) && useFirestore) {
+        const snapshot = await readSnapshot(spreadsheetId);
+        if (snapshot && (!entry || snapshot.fetchedAt > entry.fetchedAt)) {
+            entry = snapshot;
+            memoryCache.set(spreadsheetId, entry);
+        }
+    }
+
+    if (entry) {
+        const age = getAge(entry);
+        if (age < ttlMs) {
+            return entry.allRecords;
+        }
+        if (age < ttlMs + staleMs) {
+            console.log(
+                `시트 캐시 만료 (${Math.round(
+                    age / 1000
+                )}초 경과) - 백그라운드 갱신`
+            );
+            refreshRecords(spreadsheetId, loader, useFirestore).catch(
+                (error) => {
+                    console.error("시트 캐시 백그라운드 갱신 실패:", error);
+                }
+            );
+            return entry.allRecords;
+        }
+    }
+
+    try {
+        return await refreshRecords(spreadsheetId, loader, useFirestore);
+    } catch (error) {
+        // 갱신에 실패해도 오래된 데이터가 있으면 그것으로 응답
+        if (entry) {
+            console.error("시트 갱신 실패 - 오래된 캐시 사용:", error.message);
+            return entry.allRecords;
+        }
+        throw error;
+    }
+}
+
+// 캐시 무효화 (Firestore 스냅샷은 조각 문서까지 삭제)
+export async function invalidateSheetCache(spreadsheetId, options = {}) {
+    const { useFirestore = false } = options;
+
+    memoryCache.delete(spreadsheetId);
+
+    if (useFirestore) {
+        await deleteChunkedDoc(snapshotDoc(spreadsheetId));
+    }
+}
+
+// 캐시 상태 조회 (관리용)
+export function getSheetCacheStatus(spreadsheetId) {
+    const entry = memoryCache.get(spreadsheetId);
+    if (!entry) {
+        return { cached: false };
+    }
+    return {
+        cached: true,
+        recordCount: entry.allRecords.length,
+        fetchedAt: new Date(entry.fetchedAt).toISOString(),
+        ageSeconds: Math.round(getAge(entry) / 1000),
+    };
+}
+
+// 시트를 다시 읽어서 캐시 갱신
+function refreshRecords(spreadsheetId, loader, useFirestore) {
+    if (pendingLoads.has(spreadsheetId)) {
+        return pendingLoads.get(spreadsheetId);
+    }
+
+    const load = (async () => {
+        const startedAt = Date.now();
+        const { allRecords } = await loader(spreadsheetId);
+        const entry = { allRecords, fetchedAt: Date.now() };
+        memoryCache.set(spreadsheetId, entry);
+        console.log(
+            `시트 캐시 갱신 완료: ${allRecords.length}개 레코드 (${
+                entry.fetchedAt - startedAt
+            }ms)`
+        );
+
+        if (useFirestore) {
+            await writeSnapshot(spreadsheetId, entry);
+        }
+
+        return allRecords;
+    })();
+
+    pendingLoads.set(spreadsheetId, load);
+    return load.finally(() => {
+        pendingLoads.delete(spreadsheetId);
+    });
+}
+
+// Firestore 스냅샷 읽기
+async function readSnapshot(spreadsheetId) {
+    try {
+        const stored = await readChunkedDoc(
+            snapshotDoc(spreadsheetId),
+            "records"
+        );
+        if (!stored) return null;
+
+        return {
+            allRecords: stored.value,
+            fetchedAt: stored.data.fetchedAt,
+        };
+    } catch (error) {
+        console.error("시트 스냅샷 읽기 실패:", error.message);
+        return null;
+    }
+}
+
+// Firestore 스냅샷 저장
+// 레코드가 많으면 문서 크기 제한(1 MiB)을 넘으므로 chunks 하위 컬렉션에 나눠 저장합니다.
+// 다른 인스턴스가 그사이 더 최근 스냅샷을 저장했으면 덮어쓰지 않습니다.
+async function writeSnapshot(spreadsheetId, entry) {
+    try {
+        const ref = snapshotDoc(spreadsheetId);
+        const stored = await ref.get();
+        if (stored.exists && stored.data().fetchedAt >= entry.fetchedAt) return;
+
+        await replaceChunkedDoc(ref, entry.allRecords, {
+            version: stored.exists ? getChunkedVersion(stored) : null,
+            fields: {
+                recordCount: entry.allRecords.length,
+                fetchedAt: entry.fetchedAt,
+            },
+        });
+    } catch (error) {
+        console.error("시트 스냅샷 저장 실패:", error.message);
+    }
+}
+
+// sheetSnapshots/{데이터 소스 id} (id에 "/"가 있을 수 있어서 인코딩)
+function snapshotDoc(spreadsheetId) {
+    return getDb()
+        .collection(SNAPSHOT_COLLECTION)
+        .doc(toDocumentId(spreadsheetId));
+}
+
+function getAge(entry) {
+    return Date.now() - entry.fetchedAt;
+}
@@ -0,0 +1,346 @@
+import {
+    normalizeModelName,
+    detectBrand,
+    normalizeCapacityValue,
+} from "./modelCatalog.js";
+
+// 헤더를 찾을 때 살펴볼 최대 행 수
+const MAX_HEADER_SCAN_ROWS = 10;
+
+// 테스트용으로 입력된 값
+export const TEST_VALUE = "33333333333333";
+
+// 헤더를 찾지 못했을 때 사용하는 기존 열 배치
+// 1~2행 제목, 3행부터 데이터 / 번호이동 A~D, 기기변경 F~I, 부가서비스 K~N
+export const DEFAULT_LAYOUT = {
+    dataStartRow: 2,
+    blocks: [
+        {
+            type: "번호이동",
+            columns: { model: 0, plan: 1, capacity: 2, price: 3 },
+        },
+        {
+            type: "기기변경",
+            columns: { model: 5, plan: 6, capacity: 7, price: 8 },
+        },
+    ],
+    services: { name: 10, monthlyFee: 11, duration: 12, additionalFee: 13 },
+};
+
+// 가격 블록 헤더 라벨
+const BLOCK_LABELS = {
+    model: /모델/,
+    plan: /요금제/,
+    capacity: /용량/,
+    price: /할부\s*원금|할부금|판매가/,
+};
+
+// 부가서비스 헤더 라벨 (요금/기간 라벨을 서비스명보다 먼저 확인)
+const SERVICE_LABELS = {
+    monthlyFee: /월\s*(요금|이용료|납부)|월정액/,
+    duration: /기간|유지/,
+    additionalFee: /추가|미가입|차액/,
+    name: /부가\s*서비스|서비스\s*명/,
+};
+
+// 블록 위 제목으로 가입 유형 판단
+const TYPE_LABELS = [
+    { type: "번호이동", pattern: /번호\s*이동|번이/ },
+    { type: "기기변경", pattern: /기기\s*변경|기변/ },
+];
+
+// 제목이 없을 때 블록 순서대로 붙이는 가입 유형
+const DEFAULT_BLOCK_TYPES = ["번호이동", "기기변경"];
+
+// 시트 이름에서 통신사/채널 추출 ("SK 온라인" → { telecom: "SK", channel: "온라인" })
+export function parseSheetInfo(sheetName) {
+    const telecom = sheetName.includes("SK")
+        ? "SK"
+        : sheetName.includes("KT")
+        ? "KT"
+        : sheetName.includes("LG")
+        ? "LG"
+        : "Unknown";
+
+    const channel = sheetName.includes("온라인")
+        ? "온라인"
+        : sheetName.includes("내방")
+        ? "내방"
+        : "Unknown";
+
+    return { telecom, channel };
+}
+
+// 용량 정규화 함수
+// 숫자가 없으면 "기본" (용량 구분이 없는 모델)
+export function normalizeCapacity(capacity) {
+    return normalizeCapacityValue(capacity) || "기본";
+}
+
+// 가격 정규화 함수
+export function cleanPrice(priceStr) {
+    if (!priceStr) return "";
+    return priceStr.toString().replace(/[^\d-]/g, "");
+}
+
+// 열 이름을 0부터 시작하는 번호로 변환 ("A" → 0, "K" → 10, "AA" → 26)
+// 숫자는 그대로 사용합니다.
+export function columnIndex(column) {
+    if (typeof column === "number") return column;
+    return (
+        column
+            .toString()
+            .trim()
+            .toUpperCase()
+            .split("")
+            .reduce(
+                (index, letter) => index * 26 + letter.charCodeAt(0) - 64,
+                0
+            ) - 1
+    );
+}
+
+// 0부터 시작하는 열 번호를 열 이름으로 변환 (0 → "A", 26 → "AA")
+export function columnLetter(index) {
+    let letters = "";
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+    }
+    return letters;
+}
+
+// 셀 값을 공백을 제거한 문자열로 (빈 셀은 "")
+export function cellText(row, index) {
+    if (!row || index === undefined || index === null) return "";
+    const value = row[index];
+    return value === undefined || value === null ? "" : value.toString().trim();
+}
+
+// 시트 열 배치 결정
+// 1. 설정된 열 배치(columnMaps[시트 이름] 또는 columnMaps["*"])
+// 2. 헤더 라벨(모델명, 요금제, 용량, 할부원금, 부가서비스 …)로 찾은 배치
+// 3. 기존 열 배치 (DEFAULT_LAYOUT)
+// 반환한 배치의 source: "config" | "header" | "default"
+export function resolveSheetLayout(sheetName, rows, columnMaps = {}) {
+    const configured = columnMaps[sheetName] || columnMaps["*"];
+    if (configured) {
+        return { ...layoutFromColumnMap(configured), source: "config" };
+    }
+
+    const detected = detectLayout(rows);
+    if (detected) {
+        return { ...detected, source: "header" };
+    }
+
+    console.log(`시트 ${sheetName}: 헤더를 찾지 못해 기본 열 배치 사용`);
+    return { ...DEFAULT_LAYOUT, source: "default" };
+}
+
+// 설정의 열 배치를 내부 형식으로 변환
+// { headerRow: 2, blocks: [{ type, model: "A", plan: "B", capacity: "C", price: "D" }],
+//   services: { name: "K", monthlyFee: "L", duration: "M", additionalFee: "N" } }
+// headerRow는 1부터 시작하는 헤더 행 번호이며, 그 다음 행부터 데이터로 읽습니다.
+export function layoutFromColumnMap(columnMap) {
+    const toColumns = (map, keys) =>
+        keys.reduce((columns, key) => {
+            if (map[key] !== undefined && map[key] !== null) {
+                columns[key] = columnIndex(map[key]);
+            }
+            return columns;
+        }, {});
+
+    return {
+        dataStartRow: columnMap.headerRow ?? DEFAULT_LAYOUT.dataStartRow,
+        blocks: (columnMap.blocks || []).map((block, index) => ({
+            type: block.type || DEFAULT_BLOCK_TYPES[index],
+            columns: toColumns(block, ["model", "plan", "capacity", "price"]),
+        })),
+        services: columnMap.services
+            ? toColumns(columnMap.services, [
+                  "name",
+                  "monthlyFee",
+                  "duration",
+                  "additionalFee",
+              ])
+            : null,
+    };
+}
+
+// 헤더 라벨로 열 배치 찾기 (찾지 못하면 null)
+// "모델"과 "할부원금" 라벨이 모두 있는 첫 행을 헤더로 보고,
+// "모델" 라벨마다 오른쪽으로 다음 블록 전까지를 하나의 가격 블록으로 읽습니다.
+export function detectLayout(rows) {
+    const scanRows = Math.min(rows.length, MAX_HEADER_SCAN_ROWS);
+
+    for (let rowIndex = 0; rowIndex < scanRows; rowIndex++) {
+        const header = (rows[rowIndex] || []).map((_, index) =>
+            cellText(rows[rowIndex], index)
+        );
+        const hasModel = header.some((text) => BLOCK_LABELS.model.test(text));
+        const hasPrice = header.some((text) => BLOCK_LABELS.price.test(text));
+        if (!hasModel || !hasPrice) continue;
+
+        const serviceStart = header.findIndex(
+            (text) =>
+                SERVICE_LABELS.name.test(text) && !BLOCK_LABELS.model.test(text)
+        );
+        const blocks = detectBlocks(rows, rowIndex, header, serviceStart);
+        if (blocks.length === 0) continue;
+
+        return {
+            dataStartRow: rowIndex + 1,
+            blocks,
+            services:
+                serviceStart >= 0
+                    ? detectServiceColumns(header, serviceStart)
+                    : null,
+        };
+    }
+
+    return null;
+}
+
+function detectBlocks(rows, headerRow, header, serviceStart) {
+    const modelColumns = header
+        .map((text, index) => (BLOCK_LABELS.model.test(text) ? index : -1))
+        .filter(
+            (index) => index >= 0 && (serviceStart < 0 || index < serviceStart)
+        );
+
+    const blocks = [];
+    modelColumns.forEach((start, order) => {
+        const end =
+            order + 1 < modelColumns.length
+                ? modelColumns[order + 1]
+                : serviceStart >= 0
+                ? serviceStart
+                : header.length;
+
+        const columns = { model: start };
+        for (let index = start + 1; index < end; index++) {
+            ["plan", "capacity", "price"].forEach((key) => {
+                if (
+                    columns[key] === undefined &&
+                    BLOCK_LABELS[key].test(header[index])
+                ) {
+                    columns[key] = index;
+                }
+            });
+        }
+
+        if (columns.plan === undefined || columns.price === undefined) {
+            return;
+        }
+
+        blocks.push({
+            type:
+                detectBlockType(rows, headerRow, start, end) ||
+                DEFAULT_BLOCK_TYPES[blocks.length],
+            columns,
+        });
+    });
+
+    return blocks;
+}
+
+// 헤더 행과 그 위 제목에서 가입 유형 찾기
+function detectBlockType(rows, headerRow, start, end) {
+    for (let rowIndex = headerRow; rowIndex >= 0; rowIndex--) {
+        for (let index = start; index < end; index++) {
+            const text = cellText(rows[rowIndex], index);
+            const label = TYPE_LABELS.find(({ pattern }) => pattern.test(text));
+            if (label) return label.type;
+        }
+    }
+    return null;
+}
+
+function detectServiceColumns(header, serviceStart) {
+    const columns = { name: serviceStart };
+    for (let index = serviceStart + 1; index < header.length; index++) {
+        const key = ["monthlyFee", "duration", "additionalFee"].find(
+            (candidate) =>
+                columns[candidate] === undefined &&
+                SERVICE_LABELS[candidate].test(header[index])
+        );
+        if (key) columns[key] = index;
+    }
+    return columns;
+}
+
+// 시트 부가서비스 목록 (테스트 데이터와 중복 제외)
+export function parseSheetServices(rows, layout) {
+    const services = [];
+    if (!layout.services) return services;
+
+    const columns = layout.services;
+    for (let i = layout.dataStartRow; i < rows.length; i++) {
+        const row = rows[i];
+        const serviceName = cellText(row, columns.name);
+        if (serviceName === "" || serviceName === "테스트") continue;
+
+        const monthlyFee = cellText(row, columns.monthlyFee);
+        const additionalFee = cellText(row, columns.additionalFee);
+        const serviceInfo = {
+            serviceName,
+            monthlyFee: monthlyFee !== "" ? cleanPrice(monthlyFee) : "0",
+            duration: cellText(row, columns.duration),
+            additionalFee:
+                additionalFee !== "" ? cleanPrice(additionalFee) : "0",
+        };
+
+        // 테스트 데이터 필터링
+        if (
+            serviceInfo.monthlyFee.includes(TEST_VALUE) ||
+            serviceInfo.additionalFee.includes(TEST_VALUE)
+        ) {
+            continue;
+        }
+
+        // 중복 제거
+        const serviceKey = toServiceKey(serviceInfo);
+        if (!services.find((s) => toServiceKey(s) === serviceKey)) {
+            services.push(serviceInfo);
+        }
+    }
+
+    return services;
+}
+
+function toServiceKey(service) {
+    return `${service.serviceName}_${service.monthlyFee}_${service.duration}_${service.additionalFee}`;
+}
+
+// 시트 하나의 행들을 가격 레코드로 변환
+// 반환: { records, services }
+export function parseSheetRows(sheetName, rows, layout) {
+    const sheetInfo = parseSheetInfo(sheetName);
+    const services = parseSheetServices(rows, layout);
+    const records = [];
+
+    for (let i = layout.dataStartRow; i < rows.length; i++) {
+        const row = rows[i];
+
+        layout.blocks.forEach(({ type, columns }) => {
+            const model = cellText(row, columns.model);
+            const plan = cellText(row, columns.plan);
+            const price = cellText(row, columns.price);
+            if (!model || !plan || !price) return;
+
+            records.push({
+                modelRaw: model,
+                modelNorm: normalizeModelName(model),
+                brand: detectBrand(model),
+                capacity: normalizeCapacity(cellText(row, columns.capacity)),
+                telecom: sheetInfo.telecom,
+                type,
+                channel: sheetInfo.channel,
+                plan: cleanPrice(plan),
+                price: cleanPrice(price),
+                serviceInfo: services.length > 0 ? services : null,
+            });
+        });
+    }
+
+    return { records, services };
+}
@@ -0,0 +1,279 @@
+import {
+    TEST_VALUE,
+    parseSheetInfo,
+    resolveSheetLayout,
+    parseSheetRows,
+    cellText,
+    columnLetter,
+} from "./sheetParser.js";
+
+// 문제 심각도
+// error: 레코드가 만들어지지 않거나 잘못된 가격으로 응답하게 되는 문제
+// warning: 응답은 되지만 확인이 필요한 데이터
+export const SEVERITY_ERROR = "error";
+export const SEVERITY_WARNING = "warning";
+
+// 숫자로 읽을 수 있는 금액 ("500,000", "500000원", "-50,000")
+const AMOUNT_PATTERN = /^-?[\d,]+\s*원?$/;
+
+// 요약에서 시트마다 보여줄 최대 문제 수
+const MAX_SUMMARY_ISSUES_PER_SHEET = 10;
+
+function cellRef(rowIndex, columnIndex) {
+    return `${columnLetter(columnIndex)}${rowIndex + 1}`;
+}
+
+function createIssue(sheet, severity, code, message, cell = null, value) {
+    const issue = { sheet, severity, code, cell, message };
+    if (value !== undefined) issue.value = value;
+    return issue;
+}
+
+// 금액 셀 검사 (문제 없으면 null)
+function checkAmount(text) {
+    if (text.includes(TEST_VALUE)) return "test-value";
+    if (!AMOUNT_PATTERN.test(text)) return "unparseable-amount";
+    return null;
+}
+
+// 시트 하나 검사
+// 반환: { sheet, telecom, channel, layout, recordCount, issues }
+export function validateSheet(sheetName, rows, columnMaps = {}) {
+    const issues = [];
+    const sheetInfo = parseSheetInfo(sheetName);
+    const layout = resolveSheetLayout(sheetName, rows, columnMaps);
+    const { records, services } = parseSheetRows(sheetName, rows, layout);
+    const add = (...args) => issues.push(createIssue(sheetName, ...args));
+
+    if (sheetInfo.telecom === "Unknown") {
+        add(
+            SEVERITY_ERROR,
+            "unknown-telecom",
+            "시트 이름에서 통신사(SK/KT/LG)를 찾을 수 없습니다."
+        );
+    }
+    if (sheetInfo.channel === "Unknown") {
+        add(
+            SEVERITY_ERROR,
+            "unknown-channel",
+            "시트 이름에서 채널(온라인/내방)을 찾을 수 없습니다."
+        );
+    }
+    if (layout.source === "default") {
+        add(
+            SEVERITY_WARNING,
+            "header-not-found",
+            "헤더 라벨을 찾지 못해 기본 열 배치(A~D, F~I, K~N)로 읽었습니다."
+        );
+    }
+
+    // 가격 블록 검사
+    layout.blocks.forEach(({ type, columns }) => {
+        const seen = new Map();
+
+        for (let i = layout.dataStartRow; i < rows.length; i++) {
+            const row = rows[i];
+            const model = cellText(row, columns.model);
+            if (!model) {
+                const hasValues = ["plan", "capacity", "price"].some((key) =>
+                    cellText(row, columns[key])
+                );
+                if (hasValues) {
+                    add(
+                        SEVERITY_WARNING,
+                        "missing-model",
+                        `${type}: 모델명 없이 값이 입력된 행입니다.`,
+                        cellRef(i, columns.model)
+                    );
+                }
+                continue;
+            }
+
+            ["plan", "price"].forEach((key) => {
+                const label = key === "plan" ? "요금제" : "할부원금";
+                const text = cellText(row, columns[key]);
+                const cell = cellRef(i, columns[key]);
+
+                if (!text) {
+                    add(
+                        SEVERITY_ERROR,
+                        `missing-${key}`,
+                        `${type} ${model}: ${label} 값이 비어 있어 레코드가 만들어지지 않습니다.`,
+                        cell
+                    );
+                    return;
+                }
+
+                const problem = checkAmount(text);
+                if (problem === "test-value") {
+                    add(
+                        SEVERITY_ERROR,
+                        "test-value",
+                        `${type} ${model}: ${label}에 테스트 값이 들어 있습니다.`,
+                        cell,
+                        text
+                    );
+                } else if (problem) {
+                    add(
+                        SEVERITY_ERROR,
+                        "unparseable-amount",
+                        `${type} ${model}: ${label} 값을 금액으로 읽을 수 없습니다.`,
+                        cell,
+                        text
+                    );
+                }
+            });
+
+            const capacity =
+                columns.capacity !== undefined
+                    ? cellText(row, columns.capacity)
+                    : "";
+            if (columns.capacity !== undefined && !/\d/.test(capacity)) {
+                add(
+                    SEVERITY_WARNING,
+                    "missing-capacity",
+                    `${type} ${model}: 용량이 없어 "기본" 용량으로 처리됩니다.`,
+                    cellRef(i, columns.capacity),
+                    capacity || undefined
+                );
+            }
+
+            // 같은 블록에 같은 모델/용량이 두 번 있으면 첫 번째 행만 응답에 사용됨
+            const key = `${model}|${capacity.match(/\d+/)?.[0] || "기본"}`;
+            if (seen.has(key)) {
+                add(
+                    SEVERITY_WARNING,
+                    "duplicate-row",
+                    `${type} ${model}: ${seen.get(
+                        key
+                    )}행과 모델/용량이 중복됩니다.`,
+                    cellRef(i, columns.model)
+                );
+            } else {
+                seen.set(key, i + 1);
+            }
+        }
+    });
+
+    // 부가서비스 검사
+    if (layout.services) {
+        const columns = layout.services;
+        for (let i = layout.dataStartRow; i < rows.length; i++) {
+            const row = rows[i];
+            const name = cellText(row, columns.name);
+            const feeColumns = ["monthlyFee", "duration", "additionalFee"];
+
+            if (!name) {
+                const hasValues = feeColumns.some((key) =>
+                    cellText(row, columns[key])
+                );
+                if (hasValues) {
+                    add(
+                        SEVERITY_WARNING,
+                        "orphan-service",
+                        "부가서비스 이름 없이 요금/기간이 입력된 행입니다.",
+                        cellRef(i, columns.name)
+                    );
+                }
+                continue;
+            }
+            if (name === "테스트") continue;
+
+            ["monthlyFee", "additionalFee"].forEach((key) => {
+                const text = cellText(row, columns[key]);
+                if (!text) return;
+
+                const problem = checkAmount(text);
+                if (problem) {
+                    add(
+                        problem === "test-value"
+                            ? SEVERITY_WARNING
+                            : SEVERITY_ERROR,
+                        problem,
+                        `부가서비스 ${name}: ${
+                            key === "monthlyFee" ? "월 요금" : "추가금"
+                        }${
+                            problem === "test-value"
+                                ? "에 테스트 값이 들어 있어 제외됩니다."
+                                : " 값을 금액으로 읽을 수 없습니다."
+                        }`,
+                        cellRef(i, columns[key]),
+                        text
+                    );
+                }
+            });
+        }
+
+        if (services.length > 0 && records.length === 0) {
+            add(
+                SEVERITY_WARNING,
+                "orphan-service",
+                "가격 레코드가 없는 시트에 부가서비스만 입력되어 있습니다."
+            );
+        }
+    }
+
+    return {
+        sheet: sheetName,
+        telecom: sheetInfo.telecom,
+        channel: sheetInfo.channel,
+        layout: layout.source,
+        recordCount: records.length,
+        issues,
+    };
+}
+
+// 시트 전체 검사
+// sheets: [{ sheetName, rows }]
+// 반환: { checkedAt, sheetCount, recordCount, issueCount, errorCount, warningCount, sheets }
+export function validateSheets(sheets, columnMaps = {}) {
+    const results = sheets.map(({ sheetName, rows }) =>
+        validateSheet(sheetName, rows, columnMaps)
+    );
+    const issues = results.flatMap((result) => result.issues);
+
+    return {
+        checkedAt: new Date().toISOString(),
+        sheetCount: results.length,
+        recordCount: results.reduce(
+            (sum, result) => sum + result.recordCount,
+            0
+        ),
+        issueCount: issues.length,
+        errorCount: issues.filter((i) => i.severity === SEVERITY_ERROR).length,
+        warningCount: issues.filter((i) => i.severity === SEVERITY_WARNING)
+            .length,
+        sheets: results,
+    };
+}
+
+// 검사 결과 요약 문구
+export function summarizeValidation(report) {
+    let text = `📋 시트 검사 결과: 시트 ${report.sheetCount}개, 레코드 ${report.recordCount}건\n`;
+    text += `오류 ${report.errorCount}건, 경고 ${report.warningCount}건\n`;
+
+    report.sheets.forEach((sheet) => {
+        text += `\n[${sheet.sheet}] 레코드 ${sheet.recordCount}건`;
+        if (sheet.issues.length === 0) {
+            text += ` ✅\n`;
+            return;
+        }
+        text += ` - 문제 ${sheet.issues.length}건\n`;
+
+        sheet.issues.slice(0, MAX_SUMMARY_ISSUES_PER_SHEET).forEach((issue) => {
+            const icon = issue.severity === SEVERITY_ERROR ? "❌" : "⚠️";
+            const cell = issue.cell ? `${issue.cell} ` : "";
+            const value =
+                issue.value !== undefined ? ` ("${issue.value}")` : "";
+            text += `${icon} ${cell}${issue.message}${value}\n`;
+        });
+
+        if (sheet.issues.length > MAX_SUMMARY_ISSUES_PER_SHEET) {
+            text += `... 외 ${
+                sheet.issues.length - MAX_SUMMARY_ISSUES_PER_SHEET
+            }건\n`;
+        }
+    });
+
+    return text.trim();
+}
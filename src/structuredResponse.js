@@ -0,0 +1,118 @@
+import { calculateTotalCost } from "./costCalculator.js";
+import { PRICE_RANGE_FIELDS } from "./priceRange.js";
+
+// phonePrice 구조화(JSON) 응답
+// 웹 프론트엔드에서 이모지 텍스트를 파싱하지 않고 바로 쓸 수 있도록 숫자 필드를 제공합니다.
+
+// 검색 조건 필드 → 응답 필드명
+const FILTER_FIELDS = {
+    브랜드: "brand",
+    기본모델: "baseModel",
+    옵션: "option",
+    용량: "capacity",
+    통신사: "telecom",
+    타입: "type",
+    채널: "channel",
+    최소가격: "minPrice",
+    최대가격: "maxPrice",
+    최소요금제: "minPlan",
+    최대요금제: "maxPlan",
+};
+
+// 처리 결과를 구조화 응답으로 변환
+// result: processUserQuery 결과 { text, quickReplies, parsedData, matchingRecords, comparison? }
+// options.planMonths: 총 비용 계산에 사용할 요금제 유지 개월 수
+export function buildStructuredResponse(userInput, result, options = {}) {
+    const { text, quickReplies, parsedData, matchingRecords = [] } = result;
+
+    const response = {
+        query: userInput,
+        parsedQuery: parsedData || null,
+        filters: parsedData ? getAppliedFilters(parsedData) : {},
+        count: matchingRecords.length,
+        records: matchingRecords.map((record) =>
+            toStructuredRecord(record, options)
+        ),
+        suggestions: quickReplies.map((quickReply) => quickReply.messageText),
+        response: text,
+    };
+
+    if (result.comparison) {
+        response.comparison = toStructuredComparison(result.comparison);
+    }
+
+    return response;
+}
+
+// 모델 비교표 → 응답 형식
+// models: 비교한 모델, rows: 통신사/타입/채널별 모델 순서의 상품 (없으면 null)
+function toStructuredComparison(comparison) {
+    return {
+        models: comparison.models.map((model) => ({
+            label: model.label,
+            filters: getAppliedFilters(model.parsedData),
+            count: model.records.length,
+        })),
+        rows: comparison.rows.map((row) => ({
+            telecom: row.telecom,
+            type: row.type,
+            channel: row.channel,
+            offers: row.offers.map((offer) =>
+                offer
+                    ? {
+                          model: offer.record.modelRaw,
+                          capacity:
+                              offer.record.capacity === "기본"
+                                  ? null
+                                  : offer.record.capacity,
+                          plan: toNumber(offer.record.plan),
+                          price: toNumber(offer.record.price),
+                          services: offer.services.map(
+                              (service) => service.serviceName
+                          ),
+                          cost: offer.cost,
+                      }
+                    : null
+            ),
+        })),
+    };
+}
+
+// 실제로 적용된 검색 조건 (가격 조건은 숫자)
+function getAppliedFilters(parsedData) {
+    const filters = {};
+    Object.keys(FILTER_FIELDS).forEach((field) => {
+        if (parsedData[field]) {
+            filters[FILTER_FIELDS[field]] = PRICE_RANGE_FIELDS.includes(field)
+                ? toNumber(parsedData[field])
+                : parsedData[field];
+        }
+    });
+    return filters;
+}
+
+// 레코드 → 응답 레코드 (금액은 숫자)
+function toStructuredRecord(record, options) {
+    return {
+        model: record.modelRaw,
+        capacity: record.capacity === "기본" ? null : record.capacity,
+        telecom: record.telecom,
+        type: record.type,
+        channel: record.channel,
+        plan: toNumber(record.plan),
+        price: toNumber(record.price),
+        services: (record.serviceInfo || []).map((service) => ({
+            name: service.serviceName,
+            monthlyFee: toNumber(service.monthlyFee),
+            duration: service.duration || null,
+            additionalFee: toNumber(service.additionalFee),
+        })),
+        cost: calculateTotalCost(record, record.serviceInfo || [], options),
+    };
+}
+
+function toNumber(value) {
+    if (value === null || value === undefined || value === "") return null;
+    const number = parseInt(value, 10);
+    return Number.isNaN(number) ? null : number;
+}
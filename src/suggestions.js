@@ -0,0 +1,140 @@
+import { findMatchingRecords } from "./modelMatcher.js";
+import { describePriceRange } from "./priceRange.js";
+
+// 검색 결과가 없을 때 하나씩 완화해볼 조건 (앞에 있을수록 먼저 완화)
+const RELAXABLE_FIELDS = ["용량", "통신사", "타입", "채널", "옵션"];
+
+// 제안 최대 개수 (카카오 바로가기 응답은 최대 10개)
+const MAX_SUGGESTIONS = 6;
+
+// 카카오 바로가기 응답 라벨 최대 길이
+const MAX_LABEL_LENGTH = 14;
+
+// 조건을 하나씩 완화해서 가장 가까운 상품 조합 찾기
+// 반환: [{ field, value, telecoms, query }]
+export function findSuggestions(parsedData, allRecords) {
+    const suggestions = [];
+
+    for (const field of RELAXABLE_FIELDS) {
+        if (!parsedData[field]) continue;
+
+        const relaxedData = { ...parsedData, [field]: null };
+        const records = findMatchingRecords(relaxedData, allRecords);
+        if (records.length === 0) continue;
+
+        const groupedByValue = records.reduce((acc, record) => {
+            const value = getRecordValue(field, record);
+            if (!value) return acc;
+            if (!acc[value]) {
+                acc[value] = new Set();
+            }
+            acc[value].add(record.telecom);
+            return acc;
+        }, {});
+
+        Object.keys(groupedByValue).forEach((value) => {
+            suggestions.push({
+                field,
+                value,
+                telecoms: [...groupedByValue[value]],
+                query: describeQuery(
+                    field === "옵션"
+                        ? {
+                              ...parsedData,
+                              브랜드: null,
+                              기본모델: value,
+                              옵션: null,
+                          }
+                        : { ...parsedData, [field]: value }
+                ),
+            });
+        });
+    }
+
+    return suggestions.slice(0, MAX_SUGGESTIONS);
+}
+
+// "혹시 이 조건을 찾으세요?" 응답 생성
+export function generateSuggestionResponse(parsedData, suggestions) {
+    let result = `🔎 ${describeQuery(parsedData)} 조건의 상품은 없습니다.\n\n`;
+    result += `대신 이런 조건은 있어요:\n`;
+
+    suggestions.forEach((suggestion) => {
+        const label = formatValue(suggestion.field, suggestion.value);
+        const telecoms = suggestion.telecoms.join("/");
+
+        if (suggestion.field === "통신사") {
+            result += `• ${label}에는 있습니다\n`;
+        } else {
+            result += `• ${label}${topicParticle(
+                label
+            )} ${telecoms}에 있습니다\n`;
+        }
+    });
+
+    result += `\n💡 아래 버튼을 누르면 해당 조건으로 다시 검색합니다.`;
+    return result;
+}
+
+// 제안을 바로가기 응답 목록으로 변환
+export function suggestionsToQuickReplies(suggestions) {
+    return suggestions.map((suggestion) => {
+        let label = formatValue(suggestion.field, suggestion.value);
+        if (suggestion.field !== "통신사" && suggestion.telecoms.length === 1) {
+            label += ` ${suggestion.telecoms[0]}`;
+        }
+        return {
+            label: label.slice(0, MAX_LABEL_LENGTH),
+            messageText: suggestion.query,
+        };
+    });
+}
+
+// 완화한 조건에 해당하는 레코드 값
+function getRecordValue(field, record) {
+    switch (field) {
+        case "용량":
+            return record.capacity === "기본" ? null : record.capacity;
+        case "통신사":
+            return record.telecom;
+        case "타입":
+            return record.type;
+        case "채널":
+            return record.channel === "Unknown" ? null : record.channel;
+        case "옵션":
+            return record.modelRaw;
+        default:
+            return null;
+    }
+}
+
+// 제안 값 표시 형식
+function formatValue(field, value) {
+    return field === "용량" ? `${value}GB` : value;
+}
+
+// 검색 조건을 다시 질문 문장으로 만들기
+export function describeQuery(parsedData) {
+    const { 브랜드, 기본모델, 옵션, 용량, 통신사, 타입, 채널 } = parsedData;
+    return [
+        브랜드,
+        기본모델,
+        옵션,
+        용량 ? `${용량}GB` : null,
+        통신사,
+        타입,
+        채널,
+        describePriceRange(parsedData),
+    ]
+        .filter(Boolean)
+        .join(" ");
+}
+
+// 받침 여부에 따라 "은/는" 선택
+function topicParticle(word) {
+    const lastChar = word.charCodeAt(word.length - 1);
+    if (lastChar >= 0xac00 && lastChar <= 0xd7a3) {
+        return (lastChar - 0xac00) % 28 === 0 ? "는" : "은";
+    }
+    return "는";
+}
@@ -0,0 +1,341 @@
+import {
+    groupOffers,
+    getCommonDuration,
+    getServicesWithAdditionalFee,
+    formatManwon,
+    getChannelIcon,
+} from "./offers.js";
+import { calculateTotalCost } from "./costCalculator.js";
+import {
+    findBestByChannel,
+    findBestByModel,
+    SORT_BY_TOTAL_COST,
+} from "./ranking.js";
+import { describeQuery } from "./suggestions.js";
+import { detectBrand, formatModelName } from "./modelCatalog.js";
+import { isBudgetListing } from "./priceRange.js";
+
+// 최저가 순위에 표시할 최대 개수
+const MAX_RANKED_OFFERS = 10;
+
+// 예산 검색 결과에 표시할 최대 모델 수
+const MAX_BUDGET_MODELS = 10;
+
+// 응답 생성 함수
+// options.planMonths: 총 비용 계산에 사용할 요금제 유지 개월 수
+export function generateResponse(parsedData, matchingRecords, options = {}) {
+    if (matchingRecords.length === 0) {
+        return "해당 조건의 상품을 찾을 수 없습니다. 다른 조건으로 검색해보세요.";
+    }
+
+    const { 브랜드, 기본모델, 옵션, 용량, 통신사, 타입 } = parsedData;
+
+    // 최저가 요청이면 순위 출력 (레코드는 이미 싼 순서로 정렬됨)
+    if (parsedData.정렬) {
+        return generateRankedResponse(parsedData, matchingRecords, options);
+    }
+
+    // 가격 조건이 있으면 조건에 맞는 모델별 최저가 목록 출력
+    if (isBudgetListing(parsedData, matchingRecords)) {
+        return generateBudgetResponse(parsedData, matchingRecords, options);
+    }
+
+    // 용량이 있으면 상세한 가격 정보 출력
+    if (용량) {
+        return generateDetailedResponse(parsedData, matchingRecords, options);
+    }
+
+    // 용량이 없으면 모델명 목록만 출력
+    const uniqueModels = [...new Set(matchingRecords.map((r) => r.modelRaw))];
+
+    let result = `📱 검색 결과`;
+
+    // 검색 조건 표시
+    if (브랜드 || 기본모델 || 옵션) {
+        let displayText = "";
+
+        // 브랜드와 기본모델을 조합 (브랜드가 없으면 모델 카탈로그 규칙으로 판단)
+        if (브랜드 || 기본모델) {
+            displayText = formatModelName(
+                브랜드 || inferBrand(기본모델, matchingRecords),
+                기본모델
+            );
+        } else if (옵션) {
+            // 옵션만 있을 때
+            displayText = 옵션;
+        }
+
+        // 옵션 추가 (브랜드나 기본모델이 있을 때만)
+        if (옵션 && displayText && displayText !== 옵션) {
+            displayText += ` ${옵션}`;
+        }
+
+        result += ` (${displayText})`;
+    }
+
+    result += ` - ${uniqueModels.length}개 모델:\n\n`;
+
+    uniqueModels.slice(0, 10).forEach((model, index) => {
+        const modelRecords = matchingRecords.filter(
+            (r) => r.modelRaw === model
+        );
+        const capacities = [...new Set(modelRecords.map((r) => r.capacity))];
+
+        result += `${index + 1}. ${model}`;
+        if (capacities.length > 0 && capacities[0] !== "기본") {
+            result += ` (${capacities.join(", ")}GB)`;
+        }
+        result += "\n";
+    });
+
+    if (uniqueModels.length > 10) {
+        result += `\n... 외 ${uniqueModels.length - 10}개 모델`;
+    }
+
+    result +=
+        "\n\n💡 자세한 가격을 보려면 용량과 통신사를 함께 말씀해주세요. \n\n예시: '아이폰 15 256 LG 번호이동 가격'\n'갤럭시 S25 256GB SK 기기변경 가격'";
+
+    return result;
+}
+
+// 상세 가격 정보 생성 함수
+export function generateDetailedResponse(
+    parsedData,
+    matchingRecords,
+    options = {}
+) {
+    const { 브랜드, 기본모델, 옵션, 용량, 통신사, 타입 } = parsedData;
+
+    let result = `💰 가격 정보`;
+
+    // 검색 조건 표시
+    let displayText = "";
+    if (브랜드 || 기본모델) {
+        displayText = formatModelName(
+            브랜드 || inferBrand(기본모델, matchingRecords),
+            기본모델
+        );
+    }
+
+    if (옵션 && displayText && displayText !== 옵션) {
+        displayText += ` ${옵션}`;
+    } else if (옵션) {
+        displayText = 옵션;
+    }
+
+    if (용량) {
+        displayText += ` ${용량}GB`;
+    }
+
+    result += ` - ${displayText}\n\n`;
+
+    // 채널별로 출력
+    const offers = groupOffers(matchingRecords);
+    const channels = [...new Set(offers.map((offer) => offer.channel))];
+
+    channels.forEach((channel) => {
+        result += `${getChannelIcon(channel)} ${channel} 가격 조건 안내\n\n`;
+
+        offers
+            .filter((offer) => offer.channel === channel)
+            .forEach(({ telecom, type, record, services }) => {
+                result += `📱 ${telecom} ${type}\n`;
+                result += `✅ 할부원금: ${parseInt(
+                    record.price
+                ).toLocaleString()}원\n`;
+                result += `✅ 요금제: 월 ${parseInt(
+                    record.plan
+                ).toLocaleString()}원\n`;
+
+                if (services.length > 0) {
+                    const commonDuration = getCommonDuration(services);
+
+                    result += `✅ 부가서비스`;
+                    if (commonDuration) {
+                        result += ` (${commonDuration} 유지)`;
+                    }
+                    result += `\n`;
+
+                    // 부가서비스 목록 출력
+                    services.forEach((service) => {
+                        result += ` - ${service.serviceName}`;
+
+                        // 월 청구금이 있고 0이 아닌 경우
+                        if (
+                            service.monthlyFee &&
+                            service.monthlyFee !== "0" &&
+                            service.monthlyFee !== ""
+                        ) {
+                            result += `: ${formatManwon(
+                                parseInt(service.monthlyFee)
+                            )}`;
+                        }
+
+                        result += `\n`;
+                    });
+
+                    // 미가입 시 추가금이 있는 서비스들
+                    const servicesWithAdditionalFee =
+                        getServicesWithAdditionalFee(services);
+
+                    if (servicesWithAdditionalFee.length > 0) {
+                        result += `❗ 부가 미가입 시\n`;
+                        servicesWithAdditionalFee.forEach((service) => {
+                            const feeText = `+${formatManwon(
+                                parseInt(service.additionalFee)
+                            )}`;
+                            result += ` - ${service.serviceName} 미가입: ${feeText}\n`;
+                        });
+                    }
+                }
+
+                // 유지기간 총 비용
+                result += formatTotalCost(
+                    calculateTotalCost(record, services, options)
+                );
+
+                result += `\n`;
+            });
+
+        result += `\n`;
+    });
+
+    return result;
+}
+
+// 최저가 순위 응답 생성 함수
+// rankedRecords: rankRecords로 정렬된 레코드
+export function generateRankedResponse(
+    parsedData,
+    rankedRecords,
+    options = {}
+) {
+    const sortBy = parsedData.정렬;
+    const criteria =
+        sortBy === SORT_BY_TOTAL_COST ? "총 비용 기준" : "할부원금 기준";
+    const condition = describeQuery({ ...parsedData, 정렬: null });
+
+    let result = `🏆 최저가 추천${
+        condition ? ` - ${condition}` : ""
+    } (${criteria})\n\n`;
+
+    // 채널별 최저가
+    const bestByChannel = findBestByChannel(rankedRecords);
+    Object.keys(bestByChannel).forEach((channel) => {
+        const record = bestByChannel[channel];
+        result += `${getChannelIcon(channel)} ${channel} 최저가: ${
+            record.telecom
+        } ${record.type} ${formatRecordModel(record)}\n`;
+    });
+    result += `\n`;
+
+    // 전체 순위
+    rankedRecords.slice(0, MAX_RANKED_OFFERS).forEach((record, index) => {
+        const cost = calculateTotalCost(
+            record,
+            record.serviceInfo || [],
+            options
+        );
+        const isBest = bestByChannel[record.channel] === record;
+
+        result += `${index + 1}. ${getChannelIcon(record.channel)} ${
+            record.telecom
+        } ${record.type} · ${formatRecordModel(record)}${
+            isBest ? " 🥇" : ""
+        }\n`;
+        result += `   할부원금 ${parseInt(
+            record.price
+        ).toLocaleString()}원 / 요금제 월 ${parseInt(
+            record.plan
+        ).toLocaleString()}원\n`;
+        result += `   ${cost.months}개월 총 비용 ${Math.min(
+            cost.withServices,
+            cost.withoutServices
+        ).toLocaleString()}원\n`;
+    });
+
+    if (rankedRecords.length > MAX_RANKED_OFFERS) {
+        result += `\n... 외 ${rankedRecords.length - MAX_RANKED_OFFERS}건`;
+    }
+
+    result +=
+        "\n\n💡 부가서비스 조건은 통신사와 가입 유형을 함께 말씀해주시면 자세히 안내해드립니다.";
+
+    return result;
+}
+
+// 예산 검색 응답 생성 함수 (가격 조건에 맞는 모델별 최저가)
+export function generateBudgetResponse(
+    parsedData,
+    matchingRecords,
+    options = {}
+) {
+    const bestOffers = findBestByModel(matchingRecords);
+
+    let result = `💸 ${describeQuery(parsedData)} - ${
+        bestOffers.length
+    }개 모델\n\n`;
+
+    bestOffers.slice(0, MAX_BUDGET_MODELS).forEach((record, index) => {
+        const cost = calculateTotalCost(
+            record,
+            record.serviceInfo || [],
+            options
+        );
+
+        result += `${index + 1}. ${formatRecordModel(record)}\n`;
+        result += `   최저 할부원금 ${parseInt(
+            record.price
+        ).toLocaleString()}원 / 요금제 월 ${parseInt(
+            record.plan
+        ).toLocaleString()}원\n`;
+        result += `   ${getChannelIcon(record.channel)} ${record.telecom} ${
+            record.type
+        } (${record.channel}) · ${cost.months}개월 총 비용 ${Math.min(
+            cost.withServices,
+            cost.withoutServices
+        ).toLocaleString()}원\n`;
+    });
+
+    if (bestOffers.length > MAX_BUDGET_MODELS) {
+        result += `\n... 외 ${bestOffers.length - MAX_BUDGET_MODELS}개 모델`;
+    }
+
+    result +=
+        "\n\n💡 모델명과 용량, 통신사를 말씀해주시면 부가서비스 조건까지 자세히 안내해드립니다.";
+
+    return result;
+}
+
+// 기본모델의 브랜드 (모델명으로 알 수 없으면 검색된 레코드의 브랜드)
+function inferBrand(baseModel, matchingRecords) {
+    const record = matchingRecords[0];
+    return (
+        detectBrand(baseModel) ||
+        (record && (record.brand || detectBrand(record.modelRaw))) ||
+        null
+    );
+}
+
+// 레코드 모델명 + 용량
+function formatRecordModel(record) {
+    return record.capacity && record.capacity !== "기본"
+        ? `${record.modelRaw} ${record.capacity}GB`
+        : record.modelRaw;
+}
+
+// 총 비용 표시
+function formatTotalCost(cost) {
+    const { months, withServices, withoutServices, cheaper } = cost;
+
+    if (withServices === withoutServices) {
+        return `💵 ${months}개월 총 비용: ${withServices.toLocaleString()}원 (월 ${cost.monthlyWithServices.toLocaleString()}원)\n`;
+    }
+
+    let result = `💵 ${months}개월 총 비용\n`;
+    result += ` - 부가 가입: ${withServices.toLocaleString()}원 (월 ${cost.monthlyWithServices.toLocaleString()}원)`;
+    result += cheaper === "가입" ? " 👍\n" : "\n";
+    result += ` - 부가 미가입: ${withoutServices.toLocaleString()}원 (월 ${cost.monthlyWithoutServices.toLocaleString()}원)`;
+    result += cheaper === "미가입" ? " 👍\n" : "\n";
+    return result;
+}
@@ -0,0 +1,172 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+    isComparisonQuery,
+    splitComparisonQuery,
+    buildComparisonQueries,
+    combineParsedSegments,
+    compareModels,
+    generateComparisonResponse,
+} from "../src/comparison.js";
+import { parseUserInputRules } from "../src/ruleParser.js";
+import { normalizeModelName } from "../src/modelMatcher.js";
+import { silenceLogs } from "./helpers/console.js";
+
+silenceLogs();
+
+function record(modelRaw, overrides = {}) {
+    return {
+        modelRaw,
+        modelNorm: normalizeModelName(modelRaw),
+        capacity: "256",
+        telecom: "SK",
+        type: "번호이동",
+        channel: "온라인",
+        plan: "109000",
+        price: "500000",
+        serviceInfo: null,
+        ...overrides,
+    };
+}
+
+const RECORDS = [
+    record("갤럭시 S25", { price: "350000" }),
+    record("갤럭시 S25", { price: "300000", telecom: "KT", channel: "내방" }),
+    record("갤럭시 S25", { capacity: "512", price: "450000" }),
+    record("아이폰 16", { price: "520000", plan: "90000" }),
+];
+
+function queries(userInput, previousData) {
+    return buildComparisonQueries(
+        splitComparisonQuery(userInput).map((segment) =>
+            parseUserInputRules(segment)
+        ),
+        previousData
+    );
+}
+
+describe("비교 문의 인식", () => {
+    it("vs/비교/뭐가 더 싸요 표현을 인식한다", () => {
+        assert.equal(isComparisonQuery("S25 vs 아이폰16 SK 번이"), true);
+        assert.equal(isComparisonQuery("S25랑 16 뭐가 더 싸요?"), true);
+        assert.equal(isComparisonQuery("S25 대 아이폰 16"), true);
+        assert.equal(isComparisonQuery("50만원대 폰"), false);
+        assert.equal(isComparisonQuery("S25 256 SK 번이"), false);
+    });
+
+    it("모델별 문구로 나눈다", () => {
+        assert.deepEqual(splitComparisonQuery("S25 vs 아이폰16 SK 번이"), [
+            "S25",
+            "아이폰16 SK 번이",
+        ]);
+        assert.deepEqual(
+            splitComparisonQuery("갤럭시 S25 256과 아이폰 16e 비교해줘"),
+            ["갤럭시 S25 256", "아이폰 16e"]
+        );
+        assert.deepEqual(splitComparisonQuery("S25, 16 프로, 플립6"), [
+            "S25",
+            "16 프로",
+            "플립6",
+        ]);
+        assert.deepEqual(splitComparisonQuery("S25랑 16 뭐가 더 싸요?"), [
+            "S25",
+            "16",
+        ]);
+    });
+
+    it("모델명이나 용량 뒤에 붙은 조사에서만 나눈다", () => {
+        assert.deepEqual(
+            splitComparisonQuery("S25 256 SK 번이랑 기변 어느 게 싸요"),
+            ["S25 256 SK 번이랑 기변"]
+        );
+        assert.deepEqual(splitComparisonQuery("16 프로랑 S25 울트라 비교"), [
+            "16 프로",
+            "S25 울트라",
+        ]);
+        assert.deepEqual(splitComparisonQuery("S25 256GB와 512GB 비교"), [
+            "S25 256GB",
+            "512GB",
+        ]);
+    });
+});
+
+describe("buildComparisonQueries", () => {
+    it("통신사/타입은 모든 모델에, 용량은 말한 모델에만 적용한다", () => {
+        const { shared, models } = queries("S25 256 vs 아이폰16 SK 번이");
+
+        assert.equal(shared.통신사, "SK");
+        assert.equal(shared.기본모델, null);
+        assert.deepEqual(
+            models.map(({ 기본모델, 용량, 통신사, 타입 }) => [
+                기본모델,
+                용량,
+                통신사,
+                타입,
+            ]),
+            [
+                ["S25", "256", "SK", "번호이동"],
+                ["16", null, "SK", "번호이동"],
+            ]
+        );
+    });
+
+    it("말하지 않은 공통 조건은 이전 대화 조건으로 채우고 같은 모델은 한 번만", () => {
+        const { models } = queries("S25 vs S25 vs 16", { 통신사: "KT" });
+        assert.equal(models.length, 2);
+        assert.ok(models.every((model) => model.통신사 === "KT"));
+    });
+});
+
+describe("combineParsedSegments", () => {
+    it("조건마다 처음 말한 값으로 하나의 검색 조건을 만든다", () => {
+        const combined = combineParsedSegments(
+            splitComparisonQuery("S25 256 SK랑 KT 뭐가 더 싸요").map(
+                (segment) => parseUserInputRules(segment)
+            )
+        );
+        assert.equal(combined.기본모델, "S25");
+        assert.equal(combined.용량, "256");
+        assert.equal(combined.통신사, "SK");
+    });
+});
+
+describe("compareModels", () => {
+    it("통신사/타입/채널마다 모델별 가장 싼 상품을 나란히 놓는다", () => {
+        const comparison = compareModels(queries("S25 vs 아이폰 16"), RECORDS);
+
+        assert.deepEqual(
+            comparison.models.map((model) => model.label),
+            ["갤럭시 S25", "아이폰 16"]
+        );
+        assert.deepEqual(
+            comparison.rows.map((row) => [
+                row.telecom,
+                row.offers.map((offer) => offer && offer.record.price),
+            ]),
+            [
+                ["KT", ["300000", null]],
+                ["SK", ["350000", "520000"]],
+            ]
+        );
+    });
+
+    it("비교표 텍스트에 총 비용이 싼 모델을 표시한다", () => {
+        const text = generateComparisonResponse(
+            compareModels(queries("S25 vs 아이폰 16"), RECORDS, {
+                planMonths: 6,
+            })
+        );
+
+        assert.match(text, /⚖️ 모델 비교 - 갤럭시 S25 vs 아이폰 16/);
+        assert.match(text, /• 갤럭시 S25 👍\n {2}할부원금 350,000원/);
+        assert.match(text, /6개월 총 비용 1,004,000원/);
+        assert.match(text, /• 아이폰 16: 상품 없음/);
+    });
+
+    it("비교할 상품이 없으면 안내 문구", () => {
+        const text = generateComparisonResponse(
+            compareModels(queries("S25 vs 16 LG"), RECORDS)
+        );
+        assert.match(text, /비교할 상품을 찾을 수 없습니다/);
+    });
+});
@@ -0,0 +1,117 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import {
+    isResetUtterance,
+    mergeParsedData,
+    loadConversation,
+    saveConversation,
+    clearConversation,
+} from "../src/conversationState.js";
+import { createFirestoreStub } from "./helpers/firestore.js";
+import { silenceLogs } from "./helpers/console.js";
+
+silenceLogs();
+
+const S25_SK = {
+    브랜드: "갤럭시",
+    기본모델: "S25",
+    옵션: null,
+    용량: "256",
+    통신사: "SK",
+    타입: "번호이동",
+    채널: null,
+    정렬: "할부원금",
+};
+
+function parsed(fields) {
+    return {
+        브랜드: null,
+        기본모델: null,
+        옵션: null,
+        용량: null,
+        통신사: null,
+        타입: null,
+        채널: null,
+        정렬: null,
+        ...fields,
+    };
+}
+
+describe("isResetUtterance", () => {
+    it("처음부터/초기화 표현을 인식한다", () => {
+        assert.ok(isResetUtterance("처음부터 다시"));
+        assert.ok(isResetUtterance("다시 시작할게요"));
+        assert.ok(isResetUtterance("새로 검색"));
+        assert.ok(isResetUtterance("조건 초기화"));
+        assert.ok(isResetUtterance("RESET"));
+        assert.ok(!isResetUtterance("S25 다시 알려줘"));
+        assert.ok(!isResetUtterance("KT로 바꿔서"));
+    });
+});
+
+describe("mergeParsedData", () => {
+    it("이전 조건이 없으면 새 조건 그대로", () => {
+        const current = parsed({ 기본모델: "S25" });
+        assert.equal(mergeParsedData(null, current), current);
+    });
+
+    it("모델 없이 말한 조건은 이전 모델에 더한다", () => {
+        assert.deepEqual(
+            mergeParsedData(S25_SK, parsed({ 통신사: "KT", 채널: "내방" })),
+            { ...S25_SK, 통신사: "KT", 채널: "내방" }
+        );
+    });
+
+    it("새 모델을 말하면 용량/정렬은 비우고 통신사/타입은 유지한다", () => {
+        assert.deepEqual(
+            mergeParsedData(
+                S25_SK,
+                parsed({ 브랜드: "아이폰", 기본모델: "16", 옵션: "프로" })
+            ),
+            {
+                ...S25_SK,
+                브랜드: "아이폰",
+                기본모델: "16",
+                옵션: "프로",
+                용량: null,
+                정렬: null,
+            }
+        );
+    });
+});
+
+describe("대화 상태 저장", () => {
+    afterEach(() => mock.restoreAll());
+
+    it("저장한 조건을 불러오고 초기화하면 지운다", async () => {
+        const db = createFirestoreStub();
+
+        await saveConversation("user-1", S25_SK, { db });
+        assert.deepEqual(await loadConversation("user-1", { db }), S25_SK);
+
+        await clearConversation("user-1", { db });
+        assert.equal(await loadConversation("user-1", { db }), null);
+    });
+
+    it("TTL이 지난 대화 상태는 불러오지 않는다", async () => {
+        const db = createFirestoreStub();
+        let now = 1_000_000;
+        mock.method(Date, "now", () => now);
+
+        await saveConversation("user-1", S25_SK, { db, ttlMs: 60000 });
+        const stored = db.docs.get("conversations/user-1").data;
+        assert.equal(stored.expiresAt.getTime(), now + 60000);
+
+        now += 60000;
+        assert.deepEqual(
+            await loadConversation("user-1", { db, ttlMs: 60000 }),
+            S25_SK
+        );
+
+        now += 1;
+        assert.equal(
+            await loadConversation("user-1", { db, ttlMs: 60000 }),
+            null
+        );
+    });
+});
@@ -0,0 +1,75 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+    parseDurationMonths,
+    calculateTotalCost,
+} from "../src/costCalculator.js";
+
+const RECORD = { price: "500000", plan: "100000" };
+
+function service(overrides = {}) {
+    return {
+        serviceName: "V컬러링",
+        monthlyFee: "9900",
+        duration: "M+3",
+        additionalFee: "20000",
+        ...overrides,
+    };
+}
+
+describe("parseDurationMonths", () => {
+    it("M+n은 개통월을 포함한 개월 수", () => {
+        assert.equal(parseDurationMonths("M+3"), 4);
+        assert.equal(parseDurationMonths("m + 1"), 2);
+    });
+
+    it("년/일/개월 단위", () => {
+        assert.equal(parseDurationMonths("1년"), 12);
+        assert.equal(parseDurationMonths("90일"), 3);
+        assert.equal(parseDurationMonths("100일"), 4);
+        assert.equal(parseDurationMonths("6개월"), 6);
+        assert.equal(parseDurationMonths(6), 6);
+    });
+
+    it("해석할 수 없으면 null", () => {
+        assert.equal(parseDurationMonths(""), null);
+        assert.equal(parseDurationMonths("유지"), null);
+        assert.equal(parseDurationMonths(null), null);
+    });
+});
+
+describe("calculateTotalCost", () => {
+    it("부가서비스가 없으면 할부원금 + 요금제 × 유지개월", () => {
+        assert.deepEqual(calculateTotalCost(RECORD), {
+            months: 6,
+            withServices: 1100000,
+            withoutServices: 1100000,
+            cheaper: null,
+            monthlyWithServices: 183333,
+            monthlyWithoutServices: 183333,
+        });
+    });
+
+    it("추가금이 부가서비스 요금보다 싸면 미가입이 유리하다", () => {
+        const cost = calculateTotalCost(RECORD, [service()]);
+
+        // 가입: 9,900원 × 4개월, 미가입: 추가금 20,000원
+        assert.equal(cost.withServices, 1100000 + 39600);
+        assert.equal(cost.withoutServices, 1100000 + 20000);
+        assert.equal(cost.cheaper, "미가입");
+        assert.equal(cost.monthlyWithoutServices, 186667);
+    });
+
+    it("추가금이 더 비싸면 가입이 유리하고, 기간을 모르면 요금제 유지개월로 계산한다", () => {
+        const cost = calculateTotalCost(
+            RECORD,
+            [service({ duration: "", additionalFee: "100000" })],
+            { planMonths: 3 }
+        );
+
+        assert.equal(cost.months, 3);
+        assert.equal(cost.withServices, 500000 + 300000 + 29700);
+        assert.equal(cost.withoutServices, 500000 + 300000 + 100000);
+        assert.equal(cost.cheaper, "가입");
+    });
+});
@@ -0,0 +1,98 @@
+import { describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "url";
+import { google } from "googleapis";
+import { createDataSource, parseCsv } from "../src/dataSources.js";
+import { FIXTURE_SHEETS, createSheetsStub } from "./helpers/sheets.js";
+
+const fixturePath = (path) =>
+    fileURLToPath(new URL(`../fixtures/${path}`, import.meta.url));
+
+describe("parseCsv", () => {
+    it("따옴표 안의 쉼표, 줄바꿈, 따옴표를 지원한다", () => {
+        assert.deepEqual(parseCsv('a,"1,000","줄\n바꿈","""따옴표"""\r\nb,2'), [
+            ["a", "1,000", "줄\n바꿈", '"따옴표"'],
+            ["b", "2"],
+        ]);
+    });
+
+    it("행 끝의 빈 칸과 마지막 빈 행은 없앤다", () => {
+        assert.deepEqual(parseCsv("\uFEFFa,,\n,\n\n"), [["a"]]);
+    });
+});
+
+describe("createDataSource", () => {
+    it("CSV 디렉터리와 JSON 파일이 같은 시트를 읽는다", async () => {
+        const csv = createDataSource({
+            type: "csv",
+            path: fixturePath("sheets"),
+        });
+        const json = createDataSource({
+            type: "json",
+            path: fixturePath("sheets.json"),
+        });
+
+        assert.deepEqual(await csv.listSheetNames(), ["KT 내방", "SK 온라인"]);
+        assert.deepEqual(await json.listSheetNames(), ["KT 내방", "SK 온라인"]);
+
+        const csvRows = await csv.readSheet("SK 온라인");
+        const jsonRows = await json.readSheet("SK 온라인");
+        assert.equal(csvRows.length, jsonRows.length);
+        assert.deepEqual(csvRows[1], jsonRows[1]);
+        assert.equal(csvRows[2][3], "350,000");
+        assert.equal(jsonRows[2][3], 350000);
+    });
+
+    it("JSON 파일의 모든 시트를 읽는다", async () => {
+        const json = createDataSource({
+            type: "json",
+            path: fixturePath("sheets.json"),
+        });
+
+        assert.deepEqual(
+            await json.readAllSheets(),
+            Object.entries(FIXTURE_SHEETS).map(([sheetName, rows]) => ({
+                sheetName,
+                rows,
+            }))
+        );
+    });
+
+    it("시트 데이터 소스는 모든 시트를 요청 한 번으로 읽는다", async (t) => {
+        const stub = createSheetsStub({
+            "SK 온라인": [["모델명"], ["갤럭시 S25"]],
+            "KT's 내방": [["모델명"]],
+            빈시트: undefined,
+        });
+        t.after(() => mock.restoreAll());
+        mock.method(google, "sheets", () => stub);
+
+        const source = createDataSource({ spreadsheetId: "sheet-1" });
+        assert.deepEqual(await source.readAllSheets(), [
+            { sheetName: "SK 온라인", rows: [["모델명"], ["갤럭시 S25"]] },
+            { sheetName: "KT's 내방", rows: [["모델명"]] },
+            { sheetName: "빈시트", rows: [] },
+        ]);
+
+        assert.deepEqual(
+            stub.calls.map((call) => call.method),
+            ["get", "values.batchGet"]
+        );
+        assert.equal(stub.calls[1].spreadsheetId, "sheet-1");
+        assert.deepEqual(stub.calls[1].ranges, [
+            "'SK 온라인'",
+            "'KT''s 내방'",
+            "'빈시트'",
+        ]);
+    });
+
+    it("파일 데이터 소스에는 경로가 필요하다", () => {
+        assert.throws(() => createDataSource({ type: "csv" }), /경로/);
+        assert.throws(() => createDataSource({ type: "json" }), /경로/);
+    });
+
+    it("시트 데이터 소스 id는 시트 ID", () => {
+        const source = createDataSource({ spreadsheetId: "sheet-1" });
+        assert.equal(source.id, "sheet-1");
+    });
+});
@@ -0,0 +1,168 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+    MAX_CHUNK_LENGTH,
+    splitIntoChunks,
+    readChunkedDoc,
+    replaceChunkedDoc,
+    deleteChunkedDoc,
+} from "../src/firestoreChunks.js";
+import { createFirestoreStub } from "./helpers/firestore.js";
+import { silenceLogs } from "./helpers/console.js";
+
+silenceLogs();
+
+// 조각 문서 경로 목록
+function chunkPaths(db, parentPath) {
+    return [...db.docs.keys()].filter((path) =>
+        path.startsWith(`${parentPath}/chunks/`)
+    );
+}
+
+describe("splitIntoChunks", () => {
+    it("최대 길이마다 나누고 빈 문자열도 조각 하나", () => {
+        assert.deepEqual(splitIntoChunks("abcde", 2), ["ab", "cd", "e"]);
+        assert.deepEqual(splitIntoChunks("", 2), [""]);
+    });
+});
+
+describe("replaceChunkedDoc / readChunkedDoc", () => {
+    it("문서 크기 제한을 넘는 값을 여러 조각으로 저장하고 다시 읽는다", async () => {
+        const db = createFirestoreStub();
+        const ref = db.collection("snapshots").doc("sheet");
+        const records = [
+            { modelRaw: "갤럭시 S25", memo: "가".repeat(MAX_CHUNK_LENGTH) },
+        ];
+
+        assert.equal(
+            await replaceChunkedDoc(ref, records, {
+                fields: { recordCount: 1 },
+            }),
+            true
+        );
+        assert.equal(chunkPaths(db, ref.path).length, 2);
+
+        const stored = await readChunkedDoc(ref, "records");
+        assert.deepEqual(stored.value, records);
+        assert.equal(stored.data.recordCount, 1);
+        assert.equal(stored.data.chunkCount, 2);
+        assert.equal(
+            await readChunkedDoc(db.collection("snapshots").doc("none")),
+            null
+        );
+    });
+
+    it("읽은 뒤 다른 곳에서 바꿨으면 저장하지 않고, 저장하면 이전 조각을 지운다", async () => {
+        const db = createFirestoreStub();
+        const ref = db.collection("snapshots").doc("sheet");
+        await replaceChunkedDoc(ref, ["first"]);
+        const first = await readChunkedDoc(ref, "records");
+
+        assert.equal(
+            await replaceChunkedDoc(ref, ["second"], {
+                version: first.version,
+            }),
+            true
+        );
+        // 같은 버전으로 다시 저장하면 충돌 (새로 쓴 조각은 정리)
+        assert.equal(
+            await replaceChunkedDoc(ref, ["third"], { version: first.version }),
+            false
+        );
+        // 문서가 없다고 생각하고 만들려고 해도 충돌
+        assert.equal(await replaceChunkedDoc(ref, ["fourth"]), false);
+
+        assert.deepEqual((await readChunkedDoc(ref, "records")).value, [
+            "second",
+        ]);
+        assert.equal(chunkPaths(db, ref.path).length, 1);
+    });
+
+    it("배치에 함께 넣은 쓰기는 저장에 성공할 때만 저장된다", async () => {
+        const db = createFirestoreStub();
+        const ref = db.collection("history").doc("sheet");
+        const addChange = (batch) =>
+            batch.set(ref.collection("changes").doc("c1"), { kind: "changed" });
+
+        await replaceChunkedDoc(ref, [1]);
+        const stale = (await readChunkedDoc(ref, "records")).version;
+        await replaceChunkedDoc(ref, [2], { version: stale });
+
+        assert.equal(
+            await replaceChunkedDoc(ref, [3], {
+                version: stale,
+                addWrites: addChange,
+            }),
+            false
+        );
+        assert.equal(db.docs.has(`${ref.path}/changes/c1`), false);
+    });
+
+    it("조각으로 나누기 전 형식도 읽고, 저장하면 이전 필드를 지운다", async () => {
+        const db = createFirestoreStub();
+        const ref = db.collection("snapshots").doc("sheet");
+        await ref.set({
+            records: JSON.stringify([{ price: "1" }]),
+            fetchedAt: 1,
+        });
+
+        const legacy = await readChunkedDoc(ref, "records");
+        assert.deepEqual(legacy.value, [{ price: "1" }]);
+
+        await replaceChunkedDoc(ref, [{ price: "2" }], {
+            version: legacy.version,
+            fields: { fetchedAt: 2 },
+        });
+        const stored = await readChunkedDoc(ref, "records");
+        assert.deepEqual(stored.value, [{ price: "2" }]);
+        assert.equal(stored.data.records, undefined);
+        assert.equal(stored.data.fetchedAt, 2);
+    });
+});
+
+describe("deleteChunkedDoc", () => {
+    it("부모 문서와 조각 문서를 모두 지운다", async () => {
+        const db = createFirestoreStub();
+        const ref = db.collection("snapshots").doc("sheet");
+        const other = db.collection("snapshots").doc("other");
+        await replaceChunkedDoc(ref, ["가".repeat(MAX_CHUNK_LENGTH)]);
+        await replaceChunkedDoc(other, ["other"]);
+        assert.equal(chunkPaths(db, ref.path).length, 2);
+
+        await deleteChunkedDoc(ref);
+
+        assert.equal(db.docs.has(ref.path), false);
+        assert.equal(chunkPaths(db, ref.path).length, 0);
+        assert.deepEqual((await readChunkedDoc(other, "records")).value, [
+            "other",
+        ]);
+
+        // 없는 문서는 그대로 끝남
+        await deleteChunkedDoc(ref);
+    });
+
+    it("읽은 뒤 다른 곳에서 바꿨으면 다시 읽어서 새 조각을 지운다", async () => {
+        const db = createFirestoreStub();
+        const ref = db.collection("snapshots").doc("sheet");
+        await replaceChunkedDoc(ref, ["first"]);
+
+        // 처음 읽은 직후 다른 인스턴스가 새 스냅샷을 저장한 상황
+        const get = ref.get;
+        let replaced = false;
+        ref.get = async () => {
+            const doc = await get();
+            if (!replaced) {
+                replaced = true;
+                const stored = await readChunkedDoc(ref, "records");
+                await replaceChunkedDoc(ref, ["second"], {
+                    version: stored.version,
+                });
+            }
+            return doc;
+        };
+
+        await deleteChunkedDoc(ref);
+        assert.equal(db.docs.has(ref.path), false);
+        assert.equal(chunkPaths(db, ref.path).length, 0);
+    });
+});
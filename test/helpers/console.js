@@ -0,0 +1,13 @@
+import { before, after, mock } from "node:test";
+
+// 검색 과정 로그가 테스트 결과를 덮지 않도록 console.log/error를 막음
+// describe 안이나 파일 최상단에서 호출합니다.
+export function silenceLogs() {
+    before(() => {
+        mock.method(console, "log", () => {});
+        mock.method(console, "error", () => {});
+    });
+    after(() => {
+        mock.restoreAll();
+    });
+}
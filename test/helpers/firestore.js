@@ -0,0 +1,122 @@
+import { FieldValue } from "firebase-admin/firestore";
+
+// 메모리 Firestore 스텁
+// 문서 get/set/delete(lastUpdateTime 조건), 배치(create/update/set, lastUpdateTime 조건), getAll만 흉내 냅니다.
+// updateTime은 쓸 때마다 1씩 늘어나는 숫자입니다.
+export function createFirestoreStub() {
+    const docs = new Map();
+    let clock = 0;
+    let autoId = 0;
+
+    const write = (path, data) => {
+        const fields = Object.fromEntries(
+            Object.entries(data).filter(
+                ([, value]) => !(value instanceof FieldValue)
+            )
+        );
+        docs.set(path, { data: structuredClone(fields), updateTime: ++clock });
+    };
+
+    const snapshot = (path) => {
+        const stored = docs.get(path);
+        return {
+            exists: Boolean(stored),
+            updateTime: stored?.updateTime,
+            data: () => (stored ? structuredClone(stored.data) : undefined),
+        };
+    };
+
+    const failure = (code, message) =>
+        Object.assign(new Error(message), { code });
+
+    const db = {
+        docs,
+
+        collection: (name) => collectionRef(name),
+
+        async getAll(...refs) {
+            return refs.map((ref) => snapshot(ref.path));
+        },
+
+        batch() {
+            const operations = [];
+            return {
+                create: (ref, data) =>
+                    operations.push({ kind: "create", ref, data }),
+                set: (ref, data) => operations.push({ kind: "set", ref, data }),
+                update: (ref, data, precondition = {}) =>
+                    operations.push({
+                        kind: "update",
+                        ref,
+                        data,
+                        precondition,
+                    }),
+
+                async commit() {
+                    // 모두 확인한 뒤 한 번에 저장
+                    operations.forEach(({ kind, ref, precondition }) => {
+                        const stored = docs.get(ref.path);
+                        if (kind === "create" && stored) {
+                            throw failure(6, `이미 있음: ${ref.path}`);
+                        }
+                        if (
+                            kind === "update" &&
+                            (!stored ||
+                                (precondition.lastUpdateTime !== undefined &&
+                                    stored.updateTime !==
+                                        precondition.lastUpdateTime))
+                        ) {
+                            throw failure(9, `조건 불일치: ${ref.path}`);
+                        }
+                    });
+                    operations.forEach(({ kind, ref, data }) => {
+                        const base =
+                            kind === "update" ? docs.get(ref.path).data : {};
+                        const deleted = Object.entries(data)
+                            .filter(([, value]) => value instanceof FieldValue)
+                            .map(([key]) => key);
+                        const merged = { ...base, ...data };
+                        deleted.forEach((key) => delete merged[key]);
+                        write(ref.path, merged);
+                    });
+                },
+            };
+        },
+    };
+
+    function collectionRef(path) {
+        return {
+            doc(id = `auto-${++autoId}`) {
+                // Firestore처럼 "/"가 있는 문서 id는 거절
+                if (id.includes("/")) {
+                    throw new Error(
+                        `Your path does not contain an even number of components: ${path}/${id}`
+                    );
+                }
+                return docRef(`${path}/${id}`);
+            },
+        };
+    }
+
+    function docRef(path) {
+        return {
+            path,
+            firestore: db,
+            collection: (name) => collectionRef(`${path}/${name}`),
+            get: async () => snapshot(path),
+            set: async (data) => write(path, data),
+            delete: async (precondition = {}) => {
+                const stored = docs.get(path);
+                if (
+                    precondition.lastUpdateTime !== undefined &&
+                    stored?.updateTime !== precondition.lastUpdateTime
+                ) {
+                    throw failure(9, `조건 불일치: ${path}`);
+                }
+                docs.delete(path);
+            },
+        };
+    }
+
+    return db;
+}
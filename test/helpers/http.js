@@ -0,0 +1,175 @@
+import { EventEmitter } from "events";
+import { createServer } from "http";
+
+// Firebase HTTP 함수에 넘길 Express 형태의 요청
+export function mockRequest({
+    method = "POST",
+    body = {},
+    query = {},
+    headers = {},
+} = {}) {
+    const lowerHeaders = Object.fromEntries(
+        Object.entries(headers).map(([key, value]) => [
+            key.toLowerCase(),
+            value,
+        ])
+    );
+    return {
+        method,
+        body,
+        query,
+        headers: lowerHeaders,
+        get(name) {
+            return lowerHeaders[name.toLowerCase()];
+        },
+        header(name) {
+            return this.get(name);
+        },
+    };
+}
+
+// 응답 본문을 모아두는 Express 형태의 응답
+// 응답이 끝나면 "finish" 이벤트를 보내서 cors 래퍼가 종료되도록 합니다.
+export function mockResponse() {
+    const res = new EventEmitter();
+    res.statusCode = 200;
+    res.headers = {};
+    res.body = undefined;
+
+    res.status = (code) => {
+        res.statusCode = code;
+        return res;
+    };
+    res.setHeader = (name, value) => {
+        res.headers[name.toLowerCase()] = value;
+    };
+    res.getHeader = (name) => res.headers[name.toLowerCase()];
+    res.set = (name, value) => {
+        res.setHeader(name, value);
+        return res;
+    };
+    res.type = (type) => res.set("content-type", type);
+    res.json = (body) => {
+        res.body = body;
+        res.emit("finish");
+        return res;
+    };
+    res.send = (body) => {
+        res.body = body;
+        res.emit("finish");
+        return res;
+    };
+    res.end = (body) => res.send(body);
+    return res;
+}
+
+// 함수 호출 후 응답 반환
+// onFinish(res): 응답을 보낸 순간에 호출 (응답 전에 끝나야 하는 작업 확인용)
+export async function callFunction(fn, request, { onFinish } = {}) {
+    const res = mockResponse();
+    if (onFinish) res.once("finish", () => onFinish(res));
+    await fn(mockRequest(request), res);
+    return res;
+}
+
+// OpenAI Chat Completions API 스텁 서버
+// reply(prompt): GPT 응답 문자열을 돌려주는 함수 (prompt는 마지막 사용자 메시지)
+// 요청에 tools가 있으면 응답 문자열을 첫 번째 함수 호출의 인자로 돌려줍니다.
+// 반환: { baseURL, requests, close() }
+export async function startOpenAIStub(reply) {
+    const requests = [];
+    const server = createServer((req, res) => {
+        let data = "";
+        req.on("data", (chunk) => (data += chunk));
+        req.on("end", () => {
+            const body = JSON.parse(data || "{}");
+            requests.push(body);
+
+            // 사용자 메시지 (지시문은 system 메시지로 따로 전달됨)
+            const prompt = body.messages?.at(-1)?.content || "";
+            const content = reply(prompt);
+            const message = body.tools
+                ? {
+                      role: "assistant",
+                      content: null,
+                      tool_calls: [
+                          {
+                              id: "call-test",
+                              type: "function",
+                              function: {
+                                  name: body.tools[0].function.name,
+                                  arguments: content,
+                              },
+                          },
+                      ],
+                  }
+                : { role: "assistant", content };
+            res.setHeader("Content-Type", "application/json");
+            res.end(
+                JSON.stringify({
+                    id: "chatcmpl-test",
+                    object: "chat.completion",
+                    created: 0,
+                    model: body.model,
+                    choices: [
+                        {
+                            index: 0,
+                            finish_reason: body.tools ? "tool_calls" : "stop",
+                            message,
+                        },
+                    ],
+                })
+            );
+        });
+    });
+
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const { port } = server.address();
+
+    return {
+        baseURL: `http://127.0.0.1:${port}/v1`,
+        requests,
+        close: () => new Promise((resolve) => server.close(resolve)),
+    };
+}
+
+// 카카오 콜백 URL 스텁 서버
+// status: 카카오가 돌려주는 처리 결과 ("SUCCESS" | "FAIL")
+// 반환: { url, requests, waitForRequests(count), close() } - requests에는 받은 스킬 응답 본문이 쌓입니다.
+// HTTP 함수는 "조회 중" 응답을 보내면 끝난 것으로 처리되므로 콜백은 waitForRequests로 기다립니다.
+export async function startCallbackStub(status = "SUCCESS") {
+    const requests = [];
+    const waiters = [];
+    const server = createServer((req, res) => {
+        let data = "";
+        req.on("data", (chunk) => (data += chunk));
+        req.on("end", () => {
+            requests.push(JSON.parse(data || "{}"));
+            waiters
+                .filter(({ count }) => requests.length >= count)
+                .forEach(({ resolve }) => resolve(requests));
+            res.setHeader("Content-Type", "application/json");
+            res.end(
+                JSON.stringify({
+                    taskId: `task-${requests.length}`,
+                    status,
+                    message: status === "SUCCESS" ? "" : "callback failed",
+                    timestamp: Date.now(),
+                })
+            );
+        });
+    });
+
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const { port } = server.address();
+
+    return {
+        url: `http://127.0.0.1:${port}/callback`,
+        requests,
+        waitForRequests: (count = 1) =>
+            requests.length >= count
+                ? Promise.resolve(requests)
+                : new Promise((resolve) => waiters.push({ count, resolve })),
+        close: () => new Promise((resolve) => server.close(resolve)),
+    };
+}
@@ -0,0 +1,55 @@
+import { readFileSync } from "fs";
+import { fileURLToPath } from "url";
+
+// 시트 구조를 흉내 낸 예제 데이터 ({ "시트 이름": [[행], ...] })
+export const FIXTURE_SHEETS = JSON.parse(
+    readFileSync(
+        fileURLToPath(new URL("../../fixtures/sheets.json", import.meta.url)),
+        "utf8"
+    )
+);
+
+// googleapis sheets 클라이언트 스텁
+// spreadsheets.get(시트 목록)과 spreadsheets.values.get/batchGet(시트 값)만 흉내 냅니다.
+export function createSheetsStub(sheets = FIXTURE_SHEETS) {
+    const calls = [];
+    return {
+        calls,
+        spreadsheets: {
+            async get(params) {
+                calls.push({ method: "get", ...params });
+                return {
+                    data: {
+                        sheets: Object.keys(sheets).map((title) => ({
+                            properties: { title },
+                        })),
+                    },
+                };
+            },
+            values: {
+                async get(params) {
+                    calls.push({ method: "values.get", ...params });
+                    return {
+                        data: { values: sheets[sheetNameOf(params.range)] },
+                    };
+                },
+                async batchGet(params) {
+                    calls.push({ method: "values.batchGet", ...params });
+                    return {
+                        data: {
+                            valueRanges: params.ranges.map((range) => ({
+                                range,
+                                values: sheets[sheetNameOf(range)],
+                            })),
+                        },
+                    };
+                },
+            },
+        },
+    };
+}
+
+// "'SK 온라인'" → "SK 온라인"
+function sheetNameOf(range) {
+    return range.replace(/^'|'$/g, "").replace(/''/g, "'");
+}
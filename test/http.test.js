@@ -0,0 +1,794 @@
+import { describe, it, before, beforeEach, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import functionsTest from "firebase-functions-test";
+import { google } from "googleapis";
+import { rm } from "fs/promises";
+import { existsSync, readFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import {
+    callFunction,
+    startOpenAIStub,
+    startCallbackStub,
+} from "./helpers/http.js";
+import { createSheetsStub, FIXTURE_SHEETS } from "./helpers/sheets.js";
+import { silenceLogs } from "./helpers/console.js";
+
+silenceLogs();
+
+const S25_SK_QUERY = {
+    브랜드: "갤럭시",
+    기본모델: "S25",
+    옵션: null,
+    용량: "256",
+    통신사: "SK",
+    타입: "번호이동",
+    채널: null,
+    정렬: null,
+};
+
+const testEnv = functionsTest();
+const sheetsStub = createSheetsStub();
+let openai;
+let gptReply;
+let kakaoSkill;
+let kakaoCallbackTask;
+let phonePrice;
+let leads;
+let queryReport;
+let sheetValidation;
+
+const QUERY_LOG_FILE = join(tmpdir(), `query-log-test-${process.pid}.json`);
+
+before(async () => {
+    // Sheets API 대신 예제 데이터, OpenAI 대신 로컬 스텁 서버
+    mock.method(google, "sheets", () => sheetsStub);
+    openai = await startOpenAIStub(() => gptReply);
+
+    Object.assign(process.env, {
+        SPREADSHEET_ID: "test-spreadsheet",
+        OPENAI_API_KEY: "test-key",
+        OPENAI_BASE_URL: openai.baseURL,
+        QUERY_PARSER: "gpt",
+        PRICE_HISTORY_STORE: "none",
+        PLAN_MAINTENANCE_MONTHS: "6",
+        SHEET_CACHE_TTL_SECONDS: "300",
+        // 테스트마다 GPT 응답을 바꾸므로 파싱 캐시는 필요한 테스트에서만 켬
+        PARSE_CACHE_SIZE: "0",
+        QUERY_LOG_STORE: "file",
+        QUERY_LOG_FILE,
+        // 요청 수 제한은 필요한 테스트에서만 켬
+        RATE_LIMIT_STORE: "memory",
+        RATE_LIMIT_PER_MINUTE: "0",
+        RATE_LIMIT_PER_DAY: "0",
+        // 작업 큐 대신 같은 인스턴스에서 콜백 응답을 만듦
+        KAKAO_CALLBACK_DISPATCH: "inline",
+        ADMIN_API_KEY: "test-admin-key",
+        KAKAO_SKILL_SECRET: "test-skill-secret",
+    });
+
+    ({
+        kakaoSkill,
+        kakaoCallbackTask,
+        phonePrice,
+        leads,
+        queryReport,
+        sheetValidation,
+    } = await import("../index.js"));
+});
+
+after(async () => {
+    await openai.close();
+    await rm(QUERY_LOG_FILE, { force: true });
+    testEnv.cleanup();
+});
+
+describe("phonePrice", () => {
+    it("질문이 없으면 400", async () => {
+        const res = await callFunction(phonePrice, { body: {} });
+        assert.equal(res.statusCode, 400);
+        assert.deepEqual(res.body, { error: "질문을 입력해주세요." });
+    });
+
+    it("GPT 파싱 결과로 시트 가격을 찾아 텍스트로 응답한다", async () => {
+        gptReply = JSON.stringify(S25_SK_QUERY);
+        const res = await callFunction(phonePrice, {
+            body: { query: "갤럭시 S25 256 SK 번이 얼마예요?" },
+        });
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.query, "갤럭시 S25 256 SK 번이 얼마예요?");
+        assert.match(res.body.response, /💰 가격 정보 - 갤럭시 S25 256GB/);
+        assert.match(res.body.response, /📱 SK 번호이동/);
+        assert.match(res.body.response, /✅ 할부원금: 350,000원/);
+        assert.match(res.body.response, / - V컬러링 미가입: \+5만원/);
+
+        const request = openai.requests.at(-1);
+        assert.equal(request.model, "gpt-4o-mini");
+        assert.equal(request.messages[0].role, "system");
+        assert.deepEqual(request.messages.at(-1), {
+            role: "user",
+            content: "갤럭시 S25 256 SK 번이 얼마예요?",
+        });
+        assert.equal(request.response_format.type, "json_schema");
+        assert.equal(
+            request.response_format.json_schema.name,
+            "phone_price_query"
+        );
+        assert.ok(
+            sheetsStub.calls.some(
+                (call) =>
+                    call.method === "values.batchGet" &&
+                    call.spreadsheetId === "test-spreadsheet"
+            )
+        );
+    });
+
+    it("GPT 응답을 읽을 수 없으면 규칙 기반 파서로 찾는다", async () => {
+        gptReply = "죄송합니다, 이해하지 못했어요.";
+        const res = await callFunction(phonePrice, {
+            method: "GET",
+            query: { q: "S25 256 SK 번호이동" },
+        });
+
+        assert.equal(res.statusCode, 200);
+        assert.match(res.body.response, /✅ 할부원금: 350,000원/);
+    });
+
+    it("같은 문장은 파싱 캐시를 사용해 GPT를 다시 호출하지 않는다", async () => {
+        process.env.PARSE_CACHE_SIZE = "100";
+        try {
+            gptReply = JSON.stringify(S25_SK_QUERY);
+            const first = await callFunction(phonePrice, {
+                body: { query: "캐시 테스트 S25 256 SK 번이" },
+            });
+            const requestCount = openai.requests.length;
+
+            gptReply = "죄송합니다, 이해하지 못했어요.";
+            const second = await callFunction(phonePrice, {
+                body: { query: "  캐시 테스트 s25 256 SK  번이?" },
+            });
+
+            assert.equal(openai.requests.length, requestCount);
+            assert.equal(second.body.response, first.body.response);
+            assert.match(second.body.response, /✅ 할부원금: 350,000원/);
+        } finally {
+            process.env.PARSE_CACHE_SIZE = "0";
+        }
+    });
+
+    it("너무 긴 질문은 400", async () => {
+        const requestCount = openai.requests.length;
+        const res = await callFunction(phonePrice, {
+            body: { query: "S25 ".repeat(100) },
+        });
+
+        assert.equal(res.statusCode, 400);
+        assert.match(res.body.error, /200자 이내/);
+        assert.equal(openai.requests.length, requestCount);
+    });
+
+    it("IP별 하루 요청 수를 넘으면 429", async () => {
+        process.env.RATE_LIMIT_PER_DAY = "2";
+        try {
+            gptReply = JSON.stringify(S25_SK_QUERY);
+            const request = {
+                body: { query: "S25 256 SK 번이" },
+                headers: { "X-Forwarded-For": "1.2.3.4, 10.0.0.1" },
+            };
+            await callFunction(phonePrice, request);
+            await callFunction(phonePrice, request);
+            const requestCount = openai.requests.length;
+
+            const res = await callFunction(phonePrice, request);
+            assert.equal(res.statusCode, 429);
+            assert.match(res.body.error, /내일 다시/);
+            assert.ok(res.body.retryAfterSeconds > 0);
+            assert.equal(
+                res.headers["retry-after"],
+                String(res.body.retryAfterSeconds)
+            );
+            assert.equal(openai.requests.length, requestCount);
+
+            // 다른 IP는 따로 셈
+            const other = await callFunction(phonePrice, {
+                ...request,
+                headers: { "X-Forwarded-For": "10.0.0.2" },
+            });
+            assert.equal(other.statusCode, 200);
+        } finally {
+            process.env.RATE_LIMIT_PER_DAY = "0";
+        }
+    });
+
+    it("format=json이면 구조화 응답", async () => {
+        gptReply = JSON.stringify(S25_SK_QUERY);
+        const res = await callFunction(phonePrice, {
+            body: { query: "S25 256 SK 번이", format: "json" },
+        });
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.count, 1);
+        assert.equal(res.body.filters.baseModel, "S25");
+        assert.deepEqual(
+            {
+                model: res.body.records[0].model,
+                telecom: res.body.records[0].telecom,
+                channel: res.body.records[0].channel,
+                price: res.body.records[0].price,
+            },
+            {
+                model: "갤럭시 S25",
+                telecom: "SK",
+                channel: "온라인",
+                price: 350000,
+            }
+        );
+    });
+
+    it("모델 목록을 물으면 시트의 모델 카탈로그로 답한다", async () => {
+        gptReply = JSON.stringify({
+            ...S25_SK_QUERY,
+            브랜드: null,
+            기본모델: null,
+            용량: null,
+            통신사: null,
+            타입: null,
+        });
+        const res = await callFunction(phonePrice, {
+            body: { query: "어떤 모델 있어요?" },
+        });
+
+        assert.match(res.body.response, /조회 가능한 모델 \(8개\)/);
+        assert.match(res.body.response, /• 갤럭시 Z플립6 \(256GB\)/);
+        assert.match(res.body.response, /\[아이폰\]\n• 아이폰 16 /);
+        assert.match(
+            openai.requests.at(-1).messages[0].content,
+            /조회 가능한 모델: .*아이폰 16e/
+        );
+    });
+
+    it("조건에 맞는 상품이 없으면 비슷한 상품을 제안한다", async () => {
+        gptReply = JSON.stringify({ ...S25_SK_QUERY, 용량: "512" });
+        const res = await callFunction(phonePrice, {
+            body: { query: "S25 512 SK 번이" },
+        });
+
+        assert.equal(res.statusCode, 200);
+        assert.match(res.body.response, /256/);
+    });
+
+    it("예산을 물으면 조건에 맞는 모델별 최저가를 싼 순서로", async () => {
+        gptReply = "죄송합니다, 이해하지 못했어요.";
+        const res = await callFunction(phonePrice, {
+            body: { query: "50만원 이하 폰 뭐 있어요?", format: "json" },
+        });
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.filters.maxPrice, 500000);
+        assert.match(res.body.response, /💸 할부원금 50만원 이하 - 4개 모델/);
+        assert.match(
+            res.body.response,
+            /1\. 아이폰 16e 128GB\n {3}최저 할부원금 150,000원/
+        );
+        assert.match(res.body.response, /4\. 갤럭시 S25 플러스 256GB/);
+        assert.ok(res.body.records.every((record) => record.price <= 500000));
+    });
+
+    it("GPT가 읽은 요금제 조건으로 찾는다", async () => {
+        gptReply = JSON.stringify({
+            ...S25_SK_QUERY,
+            브랜드: "아이폰",
+            기본모델: null,
+            용량: null,
+            통신사: null,
+            타입: null,
+            최소요금제: "60000",
+            최대요금제: "69999",
+        });
+        const res = await callFunction(phonePrice, {
+            body: { query: "요금제 6만원대로 되는 아이폰" },
+        });
+
+        assert.match(res.body.response, /요금제 6만원대 - 1개 모델/);
+        assert.match(res.body.response, /아이폰 16e 128GB/);
+        assert.doesNotMatch(res.body.response, /아이폰 16 프로/);
+    });
+
+    it("두 모델을 비교하면 모델별로 검색해서 비교표로 응답한다", async () => {
+        gptReply = "죄송합니다, 이해하지 못했어요.";
+        const res = await callFunction(phonePrice, {
+            body: { query: "S25 vs 플립6 SK 번이", format: "json" },
+        });
+
+        assert.equal(res.statusCode, 200);
+        assert.match(
+            res.body.response,
+            /⚖️ 모델 비교 - 갤럭시 S25 vs 갤럭시 Z플립6 \(SK 번호이동\)/
+        );
+        assert.match(res.body.response, /• 갤럭시 Z플립6 👍/);
+        assert.deepEqual(
+            res.body.comparison.models.map((model) => model.label),
+            ["갤럭시 S25", "갤럭시 Z플립6"]
+        );
+        assert.deepEqual(
+            res.body.comparison.rows[0].offers.map((offer) => offer.price),
+            [350000, 250000]
+        );
+        assert.equal(res.body.filters.telecom, "SK");
+    });
+
+    it("비교할 모델이 하나뿐이면 문구별 파싱 결과로 검색하고 다시 파싱하지 않는다", async () => {
+        gptReply = "죄송합니다, 이해하지 못했어요.";
+        const requestCount = openai.requests.length;
+        const res = await callFunction(phonePrice, {
+            body: { query: "S25 256 SK랑 KT 뭐가 더 싸요", format: "json" },
+        });
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(openai.requests.length, requestCount + 2);
+        assert.equal(res.body.comparison, undefined);
+        assert.equal(res.body.filters.telecom, "SK");
+        assert.match(res.body.response, /갤럭시 S25/);
+    });
+
+    it("번이랑 기변을 비교하면 모델을 나누지 않고 번호이동 조건을 유지한다", async () => {
+        gptReply = "죄송합니다, 이해하지 못했어요.";
+        const requestCount = openai.requests.length;
+        const res = await callFunction(phonePrice, {
+            body: {
+                query: "S25 256 SK 번이랑 기변 어느 게 싸요",
+                format: "json",
+            },
+        });
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(openai.requests.length, requestCount + 1);
+        assert.equal(res.body.filters.type, "번호이동");
+    });
+});
+
+describe("kakaoSkill", () => {
+    it("발화가 없으면 400과 안내 문구", async () => {
+        const res = await callFunction(kakaoSkill, { body: {} });
+        assert.equal(res.statusCode, 400);
+        assert.equal(
+            res.body.template.outputs[0].simpleText.text,
+            "질문을 입력해주세요."
+        );
+    });
+
+    it("너무 긴 질문이나 잦은 요청은 카카오 응답 형식으로 안내한다", async () => {
+        const long = await callFunction(kakaoSkill, {
+            body: { userRequest: { utterance: "가".repeat(201) } },
+        });
+        assert.equal(long.statusCode, 200);
+        assert.match(
+            long.body.template.outputs[0].simpleText.text,
+            /질문이 너무 길어요/
+        );
+
+        process.env.RATE_LIMIT_PER_DAY = "1";
+        try {
+            gptReply = JSON.stringify(S25_SK_QUERY);
+            const request = {
+                body: { userRequest: { utterance: "S25 256 SK 번이" } },
+                headers: { "X-Forwarded-For": "5.6.7.8" },
+            };
+            await callFunction(kakaoSkill, request);
+            const res = await callFunction(kakaoSkill, request);
+
+            assert.equal(res.statusCode, 200);
+            assert.match(
+                res.body.template.outputs[0].simpleText.text,
+                /오늘 문의 가능한 횟수를 모두 사용했어요/
+            );
+
+            // 카카오 헤더가 없으면 사용자 id를 바꿔 보내도 IP 기준으로 셈
+            const spoofed = await callFunction(kakaoSkill, {
+                ...request,
+                body: {
+                    userRequest: {
+                        utterance: "S25 256 SK 번이",
+                        user: { id: "fake-user-1" },
+                    },
+                },
+            });
+            assert.match(
+                spoofed.body.template.outputs[0].simpleText.text,
+                /오늘 문의 가능한 횟수를 모두 사용했어요/
+            );
+        } finally {
+            process.env.RATE_LIMIT_PER_DAY = "0";
+        }
+    });
+
+    it("카카오 헤더가 없으면 본문의 사용자 id로 알림/신청 정보를 다루지 않는다", async () => {
+        gptReply = JSON.stringify(S25_SK_QUERY);
+        const res = await callFunction(kakaoSkill, {
+            body: {
+                userRequest: {
+                    utterance: "알림 목록",
+                    user: { id: "victim-user" },
+                },
+            },
+        });
+
+        assert.equal(res.statusCode, 200);
+        const [title] = res.body.template.outputs;
+        assert.doesNotMatch(title.simpleText.text, /가격 알림/);
+        assert.match(title.simpleText.text, /가격 정보/);
+    });
+
+    it("용량까지 물으면 가격 카드로 응답한다", async () => {
+        gptReply = JSON.stringify(S25_SK_QUERY);
+        const res = await callFunction(kakaoSkill, {
+            body: { userRequest: { utterance: "갤럭시 S25 256 SK 번이" } },
+        });
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.version, "2.0");
+
+        const [title, carousel] = res.body.template.outputs;
+        assert.match(title.simpleText.text, /가격 정보 \(1건\)/);
+        assert.equal(carousel.carousel.type, "textCard");
+        assert.equal(carousel.carousel.items.length, 1);
+        assert.match(carousel.carousel.items[0].description, /350,000원/);
+        assert.deepEqual(res.body.template.quickReplies, [
+            {
+                action: "message",
+                label: "📝 신청하기",
+                messageText: "신청할게요",
+            },
+        ]);
+    });
+
+    it("모델만 물으면 모델 목록", async () => {
+        gptReply = JSON.stringify({
+            ...S25_SK_QUERY,
+            기본모델: null,
+            용량: null,
+            통신사: null,
+            타입: null,
+        });
+        const res = await callFunction(kakaoSkill, {
+            body: { userRequest: { utterance: "갤럭시 뭐 있어요?" } },
+        });
+
+        const { listCard } = res.body.template.outputs[0];
+        assert.ok(listCard);
+        assert.ok(
+            listCard.items.some((item) => item.title.includes("갤럭시 S25"))
+        );
+    });
+
+    it("통신사를 말하지 않으면 통신사를 물어본다", async () => {
+        gptReply = JSON.stringify({
+            ...S25_SK_QUERY,
+            통신사: null,
+            타입: null,
+        });
+        const res = await callFunction(kakaoSkill, {
+            body: { userRequest: { utterance: "갤럭시 S25 256" } },
+        });
+
+        const outputs = res.body.template.outputs;
+        assert.equal(outputs[1].carousel.items.length, 4);
+        assert.match(outputs[2].simpleText.text, /통신사/);
+        assert.deepEqual(
+            res.body.template.quickReplies.map((reply) => reply.label),
+            ["KT", "SK"]
+        );
+    });
+
+    it("예산을 물으면 모델별 최저가 카드", async () => {
+        gptReply = JSON.stringify({
+            ...S25_SK_QUERY,
+            브랜드: "갤럭시",
+            기본모델: null,
+            용량: null,
+            통신사: null,
+            타입: null,
+            최대가격: 300000,
+        });
+        const res = await callFunction(kakaoSkill, {
+            body: { userRequest: { utterance: "갤럭시 30만원 이하" } },
+        });
+
+        const [title, carousel] = res.body.template.outputs;
+        assert.match(
+            title.simpleText.text,
+            /갤럭시 할부원금 30만원 이하 - 2개 모델/
+        );
+        assert.equal(carousel.carousel.type, "textCard");
+        assert.deepEqual(
+            carousel.carousel.items.map((item) => item.title),
+            ["갤럭시 Z플립6 256GB", "갤럭시 S25 256GB"]
+        );
+        assert.match(carousel.carousel.items[1].description, /KT 번호이동/);
+    });
+
+    it("모델 비교는 통신사/타입별 비교 카드", async () => {
+        gptReply = "죄송합니다, 이해하지 못했어요.";
+        const res = await callFunction(kakaoSkill, {
+            body: {
+                userRequest: { utterance: "S25랑 아이폰 16 뭐가 더 싸요?" },
+            },
+        });
+
+        const [title, carousel] = res.body.template.outputs;
+        assert.match(title.simpleText.text, /갤럭시 S25 vs 아이폰 16/);
+        assert.equal(carousel.carousel.type, "textCard");
+        assert.deepEqual(
+            carousel.carousel.items.map((item) => item.title),
+            [
+                "🏬 KT 번호이동 (내방)",
+                "🏬 KT 기기변경 (내방)",
+                "📦 SK 번호이동 (온라인)",
+                "📦 SK 기기변경 (온라인)",
+            ]
+        );
+        assert.match(
+            carousel.carousel.items[0].description,
+            /갤럭시 S25 👍\n할부 300,000원/
+        );
+        assert.match(
+            carousel.carousel.items[2].description,
+            /아이폰 16: 상품 없음/
+        );
+    });
+
+    it("callbackUrl이 있으면 조회 중 응답 후 최종 응답을 콜백으로 보낸다", async () => {
+        const callback = await startCallbackStub();
+        process.env.KAKAO_CALLBACK_HOSTS = new URL(callback.url).host;
+        gptReply = JSON.stringify(S25_SK_QUERY);
+
+        try {
+            const res = await callFunction(kakaoSkill, {
+                body: {
+                    userRequest: {
+                        utterance: "갤럭시 S25 256 SK 번이",
+                        callbackUrl: callback.url,
+                    },
+                },
+            });
+
+            assert.equal(res.statusCode, 200);
+            assert.equal(res.body.useCallback, true);
+            assert.match(res.body.data.text, /조회 중/);
+
+            const [response] = await callback.waitForRequests(1);
+            const [title, carousel] = response.template.outputs;
+            assert.match(title.simpleText.text, /가격 정보 \(1건\)/);
+            assert.match(carousel.carousel.items[0].description, /350,000원/);
+        } finally {
+            delete process.env.KAKAO_CALLBACK_HOSTS;
+            await callback.close();
+        }
+    });
+
+    it("허용하지 않는 콜백 URL이면 콜백 없이 바로 응답한다", async () => {
+        const callback = await startCallbackStub();
+        gptReply = JSON.stringify(S25_SK_QUERY);
+
+        try {
+            for (const callbackUrl of [
+                "file:///etc/passwd",
+                callback.url,
+                "http://169.254.169.254/computeMetadata/v1/",
+                "https://evil.example.com/callback",
+            ]) {
+                const res = await callFunction(kakaoSkill, {
+                    body: {
+                        userRequest: {
+                            utterance: "갤럭시 S25 256 SK 번이",
+                            callbackUrl,
+                        },
+                    },
+                });
+
+                assert.equal(res.body.useCallback, undefined);
+                assert.equal(res.body.version, "2.0");
+                assert.ok(res.body.template.outputs.length > 0);
+            }
+            assert.equal(callback.requests.length, 0);
+        } finally {
+            await callback.close();
+        }
+    });
+
+    it("콜백 작업은 만료됐거나 허용하지 않는 URL이면 보내지 않는다", async () => {
+        const callback = await startCallbackStub();
+        process.env.KAKAO_CALLBACK_HOSTS = new URL(callback.url).host;
+        gptReply = JSON.stringify(S25_SK_QUERY);
+
+        try {
+            const task = {
+                callbackUrl: callback.url,
+                userInput: "갤럭시 S25 256 SK 번이",
+                userId: null,
+            };
+            await kakaoCallbackTask.run({
+                data: { ...task, requestedAt: Date.now() - 2 * 60 * 1000 },
+            });
+            await kakaoCallbackTask.run({
+                data: {
+                    ...task,
+                    callbackUrl: "https://evil.example.com/callback",
+                    requestedAt: Date.now(),
+                },
+            });
+            assert.equal(callback.requests.length, 0);
+
+            await kakaoCallbackTask.run({
+                data: { ...task, requestedAt: Date.now() },
+            });
+            assert.equal(callback.requests.length, 1);
+        } finally {
+            delete process.env.KAKAO_CALLBACK_HOSTS;
+            await callback.close();
+        }
+    });
+});
+
+describe("leads", () => {
+    it("관리자 키가 없으면 403", async () => {
+        const res = await callFunction(leads, { method: "GET", query: {} });
+        assert.equal(res.statusCode, 403);
+        assert.deepEqual(res.body, { error: "권한이 없습니다." });
+    });
+});
+
+describe("queryReport", () => {
+    // 테스트마다 질문 기록을 비우고 필요한 질문을 직접 보냄
+    beforeEach(() => rm(QUERY_LOG_FILE, { force: true }));
+
+    async function sendSampleQueries() {
+        gptReply = JSON.stringify(S25_SK_QUERY);
+        await callFunction(phonePrice, { body: { query: "S25 256 SK 번이" } });
+        await callFunction(kakaoSkill, {
+            body: { userRequest: { utterance: "갤럭시 S25 256 SK 번이" } },
+        });
+
+        gptReply = JSON.stringify({ ...S25_SK_QUERY, 용량: "512" });
+        await callFunction(phonePrice, { body: { query: "S25 512 SK 번이" } });
+
+        gptReply = "죄송합니다, 이해하지 못했어요.";
+        await callFunction(phonePrice, {
+            body: { query: "S25 256 SK 번호이동" },
+        });
+    }
+
+    it("질문 기록을 마친 뒤에 응답한다", async () => {
+        const loggedCount = () =>
+            existsSync(QUERY_LOG_FILE)
+                ? JSON.parse(readFileSync(QUERY_LOG_FILE, "utf8")).length
+                : 0;
+        const countsAtResponse = [];
+        const onFinish = () => countsAtResponse.push(loggedCount());
+
+        gptReply = JSON.stringify(S25_SK_QUERY);
+        await callFunction(
+            phonePrice,
+            { body: { query: "S25 256 SK 번이" } },
+            { onFinish }
+        );
+        await callFunction(
+            kakaoSkill,
+            { body: { userRequest: { utterance: "갤럭시 S25 256 SK 번이" } } },
+            { onFinish }
+        );
+
+        assert.deepEqual(countsAtResponse, [1, 2]);
+    });
+
+    it("관리자 키가 없으면 403", async () => {
+        const res = await callFunction(queryReport, {
+            method: "GET",
+            query: {},
+        });
+        assert.equal(res.statusCode, 403);
+    });
+
+    it("채널별 질문 수, 많이 찾는 모델, 결과 없는 질문, LLM 파싱 실패를 집계한다", async () => {
+        await sendSampleQueries();
+        const res = await callFunction(queryReport, {
+            method: "GET",
+            query: { days: "1" },
+            headers: { "x-admin-key": "test-admin-key" },
+        });
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.total, 4);
+        assert.equal(res.body.truncated, false);
+        assert.deepEqual(res.body.byChannel, { phonePrice: 3, kakao: 1 });
+        assert.equal(res.body.topModels[0].model, "갤럭시 S25");
+        assert.deepEqual(
+            res.body.zeroResults.map((item) => item.utterance),
+            ["S25 512 SK 번이"]
+        );
+        assert.deepEqual(
+            res.body.llmFailures.map((item) => item.utterance),
+            ["S25 256 SK 번호이동"]
+        );
+        assert.ok(res.body.averageLatencyMs >= 0);
+        assert.match(res.body.summary, /📊 질문 통계/);
+    });
+
+    it("format=text이면 요약만", async () => {
+        await sendSampleQueries();
+        const res = await callFunction(queryReport, {
+            method: "GET",
+            query: { format: "text" },
+            headers: { "x-admin-key": "test-admin-key" },
+        });
+
+        assert.equal(res.headers["content-type"], "text/plain");
+        assert.match(res.body, /전체 4건/);
+        assert.match(res.body, /\[많이 찾는 모델\]\n1\. 갤럭시 S25/);
+    });
+
+    it("기록이 없으면 빈 보고서", async () => {
+        const res = await callFunction(queryReport, {
+            method: "GET",
+            query: {},
+            headers: { "x-admin-key": "test-admin-key" },
+        });
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.total, 0);
+        assert.deepEqual(res.body.topModels, []);
+    });
+});
+
+describe("sheetValidation", () => {
+    it("관리자 키가 없으면 403", async () => {
+        const res = await callFunction(sheetValidation, {
+            method: "GET",
+            query: {},
+        });
+        assert.equal(res.statusCode, 403);
+    });
+
+    it("시트마다 검사 결과와 요약을 돌려준다", async () => {
+        const res = await callFunction(sheetValidation, {
+            method: "GET",
+            query: {},
+            headers: { "x-admin-key": "test-admin-key" },
+        });
+
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(
+            res.body.sheets.map((sheet) => sheet.sheet),
+            Object.keys(FIXTURE_SHEETS)
+        );
+        assert.equal(res.body.errorCount, 0);
+        assert.match(res.body.summary, /📋 시트 검사 결과: 시트 2개/);
+    });
+
+    it("잘못 입력된 시트를 찾아 format=text이면 요약만", async () => {
+        // 검사는 캐시 없이 시트를 직접 읽으므로 이 테스트에서만 시트를 추가
+        FIXTURE_SHEETS["가격표 (복사본)"] = [
+            ...FIXTURE_SHEETS["SK 온라인"].slice(0, 2),
+            ["갤럭시 S25", 109000, "256GB", "문의"],
+        ];
+        try {
+            const res = await callFunction(sheetValidation, {
+                method: "GET",
+                query: { format: "text" },
+                headers: { "x-admin-key": "test-admin-key" },
+            });
+
+            assert.equal(res.headers["content-type"], "text/plain");
+            assert.match(res.body, /오류 3건/);
+            assert.match(
+                res.body,
+                /\[가격표 \(복사본\)\] 레코드 1건 - 문제 3건/
+            );
+            assert.match(res.body, /통신사\(SK\/KT\/LG\)를 찾을 수 없습니다/);
+            assert.match(res.body, /❌ D3 .*\("문의"\)/);
+        } finally {
+            delete FIXTURE_SHEETS["가격표 (복사본)"];
+        }
+    });
+});
@@ -0,0 +1,119 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import {
+    getCallbackUrl,
+    isCallbackExpired,
+    kakaoCallbackWaitingResponse,
+    sendKakaoCallback,
+} from "../src/kakaoCallback.js";
+import { startCallbackStub } from "./helpers/http.js";
+import { silenceLogs } from "./helpers/console.js";
+
+silenceLogs();
+
+describe("getCallbackUrl", () => {
+    const body = (callbackUrl) => ({ userRequest: { callbackUrl } });
+
+    it("카카오 호스트의 https URL일 때만 사용한다", () => {
+        assert.equal(
+            getCallbackUrl(body("https://bot-api.kakao.com/callback/abc")),
+            "https://bot-api.kakao.com/callback/abc"
+        );
+        assert.equal(getCallbackUrl(body(undefined)), null);
+        assert.equal(getCallbackUrl(body("not a url")), null);
+        assert.equal(getCallbackUrl(body("ftp://example.com/")), null);
+        assert.equal(getCallbackUrl(undefined), null);
+    });
+
+    it("카카오가 아닌 http(s) 호스트는 거절한다", () => {
+        for (const url of [
+            "http://bot-api.kakao.com/callback/abc",
+            "https://evil.example.com/callback",
+            "https://bot-api.kakao.com.evil.example.com/callback",
+            "https://evil.example.com@bot-api.kakao.com/callback",
+            "https://bot-api.kakao.com:8443/callback",
+            "http://169.254.169.254/computeMetadata/v1/",
+            "http://metadata.google.internal/computeMetadata/v1/",
+            "http://127.0.0.1:8080/callback",
+            "https://10.0.0.1/callback",
+        ]) {
+            assert.equal(getCallbackUrl(body(url)), null, url);
+        }
+    });
+
+    it("허용 목록의 로컬 호스트만 http를 허용한다", () => {
+        const hosts = ["127.0.0.1:8080", "example.com"];
+        assert.equal(
+            getCallbackUrl(body("http://127.0.0.1:8080/cb"), hosts),
+            "http://127.0.0.1:8080/cb"
+        );
+        assert.equal(
+            getCallbackUrl(body("http://127.0.0.1:9090/cb"), hosts),
+            null
+        );
+        assert.equal(
+            getCallbackUrl(body("http://example.com/cb"), hosts),
+            null
+        );
+        assert.equal(
+            getCallbackUrl(body("https://example.com/cb"), hosts),
+            "https://example.com/cb"
+        );
+    });
+});
+
+describe("isCallbackExpired", () => {
+    it("콜백 URL을 받은 지 1분이 지나면 만료", () => {
+        const now = Date.now();
+        assert.equal(
+            isCallbackExpired({ requestedAt: now - 30000 }, now),
+            false
+        );
+        assert.equal(
+            isCallbackExpired({ requestedAt: now - 61000 }, now),
+            true
+        );
+        assert.equal(isCallbackExpired({}, now), true);
+    });
+});
+
+describe("kakaoCallbackWaitingResponse", () => {
+    it("useCallback과 대기 문구", () => {
+        assert.deepEqual(kakaoCallbackWaitingResponse("잠시만요"), {
+            version: "2.0",
+            useCallback: true,
+            data: { text: "잠시만요" },
+        });
+    });
+});
+
+describe("sendKakaoCallback", () => {
+    let success;
+    let failure;
+
+    before(async () => {
+        success = await startCallbackStub("SUCCESS");
+        failure = await startCallbackStub("FAIL");
+    });
+
+    after(async () => {
+        await success.close();
+        await failure.close();
+    });
+
+    it("스킬 응답을 POST하고 성공 여부를 돌려준다", async () => {
+        const response = { version: "2.0", template: { outputs: [] } };
+
+        assert.equal(await sendKakaoCallback(success.url, response), true);
+        assert.deepEqual(success.requests.at(-1), response);
+
+        assert.equal(await sendKakaoCallback(failure.url, response), false);
+    });
+
+    it("연결할 수 없으면 false", async () => {
+        assert.equal(
+            await sendKakaoCallback("http://127.0.0.1:1/callback", {}),
+            false
+        );
+    });
+});
@@ -0,0 +1,293 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+    getLeadCommand,
+    stripLeadText,
+    normalizePhoneNumber,
+    findLeadOffers,
+    startLead,
+    isLeadAnswer,
+    canRestartLead,
+    advanceLead,
+    formatLeadNotification,
+    MAX_LEAD_OFFERS,
+} from "../src/leads.js";
+import { createEmailSender } from "../src/notificationSender.js";
+import { parseUserInputRules } from "../src/ruleParser.js";
+
+function record(overrides = {}) {
+    return {
+        modelRaw: "갤럭시 S25",
+        modelNorm: "s25",
+        capacity: "256",
+        telecom: "SK",
+        type: "번호이동",
+        channel: "온라인",
+        plan: "109000",
+        price: "350000",
+        serviceInfo: null,
+        ...overrides,
+    };
+}
+
+const S25_SK = record({ serviceInfo: [{ serviceName: "V컬러링" }] });
+const S25_KT = record({
+    telecom: "KT",
+    type: "번호이동",
+    channel: "내방",
+    price: "300000",
+    plan: "90000",
+});
+
+describe("getLeadCommand / stripLeadText", () => {
+    it("신청 문구를 알아보고 나머지 조건만 남긴다", () => {
+        assert.equal(getLeadCommand("신청할게요"), "start");
+        assert.equal(getLeadCommand("S25 256 SK 번이 구매 신청"), "start");
+        assert.equal(getLeadCommand("상담 예약하고 싶어요"), "start");
+        assert.equal(getLeadCommand("신청"), "start");
+        assert.equal(getLeadCommand("S25 256 SK 번이 얼마예요?"), null);
+
+        assert.equal(
+            stripLeadText("S25 256 SK 번이 구매 신청할게요"),
+            "S25 256 SK 번이"
+        );
+        assert.equal(stripLeadText("신청할게요"), "");
+        assert.equal(stripLeadText("개통하고 싶어요"), "");
+    });
+});
+
+describe("normalizePhoneNumber", () => {
+    it("휴대폰 번호만 하이픈 형식으로", () => {
+        assert.equal(normalizePhoneNumber("01012345678"), "010-1234-5678");
+        assert.equal(normalizePhoneNumber("010 123 4567"), "010-123-4567");
+        assert.equal(normalizePhoneNumber("010-1234-5678"), "010-1234-5678");
+        assert.equal(normalizePhoneNumber("02-123-4567"), null);
+        assert.equal(normalizePhoneNumber("전화번호"), null);
+    });
+});
+
+describe("findLeadOffers", () => {
+    it("통신사/타입/채널마다 가장 싼 상품을 싼 순서로", () => {
+        const offers = findLeadOffers([
+            S25_SK,
+            { ...S25_SK, price: "400000" },
+            S25_KT,
+        ]);
+
+        assert.deepEqual(
+            offers.map((offer) => [offer.telecom, offer.price]),
+            [
+                ["KT", 300000],
+                ["SK", 350000],
+            ]
+        );
+        assert.deepEqual(offers[1], {
+            model: S25_SK.modelRaw,
+            capacity: "256",
+            telecom: "SK",
+            type: "번호이동",
+            channel: "온라인",
+            price: 350000,
+            plan: 109000,
+            services: ["V컬러링"],
+        });
+    });
+});
+
+describe("startLead / advanceLead", () => {
+    const [offer] = findLeadOffers([S25_SK]);
+
+    it("상품이 없으면 신청을 시작하지 않는다", () => {
+        const step = startLead([]);
+        assert.equal(step.draft, null);
+        assert.match(step.text, /신청할 상품을 찾을 수 없습니다/);
+    });
+
+    it("상품이 여러 개면 번호로 고르게 한다", () => {
+        const offers = findLeadOffers([S25_SK, S25_KT]);
+        const step = startLead(offers);
+
+        assert.equal(step.draft.step, "offer");
+        assert.match(
+            step.text,
+            /1\. .* KT 번호이동 \(내방\) · 할부원금 300,000원/
+        );
+        assert.deepEqual(
+            step.quickReplies.map((reply) => reply.messageText),
+            ["1", "2"]
+        );
+
+        const wrong = advanceLead(step.draft, "3");
+        assert.equal(wrong.draft, step.draft);
+        assert.match(wrong.text, /1~2 중/);
+
+        const chosen = advanceLead(step.draft, "2");
+        assert.equal(chosen.draft.step, "name");
+        assert.equal(chosen.draft.offer.telecom, "SK");
+    });
+
+    it("보여주는 상품 수를 제한한다", () => {
+        const offers = Array.from({ length: 8 }, (_, i) => ({
+            ...offer,
+            price: offer.price + i,
+        }));
+        const step = startLead(offers);
+        assert.equal(step.draft.candidates.length, MAX_LEAD_OFFERS);
+        assert.match(step.text, /통신사\/가입 유형\/용량을 함께/);
+    });
+
+    it("이름 → 연락처 → 희망 시간을 받으면 신청 정보를 돌려준다", () => {
+        let step = startLead([offer]);
+        assert.equal(step.draft.step, "name");
+        assert.match(step.text, /성함을 알려주세요/);
+
+        assert.match(advanceLead(step.draft, "1").text, /한글 또는 영문/);
+        step = advanceLead(step.draft, "홍길동");
+        assert.equal(step.draft.name, "홍길동");
+
+        assert.match(advanceLead(step.draft, "123").text, /다시 확인/);
+        step = advanceLead(step.draft, "010 1234 5678");
+        assert.equal(step.draft.phone, "010-1234-5678");
+        assert.match(step.text, /상담 전화를 받기 편한 시간/);
+
+        step = advanceLead(step.draft, "평일 저녁 7시 이후");
+        assert.equal(step.draft, null);
+        assert.deepEqual(step.lead, {
+            name: "홍길동",
+            phone: "010-1234-5678",
+            offer,
+            visitTime: "평일 저녁 7시 이후",
+        });
+        assert.match(step.text, /✅ 신청이 접수되었습니다/);
+        assert.match(step.text, /연락처: 010-1234-5678/);
+    });
+
+    it("내방 상품은 방문 시간을 물어본다", () => {
+        const [visitOffer] = findLeadOffers([S25_KT]);
+        let step = advanceLead(startLead([visitOffer]).draft, "홍길동");
+        step = advanceLead(step.draft, "01012345678");
+        assert.match(step.text, /매장 방문을 원하시는 날짜와 시간/);
+    });
+
+    it("취소하면 신청서를 지운다", () => {
+        const step = advanceLead(startLead([offer]).draft, "취소");
+        assert.equal(step.draft, null);
+        assert.equal(step.lead, undefined);
+        assert.match(step.text, /신청을 취소했습니다/);
+    });
+});
+
+describe("formatLeadNotification", () => {
+    it("직원 알림에 고객 정보와 상품 정보", () => {
+        const [offer] = findLeadOffers([S25_SK]);
+        const text = formatLeadNotification({
+            name: "홍길동",
+            phone: "010-1234-5678",
+            offer,
+            visitTime: "상관없음",
+        });
+
+        assert.match(text, /📝 새 구매 신청/);
+        assert.match(text, /홍길동 \/ 010-1234-5678/);
+        assert.match(text, /SK 번호이동 \(온라인\)/);
+        assert.match(text, /할부원금 350,000원 \/ 요금제 월 109,000원/);
+        assert.match(text, /부가서비스: V컬러링/);
+    });
+});
+
+describe("createEmailSender", () => {
+    it("Trigger Email 확장 프로그램 형식으로 mail 컬렉션에 추가한다", async () => {
+        const added = [];
+        const db = {
+            collection: (name) => ({
+                add: async (doc) => added.push({ name, doc }),
+            }),
+        };
+        const sender = createEmailSender("a@example.com, b@example.com", {
+            db,
+        });
+
+        await sender.send({ recipient: "staff", text: "제목 줄\n본문" });
+        await sender.send({
+            recipient: "staff",
+            subject: "신청",
+            text: "본문",
+        });
+
+        assert.equal(added[0].name, "mail");
+        assert.deepEqual(added[0].doc.to, ["a@example.com", "b@example.com"]);
+        assert.deepEqual(added[0].doc.message, {
+            subject: "제목 줄",
+            text: "제목 줄\n본문",
+        });
+        assert.equal(added[1].doc.message.subject, "신청");
+    });
+});
+
+describe("isLeadAnswer", () => {
+    const answer = (draft, text) =>
+        isLeadAnswer(draft, text, parseUserInputRules(text));
+    const offer = findLeadOffers([S25_SK])[0];
+
+    it("이름/희망 시간 단계에서도 가격 질문은 답변으로 보지 않는다", () => {
+        const nameStep = startLead([offer]).draft;
+        assert.equal(answer(nameStep, "김민수"), true);
+        assert.equal(answer(nameStep, "Kim Minsu"), true);
+        assert.equal(answer(nameStep, "아이폰 가격"), false);
+        assert.equal(answer(nameStep, "S25 얼마예요?"), false);
+        assert.equal(answer(nameStep, "최저가 알려줘"), false);
+        assert.equal(answer(nameStep, "취소"), true);
+
+        const visitStep = { ...nameStep, step: "visitTime" };
+        assert.equal(answer(visitStep, "토요일 오후 2시"), true);
+        assert.equal(answer(visitStep, "주말에 내방할게요"), true);
+        assert.equal(answer(visitStep, "갤럭시 30만원 이하"), false);
+    });
+
+    it("이름/희망 시간 단계에서는 날짜와 시간을 답변으로 본다", () => {
+        const visitStep = {
+            ...startLead([offer]).draft,
+            step: "visitTime",
+        };
+        for (const text of [
+            "내일 16시",
+            "12월 14일 오후",
+            "주말 15시쯤",
+            "토요일 오후 2시 방문할게요",
+            "오후 3시에 상담 예약할게요",
+        ]) {
+            assert.equal(answer(visitStep, text), true, text);
+        }
+        assert.equal(answer(startLead([offer]).draft, "주말 15시쯤"), true);
+    });
+
+    it("상품 번호와 휴대폰 번호는 답변", () => {
+        const offerStep = startLead(findLeadOffers([S25_SK, S25_KT])).draft;
+        assert.equal(answer(offerStep, "2"), true);
+        assert.equal(answer(offerStep, "S25 256"), false);
+
+        const phoneStep = { ...startLead([offer]).draft, step: "phone" };
+        assert.equal(answer(phoneStep, "010-1234-5678"), true);
+    });
+});
+
+describe("canRestartLead", () => {
+    const offer = findLeadOffers([S25_SK])[0];
+
+    it("이름을 받기 시작한 신청서는 신청 문구로 새로 시작하지 않는다", () => {
+        const nameStep = startLead([offer]).draft;
+        const visitStep = { ...nameStep, step: "visitTime" };
+
+        assert.equal(getLeadCommand("토요일 오후 2시 방문할게요"), "start");
+        assert.equal(getLeadCommand("오후 3시에 상담 예약할게요"), "start");
+        assert.equal(canRestartLead(nameStep), false);
+        assert.equal(canRestartLead(visitStep), false);
+        assert.equal(canRestartLead({ ...nameStep, step: "phone" }), false);
+
+        assert.equal(canRestartLead(null), true);
+        assert.equal(
+            canRestartLead(startLead(findLeadOffers([S25_SK, S25_KT])).draft),
+            true
+        );
+    });
+});
@@ -0,0 +1,171 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createLlmProvider, generateStructured } from "../src/llm.js";
+import { startOpenAIStub } from "./helpers/http.js";
+import { silenceLogs } from "./helpers/console.js";
+
+silenceLogs();
+
+const SCHEMA = {
+    type: "object",
+    properties: { 통신사: { type: ["string", "null"] } },
+    required: ["통신사"],
+    additionalProperties: false,
+};
+const REQUEST = {
+    system: "통신사를 추출하세요.",
+    user: "SK로 사고 싶어요",
+    schema: SCHEMA,
+    schemaName: "telecom_query",
+};
+
+describe("createLlmProvider", () => {
+    it("openai 제공자는 API 키가 없으면 오류", () => {
+        assert.throws(() => createLlmProvider({ type: "openai" }), /API 키/);
+    });
+
+    it("fake 제공자는 reply 결과를 돌려주고 JSON 문자열도 읽는다", async () => {
+        const calls = [];
+        const provider = createLlmProvider({
+            type: "fake",
+            reply: (request) => {
+                calls.push(request);
+                return '```json\n{"통신사":"SK"}\n```';
+            },
+        });
+
+        assert.deepEqual(await provider.generate(REQUEST), { 통신사: "SK" });
+        assert.equal(calls[0].system, REQUEST.system);
+        assert.equal(calls[0].user, REQUEST.user);
+        assert.equal(calls[0].schema, SCHEMA);
+    });
+});
+
+describe("openai 제공자", () => {
+    let openai;
+    let reply;
+
+    before(async () => {
+        openai = await startOpenAIStub(() => reply);
+    });
+    after(() => openai.close());
+
+    const provider = (outputMode) =>
+        createLlmProvider({
+            apiKey: "test-key",
+            model: "test-model",
+            baseURL: openai.baseURL,
+            outputMode,
+        });
+
+    it("json_schema 모드: 지시문과 사용자 문장을 나눠 보내고 스키마를 강제한다", async () => {
+        reply = '{"통신사":"KT"}';
+
+        assert.deepEqual(await provider("json_schema").generate(REQUEST), {
+            통신사: "KT",
+        });
+
+        const request = openai.requests.at(-1);
+        assert.equal(request.model, "test-model");
+        assert.equal(request.temperature, 0);
+        assert.deepEqual(request.messages, [
+            { role: "system", content: REQUEST.system },
+            { role: "user", content: REQUEST.user },
+        ]);
+        assert.deepEqual(request.response_format, {
+            type: "json_schema",
+            json_schema: {
+                name: "telecom_query",
+                schema: SCHEMA,
+                strict: true,
+            },
+        });
+        assert.equal(request.tools, undefined);
+    });
+
+    it("tool 모드: 함수 호출 인자를 응답으로 읽는다", async () => {
+        reply = '{"통신사":"LG"}';
+
+        assert.deepEqual(await provider("tool").generate(REQUEST), {
+            통신사: "LG",
+        });
+
+        const request = openai.requests.at(-1);
+        assert.equal(request.tools[0].function.name, "telecom_query");
+        assert.deepEqual(request.tools[0].function.parameters, SCHEMA);
+        assert.deepEqual(request.tool_choice, {
+            type: "function",
+            function: { name: "telecom_query" },
+        });
+        assert.equal(request.response_format, undefined);
+    });
+
+    it("JSON이 아닌 응답은 오류", async () => {
+        reply = "죄송합니다, 이해하지 못했어요.";
+        await assert.rejects(
+            provider("json_schema").generate(REQUEST),
+            /JSON으로 읽을 수 없습니다/
+        );
+    });
+});
+
+describe("generateStructured", () => {
+    it("실패하면 retries번 다시 시도한다", async () => {
+        let calls = 0;
+        const provider = createLlmProvider({
+            type: "fake",
+            reply: () => {
+                calls++;
+                if (calls === 1) throw new Error("일시적인 오류");
+                return { 통신사: "SK" };
+            },
+        });
+
+        assert.deepEqual(
+            await generateStructured(provider, REQUEST, { retries: 1 }),
+            { 통신사: "SK" }
+        );
+        assert.equal(calls, 2);
+    });
+
+    it("검증에 실패한 응답도 다시 요청하고, 모두 실패하면 마지막 오류를 던진다", async () => {
+        let calls = 0;
+        const provider = createLlmProvider({
+            type: "fake",
+            reply: () => {
+                calls++;
+                return { 통신사: `잘못된 값 ${calls}` };
+            },
+        });
+
+        await assert.rejects(
+            generateStructured(provider, REQUEST, {
+                retries: 2,
+                validate: (value) => {
+                    throw new Error(`검증 실패: ${value.통신사}`);
+                },
+            }),
+            /검증 실패: 잘못된 값 3/
+        );
+        assert.equal(calls, 3);
+    });
+
+    it("제한 시간이 지나면 응답을 기다리지 않는다", async () => {
+        const provider = createLlmProvider({
+            type: "fake",
+            reply: () =>
+                new Promise((resolve) =>
+                    setTimeout(() => resolve({ 통신사: "SK" }), 500)
+                ),
+        });
+
+        const started = Date.now();
+        await assert.rejects(
+            generateStructured(provider, REQUEST, {
+                timeoutMs: 20,
+                retries: 1,
+            })
+        );
+        assert.ok(Date.now() - started < 400);
+    });
+});
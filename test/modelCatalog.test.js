@@ -0,0 +1,140 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+    applyModelAliases,
+    normalizeModelName,
+    normalizeBrand,
+    detectBrand,
+    formatModelName,
+    buildModelCatalog,
+    getIphoneNumbers,
+    isModelListQuery,
+    generateModelListResponse,
+} from "../src/modelCatalog.js";
+
+function record(modelRaw, capacity = "256") {
+    return { modelRaw, modelNorm: normalizeModelName(modelRaw), capacity };
+}
+
+describe("별칭 표", () => {
+    it("줄임말과 영문 표기를 시트 표기로 바꾼다", () => {
+        assert.equal(applyModelAliases("16 프맥"), "16 프로맥스");
+        assert.equal(applyModelAliases("s25u"), "s25울트라");
+        assert.equal(applyModelAliases("갤폴7"), "폴드7");
+        assert.equal(applyModelAliases("갤 플립6"), "플립6");
+        assert.equal(applyModelAliases("pixel 9 pro"), "픽셀 9 프로");
+        assert.equal(applyModelAliases("17 air"), "17 에어");
+    });
+
+    it("정규화된 모델명이 같아진다", () => {
+        assert.equal(
+            normalizeModelName("S25U"),
+            normalizeModelName("갤럭시 S25 울트라")
+        );
+        assert.equal(
+            normalizeModelName("iPhone 17 PM"),
+            normalizeModelName("아이폰 17 프로맥스")
+        );
+        assert.equal(normalizeModelName("Galaxy Z Fold7"), "폴드7");
+    });
+});
+
+describe("브랜드 판단", () => {
+    it("브랜드 표기를 통일한다", () => {
+        assert.equal(normalizeBrand("Galaxy"), "갤럭시");
+        assert.equal(normalizeBrand("iPhone"), "아이폰");
+        assert.equal(normalizeBrand("구글"), "픽셀");
+        assert.equal(normalizeBrand(null), null);
+    });
+
+    it("브랜드 없는 모델명도 시리즈로 판단한다", () => {
+        assert.equal(detectBrand("갤럭시 S25"), "갤럭시");
+        assert.equal(detectBrand("Z플립7"), "갤럭시");
+        assert.equal(detectBrand("A35"), "갤럭시");
+        assert.equal(detectBrand("17"), "아이폰");
+        assert.equal(detectBrand("16e"), "아이폰");
+        assert.equal(detectBrand("픽셀 9 프로"), "픽셀");
+        assert.equal(detectBrand("알 수 없는 폰"), null);
+    });
+
+    it("표시 이름에 브랜드를 한 번만 붙인다", () => {
+        assert.equal(formatModelName("아이폰", "17"), "아이폰 17");
+        assert.equal(formatModelName("갤럭시", "S25"), "갤럭시 S25");
+        assert.equal(formatModelName("픽셀", "픽셀9"), "픽셀9");
+        assert.equal(formatModelName("갤럭시", "갤럭시 S25"), "갤럭시 S25");
+        assert.equal(formatModelName("갤럭시", null), "갤럭시");
+        assert.equal(formatModelName(null, "S25"), "S25");
+    });
+});
+
+describe("buildModelCatalog", () => {
+    const catalog = buildModelCatalog([
+        record("아이폰 17", "256"),
+        record("갤럭시 S25", "512"),
+        record("갤럭시 S25", "256"),
+        record("Galaxy S25", "기본"),
+        record("픽셀 9", "128"),
+        record("갤럭시 Z폴드7", "512"),
+    ]);
+
+    it("같은 모델은 하나로 묶고 용량을 모은다", () => {
+        assert.deepEqual(
+            catalog.map(({ brand, name, capacities }) => [
+                brand,
+                name,
+                capacities,
+            ]),
+            [
+                ["픽셀", "픽셀 9", ["128"]],
+                ["갤럭시", "갤럭시 S25", ["256", "512"]],
+                ["갤럭시", "갤럭시 Z폴드7", ["512"]],
+                ["아이폰", "아이폰 17", ["256"]],
+            ]
+        );
+    });
+
+    it("시트에 있는 아이폰 번호를 모델 번호로 인식한다", () => {
+        const numbers = getIphoneNumbers([
+            ...catalog,
+            { brand: "아이폰", key: "18프로" },
+        ]);
+        assert.ok(numbers.includes("17"));
+        assert.ok(numbers.includes("18"));
+    });
+
+    it("모델 목록 응답", () => {
+        const text = generateModelListResponse(catalog, "Galaxy");
+        assert.match(text, /조회 가능한 갤럭시 모델 \(2개\)/);
+        assert.match(text, /• 갤럭시 S25 \(256\/512GB\)/);
+        assert.doesNotMatch(text, /아이폰/);
+    });
+});
+
+describe("TB 용량", () => {
+    const catalog = buildModelCatalog([
+        record("아이폰 17 프로", "1"),
+        record("아이폰 17 프로", "256"),
+        record("아이폰 17 프로", "512"),
+        record("아이폰 17 프로", "128"),
+    ]);
+
+    it("TB 용량은 GB 용량 뒤로 정렬한다", () => {
+        assert.deepEqual(catalog[0].capacities, ["128", "256", "512", "1"]);
+    });
+
+    it("모델 목록 응답에 TB 단위로 표시한다", () => {
+        const text = generateModelListResponse(catalog);
+        assert.match(text, /• 아이폰 17 프로 \(128\/256\/512GB\/1TB\)/);
+        assert.doesNotMatch(text, /1GB/);
+    });
+});
+
+describe("isModelListQuery", () => {
+    it("모델 목록 문의를 구분한다", () => {
+        assert.ok(isModelListQuery("어떤 모델 있어요?"));
+        assert.ok(isModelListQuery("지원 모델 목록 보여줘"));
+        assert.ok(isModelListQuery("갤럭시 기종 뭐 있어요"));
+        assert.ok(!isModelListQuery("S25 256 SK 번이"));
+        assert.ok(!isModelListQuery("50만원 이하 폰 뭐 있어요?"));
+    });
+});
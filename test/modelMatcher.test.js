@@ -0,0 +1,204 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+    findMatchingRecords,
+    normalizeModelName,
+} from "../src/modelMatcher.js";
+import { silenceLogs } from "./helpers/console.js";
+
+silenceLogs();
+
+const EMPTY_QUERY = {
+    브랜드: null,
+    기본모델: null,
+    옵션: null,
+    용량: null,
+    통신사: null,
+    타입: null,
+    채널: null,
+};
+
+function record(modelRaw, overrides = {}) {
+    return {
+        modelRaw,
+        modelNorm: normalizeModelName(modelRaw),
+        capacity: "256",
+        telecom: "SK",
+        type: "번호이동",
+        channel: "온라인",
+        plan: "109000",
+        price: "500000",
+        serviceInfo: null,
+        ...overrides,
+    };
+}
+
+const RECORDS = [
+    "아이폰 16",
+    "아이폰 16e",
+    "아이폰 16 플러스",
+    "아이폰 16 프로",
+    "아이폰 16 프로맥스",
+    "갤럭시 S24",
+    "갤럭시 S24 FE",
+    "갤럭시 S25",
+    "갤럭시 S25 엣지",
+    "갤럭시 S25 울트라",
+    "갤럭시 Z플립6",
+    "갤럭시 Z플립5",
+    "갤럭시 Z폴드6",
+].map((name) => record(name));
+
+function models(query, records = RECORDS) {
+    return findMatchingRecords({ ...EMPTY_QUERY, ...query }, records).map(
+        (r) => r.modelRaw
+    );
+}
+
+describe("normalizeModelName", () => {
+    it("브랜드와 Z 접두어를 지우고 영문 옵션을 한글로 바꾼다", () => {
+        assert.equal(normalizeModelName("갤럭시 Z플립6"), "플립6");
+        assert.equal(normalizeModelName("Galaxy Z Fold 6"), "폴드6");
+        assert.equal(normalizeModelName("iPhone 16 Pro Max"), "16프로맥스");
+        assert.equal(normalizeModelName("S24+"), "s24플러스");
+    });
+});
+
+describe("findMatchingRecords", () => {
+    it("옵션 없이 물으면 기본 모델만", () => {
+        assert.deepEqual(models({ 기본모델: "16" }), ["아이폰 16"]);
+        assert.deepEqual(models({ 기본모델: "S25" }), ["갤럭시 S25"]);
+    });
+
+    it("프로와 프로맥스를 구분한다", () => {
+        assert.deepEqual(models({ 기본모델: "16", 옵션: "프로" }), [
+            "아이폰 16 프로",
+        ]);
+        assert.deepEqual(models({ 기본모델: "16", 옵션: "pro max" }), [
+            "아이폰 16 프로맥스",
+        ]);
+    });
+
+    it("SE는 FE나 16e에 부분 문자열로 걸리지 않는다", () => {
+        assert.deepEqual(models({ 기본모델: "S24", 옵션: "SE" }), []);
+        assert.deepEqual(models({ 기본모델: "16", 옵션: "SE" }), []);
+        assert.deepEqual(models({ 기본모델: "S24", 옵션: "fe" }), [
+            "갤럭시 S24 FE",
+        ]);
+        assert.deepEqual(models({ 기본모델: "16", 옵션: "e" }), ["아이폰 16e"]);
+    });
+
+    it("에어는 기본 모델과 구분한다", () => {
+        const records = [record("아이폰 17"), record("아이폰 17 에어")];
+        assert.deepEqual(models({ 기본모델: "17", 옵션: "에어" }, records), [
+            "아이폰 17 에어",
+        ]);
+        assert.deepEqual(models({ 기본모델: "17" }, records), ["아이폰 17"]);
+    });
+
+    it("SE 모델은 SE로 찾는다", () => {
+        const records = [record("아이폰 SE"), record("갤럭시 S25 엣지")];
+        assert.deepEqual(models({ 기본모델: "SE" }, records), ["아이폰 SE"]);
+    });
+
+    it("기본모델에 옵션이 붙어 와도 찾는다", () => {
+        assert.deepEqual(models({ 기본모델: "S25울트라" }), [
+            "갤럭시 S25 울트라",
+        ]);
+    });
+
+    it("플립/폴드는 번호까지 맞아야 한다", () => {
+        assert.deepEqual(models({ 기본모델: "플립6" }), ["갤럭시 Z플립6"]);
+        assert.deepEqual(models({ 기본모델: "Z플립5" }), ["갤럭시 Z플립5"]);
+        assert.deepEqual(models({ 기본모델: "폴드6" }), ["갤럭시 Z폴드6"]);
+        assert.deepEqual(models({ 기본모델: "폴드7" }), []);
+    });
+
+    it("번호 없이 플립만 물으면 모든 플립", () => {
+        assert.deepEqual(models({ 기본모델: "플립" }), [
+            "갤럭시 Z플립6",
+            "갤럭시 Z플립5",
+        ]);
+    });
+
+    it("갤럭시 브랜드 필터는 플립/폴드를 포함한다", () => {
+        const records = [
+            record("Z플립6"),
+            record("아이폰 16"),
+            record("갤럭시 S25"),
+        ];
+        assert.deepEqual(models({ 브랜드: "갤럭시" }, records), [
+            "Z플립6",
+            "갤럭시 S25",
+        ]);
+    });
+
+    it("브랜드 필터는 모델 카탈로그 규칙을 따른다", () => {
+        const records = [
+            record("아이폰 17"),
+            record("픽셀 9"),
+            record("Z플립7"),
+            record("갤럭시 A35"),
+        ];
+        assert.deepEqual(models({ 브랜드: "아이폰" }, records), ["아이폰 17"]);
+        assert.deepEqual(models({ 브랜드: "Galaxy" }, records), [
+            "Z플립7",
+            "갤럭시 A35",
+        ]);
+        assert.deepEqual(models({ 브랜드: "구글" }, records), ["픽셀 9"]);
+    });
+
+    it("용량이 같거나 기본인 레코드, 통신사/타입/채널이 같은 레코드만", () => {
+        const records = [
+            record("갤럭시 S25", { capacity: "256" }),
+            record("갤럭시 S25", { capacity: "512" }),
+            record("갤럭시 S25", { capacity: "기본", telecom: "KT" }),
+            record("갤럭시 S25", { type: "기기변경" }),
+            record("갤럭시 S25", { channel: "내방" }),
+        ];
+
+        assert.equal(
+            findMatchingRecords(
+                { ...EMPTY_QUERY, 기본모델: "S25", 용량: "256" },
+                records
+            ).length,
+            4
+        );
+        assert.deepEqual(
+            findMatchingRecords(
+                {
+                    ...EMPTY_QUERY,
+                    기본모델: "S25",
+                    용량: "256",
+                    통신사: "SK",
+                    타입: "번호이동",
+                    채널: "온라인",
+                },
+                records
+            ),
+            [records[0]]
+        );
+    });
+
+    it("가격 조건에 맞는 레코드를 할부원금이 싼 순서로", () => {
+        const records = [
+            record("갤럭시 S25", { price: "450000" }),
+            record("아이폰 16", { price: "520000" }),
+            record("아이폰 16e", { price: "150000", plan: "69000" }),
+            record("갤럭시 Z플립6", { price: "150000", plan: "59000" }),
+        ];
+
+        assert.deepEqual(models({ 최대가격: 500000 }, records), [
+            "갤럭시 Z플립6",
+            "아이폰 16e",
+            "갤럭시 S25",
+        ]);
+        assert.deepEqual(
+            models(
+                { 브랜드: "아이폰", 최소요금제: 60000, 최대요금제: 69999 },
+                records
+            ),
+            ["아이폰 16e"]
+        );
+    });
+});
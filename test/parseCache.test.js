@@ -0,0 +1,139 @@
+import { describe, it, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+    normalizeUtterance,
+    getParseCacheKey,
+    getCachedParse,
+    clearParseCache,
+    getParseCacheStatus,
+} from "../src/parseCache.js";
+import { silenceLogs } from "./helpers/console.js";
+
+silenceLogs();
+
+// 호출 횟수를 세는 파서
+function countingParser(result = { 기본모델: "S25" }) {
+    const parser = async () => {
+        parser.calls++;
+        return typeof result === "function" ? result() : result;
+    };
+    parser.calls = 0;
+    return parser;
+}
+
+describe("normalizeUtterance", () => {
+    it("대소문자, 공백, 끝의 문장부호를 통일한다", () => {
+        assert.equal(
+            normalizeUtterance("  아이폰 16 프로  256 SK 번이?! "),
+            "아이폰 16 프로 256 sk 번이"
+        );
+        assert.equal(normalizeUtterance("S25+"), "s25+");
+    });
+});
+
+describe("getParseCacheKey", () => {
+    it("정규화한 문장이 같으면 같은 키, scope가 다르면 다른 키", () => {
+        assert.equal(
+            getParseCacheKey("S25 SK 번이", "a"),
+            getParseCacheKey("s25  sk 번이.", "a")
+        );
+        assert.notEqual(
+            getParseCacheKey("S25 SK 번이", "a"),
+            getParseCacheKey("S25 SK 번이", "b")
+        );
+        assert.match(getParseCacheKey("S25"), /^[0-9a-f]{64}$/);
+    });
+});
+
+describe("getCachedParse", () => {
+    beforeEach(() => clearParseCache());
+
+    it("같은 문장은 한 번만 파싱하고 적중/실패 횟수를 센다", async () => {
+        const parser = countingParser();
+
+        assert.deepEqual(await getCachedParse("S25", parser), {
+            기본모델: "S25",
+        });
+        assert.deepEqual(await getCachedParse("s25?", parser), {
+            기본모델: "S25",
+        });
+        assert.equal(parser.calls, 1);
+
+        const status = getParseCacheStatus();
+        assert.equal(status.size, 1);
+        assert.equal(status.hits, 1);
+        assert.equal(status.memoryHits, 1);
+        assert.equal(status.misses, 1);
+        assert.equal(status.hitRate, 0.5);
+    });
+
+    it("캐시된 결과를 고쳐도 다음 결과에 영향이 없다", async () => {
+        const parser = countingParser();
+        const first = await getCachedParse("S25", parser);
+        first.기본모델 = "S24";
+
+        assert.equal((await getCachedParse("S25", parser)).기본모델, "S25");
+    });
+
+    it("파싱에 실패(null)하면 저장하지 않는다", async () => {
+        const parser = countingParser(null);
+
+        assert.equal(await getCachedParse("S25", parser), null);
+        assert.equal(await getCachedParse("S25", parser), null);
+        assert.equal(parser.calls, 2);
+        assert.equal(getParseCacheStatus().size, 0);
+    });
+
+    it("동시에 들어온 같은 문장은 한 번만 파싱한다", async () => {
+        const parser = countingParser();
+        const results = await Promise.all([
+            getCachedParse("S25", parser),
+            getCachedParse("S25", parser),
+        ]);
+
+        assert.equal(parser.calls, 1);
+        assert.deepEqual(results[0], results[1]);
+        assert.notEqual(results[0], results[1]);
+    });
+
+    it("크기를 넘으면 가장 오래 사용하지 않은 문장부터 지운다", async () => {
+        const parser = countingParser();
+        const options = { maxEntries: 2 };
+
+        await getCachedParse("a", parser, options);
+        await getCachedParse("b", parser, options);
+        await getCachedParse("a", parser, options);
+        await getCachedParse("c", parser, options);
+        assert.equal(parser.calls, 3);
+
+        await getCachedParse("a", parser, options);
+        assert.equal(parser.calls, 3);
+        await getCachedParse("b", parser, options);
+        assert.equal(parser.calls, 4);
+    });
+
+    it("TTL이 지나면 다시 파싱한다", async () => {
+        const parser = countingParser();
+
+        await getCachedParse("S25", parser, { ttlMs: 0 });
+        await getCachedParse("S25", parser, { ttlMs: 0 });
+        assert.equal(parser.calls, 2);
+    });
+
+    it("scope가 다르면 따로 저장한다", async () => {
+        const parser = countingParser();
+
+        await getCachedParse("S25", parser, { scope: "gpt-4o-mini" });
+        await getCachedParse("S25", parser, { scope: "gpt-4o" });
+        assert.equal(parser.calls, 2);
+    });
+
+    it("maxEntries가 0이면 캐시를 사용하지 않는다", async () => {
+        const parser = countingParser();
+
+        await getCachedParse("S25", parser, { maxEntries: 0 });
+        await getCachedParse("S25", parser, { maxEntries: 0 });
+        assert.equal(parser.calls, 2);
+        assert.equal(getParseCacheStatus().misses, 0);
+    });
+});
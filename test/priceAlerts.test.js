@@ -0,0 +1,156 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+    getAlertCommand,
+    parseTargetPrice,
+    stripAlertText,
+    checkAlerts,
+    sendAlertNotifications,
+} from "../src/priceAlerts.js";
+import { createNotificationSender } from "../src/notificationSender.js";
+import { normalizeModelName } from "../src/modelMatcher.js";
+import { silenceLogs } from "./helpers/console.js";
+
+silenceLogs();
+
+function record(price, overrides = {}) {
+    return {
+        modelRaw: "갤럭시 S25",
+        modelNorm: normalizeModelName("갤럭시 S25"),
+        capacity: "256",
+        telecom: "SK",
+        type: "번호이동",
+        channel: "온라인",
+        plan: "109000",
+        price: String(price),
+        serviceInfo: null,
+        ...overrides,
+    };
+}
+
+function alert(overrides = {}) {
+    return {
+        id: "alert-1",
+        userId: "user-1",
+        parsedData: {
+            브랜드: "갤럭시",
+            기본모델: "S25",
+            옵션: null,
+            용량: "256",
+            통신사: "SK",
+            타입: null,
+            채널: null,
+        },
+        targetPrice: 800000,
+        lastNotifiedPrice: null,
+        ...overrides,
+    };
+}
+
+describe("getAlertCommand / parseTargetPrice / stripAlertText", () => {
+    it("조건이 붙은 요청만 알림 등록으로 본다", () => {
+        assert.equal(getAlertCommand("S25 80만원 이하 알림"), "create");
+        assert.equal(getAlertCommand("S25 70만원 되면 알려줘"), "create");
+        assert.equal(getAlertCommand("알림 취소"), "cancel");
+        assert.equal(getAlertCommand("알림 목록"), "list");
+        assert.equal(getAlertCommand("S25 가격 알려줘"), null);
+    });
+
+    it("만원/원 단위 목표 가격", () => {
+        assert.equal(parseTargetPrice("S25 80만원 이하 알림"), 800000);
+        assert.equal(parseTargetPrice("S25 79.9만 원 되면 알려줘"), 799000);
+        assert.equal(parseTargetPrice("S25 700,000원 이하 알림"), 700000);
+        assert.equal(parseTargetPrice("S25 650000원 알림"), 650000);
+        assert.equal(parseTargetPrice("S25 256 알림"), null);
+    });
+
+    it("목표 가격과 알림 문구를 지워서 모델로 읽지 않게 한다", () => {
+        assert.equal(
+            stripAlertText("S25 256 SK 80만원 이하 알림"),
+            "S25 256 SK"
+        );
+        assert.equal(
+            stripAlertText("아이폰 16 15만원 되면 알려줘"),
+            "아이폰 16"
+        );
+    });
+});
+
+describe("checkAlerts", () => {
+    it("최저가가 목표 가격 이하로 내려가면 알린다", () => {
+        assert.deepEqual(checkAlerts([alert()], [record(850000)]), []);
+
+        const [hit] = checkAlerts(
+            [alert()],
+            [record(850000), record(790000, { channel: "오프라인" })]
+        );
+        assert.equal(hit.price, 790000);
+        assert.equal(hit.record.channel, "오프라인");
+
+        // 목표 가격과 같아도 알림
+        assert.equal(checkAlerts([alert()], [record(800000)]).length, 1);
+    });
+
+    it("이미 알린 가격에서 더 내려가지 않으면 다시 알리지 않는다", () => {
+        const notified = alert({ lastNotifiedPrice: 790000 });
+
+        assert.deepEqual(checkAlerts([notified], [record(790000)]), []);
+        assert.deepEqual(checkAlerts([notified], [record(795000)]), []);
+        assert.equal(checkAlerts([notified], [record(780000)]).length, 1);
+    });
+
+    it("조건에 맞는 상품이 없으면 알리지 않는다", () => {
+        assert.deepEqual(
+            checkAlerts([alert()], [record(500000, { telecom: "KT" })]),
+            []
+        );
+    });
+});
+
+describe("sendAlertNotifications", () => {
+    it("발송기로 알림을 보내고 보낸 가격을 기록한다", async () => {
+        const sender = createNotificationSender({ type: "fake" });
+        const notified = [];
+        const triggered = checkAlerts([alert()], [record(790000)]);
+
+        const count = await sendAlertNotifications(triggered, sender, {
+            markNotified: async (id, price) => notified.push([id, price]),
+        });
+
+        assert.equal(count, 1);
+        assert.equal(sender.sent.length, 1);
+        assert.equal(sender.sent[0].recipient, "user-1");
+        assert.match(sender.sent[0].text, /🔔 가격 알림/);
+        assert.match(sender.sent[0].text, /790,000원이 되었습니다/);
+        assert.match(sender.sent[0].text, /목표 가격 800,000원/);
+        assert.equal(sender.sent[0].data.alertId, "alert-1");
+        assert.deepEqual(notified, [["alert-1", 790000]]);
+
+        // 보낸 가격을 기록한 알림은 같은 가격으로 다시 보내지 않음
+        assert.deepEqual(
+            checkAlerts(
+                [alert({ lastNotifiedPrice: 790000 })],
+                [record(790000)]
+            ),
+            []
+        );
+    });
+
+    it("발송에 실패한 알림은 보낸 것으로 기록하지 않는다", async () => {
+        const sender = {
+            async send() {
+                throw new Error("발송 실패");
+            },
+        };
+        const notified = [];
+
+        const count = await sendAlertNotifications(
+            checkAlerts([alert()], [record(790000)]),
+            sender,
+            { markNotified: async (id, price) => notified.push([id, price]) }
+        );
+
+        assert.equal(count, 0);
+        assert.deepEqual(notified, []);
+    });
+});
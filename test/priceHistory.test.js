@@ -0,0 +1,218 @@
+import { describe, it, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import { rm } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import {
+    isPriceHistoryQuery,
+    parseHistoryDays,
+    diffRecords,
+    trackPriceChanges,
+    getPriceChanges,
+    generatePriceHistoryResponse,
+} from "../src/priceHistory.js";
+import { createPriceHistoryStore } from "../src/priceHistoryStore.js";
+import { toDocumentId } from "../src/firestore.js";
+import { createFirestoreStub } from "./helpers/firestore.js";
+import { silenceLogs } from "./helpers/console.js";
+
+silenceLogs();
+
+const SHEET_ID = "test-sheet";
+
+function record(overrides = {}) {
+    return {
+        modelRaw: "갤럭시 S25",
+        capacity: "256",
+        telecom: "SK",
+        type: "번호이동",
+        channel: "온라인",
+        price: "350000",
+        plan: "109000",
+        ...overrides,
+    };
+}
+
+const S25_SK = record();
+const S25_KT = record({ telecom: "KT", price: "300000" });
+const IPHONE_SK = record({ modelRaw: "아이폰 16", capacity: "128" });
+
+describe("isPriceHistoryQuery / parseHistoryDays", () => {
+    it("가격 변동 문의와 조회 기간", () => {
+        assert.equal(isPriceHistoryQuery("S25 가격 변동"), true);
+        assert.equal(isPriceHistoryQuery("어제보다 내렸어요?"), true);
+        assert.equal(isPriceHistoryQuery("S25 얼마예요?"), false);
+
+        assert.equal(parseHistoryDays("어제보다 내렸어요?"), 1);
+        assert.equal(parseHistoryDays("한 달 동안 변동"), 30);
+        assert.equal(parseHistoryDays("3일 동안 변동"), 3);
+        assert.equal(parseHistoryDays("가격 변동"), 7);
+    });
+});
+
+describe("diffRecords", () => {
+    it("바뀐 상품, 새 상품, 빠진 상품", () => {
+        const key = (r) =>
+            [r.modelRaw, r.capacity, r.telecom, r.type, r.channel].join("|");
+        const toSnapshot = (records) =>
+            records.map((r) => ({ key: key(r), ...r }));
+
+        const changes = diffRecords(
+            toSnapshot([S25_SK, S25_KT]),
+            toSnapshot([{ ...S25_SK, price: "330000" }, IPHONE_SK])
+        );
+
+        assert.deepEqual(
+            changes.map((change) => [
+                change.kind,
+                change.telecom,
+                change.previousPrice,
+                change.price,
+            ]),
+            [
+                ["changed", "SK", "350000", "330000"],
+                ["added", "SK", null, "350000"],
+                ["removed", "KT", "300000", null],
+            ]
+        );
+    });
+});
+
+describe("trackPriceChanges / getPriceChanges (file 저장소)", () => {
+    const filePath = join(tmpdir(), `price-history-test-${process.pid}.json`);
+    let store;
+
+    beforeEach(async () => {
+        await rm(filePath, { force: true });
+        store = createPriceHistoryStore({ type: "file", filePath });
+    });
+    after(() => rm(filePath, { force: true }));
+
+    it("처음에는 스냅샷만 저장하고, 바뀐 것이 있을 때만 변동 내역을 저장한다", async () => {
+        assert.deepEqual(
+            await trackPriceChanges(SHEET_ID, [S25_SK, S25_KT], store),
+            []
+        );
+        assert.deepEqual(
+            await trackPriceChanges(SHEET_ID, [S25_SK, S25_KT], store),
+            []
+        );
+
+        const changes = await trackPriceChanges(
+            SHEET_ID,
+            [{ ...S25_SK, price: "330000" }, S25_KT],
+            store
+        );
+        assert.equal(changes.length, 1);
+
+        const changeSets = await store.listChanges(SHEET_ID);
+        assert.equal(changeSets.length, 1);
+        assert.equal(changeSets[0].changes[0].price, "330000");
+    });
+
+    it("다른 인스턴스가 먼저 저장했으면 같은 변동을 다시 저장하지 않는다", async () => {
+        await trackPriceChanges(SHEET_ID, [S25_SK], store);
+
+        // 두 인스턴스가 같은 이전 스냅샷을 읽은 상황
+        const stale = await store.getLatestSnapshot(SHEET_ID);
+        const staleStore = {
+            ...store,
+            getLatestSnapshot: async () => stale,
+        };
+        const updated = [{ ...S25_SK, price: "330000" }];
+
+        assert.equal(
+            (await trackPriceChanges(SHEET_ID, updated, store)).length,
+            1
+        );
+        assert.deepEqual(
+            await trackPriceChanges(SHEET_ID, updated, staleStore),
+            []
+        );
+        assert.equal((await store.listChanges(SHEET_ID)).length, 1);
+    });
+
+    it("기간과 검색 조건으로 변동 내역을 거른다", async () => {
+        await trackPriceChanges(SHEET_ID, [S25_SK, IPHONE_SK], store);
+        await trackPriceChanges(
+            SHEET_ID,
+            [
+                { ...S25_SK, price: "330000" },
+                { ...IPHONE_SK, price: "900000" },
+            ],
+            store
+        );
+
+        assert.equal((await getPriceChanges(SHEET_ID, store)).length, 2);
+
+        const s25Changes = await getPriceChanges(SHEET_ID, store, {
+            parsedData: { 브랜드: "갤럭시", 기본모델: "S25" },
+        });
+        assert.deepEqual(
+            s25Changes.map((change) => change.modelRaw),
+            ["갤럭시 S25"]
+        );
+        assert.ok(s25Changes[0].changedAt > 0);
+
+        // 오래된 변동 내역은 기간에서 빠짐
+        const [changeSet] = await store.listChanges(SHEET_ID);
+        const oldStore = {
+            listChanges: (id, { since }) =>
+                store.listChanges(id, {
+                    since: since + changeSet.createdAt + 1,
+                }),
+        };
+        assert.deepEqual(await getPriceChanges(SHEET_ID, oldStore), []);
+    });
+});
+
+describe("Firestore 저장소", () => {
+    it("경로 형식의 데이터 소스 id도 문서 하나에 저장한다", async () => {
+        const db = createFirestoreStub();
+        const store = createPriceHistoryStore({ type: "firestore", db });
+        const sourceId = "json:fixtures/sheets.json";
+
+        assert.deepEqual(
+            await trackPriceChanges(sourceId, [S25_SK], store),
+            []
+        );
+        assert.ok(db.docs.has("priceHistory/json%3Afixtures%2Fsheets.json"));
+
+        const latest = await store.getLatestSnapshot(sourceId);
+        assert.equal(latest.records.length, 1);
+        assert.equal(latest.records[0].price, "350000");
+    });
+
+    it("문서 id 인코딩", () => {
+        assert.equal(toDocumentId("1AbC-d_e"), "1AbC-d_e");
+        assert.equal(toDocumentId("csv:a/b/c"), "csv%3Aa%2Fb%2Fc");
+        assert.doesNotMatch(toDocumentId("json:/tmp/x/y.json"), /\//);
+    });
+});
+
+describe("generatePriceHistoryResponse", () => {
+    it("변동 내역이 없을 때와 있을 때", () => {
+        assert.match(
+            generatePriceHistoryResponse(null, [], 7),
+            /최근 7일 가격 변동이 없습니다/
+        );
+
+        const text = generatePriceHistoryResponse(
+            null,
+            [
+                {
+                    ...S25_SK,
+                    kind: "changed",
+                    previousPrice: "350000",
+                    price: "330000",
+                    previousPlan: "109000",
+                    changedAt: Date.now(),
+                },
+            ],
+            1
+        );
+        assert.match(text, /가격 변동 \(어제부터, 1건\)/);
+        assert.match(text, /📉 갤럭시 S25 256GB/);
+        assert.match(text, /할부원금 350,000원 → 330,000원 \(-20,000원\)/);
+    });
+});
@@ -0,0 +1,117 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+    extractPriceRange,
+    matchesPriceRange,
+    describePriceRange,
+    hasPriceRange,
+} from "../src/priceRange.js";
+
+function range(text) {
+    return extractPriceRange(text).range;
+}
+
+describe("extractPriceRange", () => {
+    it("이하/이상/미만/초과를 할부원금 조건으로 읽는다", () => {
+        assert.deepEqual(range("50만원 이하 폰 뭐 있어요?"), {
+            최소가격: null,
+            최대가격: 500000,
+            최소요금제: null,
+            최대요금제: null,
+        });
+        assert.equal(range("30만 원 이상").최소가격, 300000);
+        assert.equal(range("10만원 미만").최대가격, 99999);
+        assert.equal(range("700,000원 까지").최대가격, 700000);
+        assert.equal(range("50만원 폰").최대가격, 500000);
+    });
+
+    it("범위와 ~만원대 표현", () => {
+        assert.deepEqual(
+            [range("30~50만원").최소가격, range("30~50만원").최대가격],
+            [300000, 500000]
+        );
+        assert.equal(range("30만원에서 50만원 사이").최소가격, 300000);
+        assert.equal(range("50만원대").최대가격, 599999);
+        assert.equal(range("100만원대").최대가격, 1999999);
+    });
+
+    it("요금제/월 뒤의 금액은 요금제 조건으로 읽는다", () => {
+        assert.deepEqual(range("요금제 6만원대로 되는 아이폰"), {
+            최소가격: null,
+            최대가격: null,
+            최소요금제: 60000,
+            최대요금제: 69999,
+        });
+        assert.equal(range("월 8만원 이하").최대요금제, 80000);
+        assert.equal(range("8만원 이하 요금제").최대요금제, 80000);
+        assert.equal(range("할부원금 10만원 이하").최대가격, 100000);
+    });
+
+    it("할부원금과 요금제 조건을 함께 읽는다", () => {
+        assert.deepEqual(range("50만원 이하 요금제 6만원대"), {
+            최소가격: null,
+            최대가격: 500000,
+            최소요금제: 60000,
+            최대요금제: 69999,
+        });
+    });
+
+    it("금액 표현을 지운 텍스트를 돌려준다", () => {
+        const { text } = extractPriceRange("s25 50만원 이하 kt");
+        assert.equal(text.replace(/\s+/g, " "), "s25 kt");
+    });
+});
+
+describe("matchesPriceRange", () => {
+    const record = { price: "300000", plan: "69000" };
+
+    it("할부원금과 요금제 범위를 모두 확인한다", () => {
+        assert.equal(matchesPriceRange(record, { 최대가격: 500000 }), true);
+        assert.equal(matchesPriceRange(record, { 최소가격: 400000 }), false);
+        assert.equal(
+            matchesPriceRange(record, { 최소요금제: 60000, 최대요금제: 69999 }),
+            true
+        );
+        assert.equal(matchesPriceRange(record, { 최대요금제: 60000 }), false);
+    });
+
+    it("GPT가 준 문자열 금액도 사용하고, 금액을 읽을 수 없는 레코드는 제외한다", () => {
+        assert.equal(matchesPriceRange(record, { 최대가격: "200000" }), false);
+        assert.equal(
+            matchesPriceRange(
+                { price: "", plan: "69000" },
+                { 최대가격: 500000 }
+            ),
+            false
+        );
+        assert.equal(hasPriceRange({ 최대가격: null, 최소가격: "" }), false);
+    });
+});
+
+describe("describePriceRange", () => {
+    it("조건을 다시 질문할 수 있는 문구로 만든다", () => {
+        assert.equal(
+            describePriceRange({ 최대가격: 500000 }),
+            "할부원금 50만원 이하"
+        );
+        assert.equal(
+            describePriceRange({
+                최소가격: 300000,
+                최대가격: 500000,
+                최소요금제: 60000,
+                최대요금제: 69999,
+            }),
+            "할부원금 30만원~50만원 요금제 6만원대"
+        );
+        assert.equal(
+            describePriceRange({ 최대가격: 99999 }),
+            "할부원금 10만원 미만"
+        );
+        assert.equal(describePriceRange({}), "");
+    });
+
+    it("문구를 다시 읽으면 같은 조건이 된다", () => {
+        const parsed = range("요금제 6만원대 30~50만원");
+        assert.deepEqual(range(describePriceRange(parsed)), parsed);
+    });
+});
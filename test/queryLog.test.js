@@ -0,0 +1,303 @@
+import { describe, it, after } from "node:test";
+import assert from "node:assert/strict";
+import { rm } from "fs/promises";
+import { tmpdir } from "os";
+import { join } from "path";
+import {
+    createQueryLogStore,
+    createQueryLogEntry,
+    getQueryModel,
+    isZeroResult,
+    parseReportRange,
+    buildQueryReport,
+    summarizeQueryReport,
+} from "../src/queryLog.js";
+
+const S25_QUERY = {
+    브랜드: "갤럭시",
+    기본모델: "S25",
+    옵션: null,
+    용량: "256",
+    통신사: "SK",
+    타입: null,
+    채널: null,
+    정렬: null,
+};
+
+function entry(overrides = {}) {
+    return {
+        createdAt: Date.parse("2026-10-10T03:00:00Z"),
+        channel: "kakao",
+        utterance: "S25 256 SK",
+        parsedData: {},
+        models: ["갤럭시 S25"],
+        matchCount: 2,
+        responseType: "price",
+        latencyMs: 100,
+        parser: "llm",
+        llmFailed: false,
+        ...overrides,
+    };
+}
+
+describe("getQueryModel", () => {
+    it("브랜드/기본모델/옵션으로 모델 이름", () => {
+        assert.equal(getQueryModel(S25_QUERY), "갤럭시 S25");
+        assert.equal(
+            getQueryModel({ 브랜드: "아이폰", 기본모델: "16", 옵션: "프로" }),
+            "아이폰 16 프로"
+        );
+        assert.equal(getQueryModel({ 브랜드: "갤럭시" }), null);
+        assert.equal(getQueryModel(null), null);
+    });
+});
+
+describe("createQueryLogEntry", () => {
+    it("값이 있는 검색 조건, 결과 수, 응답 종류, 파싱 정보를 기록한다", () => {
+        const logged = createQueryLogEntry({
+            channel: "phonePrice",
+            utterance: "S25 256 SK",
+            result: {
+                parsedData: S25_QUERY,
+                matchingRecords: [{}, {}],
+                responseType: "price",
+                trace: { parser: "rules", llmFailures: 1 },
+            },
+            latencyMs: 42,
+            createdAt: 1000,
+        });
+
+        assert.deepEqual(logged, {
+            createdAt: 1000,
+            channel: "phonePrice",
+            utterance: "S25 256 SK",
+            parsedData: {
+                브랜드: "갤럭시",
+                기본모델: "S25",
+                용량: "256",
+                통신사: "SK",
+            },
+            models: ["갤럭시 S25"],
+            matchCount: 2,
+            responseType: "price",
+            latencyMs: 42,
+            parser: "rules",
+            llmFailed: true,
+        });
+    });
+
+    it("비교 문의는 비교한 모델을 모두 기록하고, 긴 문장은 자른다", () => {
+        const logged = createQueryLogEntry({
+            channel: "kakao",
+            utterance: "가".repeat(500),
+            result: {
+                parsedData: { 통신사: "SK" },
+                matchingRecords: [],
+                responseType: "comparison",
+                comparison: {
+                    models: [
+                        { parsedData: S25_QUERY },
+                        { parsedData: { 브랜드: "아이폰", 기본모델: "16" } },
+                    ],
+                },
+            },
+            latencyMs: 1,
+        });
+
+        assert.deepEqual(logged.models, ["갤럭시 S25", "아이폰 16"]);
+        assert.equal(logged.utterance.length, 200);
+        assert.equal(logged.parser, null);
+        assert.equal(logged.llmFailed, false);
+    });
+});
+
+describe("isZeroResult", () => {
+    it("검색 응답에서 결과가 0건인 경우만", () => {
+        assert.equal(isZeroResult(entry({ matchCount: 0 })), true);
+        assert.equal(
+            isZeroResult(entry({ matchCount: 0, responseType: "suggestion" })),
+            true
+        );
+        assert.equal(
+            isZeroResult(entry({ matchCount: 0, responseType: "modelList" })),
+            false
+        );
+        assert.equal(isZeroResult(entry()), false);
+    });
+});
+
+describe("parseReportRange", () => {
+    const now = Date.parse("2026-10-18T12:00:00Z");
+
+    it("날짜는 한국 시간 기준, to는 그날 끝까지", () => {
+        assert.deepEqual(
+            parseReportRange({ from: "2026-10-01", to: "2026-10-18" }, now),
+            {
+                since: Date.parse("2026-09-30T15:00:00Z"),
+                until: Date.parse("2026-10-18T14:59:59.999Z"),
+            }
+        );
+    });
+
+    it("from이 없으면 최근 days일 (기본 7일)", () => {
+        assert.deepEqual(parseReportRange({}, now), {
+            since: now - 7 * 86400000,
+            until: now,
+        });
+        assert.equal(
+            parseReportRange({ days: "30" }, now).since,
+            now - 30 * 86400000
+        );
+        assert.equal(parseReportRange({ from: "어제" }, now).until, now);
+    });
+});
+
+describe("buildQueryReport", () => {
+    const entries = [
+        entry(),
+        entry({ channel: "phonePrice", latencyMs: 300 }),
+        entry({
+            utterance: "아이폰 16 프로 1TB",
+            models: ["아이폰 16 프로"],
+            matchCount: 0,
+            responseType: "noResult",
+            createdAt: Date.parse("2026-10-11T03:00:00Z"),
+        }),
+        entry({
+            utterance: "아이폰 16 프로 1tb?",
+            models: ["아이폰 16 프로"],
+            matchCount: 0,
+            responseType: "noResult",
+            createdAt: Date.parse("2026-10-12T03:00:00Z"),
+        }),
+        entry({
+            utterance: "폰 추천해줘",
+            models: [],
+            matchCount: 0,
+            responseType: "guide",
+            parser: "rules",
+            llmFailed: true,
+        }),
+    ];
+
+    it("채널/응답 종류별 수와 평균 처리 시간", () => {
+        const report = buildQueryReport(entries);
+        assert.equal(report.total, 5);
+        assert.deepEqual(report.byChannel, { kakao: 4, phonePrice: 1 });
+        assert.deepEqual(report.byResponseType, {
+            price: 2,
+            noResult: 2,
+            guide: 1,
+        });
+        assert.equal(report.averageLatencyMs, 140);
+    });
+
+    it("많이 찾는 모델 순", () => {
+        assert.deepEqual(buildQueryReport(entries).topModels, [
+            { model: "갤럭시 S25", count: 2 },
+            { model: "아이폰 16 프로", count: 2 },
+        ]);
+        assert.equal(
+            buildQueryReport(entries, { limit: 1 }).topModels.length,
+            1
+        );
+    });
+
+    it("결과 없는 질문은 같은 문장끼리 묶고 최근 문장으로 표시", () => {
+        assert.deepEqual(buildQueryReport(entries).zeroResults, [
+            {
+                utterance: "아이폰 16 프로 1tb?",
+                count: 2,
+                lastAt: "2026-10-12T03:00:00.000Z",
+            },
+        ]);
+    });
+
+    it("알아듣지 못한 질문과 LLM 파싱 실패", () => {
+        const report = buildQueryReport(entries);
+        assert.deepEqual(
+            report.unrecognized.map((item) => item.utterance),
+            ["폰 추천해줘"]
+        );
+        assert.deepEqual(
+            report.llmFailures.map((item) => item.utterance),
+            ["폰 추천해줘"]
+        );
+    });
+
+    it("기록이 없으면 빈 보고서", () => {
+        const report = buildQueryReport([]);
+        assert.equal(report.total, 0);
+        assert.equal(report.averageLatencyMs, null);
+        assert.deepEqual(report.topModels, []);
+    });
+});
+
+describe("summarizeQueryReport", () => {
+    it("기간과 항목별 목록", () => {
+        const text = summarizeQueryReport(
+            buildQueryReport([entry(), entry({ matchCount: 0 })]),
+            {
+                since: Date.parse("2026-10-01T00:00:00+09:00"),
+                until: Date.parse("2026-10-18T23:59:59+09:00"),
+            }
+        );
+
+        assert.match(text, /📊 질문 통계 \(2026-10-01 ~ 2026-10-18\)/);
+        assert.match(text, /전체 2건 · kakao 2건/);
+        assert.match(text, /\[많이 찾는 모델\]\n1\. 갤럭시 S25 \(2건\)/);
+        assert.match(text, /\[결과 없는 질문\]\n1\. S25 256 SK \(1건\)/);
+        assert.match(text, /\[LLM 파싱 실패\]\n\(없음\)/);
+        assert.doesNotMatch(text, /최근 2건만 집계/);
+    });
+
+    it("기록이 잘렸으면 알린다", () => {
+        const report = buildQueryReport([entry(), entry()], {
+            truncated: true,
+        });
+        assert.equal(report.truncated, true);
+        assert.match(
+            summarizeQueryReport(report, { since: 0, until: 0 }),
+            /⚠️ 기록이 많아 최근 2건만 집계했습니다/
+        );
+    });
+});
+
+describe("file 저장소", () => {
+    const filePath = join(tmpdir(), `query-log-store-test-${process.pid}.json`);
+    after(() => rm(filePath, { force: true }));
+
+    it("기간 안의 기록만 최근 순으로", async () => {
+        await rm(filePath, { force: true });
+        const store = createQueryLogStore({ type: "file", filePath });
+        await store.add(entry({ createdAt: 3000 }));
+        await store.add(entry({ createdAt: 1000 }));
+        await store.add(entry({ createdAt: 5000 }));
+
+        const listed = await store.list({ since: 1000, until: 4000 });
+        assert.deepEqual(
+            listed.entries.map((logged) => logged.createdAt),
+            [3000, 1000]
+        );
+        assert.equal(listed.truncated, false);
+    });
+
+    it("limit보다 많으면 오래된 기록을 빼고 truncated", async () => {
+        await rm(filePath, { force: true });
+        const store = createQueryLogStore({ type: "file", filePath });
+        await store.add(entry({ createdAt: 1000 }));
+        await store.add(entry({ createdAt: 3000 }));
+        await store.add(entry({ createdAt: 2000 }));
+
+        const listed = await store.list({ since: 0, until: 4000, limit: 2 });
+        assert.deepEqual(
+            listed.entries.map((logged) => logged.createdAt),
+            [3000, 2000]
+        );
+        assert.equal(listed.truncated, true);
+    });
+
+    it("none이면 저장소 없음", () => {
+        assert.equal(createQueryLogStore({ type: "none" }), null);
+    });
+});
@@ -0,0 +1,125 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+    MINUTE_MS,
+    DAY_MS,
+    createRateLimitStore,
+    getRateLimitKey,
+    getClientIp,
+    checkRateLimit,
+    formatRateLimitMessage,
+} from "../src/rateLimiter.js";
+import { mockRequest } from "./helpers/http.js";
+import { silenceLogs } from "./helpers/console.js";
+
+silenceLogs();
+
+// 2026-10-18 12:00:30 KST
+const NOW = Date.parse("2026-10-18T12:00:30+09:00");
+
+describe("checkRateLimit", () => {
+    it("분당 한도를 넘으면 다음 분까지 거절한다", async () => {
+        const store = createRateLimitStore({ type: "memory" });
+        const limits = [{ windowMs: MINUTE_MS, max: 2 }];
+
+        assert.equal(
+            (await checkRateLimit(store, "a", limits, NOW)).allowed,
+            true
+        );
+        assert.equal(
+            (await checkRateLimit(store, "a", limits, NOW)).allowed,
+            true
+        );
+        assert.deepEqual(await checkRateLimit(store, "a", limits, NOW), {
+            allowed: false,
+            windowMs: MINUTE_MS,
+            retryAfterSeconds: 30,
+        });
+
+        // 다른 키, 다음 구간은 따로 셈
+        assert.equal(
+            (await checkRateLimit(store, "b", limits, NOW)).allowed,
+            true
+        );
+        assert.equal(
+            (await checkRateLimit(store, "a", limits, NOW + 30000)).allowed,
+            true
+        );
+    });
+
+    it("하루 한도는 한국 시간 자정에 초기화된다", async () => {
+        const store = createRateLimitStore({ type: "memory" });
+        const limits = [
+            { windowMs: MINUTE_MS, max: 0 },
+            { windowMs: DAY_MS, max: 1 },
+        ];
+
+        await checkRateLimit(store, "a", limits, NOW);
+        const result = await checkRateLimit(store, "a", limits, NOW);
+        assert.equal(result.allowed, false);
+        assert.equal(result.windowMs, DAY_MS);
+        assert.equal(result.retryAfterSeconds, 12 * 3600 - 30);
+
+        const nextDay = Date.parse("2026-10-19T00:00:00+09:00");
+        assert.equal(
+            (await checkRateLimit(store, "a", limits, nextDay)).allowed,
+            true
+        );
+    });
+
+    it("저장소가 없으면 허용하고, 요청 수를 셀 수 없으면 거절한다", async () => {
+        const limits = [{ windowMs: MINUTE_MS, max: 1 }];
+        assert.equal((await checkRateLimit(null, "a", limits)).allowed, true);
+
+        const broken = {
+            increment: async () => {
+                throw new Error("unavailable");
+            },
+        };
+        assert.deepEqual(await checkRateLimit(broken, "a", limits, NOW), {
+            allowed: false,
+            windowMs: MINUTE_MS,
+            retryAfterSeconds: 30,
+        });
+    });
+});
+
+describe("getRateLimitKey / getClientIp", () => {
+    it("사용자 id가 있으면 IP보다 우선하고 원래 값은 남기지 않는다", () => {
+        const byUser = getRateLimitKey({ userId: "u1", ip: "1.2.3.4" });
+        assert.equal(byUser, getRateLimitKey({ userId: "u1", ip: "5.6.7.8" }));
+        assert.notEqual(byUser, getRateLimitKey({ ip: "1.2.3.4" }));
+        assert.match(byUser, /^[0-9a-f]{32}$/);
+    });
+
+    it("X-Forwarded-For의 마지막 주소를 사용한다", () => {
+        const req = mockRequest({
+            headers: { "X-Forwarded-For": "9.9.9.9, 1.2.3.4" },
+        });
+        assert.equal(getClientIp(req), "1.2.3.4");
+        assert.equal(
+            getClientIp({ ...mockRequest(), ip: "5.6.7.8" }),
+            "5.6.7.8"
+        );
+        assert.equal(getClientIp(mockRequest()), null);
+    });
+});
+
+describe("formatRateLimitMessage", () => {
+    it("분 단위는 기다릴 시간, 하루 단위는 내일 다시", () => {
+        assert.match(
+            formatRateLimitMessage({
+                windowMs: MINUTE_MS,
+                retryAfterSeconds: 30,
+            }),
+            /30초 뒤에 다시/
+        );
+        assert.match(
+            formatRateLimitMessage({
+                windowMs: DAY_MS,
+                retryAfterSeconds: 3600,
+            }),
+            /내일 다시/
+        );
+    });
+});
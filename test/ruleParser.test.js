@@ -0,0 +1,136 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { parseUserInputRules } from "../src/ruleParser.js";
+
+function parse(userInput, catalog) {
+    const { 브랜드, 기본모델, 옵션, 용량, 통신사, 타입 } = parseUserInputRules(
+        userInput,
+        catalog
+    );
+    return { 브랜드, 기본모델, 옵션, 용량, 통신사, 타입 };
+}
+
+describe("parseUserInputRules", () => {
+    it("통신사/타입/용량/모델을 읽는다", () => {
+        assert.deepEqual(parse("갤럭시 S25 울트라 512 SK 번이"), {
+            브랜드: "갤럭시",
+            기본모델: "S25",
+            옵션: "울트라",
+            용량: "512",
+            통신사: "SK",
+            타입: "번호이동",
+        });
+    });
+
+    it("유플러스는 플러스 옵션으로 읽지 않는다", () => {
+        const result = parse("LGU+ 아이폰 16 기변");
+        assert.equal(result.통신사, "LG");
+        assert.equal(result.옵션, null);
+    });
+
+    it("별칭 표의 줄임말을 인식한다", () => {
+        assert.deepEqual(parse("16 프맥 256"), {
+            브랜드: "아이폰",
+            기본모델: "16",
+            옵션: "프로맥스",
+            용량: "256",
+            통신사: null,
+            타입: null,
+        });
+        assert.equal(parse("s25u kt").옵션, "울트라");
+        assert.equal(parse("갤폴7 기변").기본모델, "폴드7");
+    });
+
+    it("픽셀 모델을 인식한다", () => {
+        const result = parse("구글 픽셀 9 pro 128");
+        assert.equal(result.브랜드, "픽셀");
+        assert.equal(result.기본모델, "픽셀9");
+        assert.equal(result.옵션, "프로");
+    });
+
+    it("카탈로그에 있는 아이폰 번호를 모델로 인식한다", () => {
+        assert.equal(parse("18 프로 256").기본모델, null);
+        assert.equal(
+            parse("18 프로 256", [{ brand: "아이폰", key: "18프로" }]).기본모델,
+            "18"
+        );
+        assert.equal(parse("아이폰 18").기본모델, "18");
+    });
+
+    it("금액의 숫자는 모델 번호로 읽지 않는다", () => {
+        assert.equal(parse("15만원").기본모델, null);
+        assert.equal(parse("아이폰 5만원").기본모델, null);
+    });
+
+    it("할부원금/요금제 가격 조건을 읽는다", () => {
+        const result = parseUserInputRules("요금제 6만원대로 되는 아이폰");
+        assert.equal(result.브랜드, "아이폰");
+        assert.equal(result.기본모델, null);
+        assert.equal(result.최소요금제, 60000);
+        assert.equal(result.최대요금제, 69999);
+
+        const budget = parseUserInputRules("S25 256 50만원 이하 KT");
+        assert.equal(budget.기본모델, "S25");
+        assert.equal(budget.용량, "256");
+        assert.equal(budget.통신사, "KT");
+        assert.equal(budget.최대가격, 500000);
+    });
+
+    it("16e의 e를 옵션으로 읽는다", () => {
+        const result = parse("아이폰 16e 128");
+        assert.equal(result.기본모델, "16");
+        assert.equal(result.옵션, "E");
+    });
+
+    it("아이폰 용량은 모델 번호로 읽지 않는다", () => {
+        assert.deepEqual(parse("아이폰 64"), {
+            브랜드: "아이폰",
+            기본모델: null,
+            옵션: null,
+            용량: "64",
+            통신사: null,
+            타입: null,
+        });
+        assert.equal(parse("아이폰 64기가 SK").기본모델, null);
+        assert.equal(parse("아이폰 64 gb").용량, "64");
+
+        const withModel = parse("아이폰 64기가 13 미니");
+        assert.equal(withModel.기본모델, "13");
+        assert.equal(withModel.용량, "64");
+        assert.equal(withModel.옵션, "미니");
+    });
+
+    it("아이폰 SE 뒤의 숫자는 모델 번호로 읽지 않는다", () => {
+        assert.deepEqual(parse("아이폰 SE 64"), {
+            브랜드: "아이폰",
+            기본모델: "SE",
+            옵션: null,
+            용량: "64",
+            통신사: null,
+            타입: null,
+        });
+        assert.equal(parse("se 128 KT").기본모델, "SE");
+        assert.equal(parse("se 128 KT").용량, "128");
+    });
+
+    it("날짜와 시간의 숫자는 모델 번호로 읽지 않는다", () => {
+        for (const input of ["내일 16시", "12월 14일 오후", "주말 15시쯤"]) {
+            assert.equal(parse(input).기본모델, null, input);
+        }
+        assert.equal(parse("아이폰 16 12월 출시").기본모델, "16");
+    });
+
+    it("에어 옵션을 읽는다", () => {
+        for (const input of ["아이폰 17 에어", "iphone 17 air"]) {
+            const result = parse(input);
+            assert.equal(result.기본모델, "17", input);
+            assert.equal(result.옵션, "에어", input);
+        }
+    });
+
+    it("TB 용량은 시트 표기처럼 TB 숫자로 읽는다", () => {
+        assert.equal(parse("아이폰 16 프로 1TB").용량, "1");
+        assert.equal(parse("아이폰 16 프로 1테라").용량, "1");
+        assert.equal(parse("아이폰 16 프로 1024기가").용량, "1");
+    });
+});
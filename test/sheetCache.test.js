@@ -0,0 +1,124 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import {
+    getCachedRecords,
+    invalidateSheetCache,
+    getSheetCacheStatus,
+} from "../src/sheetCache.js";
+import { silenceLogs } from "./helpers/console.js";
+
+silenceLogs();
+
+const TTL_MS = 60 * 1000;
+const STALE_MS = 5 * 60 * 1000;
+const OPTIONS = { ttlMs: TTL_MS, staleMs: STALE_MS };
+const SPREADSHEET_ID = "cache-test";
+
+// 호출할 때마다 다른 레코드를 돌려주는 로더
+function createLoader() {
+    const calls = [];
+    const loader = async (spreadsheetId) => {
+        calls.push(spreadsheetId);
+        return { allRecords: [{ version: calls.length }] };
+    };
+    return { loader, calls };
+}
+
+describe("getCachedRecords", () => {
+    let now;
+
+    beforeEach(() => {
+        now = 1_000_000;
+        mock.method(Date, "now", () => now);
+    });
+
+    afterEach(async () => {
+        mock.restoreAll();
+        await invalidateSheetCache(SPREADSHEET_ID);
+    });
+
+    it("TTL 이내에는 캐시를 그대로 사용한다", async () => {
+        const { loader, calls } = createLoader();
+
+        const first = await getCachedRecords(SPREADSHEET_ID, loader, OPTIONS);
+        now += TTL_MS - 1;
+        const second = await getCachedRecords(SPREADSHEET_ID, loader, OPTIONS);
+
+        assert.deepEqual(first, [{ version: 1 }]);
+        assert.equal(second, first);
+        assert.deepEqual(calls, [SPREADSHEET_ID]);
+        assert.equal(getSheetCacheStatus(SPREADSHEET_ID).ageSeconds, 60);
+    });
+
+    it("TTL이 지나면 캐시를 돌려주고 백그라운드에서 갱신한다", async () => {
+        const { loader, calls } = createLoader();
+        await getCachedRecords(SPREADSHEET_ID, loader, OPTIONS);
+
+        now += TTL_MS;
+        const stale = await getCachedRecords(SPREADSHEET_ID, loader, OPTIONS);
+        assert.deepEqual(stale, [{ version: 1 }]);
+        assert.equal(calls.length, 2);
+
+        // 백그라운드 갱신이 끝나면 새 레코드
+        await new Promise((resolve) => setImmediate(resolve));
+        const fresh = await getCachedRecords(SPREADSHEET_ID, loader, OPTIONS);
+        assert.deepEqual(fresh, [{ version: 2 }]);
+        assert.equal(calls.length, 2);
+    });
+
+    it("TTL + staleMs가 지나면 갱신이 끝난 뒤에 새 레코드를 돌려준다", async () => {
+        const { loader, calls } = createLoader();
+        await getCachedRecords(SPREADSHEET_ID, loader, OPTIONS);
+
+        now += TTL_MS + STALE_MS;
+        const records = await getCachedRecords(SPREADSHEET_ID, loader, OPTIONS);
+
+        assert.deepEqual(records, [{ version: 2 }]);
+        assert.equal(calls.length, 2);
+    });
+
+    it("갱신에 실패하면 오래된 캐시로 응답한다", async () => {
+        const { loader } = createLoader();
+        await getCachedRecords(SPREADSHEET_ID, loader, OPTIONS);
+
+        now += TTL_MS + STALE_MS;
+        const records = await getCachedRecords(
+            SPREADSHEET_ID,
+            async () => {
+                throw new Error("시트 읽기 실패");
+            },
+            OPTIONS
+        );
+
+        assert.deepEqual(records, [{ version: 1 }]);
+    });
+
+    it("forceRefresh이면 TTL 이내여도 다시 읽는다", async () => {
+        const { loader, calls } = createLoader();
+        await getCachedRecords(SPREADSHEET_ID, loader, OPTIONS);
+
+        const records = await getCachedRecords(SPREADSHEET_ID, loader, {
+            ...OPTIONS,
+            forceRefresh: true,
+        });
+
+        assert.deepEqual(records, [{ version: 2 }]);
+        assert.equal(calls.length, 2);
+        assert.deepEqual(
+            await getCachedRecords(SPREADSHEET_ID, loader, OPTIONS),
+            [{ version: 2 }]
+        );
+    });
+
+    it("동시에 요청해도 시트는 한 번만 읽는다", async () => {
+        const { loader, calls } = createLoader();
+
+        const results = await Promise.all([
+            getCachedRecords(SPREADSHEET_ID, loader, OPTIONS),
+            getCachedRecords(SPREADSHEET_ID, loader, OPTIONS),
+        ]);
+
+        assert.equal(results[0], results[1]);
+        assert.equal(calls.length, 1);
+    });
+});
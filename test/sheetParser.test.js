@@ -0,0 +1,216 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+    parseSheetInfo,
+    normalizeCapacity,
+    cleanPrice,
+    columnIndex,
+    columnLetter,
+    resolveSheetLayout,
+    parseSheetRows,
+    DEFAULT_LAYOUT,
+} from "../src/sheetParser.js";
+import { silenceLogs } from "./helpers/console.js";
+
+silenceLogs();
+
+const HEADER_ROWS = [
+    ["번호이동", "", "", "", "", "기기변경", "", "", "", "", "부가서비스"],
+    [
+        "모델명",
+        "요금제",
+        "용량",
+        "할부원금",
+        "",
+        "모델명",
+        "요금제",
+        "용량",
+        "할부원금",
+        "",
+        "서비스명",
+        "월요금",
+        "유지기간",
+        "미가입시 추가금",
+    ],
+];
+
+describe("parseSheetInfo", () => {
+    it("시트 이름에서 통신사와 채널을 읽는다", () => {
+        assert.deepEqual(parseSheetInfo("SK 온라인"), {
+            telecom: "SK",
+            channel: "온라인",
+        });
+        assert.deepEqual(parseSheetInfo("KT내방"), {
+            telecom: "KT",
+            channel: "내방",
+        });
+        assert.deepEqual(parseSheetInfo("LG 온라인 (9월)"), {
+            telecom: "LG",
+            channel: "온라인",
+        });
+    });
+
+    it("알 수 없는 통신사/채널은 Unknown", () => {
+        assert.deepEqual(parseSheetInfo("시트1"), {
+            telecom: "Unknown",
+            channel: "Unknown",
+        });
+    });
+});
+
+describe("normalizeCapacity", () => {
+    it("숫자만 남긴다", () => {
+        assert.equal(normalizeCapacity("256GB"), "256");
+        assert.equal(normalizeCapacity(" 512 GB "), "512");
+        assert.equal(normalizeCapacity(128), "128");
+    });
+
+    it("1TB처럼 여러 숫자가 있으면 첫 번째 숫자, GB로 쓴 TB는 TB 숫자", () => {
+        assert.equal(normalizeCapacity("1TB (1024GB)"), "1");
+        assert.equal(normalizeCapacity("1024GB"), "1");
+    });
+
+    it("빈 값이나 숫자가 없으면 기본", () => {
+        assert.equal(normalizeCapacity(""), "기본");
+        assert.equal(normalizeCapacity("   "), "기본");
+        assert.equal(normalizeCapacity(undefined), "기본");
+        assert.equal(normalizeCapacity("기본"), "기본");
+    });
+});
+
+describe("cleanPrice", () => {
+    it("숫자와 부호만 남긴다", () => {
+        assert.equal(cleanPrice("350,000원"), "350000");
+        assert.equal(cleanPrice(109000), "109000");
+        assert.equal(cleanPrice("-50,000"), "-50000");
+    });
+
+    it("빈 값은 빈 문자열", () => {
+        assert.equal(cleanPrice(""), "");
+        assert.equal(cleanPrice(null), "");
+        assert.equal(cleanPrice(0), "");
+    });
+
+    it("숫자가 없는 텍스트는 빈 문자열", () => {
+        assert.equal(cleanPrice("문의"), "");
+    });
+});
+
+describe("columnIndex / columnLetter", () => {
+    it("열 이름과 번호를 서로 변환한다", () => {
+        assert.equal(columnIndex("A"), 0);
+        assert.equal(columnIndex("k"), 10);
+        assert.equal(columnIndex("AA"), 26);
+        assert.equal(columnIndex(3), 3);
+        assert.equal(columnLetter(0), "A");
+        assert.equal(columnLetter(13), "N");
+        assert.equal(columnLetter(27), "AB");
+    });
+});
+
+describe("resolveSheetLayout", () => {
+    it("헤더 라벨로 블록과 부가서비스 열을 찾는다", () => {
+        const layout = resolveSheetLayout("SK 온라인", HEADER_ROWS);
+        assert.equal(layout.source, "header");
+        assert.equal(layout.dataStartRow, 2);
+        assert.deepEqual(
+            layout.blocks.map(({ type, columns }) => ({ type, columns })),
+            DEFAULT_LAYOUT.blocks
+        );
+        assert.deepEqual(layout.services, DEFAULT_LAYOUT.services);
+    });
+
+    it("열 순서가 바뀌어도 제목으로 가입 유형을 찾는다", () => {
+        const rows = [
+            ["", "기기변경", "", "", "", "번호이동"],
+            [
+                "",
+                "모델",
+                "할부원금",
+                "요금제",
+                "",
+                "모델",
+                "할부원금",
+                "요금제",
+            ],
+        ];
+        const layout = resolveSheetLayout("KT 내방", rows);
+        assert.deepEqual(layout.blocks, [
+            { type: "기기변경", columns: { model: 1, price: 2, plan: 3 } },
+            { type: "번호이동", columns: { model: 5, price: 6, plan: 7 } },
+        ]);
+        assert.equal(layout.services, null);
+    });
+
+    it("헤더가 없으면 기존 열 배치", () => {
+        const layout = resolveSheetLayout("SK 온라인", [["제목"], []]);
+        assert.equal(layout.source, "default");
+        assert.equal(layout.dataStartRow, DEFAULT_LAYOUT.dataStartRow);
+    });
+
+    it("설정된 열 배치를 우선 사용한다", () => {
+        const layout = resolveSheetLayout("LG 온라인", HEADER_ROWS, {
+            "*": {
+                headerRow: 1,
+                blocks: [{ model: "B", plan: "C", capacity: "D", price: "E" }],
+            },
+        });
+        assert.equal(layout.source, "config");
+        assert.equal(layout.dataStartRow, 1);
+        assert.deepEqual(layout.blocks, [
+            {
+                type: "번호이동",
+                columns: { model: 1, plan: 2, capacity: 3, price: 4 },
+            },
+        ]);
+    });
+});
+
+describe("parseSheetRows", () => {
+    it("블록마다 레코드를 만들고 부가서비스를 붙인다", () => {
+        const rows = [
+            ...HEADER_ROWS,
+            [
+                "갤럭시 S25",
+                109000,
+                "256GB",
+                "350,000",
+                "",
+                "갤럭시 S25",
+                109000,
+                "256GB",
+                450000,
+                "",
+                "V컬러링",
+                3300,
+                "M+3",
+                "50,000",
+            ],
+            ["", "", "", "", "", "갤럭시 S24", 89000, "", 200000],
+            ["", "", "", "", "", "", "", "", "", "", "테스트", 1, 1, 1],
+        ];
+        const layout = resolveSheetLayout("SK 온라인", rows);
+        const { records, services } = parseSheetRows("SK 온라인", rows, layout);
+
+        assert.deepEqual(services, [
+            {
+                serviceName: "V컬러링",
+                monthlyFee: "3300",
+                duration: "M+3",
+                additionalFee: "50000",
+            },
+        ]);
+        assert.deepEqual(
+            records.map((r) => [r.modelRaw, r.type, r.capacity, r.price]),
+            [
+                ["갤럭시 S25", "번호이동", "256", "350000"],
+                ["갤럭시 S25", "기기변경", "256", "450000"],
+                ["갤럭시 S24", "기기변경", "기본", "200000"],
+            ]
+        );
+        assert.equal(records[0].modelNorm, "s25");
+        assert.equal(records[0].telecom, "SK");
+        assert.equal(records[0].channel, "온라인");
+        assert.equal(records[0].serviceInfo, services);
+    });
+});
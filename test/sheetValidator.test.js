@@ -0,0 +1,168 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+    validateSheet,
+    validateSheets,
+    summarizeValidation,
+    SEVERITY_ERROR,
+    SEVERITY_WARNING,
+} from "../src/sheetValidator.js";
+import { TEST_VALUE } from "../src/sheetParser.js";
+import { silenceLogs } from "./helpers/console.js";
+
+silenceLogs();
+
+const HEADER_ROWS = [
+    ["번호이동", "", "", "", "", "기기변경", "", "", "", "", "부가서비스"],
+    [
+        "모델명",
+        "요금제",
+        "용량",
+        "할부원금",
+        "",
+        "모델명",
+        "요금제",
+        "용량",
+        "할부원금",
+        "",
+        "서비스명",
+        "월요금",
+        "유지기간",
+        "미가입시 추가금",
+    ],
+];
+
+const SERVICE_ROW = ["", "", "", "", "", "", "", "", "", ""].concat([
+    "지니뮤직",
+    7900,
+    "6개월",
+    100000,
+]);
+
+function issueSummary(result) {
+    return result.issues.map(({ severity, code, cell, value }) => [
+        severity,
+        code,
+        cell,
+        value,
+    ]);
+}
+
+describe("validateSheet", () => {
+    it("문제가 없는 시트", () => {
+        const result = validateSheet("SK 온라인", [
+            ...HEADER_ROWS,
+            ["갤럭시 S25", 109000, "256GB", 350000],
+        ]);
+
+        assert.equal(result.telecom, "SK");
+        assert.equal(result.channel, "온라인");
+        assert.equal(result.layout, "header");
+        assert.equal(result.recordCount, 1);
+        assert.deepEqual(result.issues, []);
+    });
+
+    it("테스트 값과 금액으로 읽을 수 없는 값은 오류", () => {
+        const result = validateSheet("SK 온라인", [
+            ...HEADER_ROWS,
+            ["갤럭시 S25", 109000, "256GB", TEST_VALUE],
+            ["갤럭시 S25 울트라", "109,000원", "512GB", "문의"],
+        ]);
+
+        assert.deepEqual(issueSummary(result), [
+            [SEVERITY_ERROR, "test-value", "D3", TEST_VALUE],
+            [SEVERITY_ERROR, "unparseable-amount", "D4", "문의"],
+        ]);
+        assert.match(result.issues[0].message, /할부원금에 테스트 값/);
+    });
+
+    it("같은 블록에 같은 모델/용량이 두 번 있으면 경고", () => {
+        const result = validateSheet("SK 온라인", [
+            ...HEADER_ROWS,
+            ["갤럭시 S25", 109000, "256GB", 350000],
+            ["갤럭시 S25", 109000, "512GB", 450000],
+            ["갤럭시 S25", 89000, "256", 380000],
+        ]);
+
+        assert.deepEqual(issueSummary(result), [
+            [SEVERITY_WARNING, "duplicate-row", "A5", undefined],
+        ]);
+        assert.match(result.issues[0].message, /3행과 모델\/용량이 중복/);
+    });
+
+    it("시트 이름에서 통신사/채널을 찾을 수 없으면 오류", () => {
+        const result = validateSheet("가격표 (복사본)", [
+            ...HEADER_ROWS,
+            ["갤럭시 S25", 109000, "256GB", 350000],
+        ]);
+
+        assert.deepEqual(
+            result.issues.map(({ severity, code }) => [severity, code]),
+            [
+                [SEVERITY_ERROR, "unknown-telecom"],
+                [SEVERITY_ERROR, "unknown-channel"],
+            ]
+        );
+    });
+
+    it("가격 레코드 없이 부가서비스만 있으면 경고", () => {
+        const result = validateSheet("LG 온라인", [
+            ...HEADER_ROWS,
+            SERVICE_ROW,
+        ]);
+
+        assert.equal(result.recordCount, 0);
+        assert.deepEqual(issueSummary(result), [
+            [SEVERITY_WARNING, "orphan-service", null, undefined],
+        ]);
+    });
+});
+
+describe("validateSheets / summarizeValidation", () => {
+    const report = validateSheets([
+        {
+            sheetName: "SK 온라인",
+            rows: [...HEADER_ROWS, ["갤럭시 S25", 109000, "256GB", 350000]],
+        },
+        {
+            sheetName: "KT 내방",
+            rows: [
+                ...HEADER_ROWS,
+                ["갤럭시 S25", 90000, "256GB", "문의"],
+                ["갤럭시 S25", 90000, "256GB", 300000],
+            ],
+        },
+    ]);
+
+    it("시트별 결과와 전체 문제 수를 모은다", () => {
+        assert.equal(report.sheetCount, 2);
+        assert.equal(report.recordCount, 3);
+        assert.equal(report.issueCount, 2);
+        assert.equal(report.errorCount, 1);
+        assert.equal(report.warningCount, 1);
+        assert.ok(!Number.isNaN(Date.parse(report.checkedAt)));
+    });
+
+    it("요약 문구에 시트별 문제를 셀 위치와 값으로 보여준다", () => {
+        const summary = summarizeValidation(report);
+
+        assert.match(summary, /시트 2개, 레코드 3건\n오류 1건, 경고 1건/);
+        assert.match(summary, /\[SK 온라인\] 레코드 1건 ✅/);
+        assert.match(summary, /\[KT 내방\] 레코드 2건 - 문제 2건/);
+        assert.match(summary, /❌ D3 .*금액으로 읽을 수 없습니다\. \("문의"\)/);
+        assert.match(summary, /⚠️ A4 .*3행과 모델\/용량이 중복됩니다\./);
+    });
+
+    it("시트마다 문제는 10건까지만 보여준다", () => {
+        const rows = [...HEADER_ROWS];
+        for (let i = 0; i < 12; i++) {
+            rows.push([`갤럭시 S${i}`, 90000, "256GB", "문의"]);
+        }
+        const summary = summarizeValidation(
+            validateSheets([{ sheetName: "SK 온라인", rows }])
+        );
+
+        assert.equal((summary.match(/❌/g) || []).length, 10);
+        assert.match(summary, /\.\.\. 외 2건/);
+    });
+});
@@ -0,0 +1,141 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { generateDetailedResponse } from "../src/textResponse.js";
+import { formatManwon } from "../src/offers.js";
+
+const QUERY = {
+    브랜드: null,
+    기본모델: "S25",
+    옵션: null,
+    용량: "256",
+    통신사: null,
+    타입: null,
+    채널: null,
+};
+
+const SERVICES = [
+    {
+        serviceName: "V컬러링",
+        monthlyFee: "3300",
+        duration: "M+3",
+        additionalFee: "50000",
+    },
+    {
+        serviceName: "지니뮤직",
+        monthlyFee: "13200",
+        duration: "M+3",
+        additionalFee: "105000",
+    },
+];
+
+function record(overrides = {}) {
+    return {
+        modelRaw: "갤럭시 S25",
+        modelNorm: "s25",
+        capacity: "256",
+        telecom: "SK",
+        type: "번호이동",
+        channel: "온라인",
+        plan: "109000",
+        price: "350000",
+        serviceInfo: null,
+        ...overrides,
+    };
+}
+
+describe("formatManwon", () => {
+    it("1만원 이상은 만 단위로 표시한다", () => {
+        assert.equal(formatManwon(50000), "5만원");
+        assert.equal(formatManwon(105000), "10만5000원");
+        assert.equal(formatManwon(13200), "1만3200원");
+        assert.equal(formatManwon(10000), "1만원");
+    });
+
+    it("1만원 미만은 천 단위 쉼표로 표시한다", () => {
+        assert.equal(formatManwon(9900), "9,900원");
+        assert.equal(formatManwon(3300), "3,300원");
+        assert.equal(formatManwon(0), "0원");
+    });
+});
+
+describe("generateDetailedResponse", () => {
+    it("채널별로 가격, 부가서비스, 미가입 추가금, 총 비용을 보여준다", () => {
+        const text = generateDetailedResponse(
+            QUERY,
+            [
+                record({ serviceInfo: SERVICES }),
+                record({
+                    channel: "내방",
+                    telecom: "KT",
+                    type: "기기변경",
+                    price: "1200000",
+                    plan: "90000",
+                }),
+            ],
+            { planMonths: 6 }
+        );
+
+        assert.equal(
+            text,
+            [
+                "💰 가격 정보 - 갤럭시 S25 256GB",
+                "",
+                "📦 온라인 가격 조건 안내",
+                "",
+                "📱 SK 번호이동",
+                "✅ 할부원금: 350,000원",
+                "✅ 요금제: 월 109,000원",
+                "✅ 부가서비스 (M+3 유지)",
+                " - V컬러링: 3,300원",
+                " - 지니뮤직: 1만3200원",
+                "❗ 부가 미가입 시",
+                " - V컬러링 미가입: +5만원",
+                " - 지니뮤직 미가입: +10만5000원",
+                "💵 6개월 총 비용",
+                " - 부가 가입: 1,070,000원 (월 178,333원) 👍",
+                " - 부가 미가입: 1,159,000원 (월 193,167원)",
+                "",
+                "",
+                "🏬 내방 가격 조건 안내",
+                "",
+                "📱 KT 기기변경",
+                "✅ 할부원금: 1,200,000원",
+                "✅ 요금제: 월 90,000원",
+                "💵 6개월 총 비용: 1,740,000원 (월 290,000원)",
+                "",
+                "",
+                "",
+            ].join("\n")
+        );
+    });
+
+    it("월 요금이 0인 부가서비스는 금액 없이 이름만", () => {
+        const text = generateDetailedResponse(
+            QUERY,
+            [
+                record({
+                    serviceInfo: [
+                        {
+                            serviceName: "유튜브 프리미엄",
+                            monthlyFee: "0",
+                            duration: "",
+                            additionalFee: "0",
+                        },
+                    ],
+                }),
+            ],
+            { planMonths: 6 }
+        );
+
+        assert.match(text, /✅ 부가서비스\n - 유튜브 프리미엄\n/);
+        assert.doesNotMatch(text, /부가 미가입 시/);
+    });
+
+    it("아이폰 번호는 아이폰으로 표시한다", () => {
+        const text = generateDetailedResponse(
+            { ...QUERY, 기본모델: "16", 옵션: "프로" },
+            [record({ modelRaw: "아이폰 16 프로" })]
+        );
+        assert.match(text, /^💰 가격 정보 - 아이폰 16 프로 256GB\n/);
+    });
+});